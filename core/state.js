@@ -9,15 +9,23 @@ const PROB_DEFAULT = (() => {
 
 const INITIAL_STATE = {
   // Text & tokens
-  text: '',            // latest saved text (optional; if you use it)
+  text: '',            // saved text of `version` (the edit session's parent / merge base)
+  words: null,         // saved tokens of `version`, when known (spares commitVersion a parent re-fetch)
   liveText: '',        // contentEditable current text
   baselineText: '',    // original baseline (e.g., HF)
   baselineTokens: [],  // tokens aligned to baseline
   tokens: [],          // currently rendered tokens (aligned to liveText)
+  tokenIds: null,      // stable render keys parallel to `tokens` (align worker), or null
+
+  // Segment layer: one entry per line of `segmentsText` ({ id, start, end, speaker?, notes? })
+  segments: [],
+  segmentsText: '',    // the text `segments` were last reconciled against (lags liveText until align)
+  speakers: [],        // per-episode roster: [{ id, name, color }] (segments reference `id`)
 
   // Versioning (if/when used)
   version: 0,
   base_sha256: '',
+  viewingVersion: 0,  // older version shown read-only (history/versions-view.js); 0 = editing
 
   // Playback
   playback: {
@@ -89,13 +97,31 @@ export class Store {
     this._notify('liveText');
   }
 
-  setTokens(tokens) {
+  /** `ids`: render keys parallel to `tokens` (from the align worker); anything else clears them */
+  setTokens(tokens, ids = null) {
     // Keep referential equality discipline
     const arr = Array.isArray(tokens) ? tokens : [];
-    this.state = { ...this.state, tokens: arr };
+    const tokenIds = Array.isArray(ids) && ids.length === arr.length ? ids : null;
+    this.state = { ...this.state, tokens: arr, tokenIds };
     this._notify('tokens');
   }
 
+  /** Replace the segment layer; `text` is the text the segments describe (line i ↔ segment i) */
+  setSegments(segments, text) {
+    this.state = {
+      ...this.state,
+      segments: Array.isArray(segments) ? segments : [],
+      segmentsText: String(text ?? this.state.liveText ?? ''),
+    };
+    this._notify('segments');
+  }
+
+  /** Replace the speaker roster */
+  setSpeakers(speakers) {
+    this.state = { ...this.state, speakers: Array.isArray(speakers) ? speakers : [] };
+    this._notify('speakers');
+  }
+
   setBaseline({ text, tokens }) {
     const st = this.state;
     const next = {
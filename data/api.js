@@ -1,19 +1,24 @@
 // v2/data/api.js
 // Data access + normalization (HF baseline + optional Supabase corrections).
-// Zero UI here—just fetch, normalize, and hand back clean structures.
+// Zero UI here—just fetch, normalize, and hand back clean structures. Where files and
+// tables live is up to the backend driver (data/backend.js).
+
+import { authorFields, bindAuth } from './identity.js';
+import { activeBackend, dataFileUrl, dataListUrls } from './backend.js';
+import { activeSource, listSources, filePathFor, parseFilePath, transcriptPathFor } from './sources.js';
 
 // ---- Optional Supabase client (pass from your app) ----
 let supa = null;
 let correctionsCache = new Set();
 
 /**
- * Configure Supabase. Call once from app bootstrap:
- *   import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
- *   api.configureSupabase(createClient(SUPABASE_URL, ANON_KEY));
+ * Configure the tables client: a Supabase client or the local driver's stand-in
+ * (data/local-db.js). data/backend-init.js calls this once at bootstrap.
  */
 export function configureSupabase(client) {
   supa = client || null;
   if (supa) {
+    bindAuth(supa);
     loadAllCorrections();
   }
 }
@@ -80,21 +85,14 @@ function getHFToken() {
   try { return localStorage.getItem(TOKEN_KEY) || ''; } catch { return ''; }
 }
 
-// ---- Hugging Face URL helpers ----
-const DATASET = 'ivrit-ai';
-const DS_AUDIO = 'audio-v2-opus';
-const DS_TRANS = 'audio-v2-transcripts';
-
-function encPath(p) { return String(p || '').split('/').map(encodeURIComponent).join('/'); }
-function hfRes(path, ds) {
-  return `https://huggingface.co/datasets/${DATASET}/${ds}/resolve/main/${encPath(path)}`;
-}
-function opusUrl(path) { return hfRes(path, DS_AUDIO); }
-function transUrl(path) { return hfRes(path, DS_TRANS); }
-function normPaths(folder, file) {
+// ---- Dataset file URLs (source profile repos, or the local file server) ----
+function opusUrl(path, source) { return dataFileUrl(path, 'audio', source); }
+function transUrl(path, source) { return dataFileUrl(path, 'transcript', source); }
+/** Dataset paths of an episode's audio and transcript, and its row key (file_path) */
+function normPaths(folder, file, source = activeSource()) {
   const audioPath = `${folder}/${file}`;
-  const trPath = `${folder}/${file.replace(/\.opus$/i, '')}/full_transcript.json.gz`;
-  return { audioPath, trPath };
+  const trPath = transcriptPathFor(folder, file, source);
+  return { audioPath, trPath, key: filePathFor(folder, file, source) };
 }
 
 // ---- Crypto helpers (SHA-256 hex) ----
@@ -111,15 +109,6 @@ export async function sha256Hex(text) {
 }
 
 // ---- Folder/File listing helpers ----
-function hfApiUrl(path, ds) {
-  const base = `https://huggingface.co/api/datasets/${DATASET}/${ds}/tree/main`;
-  if (!path) return [base, `${base}?recursive=false`];
-  return [
-    `${base}/${encPath(path)}`,
-    `${base}?path=${encodeURIComponent(path)}`
-  ];
-}
-
 function extractItems(json) {
   if (Array.isArray(json)) return json;
   if (json && Array.isArray(json.items)) return json.items;
@@ -143,10 +132,10 @@ async function fetchHF(url, init = {}) {
   const headers = new Headers(init.headers || {});
   if (!headers.has('Accept')) headers.set('Accept', 'application/json');
   const tok = getHFToken();
-  // Only add Authorization for HF hosts
+  // Only add Authorization for HF hosts, and the hubs of profiles that opt in (sendHfToken)
   try {
     const host = new URL(url).host;
-    if (tok && (host.endsWith('huggingface.co') || host.endsWith('hf.co'))) {
+    if (tok && (host.endsWith('huggingface.co') || host.endsWith('hf.co') || listSources().some(s => s.sendHfToken && new URL(s.endpoint).host === host))) {
       headers.set('Authorization', 'Bearer ' + tok);
     }
   } catch {}
@@ -178,11 +167,11 @@ async function decodeMaybeGzip(response, originalUrl = '') {
 
 // ---- Folder/File listing functions ----
 /**
- * List folders in the audio dataset
+ * List folders in the audio dataset of `source` (the active one by default)
  * @returns {Promise<Array<{name: string, type: 'directory'}>>}
  */
-export async function listFolders() {
-  const urls = hfApiUrl('', DS_AUDIO);
+export async function listFolders(source = activeSource()) {
+  const urls = dataListUrls('', source);
   let lastErr = null;
 
   for (const url of urls) {
@@ -219,10 +208,11 @@ export async function listFolders() {
  * @param {string} folder - folder name
  * @returns {Promise<Array<{name: string, type: 'file', size: number}>>}
  */
-export async function listFiles(folder) {
+export async function listFiles(folder, source = activeSource()) {
   if (!folder) return [];
   
-  const urls = hfApiUrl(folder, DS_AUDIO);
+  const urls = dataListUrls(folder, source);
+  const ext = source.audioExt.toLowerCase();
   let lastErr = null;
 
   for (const url of urls) {
@@ -242,8 +232,8 @@ export async function listFiles(folder) {
       const files = filterImmediate(items, folder)
         .filter(x => {
           const t = (x.type || '').toLowerCase();
-          const p = x.path || '';
-          return (t === 'file' || t === 'blob' || t === 'lfs' || p.toLowerCase().endsWith('.opus'));
+          const p = (x.path || '').toLowerCase();
+          return p.endsWith(ext) && (t === 'file' || t === 'blob' || t === 'lfs' || !t);
         })
         .map(x => (x.path || '').split('/').pop())
         .sort((a, b) => a.localeCompare(b, 'he'));
@@ -267,7 +257,7 @@ export async function listFiles(folder) {
  * Ensures segments/words exist and numbers are finite.
  * Preserves `probability` if present on words.
  */
-function normalizeTranscript(raw) {
+export function normalizeTranscript(raw) {
   const d = JSON.parse(JSON.stringify(raw || {}));
   d.text = d.text || '';
   d.segments = Array.isArray(d.segments) ? d.segments : [];
@@ -293,7 +283,7 @@ function normalizeTranscript(raw) {
 }
 
 /** Flatten segments -> tokens with '\n' separators (keep probability) */
-function flattenToTokens(d) {
+export function flattenToTokens(d) {
   const toks = [];
   let lastEnd = 0;
 
@@ -321,6 +311,20 @@ function wordsToText(tokens) {
   return s;
 }
 
+/**
+ * Baseline transcript of an episode, by row key (filePathFor), as flat tokens.
+ * @returns {Promise<Array<{word:string,start:number,end:number,probability:number}>>}
+ */
+export async function loadBaselineTokens(filePath) {
+  const { source, folder, file } = parseFilePath(filePath);
+  if (!folder) throw new Error('loadBaselineTokens: expected "folder/file"');
+  const { trPath } = normPaths(folder, file, source);
+  const url = transUrl(trPath, source);
+  const resp = await fetchHF(url);
+  if (!resp.ok) throw new Error(`שגיאת רשת (${resp.status}) בעת טעינת תמליל`);
+  return flattenToTokens(normalizeTranscript(JSON.parse(await decodeMaybeGzip(resp, url))));
+}
+
 // ---- Supabase: corrections (optional) -----------------------------
 async function loadCorrectionFromDB(filePath) {
   // Prefer local cache first (fast UX + offline)
@@ -360,18 +364,97 @@ export async function saveCorrectionToDB(filePath, jsonObj) {
 }
 
 // ---- Versioned transcripts (optional, if table exists) ------------
+const VERSION_CONFLICT = 'VERSION_CONFLICT';
+
+// Columns newer than their tables (jsonb `segments`/`speakers`, author attribution, timestamps):
+// until they are migrated, reads and writes quietly drop the missing column instead of failing.
+const AUTHOR_COLUMNS = ['author_id', 'author_name'];
+const OPTIONAL_COLUMNS = {
+  transcripts: ['segments', 'speakers', ...AUTHOR_COLUMNS, 'created_at'],
+  transcript_edits: [...AUTHOR_COLUMNS, 'created_at'],
+  transcript_confirmations: [...AUTHOR_COLUMNS],
+};
+const hasColumn = Object.fromEntries(Object.entries(OPTIONAL_COLUMNS).map(([table, cols]) => [table, Object.fromEntries(cols.map(c => [c, true]))]));
+const liveColumns = (table, cols = OPTIONAL_COLUMNS[table]) => cols.filter(c => hasColumn[table][c]);
+/**
+ * Name of the optional column of `table` a Postgres/PostgREST error complains about, if any.
+ * Only a column the message names counts: any other error (an unnamed 42703 included) is left
+ * for the caller to throw rather than blamed on a column that may well exist.
+ */
+function missingOptionalColumn(table, error, cols) {
+  if (!error) return null;
+  return liveColumns(table, cols).find(c => new RegExp(`\\b${c}\\b`, 'i').test(error.message || '')) || null;
+}
+function dropColumn(table, col) {
+  console.warn(`${table}.${col} column missing — ${col} will not be persisted`);
+  hasColumn[table][col] = false;
+}
+
+/** Author stamp for a row of `table` (only the columns it has) */
+function authorColumns(table) {
+  const who = authorFields();
+  return Object.fromEntries(liveColumns(table, AUTHOR_COLUMNS).filter(c => who[c] != null).map(c => [c, who[c]]));
+}
+
+/**
+ * Run a select built from `base` plus whichever of `optional` the table has, retrying
+ * without optional columns that turn out to be missing.
+ */
+async function selectRows(table, base, optional, build) {
+  const cols = () => [base, ...liveColumns(table, optional)].join(', ');
+  let res = await build(cols());
+  for (let col; (col = missingOptionalColumn(table, res.error, optional));) {
+    dropColumn(table, col);
+    res = await build(cols());
+  }
+  return res;
+}
+
+/** Insert `rows` into `table`; `finish` adds .select()/.single() (rebuilt on retry) */
+async function insertRows(table, rows, finish = (q) => q) {
+  const list = Array.isArray(rows) ? rows : [rows];
+  let { data, error } = await finish(supa.from(table).insert(rows));
+  for (let col; (col = missingOptionalColumn(table, error)) && list.some(r => col in r);) {
+    dropColumn(table, col);
+    for (const r of list) delete r[col];
+    ({ data, error } = await finish(supa.from(table).insert(rows)));
+  }
+  return { data, error };
+}
+
+/** Run a transcripts select of the full row (text, words and the optional layers) */
+const selectTranscriptRows = (build) => selectRows('transcripts', 'version, base_sha256, text, words', OPTIONAL_COLUMNS.transcripts, build);
+
+/** Latest row for a file; throws on transport/query errors (unlike getLatestTranscript). */
+async function selectLatestTranscript(filePath) {
+  const { data, error } = await selectTranscriptRows(cols => supa
+    .from('transcripts')
+    .select(cols)
+    .eq('file_path', filePath)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle());
+  if (error) throw error;
+  return data || null;
+}
+
+function versionConflict(filePath, parentVersion, latest) {
+  const err = new Error(`version conflict on ${filePath}: parent v${parentVersion}, latest v${latest?.version ?? 0}`);
+  err.code = VERSION_CONFLICT;
+  err.parentVersion = parentVersion;
+  err.latest = latest || null;
+  return err;
+}
+
+/** True for the error saveTranscriptVersion throws when the parent is stale */
+export function isVersionConflict(err) {
+  return !!err && err.code === VERSION_CONFLICT;
+}
+
 export async function getLatestTranscript(filePath) {
   if (!supa) return null;
   try {
-    const { data, error } = await supa
-      .from('transcripts')
-      .select('version, base_sha256, text, words')
-      .eq('file_path', filePath)
-      .order('version', { ascending: false })
-      .limit(1)
-      .maybeSingle();
-    if (error) throw error;
-    return data || null;
+    return await selectLatestTranscript(filePath);
   } catch (e) {
     console.warn('getLatestTranscript failed:', e.message || e);
     return null;
@@ -383,12 +466,12 @@ export async function getTranscriptVersion(filePath, version) {
   if (!supa) return null;
   if (!filePath || !Number.isFinite(+version)) return null;
   try {
-    const { data, error } = await supa
+    const { data, error } = await selectTranscriptRows(cols => supa
       .from('transcripts')
-      .select('version, base_sha256, text, words')
+      .select(cols)
       .eq('file_path', filePath)
       .eq('version', +version)
-      .maybeSingle();
+      .maybeSingle());
     if (error) throw error;
     return data || null;
   } catch (e) {
@@ -397,40 +480,81 @@ export async function getTranscriptVersion(filePath, version) {
   }
 }
 
-export async function saveTranscriptVersion(filePath, { parentVersion = null, text, words }) {
+/** Newest version <= `version` that still stores its full text (a checkpoint or an uncompacted row) */
+export async function getNearestSnapshot(filePath, version) {
+  if (!supa || !filePath || !Number.isFinite(+version)) return null;
+  try {
+    const { data, error } = await selectTranscriptRows(cols => supa
+      .from('transcripts')
+      .select(cols)
+      .eq('file_path', filePath)
+      .lte('version', +version)
+      .not('text', 'is', null)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle());
+    if (error) throw error;
+    return data || null;
+  } catch (e) {
+    console.warn('getNearestSnapshot failed:', e.message || e);
+    return null;
+  }
+}
+
+/**
+ * Compaction: drop (`text` null) or restore the stored text/words of one version. The hash
+ * stays, so a compacted version is still verifiable after reconstruction.
+ */
+export async function setVersionSnapshot(filePath, version, snapshot) {
+  if (!supa) throw new Error('Supabase client not configured');
+  const patch = snapshot ? { text: String(snapshot.text ?? ''), words: Array.isArray(snapshot.words) ? snapshot.words : [] } : { text: null, words: null };
+  const { error } = await supa.from('transcripts').update(patch).eq('file_path', filePath).eq('version', +version);
+  if (error) throw error;
+}
+
+/**
+ * Insert `text`/`words` (+ optional `segments`, one per line, and the `speakers` roster) as the child of `parentVersion` (null/0 = first version).
+ * Optimistic concurrency: if `parentVersion` is no longer the latest version, a
+ * version-conflict error is thrown carrying the current latest row (`err.latest`)
+ * so the caller can merge and retry. The (file_path, version) unique key catches
+ * races that slip between the check and the insert.
+ */
+export async function saveTranscriptVersion(filePath, { parentVersion = null, text, words, segments, speakers }) {
   if (!supa) throw new Error('Supabase client not configured');
   const base_sha256 = await sha256Hex(text || '');
-  let version = 1;
+  const parent = Math.max(0, +parentVersion || 0);
   try {
-    if (parentVersion == null) {
-      const latest = await getLatestTranscript(filePath);
-      version = latest ? (latest.version + 1) : 1;
-    } else {
-      version = Math.max(1, (+parentVersion || 0) + 1);
+    const latest = await selectLatestTranscript(filePath);
+    if ((latest?.version ?? 0) !== parent) throw versionConflict(filePath, parent, latest);
+    const version = parent + 1;
+    const row = { file_path: filePath, version, base_sha256, text: String(text||''), words: Array.isArray(words)? words: [], ...authorColumns('transcripts') };
+    if (hasColumn.transcripts.segments && Array.isArray(segments)) row.segments = segments;
+    if (hasColumn.transcripts.speakers && Array.isArray(speakers)) row.speakers = speakers;
+    const { data, error } = await insertRows('transcripts', row, q => q.select('version, base_sha256').single());
+    if (error) {
+      // 23505 = unique_violation: someone committed the same child version first
+      if (error.code === '23505' || error.status === 409) {
+        throw versionConflict(filePath, parent, await getLatestTranscript(filePath));
+      }
+      throw error;
     }
-    const row = { file_path: filePath, version, base_sha256, text: String(text||''), words: Array.isArray(words)? words: [] };
-    const { data, error } = await supa
-      .from('transcripts')
-      .insert(row)
-      .select('version, base_sha256')
-      .single();
-    if (error) throw error;
     return data;
   } catch (e) {
-    console.error('saveTranscriptVersion failed:', e.message || e);
+    if (!isVersionConflict(e)) console.error('saveTranscriptVersion failed:', e.message || e);
     throw e;
   }
 }
 
-/** Fetch transcript edits (diff layers) for a file */
-export async function getTranscriptEdits(filePath) {
+/** Fetch transcript edits (diff layers) for a file, optionally only those within versions [from, to] */
+export async function getTranscriptEdits(filePath, { from, to } = {}) {
   if (!supa) return [];
   try {
-    const { data, error } = await supa
-      .from('transcript_edits')
-      .select('parent_version, child_version, dmp_patch, token_ops')
-      .eq('file_path', filePath)
-      .order('child_version', { ascending: true });
+    const { data, error } = await selectRows('transcript_edits', 'parent_version, child_version, dmp_patch, token_ops', OPTIONAL_COLUMNS.transcript_edits, cols => {
+      let q = supa.from('transcript_edits').select(cols).eq('file_path', filePath);
+      if (Number.isFinite(from)) q = q.gte('parent_version', from);
+      if (Number.isFinite(to)) q = q.lte('child_version', to);
+      return q.order('child_version', { ascending: true });
+    });
     if (error) throw error;
     return Array.isArray(data) ? data : [];
   } catch (e) {
@@ -439,15 +563,19 @@ export async function getTranscriptEdits(filePath) {
   }
 }
 
-/** Fetch all transcript versions (for fallback diff layers) */
-export async function getAllTranscripts(filePath) {
+/**
+ * Fetch all transcript versions (text + hash, author/date when recorded; for layers, blame and
+ * the timeline). `text` is null on compacted versions (history/reconstruct.js fills it in).
+ * @param {{ words?:boolean }} [opts] - words: include the tokens
+ */
+export async function getAllTranscripts(filePath, { words = false } = {}) {
   if (!supa) return [];
   try {
-    const { data, error } = await supa
+    const { data, error } = await selectRows('transcripts', words ? 'version, base_sha256, text, words' : 'version, base_sha256, text', [...AUTHOR_COLUMNS, 'created_at'], cols => supa
       .from('transcripts')
-      .select('version, text')
+      .select(cols)
       .eq('file_path', filePath)
-      .order('version', { ascending: true });
+      .order('version', { ascending: true }));
     if (error) throw error;
     return Array.isArray(data) ? data : [];
   } catch (e) {
@@ -455,6 +583,37 @@ export async function getAllTranscripts(filePath) {
     return [];
   }
 }
+/**
+ * Latest version per file across the whole `transcripts` table (no text/words).
+ * Pages through PostgREST's row cap. Resolves null when Supabase is not configured.
+ * @returns {Promise<Array<{file_path:string, version:number, base_sha256:string}>|null>}
+ */
+export async function listTranscriptHeads() {
+  if (!supa) return null;
+  const PAGE = 1000;
+  const heads = new Map();
+  try {
+    for (let from = 0; ; from += PAGE) {
+      const { data, error } = await supa
+        .from('transcripts')
+        .select('file_path, version, base_sha256')
+        .order('file_path', { ascending: true })
+        .order('version', { ascending: false })
+        .range(from, from + PAGE - 1);
+      if (error) throw error;
+      for (const r of (data || [])) {
+        const cur = heads.get(r.file_path);
+        if (!cur || (r.version ?? 0) > (cur.version ?? 0)) heads.set(r.file_path, r);
+      }
+      if (!data || data.length < PAGE) break;
+    }
+  } catch (e) {
+    console.warn('listTranscriptHeads failed:', e?.message || e);
+    throw e;
+  }
+  return Array.from(heads.values());
+}
+
 // ---- Edits history (optional) -------------------------------------
 export async function saveTranscriptEdit(filePath, parentVersion, childVersion, dmp_patch, token_ops) {
   if (!supa) return null;
@@ -464,13 +623,10 @@ export async function saveTranscriptEdit(filePath, parentVersion, childVersion,
       parent_version: +parentVersion || 0,
       child_version: +childVersion || 0,
       dmp_patch: String(dmp_patch || ''),
-      token_ops: token_ops != null ? token_ops : null
+      token_ops: token_ops != null ? token_ops : null,
+      ...authorColumns('transcript_edits')
     };
-    const { data, error } = await supa
-      .from('transcript_edits')
-      .insert(payload)
-      .select('id')
-      .single();
+    const { data, error } = await insertRows('transcript_edits', payload, q => q.select('id').single());
     if (error) throw error;
     return data;
   } catch (e) {
@@ -497,6 +653,27 @@ export async function getConfirmations(filePath, version) {
   }
 }
 
+/** Confirmations of the newest version before `beforeVersion` that has any (to carry forward) */
+export async function getLatestConfirmations(filePath, beforeVersion) {
+  if (!supa || !filePath || !Number.isFinite(+beforeVersion)) return { version: null, rows: [] };
+  try {
+    const { data, error } = await supa
+      .from('transcript_confirmations')
+      .select('version')
+      .eq('file_path', filePath)
+      .lt('version', +beforeVersion)
+      .order('version', { ascending: false })
+      .limit(1);
+    if (error) throw error;
+    const version = data?.[0]?.version;
+    if (version == null) return { version: null, rows: [] };
+    return { version, rows: await getConfirmations(filePath, version) };
+  } catch (e) {
+    console.warn('getLatestConfirmations failed:', e.message || e);
+    return { version: null, rows: [] };
+  }
+}
+
 export async function saveConfirmations(filePath, version, base_sha256, ranges, fullText) {
   if (!supa) throw new Error('Supabase client not configured');
   if (!filePath || !Number.isFinite(+version)) throw new Error('invalid version');
@@ -517,8 +694,9 @@ export async function saveConfirmations(filePath, version, base_sha256, ranges,
     // Strategy: clear and re-insert for simplicity
     await supa.from('transcript_confirmations').delete().eq('file_path', filePath).eq('version', +version);
     if (rows.length) {
-      const payload = rows.map(x => ({ file_path: filePath, version: +version, base_sha256: base_sha256 || '', ...x }));
-      const { error } = await supa.from('transcript_confirmations').insert(payload);
+      const author = authorColumns('transcript_confirmations');
+      const payload = rows.map(x => ({ file_path: filePath, version: +version, base_sha256: base_sha256 || '', ...x, ...author }));
+      const { error } = await insertRows('transcript_confirmations', payload);
       if (error) throw error;
     }
     return { count: rows.length };
@@ -535,23 +713,28 @@ export async function saveConfirmations(filePath, version, base_sha256, ranges,
  *  - Optional DB correction (as current view)
  *  - Audio URL (token-aware)
  *
- * @param {{ folder:string, file:string }} param0
+ * @param {{ folder:string, file:string, source?:Object }} param0 - source: profile (data/sources.js), active by default
  * @returns {Promise<{
  *   audioUrl: string,
  *   baselineTokens: Array<{word:string,start:number,end:number,probability:number}>,
  *   baselineText: string,
  *   initialTokens: Array<{word:string,start:number,end:number,probability:number}>,
- *   usedCorrection: boolean
+ *   usedCorrection: boolean,
+ *   version: number|null,
+ *   base_sha256: string,
+ *   text: string|null,       // saved text of `version` (merge base for the edit session)
+ *   segments: Array<{id:string,start:number,end:number,speaker?:string,notes?:string}>|null,  // saved segment layer, if any
+ *   speakers: Array<{id:string,name:string,color?:string}>|null  // saved speaker roster, if any
  * }>}
  */
-export async function loadEpisode({ folder, file }) {
+export async function loadEpisode({ folder, file, source = activeSource() }) {
   if (!folder || !file) throw new Error('loadEpisode: folder and file are required');
-  const { audioPath, trPath } = normPaths(folder, file);
+  const { audioPath, trPath, key } = normPaths(folder, file, source);
 
   // 1) Try latest versioned transcript first (if available)
   let latestVersion = null;
   try {
-    latestVersion = await getLatestTranscript(audioPath);
+    latestVersion = await getLatestTranscript(key);
   } catch (e) {
     console.warn('Latest transcript lookup error:', e);
   }
@@ -560,14 +743,14 @@ export async function loadEpisode({ folder, file }) {
   let correction = null;
   if (!latestVersion) {
     try {
-      correction = await loadCorrectionFromDB(audioPath);
+      correction = await loadCorrectionFromDB(key);
     } catch (e) {
       console.warn('Corrections lookup error:', e);
     }
   }
 
   // 2) Always fetch HF baseline transcript (for diff/align baseline)
-  const transcriptUrl = transUrl(trPath);
+  const transcriptUrl = transUrl(trPath, source);
   const trResp = await fetchHF(transcriptUrl);
   if (trResp.status === 401 && !getHFToken()) {
     throw new Error('401: נדרש טוקן Hugging Face כדי לטעון את התמליל');
@@ -598,11 +781,11 @@ export async function loadEpisode({ folder, file }) {
   }
 
   // 4) Audio URL (token-aware). If token present → fetch blob for auth-gated access.
-  const audioHF = opusUrl(audioPath);
+  const audioHF = opusUrl(audioPath, source);
   let audioUrl = audioHF;
   try {
     const tok = getHFToken();
-    const needsAuth = !!tok;
+    const needsAuth = !!tok && activeBackend().driver?.hfToken;
     if (needsAuth) {
       const r = await fetchHF(audioHF);
       if (r.status === 401) throw new Error('401: נדרש טוקן Hugging Face כדי לטעון אודיו');
@@ -623,7 +806,10 @@ export async function loadEpisode({ folder, file }) {
     initialTokens,
     usedCorrection,
     version,
-    base_sha256
+    base_sha256,
+    text: latestVersion ? String(latestVersion.text || '') : null,
+    segments: latestVersion && Array.isArray(latestVersion.segments) ? latestVersion.segments : null,
+    speakers: latestVersion && Array.isArray(latestVersion.speakers) ? latestVersion.speakers : null
   };
 }
 
@@ -633,16 +819,24 @@ export const api = {
   loadEpisode,
   getLatestTranscript,
   getTranscriptVersion,
+  getNearestSnapshot,
+  setVersionSnapshot,
   saveTranscriptVersion,
+  isVersionConflict,
   getTranscriptEdits,
   getAllTranscripts,
   saveTranscriptEdit,
   getConfirmations,
+  getLatestConfirmations,
   saveConfirmations,
   saveCorrectionToDB,
   listFolders,
   listFiles,
   hasCorrection,
-  sha256Hex
+  sha256Hex,
+  normalizeTranscript,
+  flattenToTokens,
+  listTranscriptHeads,
+  loadBaselineTokens
 };
 export default api;
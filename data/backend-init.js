@@ -0,0 +1,17 @@
+// v2/data/backend-init.js
+// Connect the configured backend driver (data/backend.js) and hand its tables client to the
+// API layer's configureSupabase.
+
+import { configureSupabase } from './api.js';
+import { connectBackend } from './backend.js';
+
+export function setupBackend() {
+  return connectBackend()
+    .then(({ driver, client }) => {
+      configureSupabase(client);
+      console.log(`Backend configured: ${driver.id}`);
+    })
+    .catch((e) => {
+      console.warn('Backend init failed:', e);
+    });
+}
@@ -1,9 +1,15 @@
 // v2/data/browser.js
-// Folder/file browser and episode loader with race guards.
+// Folder/file browser (of the active source profile) and episode loader with race guards.
 
-import { store } from '../core/state.js';
+import { store, getState } from '../core/state.js';
 import { showToast } from '../ui/toast.js';
-import { listFolders, listFiles, loadEpisode, hasCorrection, getConfirmations } from '../data/api.js';
+import { canonicalizeText } from '../shared/canonical.js';
+import { listFolders, listFiles, loadEpisode, hasCorrection, sha256Hex } from '../data/api.js';
+import { activeSource, setActiveSource, onSourceChange, filePathFor, parseFilePath } from '../data/sources.js';
+import { loadConfirmations, restoreConfirmations } from '../editor/confirmations.js';
+import { journalStatus, takeConflictedSession } from '../data/journal.js';
+import { segmentsFromTokens, segmentsForText, retimeSegments, isSegmentList } from '../shared/segments.js';
+import { normalizeRoster } from '../shared/speakers.js';
 
 export function setupBrowser(els, { bumpEditGen } = {}) {
   if (!els?.folders || !els?.files) return;
@@ -12,12 +18,22 @@ export function setupBrowser(els, { bumpEditGen } = {}) {
   let currentFile = null;
   let lastLoadController = null;
   let loadSeq = 0; // monotonic load sequence to ignore late results
-  let desiredPath = null; // only allow loads for this path
+  let desiredPath = null; // only allow loads for this path (row key)
+  let source = activeSource();
+  let foldersReady = null;
+
+  function showSource() {
+    if (!els.sourceBadge) return;
+    els.sourceBadge.textContent = `· ${source.label}`;
+    els.sourceBadge.title = `${source.audioRepo}@${source.revision}`;
+  }
 
   async function loadFolders() {
+    const src = source;
     try {
       els.folders.innerHTML = '<div class="item">טוען...</div>';
-      const folders = await listFolders();
+      const folders = await listFolders(src);
+      if (src !== source) return;
       if (!folders.length) { els.folders.innerHTML = '<div class="item">אין תיקיות</div>'; return; }
       els.folders.innerHTML = folders.map(f => `<div class="item" data-folder="${f.name}">📁 ${f.name}</div>`).join('');
       els.folders.querySelectorAll('.item').forEach(item => {
@@ -31,29 +47,35 @@ export function setupBrowser(els, { bumpEditGen } = {}) {
       if (firstFolder) firstFolder.click();
     } catch (error) {
       console.error('Failed to load folders:', error);
+      if (src !== source) return;
       els.folders.innerHTML = '<div class="item error">שגיאה בטעינת תיקיות</div>';
     }
   }
 
   async function loadFiles(folderName) {
     if (!folderName) return;
+    const src = source;
     currentFolder = folderName;
     currentFile = null;
     try {
       els.files.innerHTML = '<div class="item">טוען...</div>';
-      const files = await listFiles(folderName);
+      const files = await listFiles(folderName, src);
+      // Another folder (or source) was picked meanwhile
+      if (currentFolder !== folderName || src !== source) return;
       if (!files.length) { els.files.innerHTML = '<div class="item">אין קבצים</div>'; return; }
+      const ext = src.audioExt.toLowerCase();
       els.files.innerHTML = files.map(file => {
-        const display = file.name.replace(/\.opus$/i, '');
-        const hasCorr = hasCorrection(`${folderName}/${file.name}`);
+        const display = file.name.toLowerCase().endsWith(ext) ? file.name.slice(0, -ext.length) : file.name;
+        const hasCorr = hasCorrection(filePathFor(folderName, file.name, src));
         const correctionClass = hasCorr ? 'has-correction' : 'no-correction';
-        return `<div class="item ${correctionClass}" data-file="${file.name}">🎵 ${display}</div>`;
+        return `<div class="item ${correctionClass}" data-file="${file.name}">🎵 ${display}<span class="sync-badge"></span></div>`;
       }).join('');
+      refreshSyncBadges();
       els.files.querySelectorAll('.item').forEach(item => {
         item.addEventListener('click', () => {
           els.files.querySelectorAll('.item').forEach(i => i.classList.remove('active'));
           item.classList.add('active');
-          desiredPath = `${folderName}/${item.dataset.file}`;
+          desiredPath = filePathFor(folderName, item.dataset.file, src);
           loadEpisodeFile(folderName, item.dataset.file);
         });
       });
@@ -63,9 +85,26 @@ export function setupBrowser(els, { bumpEditGen } = {}) {
     }
   }
 
+  // Pending-sync / conflict badges from the offline journal
+  function refreshSyncBadges() {
+    if (!currentFolder) return;
+    els.files.querySelectorAll('.item[data-file]').forEach(item => {
+      const status = journalStatus(filePathFor(currentFolder, item.dataset.file, source));
+      item.classList.toggle('pending-sync', status === 'pending');
+      item.classList.toggle('sync-conflict', status === 'conflict');
+      const badge = item.querySelector('.sync-badge');
+      if (badge) {
+        badge.textContent = status === 'conflict' ? ' ⚠️' : (status === 'pending' ? ' ⏳' : '');
+        badge.title = status === 'conflict' ? 'התנגשות בסנכרון — פתח כדי למזג' : (status === 'pending' ? 'ממתין לסנכרון' : '');
+      }
+    });
+  }
+  window.addEventListener('v2:journal', refreshSyncBadges);
+
   async function loadEpisodeFile(folder, file) {
     if (!folder || !file) return;
-    const myKey = `${folder}/${file}`;
+    const src = source;
+    const myKey = filePathFor(folder, file, src);
     if (desiredPath && myKey !== desiredPath) return;
     currentFile = file;
     const mySeq = ++loadSeq;
@@ -74,6 +113,7 @@ export function setupBrowser(els, { bumpEditGen } = {}) {
     if (els.transcript && myKey === desiredPath) {
       els.transcript.dataset.folder = folder;
       els.transcript.dataset.file = file;
+      els.transcript.dataset.path = myKey;
     }
 
     if (lastLoadController) lastLoadController.abort();
@@ -85,7 +125,7 @@ export function setupBrowser(els, { bumpEditGen } = {}) {
     if (fileItem) fileItem.classList.add('loading');
 
     try {
-      const episode = await loadEpisode({ folder, file });
+      const episode = await loadEpisode({ folder, file, source: src });
       if (controller.signal.aborted) return;
       if (mySeq !== loadSeq) return;
       if (desiredPath && myKey !== desiredPath) return;
@@ -95,21 +135,38 @@ export function setupBrowser(els, { bumpEditGen } = {}) {
       const initialText = (episode.initialTokens || []).map(t => t && t.word ? t.word : '').join('');
       store.setTokens(episode.initialTokens);
       store.setLiveText(initialText);
+      // Saved segment layer when it still matches the text line-for-line, else derived from the tokens
+      const savedSegs = isSegmentList(episode.segments) && episode.segments.length === initialText.split('\n').length ? episode.segments : null;
+      const segs = savedSegs ? retimeSegments(savedSegs, episode.initialTokens) : segmentsFromTokens(episode.initialTokens);
+      store.setSegments(segs, initialText);
+      store.setSpeakers(normalizeRoster(episode.speakers, segs));
       store.setBaseline({ text: episode.baselineText, tokens: episode.baselineTokens });
+      // `text` is the snapshot this edit session started from (parent + merge base on save)
+      const loadedText = canonicalizeText(episode.text ?? initialText);
       if (episode.version != null || episode.base_sha256) {
-        store.setState({ version: episode.version || 0, base_sha256: episode.base_sha256 || '' }, 'version:init');
+        store.setState({ version: episode.version || 0, base_sha256: episode.base_sha256 || '', text: loadedText, words: episode.version ? episode.initialTokens || null : null }, 'version:init');
       } else {
-        store.setState({ version: 0, base_sha256: '' }, 'version:clear');
+        store.setState({ version: 0, base_sha256: '', text: loadedText, words: null }, 'version:clear');
+      }
+      // Confirmations of this version, or carried forward from an older one (re-anchored)
+      try { await loadConfirmations(myKey, episode.version, getState().liveText || ''); }
+      catch (e) { console.warn('Failed to load confirmations:', e); store.setConfirmedRanges([]); }
+
+      // A journaled offline save hit a stale parent on replay: restore that edit session
+      // on top of its original parent so the next save runs the normal merge flow.
+      const session = await takeConflictedSession(myKey).catch(() => null);
+      if (session && mySeq === loadSeq) {
+        const parentText = canonicalizeText(session.parent_text);
+        if (session.words.length) store.setTokens(session.words);
+        store.setLiveText(session.text);
+        const st = getState();
+        const sessionSegs = isSegmentList(session.segments) ? session.segments : segmentsForText(st.segmentsText, st.segments, session.text, st.tokens);
+        store.setSegments(sessionSegs, session.text);
+        store.setSpeakers(normalizeRoster(session.speakers || st.speakers, sessionSegs));
+        store.setState({ version: session.parent_version, base_sha256: await sha256Hex(parentText), text: parentText, words: session.parent_words }, 'version:init');
+        if (session.confirmations) restoreConfirmations(session.confirmations);
+        try { showToast('שוחזרו עריכות שלא סונכרנו — שמור כדי למזג עם הגרסה העדכנית', 'info', 5000); } catch {}
       }
-      try {
-        if (episode.version != null) {
-          const confs = await getConfirmations(`${folder}/${file}`, episode.version);
-          const ranges = (confs || []).map(c => ({ id: c.id, range: c.range }));
-          store.setConfirmedRanges(ranges);
-        } else {
-          store.setConfirmedRanges([]);
-        }
-      } catch (e) { console.warn('Failed to load confirmations:', e); store.setConfirmedRanges([]); }
     } catch (error) {
       console.error('Failed to load episode:', { error, myKey, mySeq });
       try { showToast(`שגיאה בטעינת פרק: ${error.message}`, 'error', 4000); } catch {}
@@ -118,7 +175,46 @@ export function setupBrowser(els, { bumpEditGen } = {}) {
     }
   }
 
+  /**
+   * Open an episode programmatically (e.g. from search results): selects the folder
+   * and file in the lists and loads it. Resolves true once that file is the open one.
+   */
+  async function openFile(folder, file) {
+    if (!folder || !file) return false;
+    if (currentFolder !== folder || !els.files.querySelector(`[data-file="${CSS.escape(file)}"]`)) {
+      els.folders.querySelectorAll('.item').forEach(i => i.classList.toggle('active', i.dataset.folder === folder));
+      await loadFiles(folder);
+    }
+    els.files.querySelectorAll('.item').forEach(i => i.classList.toggle('active', i.dataset.file === file));
+    els.files.querySelector('.item.active')?.scrollIntoView({ block: 'nearest' });
+    desiredPath = filePathFor(folder, file, source);
+    await loadEpisodeFile(folder, file);
+    return desiredPath === filePathFor(folder, file, source) && currentFile === file;
+  }
+
+  /** Open an episode by row key, switching to its source first if needed */
+  async function openPath(key) {
+    const { source: src, folder, file } = parseFilePath(key);
+    if (!folder || !file) return false;
+    if (src.id !== source.id) {
+      setActiveSource(src.id);
+      await foldersReady;
+    }
+    return openFile(folder, file);
+  }
+
+  // Another source: its folders replace the lists (the open episode stays open)
+  onSourceChange((src) => {
+    source = src;
+    currentFolder = null;
+    els.files.innerHTML = '';
+    showSource();
+    foldersReady = loadFolders();
+  });
+
   // init
-  loadFolders();
+  showSource();
+  foldersReady = loadFolders();
+  return { openFile, openPath };
 }
 
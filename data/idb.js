@@ -0,0 +1,43 @@
+// v2/data/idb.js
+// IndexedDB plumbing for the app's local databases (offline journal, search cache, local
+// backend tables): a lazily opened database plus one-transaction requests.
+
+/**
+ * @param {string} name
+ * @param {number} version
+ * @param {(db:IDBDatabase) => void} upgrade - creates missing object stores and indexes
+ * @returns {{ open: () => Promise<IDBDatabase>, withStore: (store:string, mode:IDBTransactionMode, fn:(os:IDBObjectStore) => IDBRequest|void) => Promise<any> }}
+ */
+export function idbDatabase(name, version, upgrade) {
+  let dbPromise = null;
+
+  /** The open database; a failed open is retried on the next call */
+  function open() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB unavailable')); return; }
+      const req = indexedDB.open(name, version);
+      req.onupgradeneeded = () => upgrade(req.result);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+  }
+
+  /** Run `fn` inside one transaction; resolves with the result of the request it returns once committed */
+  async function withStore(store, mode, fn) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(store, mode);
+      const req = fn(tx.objectStore(store));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  return { open, withStore };
+}
+
+export default { idbDatabase };
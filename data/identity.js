@@ -0,0 +1,90 @@
+// v2/data/identity.js
+// Who is editing: the signed-in Supabase user when there is one, else the display name set
+// in settings (with a random per-browser id). Stamped on saved versions, edit rows and
+// confirmations so contributions can be credited and traced.
+
+const LS_KEY = 'v2:identity';
+
+let client = null;
+let authUser = null;
+const listeners = new Set();
+
+function loadLocal() {
+  try { return JSON.parse(localStorage.getItem(LS_KEY) || '{}') || {}; } catch { return {}; }
+}
+function saveLocal(obj) {
+  try { localStorage.setItem(LS_KEY, JSON.stringify(obj)); } catch {}
+}
+
+/** Per-browser id for anonymous contributors (created on first use) */
+function localId() {
+  const local = loadLocal();
+  if (local.id) return local.id;
+  const c = globalThis.crypto;
+  const id = `local_${c?.randomUUID ? c.randomUUID() : Math.random().toString(36).slice(2)}`;
+  saveLocal({ ...local, id });
+  return id;
+}
+
+const notify = () => { const who = currentIdentity(); for (const fn of listeners) try { fn(who); } catch {} };
+
+/**
+ * @typedef {Object} Identity
+ * @property {string} id
+ * @property {string} name     - '' when nothing is configured
+ * @property {'auth'|'local'} source
+ */
+
+/** @returns {Identity} */
+export function currentIdentity() {
+  if (authUser) {
+    const meta = authUser.user_metadata || {};
+    return { id: authUser.id, name: meta.full_name || meta.name || authUser.email || '', source: 'auth' };
+  }
+  return { id: localId(), name: loadLocal().name || '', source: 'local' };
+}
+
+/** `{ author_id, author_name }` for a row being written */
+export function authorFields() {
+  const who = currentIdentity();
+  return { author_id: who.id, author_name: who.name || null };
+}
+
+export function getDisplayName() {
+  return loadLocal().name || '';
+}
+
+export function setDisplayName(name) {
+  saveLocal({ ...loadLocal(), id: localId(), name: String(name || '').trim() });
+  notify();
+}
+
+/** Subscribe to identity changes (sign-in/out, rename); returns an unsubscribe function */
+export function onIdentityChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/** Follow the Supabase auth session (called once the client is configured) */
+export function bindAuth(supabaseClient) {
+  client = supabaseClient || null;
+  if (!client?.auth) return;
+  client.auth.getSession()
+    .then(({ data }) => { authUser = data?.session?.user || null; notify(); })
+    .catch((e) => console.warn('Auth session check failed:', e?.message || e));
+  client.auth.onAuthStateChange((_event, session) => { authUser = session?.user || null; notify(); });
+}
+
+/** Email a magic sign-in link */
+export async function signInWithEmail(email) {
+  if (!client?.auth) throw new Error('Supabase אינו מוגדר');
+  const { error } = await client.auth.signInWithOtp({ email: String(email || '').trim(), options: { emailRedirectTo: location.href } });
+  if (error) throw error;
+}
+
+export async function signOut() {
+  if (!client?.auth) return;
+  await client.auth.signOut();
+}
+
+export default { currentIdentity, authorFields, getDisplayName, setDisplayName, onIdentityChange, bindAuth, signInWithEmail, signOut };
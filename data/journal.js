@@ -0,0 +1,210 @@
+// v2/data/journal.js
+// Offline-first journal (IndexedDB) of pending saves, edit rows and confirmations.
+// Entries are keyed by file path + parent version and replayed in insertion order
+// once the connection returns. A replayed save whose parent went stale is kept and
+// marked as a conflict (never dropped) so the edit session can be restored and merged.
+
+import { saveTranscriptVersion, saveTranscriptEdit, saveConfirmations, isVersionConflict, markCorrection } from './api.js';
+import { idbDatabase } from './idb.js';
+
+const DB_NAME = 'v2-journal';
+const DB_VERSION = 1;
+const STORE = 'entries';
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {number} [id]                 - autoincrement (replay order)
+ * @property {'save'|'edit'|'confirmations'} kind
+ * @property {string} file_path
+ * @property {number} parent_version       - 0 when saving the first version
+ * @property {Object} payload              - save: {text, words, segments?, speakers?, parent_text, parent_words?}; edit: {dmp_patch, token_ops};
+ *                                           confirmations: {version, base_sha256, ranges, text}
+ * @property {'pending'|'conflict'} status
+ * @property {number} created_at
+ * @property {Object} [conflict]           - { latestVersion } when status === 'conflict'
+ */
+
+const db = idbDatabase(DB_NAME, DB_VERSION, (idb) => {
+  if (idb.objectStoreNames.contains(STORE)) return;
+  const os = idb.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+  os.createIndex('file_path', 'file_path', { unique: false });
+  os.createIndex('file_parent', ['file_path', 'parent_version'], { unique: false });
+});
+/** Run one request inside a transaction and resolve with its result */
+const withStore = (mode, fn) => db.withStore(STORE, mode, fn);
+
+// file_path -> 'pending' | 'conflict' (sync cache for the browser badges)
+let statusByPath = new Map();
+let replaying = false;
+
+function notify() {
+  try { window.dispatchEvent(new CustomEvent('v2:journal')); } catch {}
+}
+
+async function refreshStatus() {
+  const all = await journalList().catch(() => []);
+  const next = new Map();
+  for (const e of all) {
+    if (e.status === 'conflict') next.set(e.file_path, 'conflict');
+    else if (!next.has(e.file_path)) next.set(e.file_path, 'pending');
+  }
+  statusByPath = next;
+  notify();
+}
+
+// fetch() rejects with a TypeError carrying one of these (Chrome, Firefox, Safari, Node)
+const NETWORK_FAILURE = /^(TypeError: )?(Failed to fetch|NetworkError when attempting to fetch resource|Load failed|fetch failed|Network request failed)/i;
+// supabase-js errors raised when the request never got a response
+const SUPABASE_NETWORK_ERRORS = new Set(['FetchError', 'AuthRetryableFetchError', 'FunctionsFetchError']);
+
+/**
+ * Did this failure come from being offline / unreachable? Only the browser's offline flag,
+ * fetch's own network failure, or a Supabase error for a request that got no response count;
+ * any other TypeError is a bug and must not be journaled as pending.
+ */
+export function isOfflineError(err) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  if (!err || typeof err !== 'object') return false;
+  const msg = String(err.message || '');
+  if (err instanceof TypeError) return NETWORK_FAILURE.test(msg);
+  if (SUPABASE_NETWORK_ERRORS.has(err.name)) return true;
+  // PostgREST wraps a failed fetch as { message: 'TypeError: Failed to fetch', code: '' }
+  return 'code' in err && !err.code && NETWORK_FAILURE.test(msg);
+}
+
+/** Append an entry; resolves with its id */
+export async function journalAppend(entry) {
+  const row = {
+    kind: entry.kind,
+    file_path: String(entry.file_path || ''),
+    parent_version: Math.max(0, +entry.parent_version || 0),
+    payload: entry.payload || {},
+    status: 'pending',
+    created_at: Date.now()
+  };
+  const id = await withStore('readwrite', (os) => os.add(row));
+  await refreshStatus();
+  return id;
+}
+
+/** All entries in replay order, optionally for one file */
+export async function journalList(filePath) {
+  const rows = await withStore('readonly', (os) => (filePath ? os.index('file_path').getAll(filePath) : os.getAll()));
+  return (rows || []).sort((a, b) => a.id - b.id);
+}
+
+export async function journalRemove(id) {
+  await withStore('readwrite', (os) => os.delete(id));
+  await refreshStatus();
+}
+
+async function journalPut(entry) {
+  await withStore('readwrite', (os) => os.put(entry));
+}
+
+/** 'pending' | 'conflict' | null — synchronous, for list rendering */
+export function journalStatus(filePath) {
+  return statusByPath.get(filePath) || null;
+}
+
+/**
+ * Take the journaled edit session of a conflicted file out of the journal.
+ * Returns the parent the first conflicted save was based on, the newest journaled
+ * text and the newest journaled confirmations, so the caller can restore them and let
+ * the normal save path merge. Only the saves, their edit rows (rebuilt by the next
+ * save) and the returned confirmations leave the journal.
+ * @returns {Promise<null|{parent_version:number, parent_text:string, parent_words:Array|null, text:string, words:Array, segments:Array|null, speakers:Array|null, confirmations:{ranges:Array, text:string}|null}>}
+ */
+export async function takeConflictedSession(filePath) {
+  const entries = await journalList(filePath).catch(() => []);
+  const first = entries.findIndex(e => e.kind === 'save' && e.status === 'conflict');
+  if (first < 0) return null;
+  const taken = entries.slice(first).filter(e => e.kind === 'save' || e.kind === 'edit' || e.kind === 'confirmations');
+  const saves = taken.filter(e => e.kind === 'save');
+  const confirmed = taken.filter(e => e.kind === 'confirmations').pop();
+  const head = saves[0], last = saves[saves.length - 1];
+  for (const e of taken) await withStore('readwrite', (os) => os.delete(e.id));
+  await refreshStatus();
+  return {
+    parent_version: head.parent_version,
+    parent_text: String(head.payload?.parent_text || ''),
+    parent_words: Array.isArray(head.payload?.parent_words) ? head.payload.parent_words : null,
+    text: String(last.payload?.text || ''),
+    words: Array.isArray(last.payload?.words) ? last.payload.words : [],
+    segments: Array.isArray(last.payload?.segments) ? last.payload.segments : null,
+    speakers: Array.isArray(last.payload?.speakers) ? last.payload.speakers : null,
+    confirmations: confirmed && Array.isArray(confirmed.payload?.ranges) ? { ranges: confirmed.payload.ranges, text: String(confirmed.payload.text || '') } : null
+  };
+}
+
+/**
+ * Replay pending entries in order. Stops at the first network failure; a stale
+ * parent marks that save (and blocks the rest of its file) as a conflict.
+ * @returns {Promise<{ replayed:number, conflicts:string[], offline:boolean }>}
+ */
+export async function replayJournal() {
+  if (replaying) return { replayed: 0, conflicts: [], offline: false };
+  replaying = true;
+  const blocked = new Set();
+  const conflicts = [];
+  let replayed = 0, offline = false;
+  try {
+    const entries = await journalList();
+    for (const e of entries) {
+      if (e.status === 'conflict') { blocked.add(e.file_path); continue; }
+      if (blocked.has(e.file_path)) continue;
+      try {
+        if (e.kind === 'save') {
+          const p = e.payload || {};
+          await saveTranscriptVersion(e.file_path, { parentVersion: e.parent_version || null, text: p.text, words: p.words, segments: p.segments, speakers: p.speakers });
+          try { markCorrection(e.file_path); } catch {}
+        } else if (e.kind === 'edit') {
+          const p = e.payload || {};
+          await saveTranscriptEdit(e.file_path, e.parent_version, e.parent_version + 1, p.dmp_patch, p.token_ops);
+        } else if (e.kind === 'confirmations') {
+          const p = e.payload || {};
+          await saveConfirmations(e.file_path, p.version, p.base_sha256, p.ranges, p.text);
+        }
+        await withStore('readwrite', (os) => os.delete(e.id));
+        replayed++;
+      } catch (err) {
+        if (isVersionConflict(err)) {
+          await journalPut({ ...e, status: 'conflict', conflict: { latestVersion: err.latest?.version ?? null } });
+          blocked.add(e.file_path);
+          conflicts.push(e.file_path);
+          continue;
+        }
+        if (isOfflineError(err)) { offline = true; break; }
+        // Unknown server error: keep the entry, skip the rest of this file to preserve order
+        console.warn('Journal replay failed:', { id: e.id, kind: e.kind, error: err?.message || err });
+        blocked.add(e.file_path);
+      }
+    }
+  } catch (e) {
+    console.warn('Journal replay aborted:', e?.message || e);
+  } finally {
+    replaying = false;
+    await refreshStatus();
+  }
+  return { replayed, conflicts, offline };
+}
+
+/**
+ * Replay at startup, on the 'online' event and periodically while entries remain.
+ * @param {{ onResult?: (res:{replayed:number, conflicts:string[], offline:boolean})=>void, intervalMs?: number }} [opts]
+ */
+export function setupJournalSync(opts = {}) {
+  const onResult = typeof opts.onResult === 'function' ? opts.onResult : () => {};
+  const run = async () => {
+    if (!statusByPath.size) return;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+    const res = await replayJournal();
+    if (res.replayed || res.conflicts.length) onResult(res);
+  };
+  window.addEventListener('online', run);
+  const id = setInterval(run, Math.max(5000, opts.intervalMs || 30000));
+  refreshStatus().then(run);
+  return { replay: run, destroy: () => { clearInterval(id); window.removeEventListener('online', run); } };
+}
+
+export default { journalAppend, journalList, journalRemove, journalStatus, takeConflictedSession, replayJournal, setupJournalSync, isOfflineError };
@@ -0,0 +1,225 @@
+// v2/data/local-db.js
+// Tables client for the local backend driver: the subset of the Supabase query builder that
+// data/api.js uses (select/insert/upsert/update/delete, eq/lt/lte/gt/gte/is/not, order,
+// limit/range, single/maybeSingle), kept in IndexedDB. Unique keys mirror the Postgres
+// schema so version races surface as the same 23505 conflict. No sign-in: sessions are
+// always anonymous and the display name from settings is recorded instead.
+
+import { idbDatabase } from './idb.js';
+
+const DB_NAME = 'v2-local';
+const DB_VERSION = 1;
+export const LOCAL_TABLES = ['transcripts', 'transcript_edits', 'transcript_confirmations', 'corrections'];
+const UNIQUE = { transcripts: ['file_path', 'version'], corrections: ['file_path'] };
+
+
+/**
+ * @typedef {Object} LocalStorage
+ * @property {(table:string, filePath?:string) => Promise<Object[]>} rows - all rows (of one file when given)
+ * @property {(table:string, w:{ add?:Object[], put?:Object[], del?:number[] }) => Promise<void>} write - `add` rows get their `id`
+ */
+
+/** @returns {LocalStorage} */
+export function idbStorage(name = DB_NAME) {
+  const db = idbDatabase(name, DB_VERSION, (idb) => {
+    for (const t of LOCAL_TABLES) {
+      if (!idb.objectStoreNames.contains(t)) idb.createObjectStore(t, { keyPath: 'id', autoIncrement: true }).createIndex('file_path', 'file_path');
+    }
+  });
+  return {
+    rows(table, filePath) {
+      return db.withStore(table, 'readonly', (store) => (filePath != null ? store.index('file_path').getAll(filePath) : store.getAll()));
+    },
+    async write(table, { add = [], put = [], del = [] }) {
+      await db.withStore(table, 'readwrite', (store) => {
+        for (const row of add) store.add(row).onsuccess = (e) => { row.id = e.target.result; };
+        for (const row of put) store.put(row);
+        for (const id of del) store.delete(id);
+      });
+    },
+  };
+}
+
+/** In-memory tables (when IndexedDB is unavailable; lost on reload) */
+export function memoryStorage() {
+  const tables = new Map(LOCAL_TABLES.map(t => [t, new Map()]));
+  let nextId = 1;
+  const clone = (r) => JSON.parse(JSON.stringify(r));
+  return {
+    async rows(table, filePath) {
+      return Array.from(tables.get(table).values()).filter(r => filePath == null || r.file_path === filePath).map(clone);
+    },
+    async write(table, { add = [], put = [], del = [] }) {
+      const t = tables.get(table);
+      for (const row of add) { row.id = nextId++; t.set(row.id, clone(row)); }
+      for (const row of put) t.set(row.id, clone(row));
+      for (const id of del) t.delete(id);
+    },
+  };
+}
+
+const fail = (code, message, status = 400) => ({ data: null, error: { code, message }, status });
+
+function compareBy(orders) {
+  return (a, b) => {
+    for (const { col, asc } of orders) {
+      const x = a[col], y = b[col];
+      if (x === y) continue;
+      if (x == null) return 1; // nulls last, as in Postgres ascending order
+      if (y == null) return -1;
+      const c = x < y ? -1 : 1;
+      return asc ? c : -c;
+    }
+    return 0;
+  };
+}
+
+function project(row, cols) {
+  const list = String(cols || '*').split(',').map(s => s.trim()).filter(Boolean);
+  if (!list.length || list.includes('*')) return row;
+  return Object.fromEntries(list.filter(c => c in row).map(c => [c, row[c]]));
+}
+
+const sameKey = (a, b, key) => key.every(c => a[c] === b[c]);
+
+const TESTS = {
+  eq: (x, v) => x === v,
+  neq: (x, v) => x !== v,
+  lt: (x, v) => x != null && x < v,
+  lte: (x, v) => x != null && x <= v,
+  gt: (x, v) => x != null && x > v,
+  gte: (x, v) => x != null && x >= v,
+  is: (x, v) => (v === null ? x == null : x === v),
+};
+
+/** One chained query; awaiting it runs it */
+class LocalQuery {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.action = 'select';
+    this.cols = '*';
+    this.returning = false;
+    this.filters = [];
+    this.orders = [];
+    this.offset = 0;
+    this.max = Infinity;
+    this.mode = 'many';
+  }
+
+  select(cols = '*') {
+    this.cols = cols;
+    if (this.action !== 'select') this.returning = true;
+    return this;
+  }
+  insert(rows) { this.action = 'insert'; this.payload = rows; return this; }
+  upsert(rows, { onConflict } = {}) { this.action = 'upsert'; this.payload = rows; this.conflict = onConflict; return this; }
+  update(patch) { this.action = 'update'; this.payload = patch; return this; }
+  delete() { this.action = 'delete'; return this; }
+
+  filter(col, op, value) {
+    const test = TESTS[op];
+    if (!test) throw new Error(`local-db: unsupported filter "${op}"`);
+    this.filters.push({ col, op, value, test: (r) => test(r[col], value) });
+    return this;
+  }
+  eq(col, v) { return this.filter(col, 'eq', v); }
+  neq(col, v) { return this.filter(col, 'neq', v); }
+  lt(col, v) { return this.filter(col, 'lt', v); }
+  lte(col, v) { return this.filter(col, 'lte', v); }
+  gt(col, v) { return this.filter(col, 'gt', v); }
+  gte(col, v) { return this.filter(col, 'gte', v); }
+  is(col, v) { return this.filter(col, 'is', v); }
+  not(col, op, v) {
+    this.filter(col, op, v);
+    const f = this.filters[this.filters.length - 1];
+    const test = f.test;
+    Object.assign(f, { negate: true, test: (r) => !test(r) });
+    return this;
+  }
+
+  order(col, { ascending = true } = {}) { this.orders.push({ col, asc: ascending }); return this; }
+  limit(n) { this.max = n; return this; }
+  range(from, to) { this.offset = from; this.max = to - from + 1; return this; }
+  single() { this.mode = 'single'; return this; }
+  maybeSingle() { this.mode = 'maybe'; return this; }
+
+  then(resolve, reject) {
+    return this.client.run(this).then(resolve, reject);
+  }
+}
+
+/**
+ * Supabase-compatible client over `storage` (IndexedDB by default).
+ * @param {{ storage?:LocalStorage }} [opts]
+ */
+export function createLocalClient({ storage } = {}) {
+  const store = storage || (typeof indexedDB !== 'undefined' ? idbStorage() : memoryStorage());
+  // Writes run one at a time so read-check-write (unique keys) cannot interleave
+  let queue = Promise.resolve();
+  const serial = (fn) => { const p = queue.then(fn, fn); queue = p.catch(() => {}); return p; };
+
+  async function matching(q) {
+    const byFile = q.filters.find(f => f.col === 'file_path' && f.op === 'eq' && !f.negate);
+    const rows = await store.rows(q.table, byFile ? byFile.value : undefined);
+    return rows.filter(r => q.filters.every(f => f.test(r)));
+  }
+
+  function shape(q, rows, status) {
+    const data = rows.map(r => project(r, q.cols));
+    if (q.mode === 'many') return { data, error: null, status };
+    if (data.length > 1 || (q.mode === 'single' && !data.length)) return fail('PGRST116', `JSON object requested, ${data.length} rows returned`, 406);
+    return { data: data[0] || null, error: null, status };
+  }
+
+  async function write(q) {
+    const key = UNIQUE[q.table];
+    if (q.action === 'insert' || q.action === 'upsert') {
+      const list = (Array.isArray(q.payload) ? q.payload : [q.payload]).map(r => ({ created_at: new Date().toISOString(), ...r }));
+      const conflict = q.action === 'upsert' && q.conflict ? q.conflict.split(',').map(s => s.trim()) : key;
+      const existing = conflict ? await store.rows(q.table) : [];
+      const add = [], put = [];
+      for (const row of list) {
+        delete row.id;
+        const hit = conflict && [...existing, ...add].find(r => sameKey(r, row, conflict));
+        if (hit && q.action === 'insert') return fail('23505', `duplicate key value violates unique constraint on ${q.table} (${conflict.join(', ')})`, 409);
+        if (hit) { Object.assign(hit, row, { created_at: hit.created_at }); if (!add.includes(hit)) put.push(hit); }
+        else add.push(row);
+      }
+      await store.write(q.table, { add, put });
+      return q.returning ? shape(q, [...add, ...put], 201) : { data: null, error: null, status: 201 };
+    }
+    const rows = await matching(q);
+    if (q.action === 'update') {
+      for (const r of rows) Object.assign(r, q.payload);
+      await store.write(q.table, { put: rows });
+    } else {
+      await store.write(q.table, { del: rows.map(r => r.id) });
+    }
+    return q.returning ? shape(q, rows, 200) : { data: null, error: null, status: 204 };
+  }
+
+  async function run(q) {
+    if (!LOCAL_TABLES.includes(q.table)) return fail('42P01', `relation "${q.table}" does not exist`, 404);
+    try {
+      if (q.action !== 'select') return await serial(() => write(q));
+      const rows = (await matching(q)).sort(compareBy(q.orders));
+      return shape(q, rows.slice(q.offset, q.offset + q.max), 200);
+    } catch (e) {
+      return fail('LOCAL', e?.message || String(e), 500);
+    }
+  }
+
+  const noAuth = () => ({ data: { user: null, session: null }, error: { message: 'כניסה אינה זמינה במצב מקומי' } });
+  return {
+    from: (table) => new LocalQuery({ run }, table),
+    auth: {
+      getSession: async () => ({ data: { session: null }, error: null }),
+      onAuthStateChange: () => ({ data: { subscription: { unsubscribe() {} } } }),
+      signInWithOtp: async () => noAuth(),
+      signOut: async () => ({ error: null }),
+    },
+  };
+}
+
+export default { LOCAL_TABLES, idbStorage, memoryStorage, createLocalClient };
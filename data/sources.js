@@ -0,0 +1,132 @@
+// v2/data/sources.js
+// Dataset source profiles: which repos hold a dataset's audio and transcripts (on Hugging
+// Face or any HF-compatible endpoint such as a private mirror), at which revision, how a
+// transcript path follows from an audio path, and the audio extension. Profiles are built
+// in, listed under `sources` in backend.config.json (`source` picks the default) or added in
+// settings; one is active. Saved rows are keyed by source (filePathFor), so the same relative
+// path in two datasets never collides.
+
+import { getBackendConfig } from './backend.js';
+
+const LS_KEY = 'v2:sources'; // { active?, profiles?: SourceProfile[] }
+export const DEFAULT_SOURCE_ID = 'ivrit-ai';
+
+/**
+ * @typedef {Object} SourceProfile
+ * @property {string} id                  - [\w.-]+; prefixes the file_path of saved rows
+ * @property {string} label
+ * @property {string} endpoint            - HF-compatible hub, e.g. https://huggingface.co
+ * @property {string} audioRepo           - "org/dataset"
+ * @property {string} transcriptRepo
+ * @property {string} revision            - branch, tag or commit
+ * @property {string} transcriptTemplate  - {folder} {file} {name} (file without audioExt) {path} (folder/file)
+ * @property {string} audioExt            - e.g. ".opus"
+ * @property {boolean} sendHfToken        - send the Hugging Face token to `endpoint` too (a
+ *                                          mirror that takes HF tokens); off by default
+ */
+
+const PROFILE_DEFAULTS = {
+  endpoint: 'https://huggingface.co',
+  revision: 'main',
+  transcriptTemplate: '{folder}/{name}/full_transcript.json.gz',
+  audioExt: '.opus',
+  sendHfToken: false,
+};
+
+/** @type {SourceProfile[]} */
+export const BUILTIN_SOURCES = [{
+  ...PROFILE_DEFAULTS,
+  id: DEFAULT_SOURCE_ID,
+  label: 'ivrit.ai (audio-v2)',
+  audioRepo: 'ivrit-ai/audio-v2-opus',
+  transcriptRepo: 'ivrit-ai/audio-v2-transcripts',
+}];
+
+const listeners = new Set();
+
+/** Fill defaults; null when `p` lacks an id or an audio repo */
+export function normalizeSource(p) {
+  if (!p || !/^[\w.-]+$/.test(String(p.id || '')) || !p.audioRepo) return null;
+  const ext = String(p.audioExt || PROFILE_DEFAULTS.audioExt);
+  return {
+    ...PROFILE_DEFAULTS,
+    ...p,
+    label: String(p.label || p.id),
+    endpoint: String(p.endpoint || PROFILE_DEFAULTS.endpoint).replace(/\/+$/, ''),
+    transcriptRepo: String(p.transcriptRepo || p.audioRepo),
+    audioExt: ext.startsWith('.') ? ext : '.' + ext,
+    sendHfToken: p.sendHfToken === true,
+  };
+}
+
+export function loadSourcePrefs() {
+  try { return JSON.parse(localStorage.getItem(LS_KEY) || '{}') || {}; } catch { return {}; }
+}
+
+/** Store settings; listeners hear about it when the active profile (or its definition) changed */
+export function saveSourcePrefs(prefs) {
+  const before = JSON.stringify(activeSource());
+  try { localStorage.setItem(LS_KEY, JSON.stringify({ ...loadSourcePrefs(), ...prefs })); } catch {}
+  const src = activeSource();
+  if (JSON.stringify(src) === before) return;
+  for (const fn of listeners) try { fn(src); } catch (e) { console.warn('Source listener failed:', e); }
+}
+
+/** Built-in, then config-file, then settings profiles (a later one replaces the same id) */
+export function listSources() {
+  const cfg = getBackendConfig();
+  const all = new Map();
+  for (const p of [...BUILTIN_SOURCES, ...(cfg.sources || []), ...(loadSourcePrefs().profiles || [])]) {
+    const s = normalizeSource(p);
+    if (s) all.set(s.id, s);
+  }
+  return Array.from(all.values());
+}
+
+export function getSource(id) {
+  return listSources().find(s => s.id === id) || null;
+}
+
+export function activeSource() {
+  return getSource(loadSourcePrefs().active) || getSource(getBackendConfig().source) || BUILTIN_SOURCES[0];
+}
+
+export function setActiveSource(id) {
+  if (getSource(id)) saveSourcePrefs({ active: id });
+}
+
+/** Subscribe to active-source changes; returns unsubscribe */
+export function onSourceChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/** Row key of an episode: "<source>:<folder>/<file>"; the default source keeps the bare path */
+export function filePathFor(folder, file, source = activeSource()) {
+  const rel = `${folder}/${file}`;
+  return source.id === DEFAULT_SOURCE_ID ? rel : `${source.id}:${rel}`;
+}
+
+/**
+ * Split a row key back into its source and dataset path. A prefix that names no known
+ * source is taken as part of the path (default source).
+ * @returns {{ source:SourceProfile, folder:string, file:string, path:string }}
+ */
+export function parseFilePath(key) {
+  let path = String(key || '');
+  let source = getSource(DEFAULT_SOURCE_ID);
+  const m = /^([\w.-]+):(.*)$/s.exec(path);
+  const prefixed = m && getSource(m[1]);
+  if (prefixed) { source = prefixed; path = m[2]; }
+  const i = path.indexOf('/');
+  return { source, folder: i > 0 ? path.slice(0, i) : '', file: i > 0 ? path.slice(i + 1) : path, path };
+}
+
+/** Dataset path of the transcript that goes with `folder/file` */
+export function transcriptPathFor(folder, file, source = activeSource()) {
+  const name = file.toLowerCase().endsWith(source.audioExt.toLowerCase()) ? file.slice(0, -source.audioExt.length) : file;
+  const vars = { folder, file, name, path: `${folder}/${file}` };
+  return source.transcriptTemplate.replace(/\{(\w+)\}/g, (all, k) => (k in vars ? vars[k] : all));
+}
+
+export default { DEFAULT_SOURCE_ID, BUILTIN_SOURCES, normalizeSource, loadSourcePrefs, saveSourcePrefs, listSources, getSource, activeSource, setActiveSource, onSourceChange, filePathFor, parseFilePath, transcriptPathFor };
@@ -0,0 +1,178 @@
+// v2/editor/confirmations.js
+// Confirmed ("reliable") ranges of the transcript: merge/overlap helpers, re-anchoring and
+// persistence (Supabase, or the offline journal). Ranges follow live edits (an edit inside a
+// range drops only that range), may be made on unsaved text (they ride along with the next
+// save) and are carried forward from older versions via their quote selectors.
+
+import { store, getState } from '../core/state.js';
+import { showToast } from '../ui/toast.js';
+import { canonicalizeText } from '../shared/canonical.js';
+import { reanchor, shiftRanges, quoteSelector } from '../shared/anchors.js';
+import { journalAppend, isOfflineError } from '../data/journal.js';
+import { getConfirmations, getLatestConfirmations, saveConfirmations, sha256Hex } from '../data/api.js';
+
+export const overlaps = (a, b) => a[0] < b[1] && b[0] < a[1];
+
+/** Sort and merge overlapping/touching [s,e] ranges */
+export function mergeRanges(ranges) {
+  const arr = (ranges || []).slice().sort((x, y) => x[0] - y[0] || x[1] - y[1]);
+  const out = [];
+  for (const r of arr) {
+    if (!out.length || out[out.length - 1][1] < r[0]) out.push(r.slice());
+    else out[out.length - 1][1] = Math.max(out[out.length - 1][1], r[1]);
+  }
+  return out;
+}
+
+/** Row key of the open transcript (filePathFor: '[source:]folder/file') */
+export const transcriptPath = (transcriptEl) => transcriptEl?.dataset.path || `${transcriptEl?.dataset.folder}/${transcriptEl?.dataset.file}`;
+
+const currentRanges = () => (getState().confirmedRanges || []).map(x => x.range);
+
+// Confirmed ranges differ from what is stored for the current version: written on the next save
+let pending = false;
+// Anchors from the stored confirmations that could not be placed in the current text
+/** @type {Array<{ exact:string, version:number }>} */
+let orphans = [];
+const orphanListeners = new Set();
+const setOrphans = (list) => { orphans = list; for (const fn of orphanListeners) try { fn(orphans); } catch {} };
+
+export const getOrphanedConfirmations = () => orphans;
+export const hasPendingConfirmations = () => pending;
+
+/** True when the live text is exactly the saved version (confirmations can be stored right away) */
+export async function mayConfirmNow() {
+  const st = getState();
+  if (!st || !(st.version > 0) || !st.base_sha256) return false;
+  try { const h = await sha256Hex(st.liveText || ''); return !!h && h === st.base_sha256; } catch { return false; }
+}
+
+/** Save the store's confirmed ranges for the current version (journaled when offline) */
+export async function persistConfirmations(filePath, { quiet = false } = {}) {
+  const st = getState();
+  if (!(st.version > 0)) return;
+  const payload = { version: st.version, base_sha256: st.base_sha256 || '', ranges: currentRanges(), text: canonicalizeText(st.liveText || '') };
+  try {
+    await saveConfirmations(filePath, payload.version, payload.base_sha256, payload.ranges, payload.text);
+    pending = false;
+    if (!quiet) showToast('אישורים נשמרו', 'success');
+  } catch (e) {
+    if (isOfflineError(e)) {
+      try { await journalAppend({ kind: 'confirmations', file_path: filePath, parent_version: st.version, payload }); pending = false; showToast('אין חיבור — האישורים יסונכרנו כשהחיבור יחזור', 'info'); return; } catch {}
+    }
+    console.warn('Persist confirmations failed:', e); showToast('שמירת אישורים נכשלה', 'error');
+  }
+}
+
+/** Store now when the text is saved, else keep for the next save */
+async function persistOrDefer(filePath, opts = {}) {
+  if (await mayConfirmNow()) { await persistConfirmations(filePath, opts); return; }
+  pending = true;
+  if (!opts.quiet) showToast('האישור יישמר עם השמירה הבאה', 'info');
+}
+
+/** Add `ranges` to the confirmed set and persist it (now, or with the next save) */
+export async function confirmRanges(filePath, ranges, opts) {
+  const add = (ranges || []).filter(r => r && r[1] > r[0]);
+  if (!add.length || getState().viewingVersion) return false;
+  store.setConfirmedRanges(mergeRanges(currentRanges().concat(add)).map(r => ({ range: r })));
+  await persistOrDefer(filePath, opts);
+  return true;
+}
+
+/** Drop every confirmed range overlapping `range` and persist */
+export async function unconfirmRange(filePath, range) {
+  if (getState().viewingVersion) return false;
+  store.setConfirmedRanges(currentRanges().filter(r => !overlaps(r, range)).map(r => ({ range: r })));
+  await persistOrDefer(filePath);
+  return true;
+}
+
+/**
+ * Load the confirmations for `version` of `filePath` into the store, re-anchored on `text`.
+ * A version without its own confirmations inherits the newest older version's; those are
+ * written to this version with the next save. Anchors that cannot be placed become orphans.
+ */
+export async function loadConfirmations(filePath, version, text) {
+  pending = false;
+  setOrphans([]);
+  if (!(version > 0)) { store.setConfirmedRanges([]); return; }
+  let rows = await getConfirmations(filePath, version);
+  let from = version;
+  if (!rows.length) ({ version: from, rows } = await getLatestConfirmations(filePath, version));
+  const placed = [], lost = [];
+  for (const r of (rows || [])) {
+    const sel = { start: r.range[0], end: r.range[1], prefix: r.prefix || '', exact: r.exact ?? String(text).slice(r.range[0], r.range[1]), suffix: r.suffix || '' };
+    const hit = reanchor(text, sel);
+    if (hit) placed.push(hit); else lost.push({ exact: sel.exact, version: from });
+  }
+  store.setConfirmedRanges(mergeRanges(placed).map(r => ({ range: r })));
+  if (from !== version && placed.length) pending = true;
+  setOrphans(lost);
+}
+
+/**
+ * Replace the confirmed set with ranges handed back by the offline journal (made on `text`),
+ * re-anchored on the live text; they are written with the next save.
+ * @param {{ ranges:Array<[number,number]>, text:string }} journaled
+ */
+export function restoreConfirmations({ ranges, text }) {
+  const live = getState().liveText || '';
+  const placed = (ranges || []).map(r => reanchor(live, quoteSelector(text, r))).filter(Boolean);
+  store.setConfirmedRanges(mergeRanges(placed).map(r => ({ range: r })));
+  pending = true;
+}
+
+/**
+ * Keep confirmed ranges attached to the live text, flush deferred confirmations after a
+ * save and list orphaned anchors.
+ * @param {{ transcript:HTMLElement, confirmOrphans?:HTMLElement, confirmOrphanList?:HTMLElement, confirmOrphanClear?:HTMLElement }} els
+ */
+export function setupConfirmations(els) {
+  if (!els?.transcript) return;
+  let lastText = getState().liveText || '';
+  let lastDoc = transcriptPath(els.transcript);
+
+  store.subscribe((st, tag) => {
+    // A read-only look at an older version swaps the text out and back: not an edit
+    if (tag === 'liveText' && !st.viewingVersion) {
+      const text = st.liveText || '';
+      const doc = transcriptPath(els.transcript);
+      const ranges = currentRanges();
+      // A newly opened episode replaces the text wholesale; its ranges are loaded separately
+      if (doc === lastDoc && ranges.length && text !== lastText) {
+        const { kept, dropped } = shiftRanges(ranges, lastText, text);
+        if (dropped.length || kept.some((r, i) => r[0] !== ranges[i]?.[0] || r[1] !== ranges[i]?.[1])) {
+          store.setConfirmedRanges(mergeRanges(kept).map(r => ({ range: r })));
+          pending = true;
+        }
+        if (dropped.length) showToast(dropped.length > 1 ? `${dropped.length} אישורים בוטלו עקב עריכה` : 'אישור בוטל עקב עריכה בתוכו', 'info', 1500);
+      }
+      lastText = text;
+      lastDoc = doc;
+    }
+    if (tag === 'version:init' || tag === 'version:clear') { pending = false; lastText = st.liveText || ''; lastDoc = transcriptPath(els.transcript); }
+    // Deferred confirmations belong to the version that was just written
+    if (tag === 'version:saved' && pending) persistConfirmations(transcriptPath(els.transcript), { quiet: true });
+  });
+
+  function renderOrphans(list) {
+    if (!els.confirmOrphans) return;
+    els.confirmOrphans.hidden = !list.length;
+    const summary = els.confirmOrphans.querySelector('summary');
+    if (summary) summary.textContent = `⚠️ ${list.length} אישורים לא אותרו`;
+    if (els.confirmOrphanList) {
+      els.confirmOrphanList.replaceChildren(...list.map(o => {
+        const li = document.createElement('li');
+        li.dir = 'auto';
+        li.textContent = `"${o.exact.length > 60 ? o.exact.slice(0, 60) + '…' : o.exact}" (גרסה ${o.version})`;
+        return li;
+      }));
+    }
+  }
+  orphanListeners.add(renderOrphans);
+  els.confirmOrphanClear?.addEventListener('click', () => setOrphans([]));
+  renderOrphans(orphans);
+}
+
+export default { overlaps, mergeRanges, transcriptPath, mayConfirmNow, persistConfirmations, confirmRanges, unconfirmRange, loadConfirmations, restoreConfirmations, setupConfirmations, getOrphanedConfirmations, hasPendingConfirmations };
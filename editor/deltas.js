@@ -0,0 +1,89 @@
+// v2/editor/deltas.js
+// Edit deltas for the incremental diff/align workers. Input events record what changed
+// ({ offset, deleteCount, insertText }), taken from the range their beforeinput replaces
+// (inputDelta) instead of a scan of the whole text; a DeltaTracker per worker folds them into one range
+// relative to the text that worker last received, so the next sync ships only that range.
+// Every `resyncEvery` deltas (or `resyncMs`) a delta asks the worker to verify itself against
+// a full recompute; a baseline change, a lost event or a stale worker falls back to a full send.
+
+import { applyDelta, foldDelta, rangeDelta } from '../shared/deltas.js';
+
+/**
+ * The delta of an input event that replaced `range` ([start, end) in the old text, from
+ * beforeinput) and left `next`; null when the lengths do not fit that range.
+ * @returns {import('../shared/deltas.js').TextDelta|null}
+ */
+export function inputDelta(range, prevLength, next) {
+  if (!range) return null;
+  const [start, end] = range;
+  const inserted = next.length - prevLength + (end - start);
+  if (start < 0 || end < start || end > prevLength || inserted < 0) return null;
+  return { offset: start, deleteCount: end - start, insertText: next.slice(start, start + inserted) };
+}
+
+export class DeltaTracker {
+  /** @param {{ label:string, resyncEvery?:number, resyncMs?:number, now?:() => number }} opts */
+  constructor({ label, resyncEvery = 50, resyncMs = 60000, now = () => performance.now() }) {
+    this.label = label;
+    this.resyncEvery = resyncEvery;
+    this.resyncMs = resyncMs;
+    this.now = now;
+    this.rev = 0;
+    this.sent = null;  // { rev, base, text } as the worker holds it
+    this.dirty = null; // { start, baseEnd, end }: sent.text[start, baseEnd) became text[start, end)
+    this.sinceCheck = 0;
+    this.checkedAt = now();
+    this.stats = { full: 0, delta: 0, checks: 0, mismatches: 0, ms: 0 };
+  }
+
+  /** An input event replaced a range of the live text */
+  note(delta) {
+    if (this.sent && delta) this.dirty = foldDelta(this.dirty, delta);
+  }
+
+  /** Forget what the worker holds: the next sync is a full one */
+  reset() {
+    this.sent = null;
+    this.dirty = null;
+  }
+
+  /**
+   * The request for syncing the worker to (`base`, `text`): full, or a delta from the last sent text.
+   * `base` is compared by identity/value to what was sent with the last full request.
+   * @returns {{ mode:'full', rev:number } | { mode:'delta', rev:number, fromRev:number, verify:boolean } & import('../shared/deltas.js').TextDelta}
+   */
+  plan(base, text) {
+    const rev = ++this.rev;
+    const prev = this.sent;
+    const r = this.dirty;
+    this.sent = { rev, base, text };
+    this.dirty = null;
+    let d = null;
+    if (prev && prev.base === base) {
+      d = rangeDelta(r, text);
+      // An edit that bypassed note() (or a bad fold) shows up here; never ship a delta that does not rebuild `text`
+      if (r ? applyDelta(prev.text, d) !== text : prev.text !== text) d = null;
+    }
+    if (!d) { this.stats.full++; return { mode: 'full', rev }; }
+    this.stats.delta++;
+    const verify = ++this.sinceCheck >= this.resyncEvery || this.now() - this.checkedAt >= this.resyncMs;
+    if (verify) { this.sinceCheck = 0; this.checkedAt = this.now(); }
+    return { mode: 'delta', rev, fromRev: prev.rev, verify, ...d };
+  }
+
+  /** Read a worker reply; false when the worker did not hold the expected text (resend in full) */
+  settle(res, ms) {
+    this.stats.ms = ms;
+    if (res?.stale) { this.reset(); return false; }
+    if (res?.check) {
+      this.stats.checks++;
+      if (!res.check.ok) {
+        this.stats.mismatches++;
+        console.warn(`Incremental ${this.label} differs from a full recompute (kept the full result):`, res.check.reason);
+      }
+    }
+    return true;
+  }
+}
+
+export default { DeltaTracker, inputDelta };
@@ -0,0 +1,253 @@
+// v2/editor/find-replace.js
+// Find/replace over store.liveText: literal, whole-word and regex modes with optional
+// Hebrew folding (niqqud, final letters). Replace-all is previewed in the diff panel and
+// applied through the editor pipeline as one undoable edit.
+
+import { store, getState } from '../core/state.js';
+import { foldHebrew, foldHebrewText } from '../shared/hebrew.js';
+import { renderDiffPreview } from '../render/diff-panel.js';
+import { rangeFromOffsets } from '../render/virtualizer.js';
+import { setShowingLayers } from './pipeline.js';
+import { showToast } from '../ui/toast.js';
+
+const LS_KEY = 'v2:find';
+// Letters, digits and combining marks (niqqud) count as word characters
+const WORD_BEFORE = '(?<![\\p{L}\\p{N}\\p{M}_])';
+const WORD_AFTER = '(?![\\p{L}\\p{N}\\p{M}_])';
+const MAX_MATCHES = 20000;
+
+const escapeRegExp = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @typedef {Object} FindOptions
+ * @property {'literal'|'word'|'regex'} [mode='literal']
+ * @property {boolean} [caseSensitive=false]
+ * @property {boolean} [ignoreNiqqud=false]
+ * @property {boolean} [foldFinals=false]
+ */
+
+/**
+ * Build the search RegExp for `query` (throws SyntaxError on a bad regex).
+ * @param {string} query
+ * @param {FindOptions} opts
+ */
+export function buildPattern(query, opts = {}) {
+  const fold = { niqqud: !!opts.ignoreNiqqud, finals: !!opts.foldFinals };
+  const q = foldHebrewText(query, fold);
+  let src;
+  if (opts.mode === 'regex') src = q;
+  else if (opts.mode === 'word') src = `${WORD_BEFORE}${escapeRegExp(q)}${WORD_AFTER}`;
+  else src = escapeRegExp(q);
+  return new RegExp(src, `gud${opts.caseSensitive ? '' : 'i'}`);
+}
+
+/**
+ * Find all matches of `query` in `text`. Offsets are in the original (unfolded) text.
+ * @param {string} text
+ * @param {string} query
+ * @param {FindOptions} [opts]
+ * @returns {Array<{ start:number, end:number, groups:Array<string|undefined>, named:Object|null }>}
+ */
+export function findMatches(text, query, opts = {}) {
+  if (!query) return [];
+  const re = buildPattern(query, opts);
+  const src = String(text || '');
+  const { text: folded, map } = foldHebrew(src, { niqqud: !!opts.ignoreNiqqud, finals: !!opts.foldFinals });
+  const back = ([s, e]) => [map[s], map[e]];
+  const out = [];
+  let m;
+  while ((m = re.exec(folded)) && out.length < MAX_MATCHES) {
+    if (m[0] === '') { re.lastIndex++; continue; } // empty matches are not useful in an editor
+    const [start, end] = back(m.indices[0]);
+    // Capture groups are taken from the original text so niqqud/final letters survive `$1`
+    const groups = m.indices.slice(1).map(ix => (ix ? src.slice(...back(ix)) : undefined));
+    let named = null;
+    if (m.indices.groups) {
+      named = {};
+      for (const [k, ix] of Object.entries(m.indices.groups)) named[k] = ix ? src.slice(...back(ix)) : undefined;
+    }
+    out.push({ start, end, groups, named });
+  }
+  return out;
+}
+
+/** Expand `$&`, `$1`…`$99`, `$<name>` and `$$` in a regex replacement */
+function expandReplacement(repl, match, src) {
+  return String(repl).replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (tok, what, name) => {
+    if (what === '$') return '$';
+    if (what === '&') return src.slice(match.start, match.end);
+    if (name !== undefined) return match.named?.[name] ?? '';
+    const g = match.groups[+what - 1];
+    return g === undefined ? (+what > match.groups.length ? tok : '') : g;
+  });
+}
+
+/**
+ * Apply `replacement` to every match (or the given subset) and return the new text.
+ * @param {string} text
+ * @param {ReturnType<typeof findMatches>} matches - sorted, non-overlapping
+ * @param {string} replacement
+ * @param {FindOptions} [opts]
+ */
+export function replaceMatches(text, matches, replacement, opts = {}) {
+  const src = String(text || '');
+  let out = '', last = 0;
+  for (const m of matches) {
+    if (m.start < last) continue;
+    out += src.slice(last, m.start);
+    out += opts.mode === 'regex' ? expandReplacement(replacement, m, src) : String(replacement);
+    last = m.end;
+  }
+  return out + src.slice(last);
+}
+
+function loadPrefs() {
+  try { return JSON.parse(localStorage.getItem(LS_KEY) || '{}') || {}; } catch { return {}; }
+}
+
+/**
+ * Wire the find bar.
+ * @param {{ transcript:HTMLElement, diffBody?:HTMLElement, findBtn?:HTMLElement, findBar?:HTMLElement, findInput?:HTMLInputElement,
+ *   replaceInput?:HTMLInputElement, findMode?:HTMLSelectElement, findCase?:HTMLInputElement, findNiqqud?:HTMLInputElement,
+ *   findFinals?:HTMLInputElement, findCount?:HTMLElement, findPrev?:HTMLElement, findNext?:HTMLElement,
+ *   replaceAllBtn?:HTMLElement, findClose?:HTMLElement }} els
+ * @param {{ workers:Object, editor:{ applyText:Function, refreshDiff?:Function }, virtualizer:Object }} deps
+ */
+export function setupFindReplace(els, { workers, editor, virtualizer }) {
+  if (!els?.findBar || !els?.findInput || !els?.transcript) return;
+
+  const prefs = loadPrefs();
+  if (els.findMode && prefs.mode) els.findMode.value = prefs.mode;
+  if (els.findCase) els.findCase.checked = !!prefs.caseSensitive;
+  if (els.findNiqqud) els.findNiqqud.checked = prefs.ignoreNiqqud !== false;
+  if (els.findFinals) els.findFinals.checked = !!prefs.foldFinals;
+
+  let matches = [];
+  let current = -1;
+  let error = '';
+
+  const options = () => ({
+    mode: els.findMode?.value || 'literal',
+    caseSensitive: !!els.findCase?.checked,
+    ignoreNiqqud: !!els.findNiqqud?.checked,
+    foldFinals: !!els.findFinals?.checked,
+  });
+  const savePrefs = () => { try { localStorage.setItem(LS_KEY, JSON.stringify(options())); } catch {} };
+
+  const highlights = (typeof CSS !== 'undefined' && CSS.highlights && typeof Highlight === 'function') ? CSS.highlights : null;
+  function clearHighlight() { try { highlights?.delete('find-current'); } catch {} }
+  function showMatch(i, { scroll = true } = {}) {
+    const m = matches[i];
+    clearHighlight();
+    if (!m) return;
+    const rng = scroll && virtualizer?.scrollToOffset
+      ? virtualizer.scrollToOffset(m.start, m.end)
+      : rangeFromOffsets(els.transcript, m.start, m.end);
+    if (!rng) return;
+    if (highlights) { highlights.set('find-current', new Highlight(rng)); return; }
+    // Fallback: plain selection (does not move focus out of the find bar)
+    try { const sel = window.getSelection(); sel.removeAllRanges(); sel.addRange(rng); } catch {}
+  }
+
+  function updateCount() {
+    if (!els.findCount) return;
+    if (error) { els.findCount.textContent = error; els.findCount.classList.add('error'); return; }
+    els.findCount.classList.remove('error');
+    if (!els.findInput.value) els.findCount.textContent = '';
+    else if (!matches.length) els.findCount.textContent = 'אין התאמות';
+    else els.findCount.textContent = `${current + 1} / ${matches.length}${matches.length >= MAX_MATCHES ? '+' : ''}`;
+    if (els.replaceAllBtn) els.replaceAllBtn.disabled = !matches.length;
+  }
+
+  /** Recompute matches; keep the current match near the previous position */
+  function search({ scroll = false } = {}) {
+    const prevStart = matches[current]?.start ?? 0;
+    error = '';
+    try { matches = findMatches(getState().liveText || '', els.findInput.value, options()); }
+    catch (e) { matches = []; error = 'ביטוי רגולרי לא תקין'; }
+    current = matches.length ? Math.max(0, matches.findIndex(m => m.start >= prevStart)) : -1;
+    updateCount();
+    if (current >= 0) showMatch(current, { scroll }); else clearHighlight();
+  }
+
+  function step(dir) {
+    if (!matches.length) { search({ scroll: true }); return; }
+    current = (current + dir + matches.length) % matches.length;
+    updateCount();
+    showMatch(current);
+  }
+
+  async function previewReplaceAll() {
+    if (!matches.length) return;
+    const live = getState().liveText || '';
+    const opts = options();
+    const next = replaceMatches(live, matches, els.replaceInput?.value || '', opts);
+    if (next === live) { showToast('אין מה להחליף', 'info'); return; }
+    const count = matches.length;
+    let diffs = [];
+    try { ({ diffs } = await workers.diff.send(live, next, { editCost: 8 })); }
+    catch (e) { console.warn('Replace preview diff failed:', e); }
+    setShowingLayers(true);
+    const ok = await renderDiffPreview(els.diffBody, diffs, { title: `החלפת ${count} התאמות — תצוגה מקדימה:`, confirmLabel: 'החלף הכול' });
+    setShowingLayers(false);
+    if (!ok) { try { editor?.refreshDiff?.(); } catch {} return; }
+    if ((getState().liveText || '') !== live) { showToast('הטקסט השתנה בזמן התצוגה המקדימה — נסה שוב', 'info'); search(); return; }
+    // One history step; the pipeline re-runs diff + align
+    editor.applyText(next);
+    showToast(`הוחלפו ${count} התאמות`, 'success');
+  }
+
+  function open() {
+    els.findBar.hidden = false;
+    const sel = window.getSelection()?.toString();
+    if (sel && !sel.includes('\n')) els.findInput.value = sel;
+    els.findInput.focus();
+    els.findInput.select();
+    search({ scroll: true });
+  }
+  function close() {
+    els.findBar.hidden = true;
+    clearHighlight();
+    matches = []; current = -1;
+  }
+
+  const onChange = () => { savePrefs(); search({ scroll: true }); };
+  els.findInput.addEventListener('input', () => search({ scroll: true }));
+  [els.findMode, els.findCase, els.findNiqqud, els.findFinals].forEach(el => el?.addEventListener('change', onChange));
+  els.findInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') { e.preventDefault(); step(e.shiftKey ? -1 : 1); }
+  });
+  els.replaceInput?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); previewReplaceAll(); }
+  });
+  els.findBar.addEventListener('keydown', (e) => { if (e.key === 'Escape') { e.preventDefault(); close(); els.transcript.focus(); } });
+  els.findPrev?.addEventListener('click', () => step(-1));
+  els.findNext?.addEventListener('click', () => step(1));
+  els.replaceAllBtn?.addEventListener('click', () => previewReplaceAll());
+  els.findClose?.addEventListener('click', () => close());
+  els.findBtn?.addEventListener('click', () => (els.findBar.hidden ? open() : close()));
+
+  // Ctrl/Cmd+F (and Ctrl+H) open the bar; e.code keeps Hebrew layouts working
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return;
+    if (e.code === 'KeyF' || e.code === 'KeyH') {
+      e.preventDefault();
+      open();
+      if (e.code === 'KeyH') els.replaceInput?.focus();
+    }
+  });
+
+  // Keep the match list in sync with edits and document switches
+  let t = 0;
+  store.subscribe((st, tag) => {
+    if (els.findBar.hidden) return;
+    if (tag === 'liveText' || tag === 'version:init' || tag === 'version:clear') {
+      clearTimeout(t);
+      t = setTimeout(() => search(), 200);
+    }
+    // Re-rendered tokens invalidate the highlighted DOM range
+    if (tag === 'tokens' && current >= 0) setTimeout(() => showMatch(current, { scroll: false }), 0);
+  });
+}
+
+export default { findMatches, replaceMatches, buildPattern, setupFindReplace };
@@ -0,0 +1,112 @@
+// v2/editor/history.js
+// Application-level undo/redo for the transcript. The DOM is rebuilt after every
+// align pass, so the browser's native undo stack cannot be trusted; instead we keep
+// text snapshots (+ caret offsets) and replay them through the editing pipeline.
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {string} text
+ * @property {[number, number]|null} sel - caret/selection offsets after this state
+ */
+
+export class UndoHistory {
+  /** @param {{ limit?: number }} [opts] */
+  constructor(opts = {}) {
+    this.limit = Math.max(10, opts.limit || 200);
+    this.past = [];      // Snapshot[] (oldest first)
+    this.present = { text: '', sel: null };
+    this.future = [];    // Snapshot[] (next redo last)
+    this.listeners = new Set();
+  }
+
+  subscribe(fn) {
+    if (typeof fn !== 'function') return () => {};
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+
+  _notify() {
+    for (const fn of this.listeners) { try { fn(this); } catch {} }
+  }
+
+  /** Drop all history and start from `text` (e.g., after loading another episode) */
+  reset(text, sel = null) {
+    this.past = [];
+    this.future = [];
+    this.present = { text: String(text ?? ''), sel };
+    this._notify();
+  }
+
+  /**
+   * Record a new state. With `coalesce` the change extends the current logical
+   * edit (same typing burst) instead of opening a new undo step.
+   */
+  record(text, sel = null, coalesce = false) {
+    const t = String(text ?? '');
+    if (t === this.present.text) { this.present = { text: t, sel: sel || this.present.sel }; return; }
+    if (!coalesce || !this.past.length) {
+      this.past.push(this.present);
+      if (this.past.length > this.limit) this.past.shift();
+    }
+    this.present = { text: t, sel };
+    this.future = [];
+    this._notify();
+  }
+
+  canUndo() { return this.past.length > 0; }
+  canRedo() { return this.future.length > 0; }
+
+  /** @returns {Snapshot|null} the state to restore */
+  undo() {
+    if (!this.past.length) return null;
+    this.future.push(this.present);
+    this.present = this.past.pop();
+    this._notify();
+    return this.present;
+  }
+
+  /** @returns {Snapshot|null} the state to restore */
+  redo() {
+    if (!this.future.length) return null;
+    this.past.push(this.present);
+    this.present = this.future.pop();
+    this._notify();
+    return this.present;
+  }
+}
+
+/**
+ * Wire keyboard shortcuts (Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z, Ctrl/Cmd+Y) and the
+ * toolbar buttons to the editor's undo/redo.
+ * @param {{ transcript: HTMLElement, undoBtn?: HTMLElement, redoBtn?: HTMLElement }} els
+ * @param {{ undo: Function, redo: Function, history: UndoHistory }} editor - from setupEditorPipeline
+ */
+export function setupUndoRedo(els, editor) {
+  if (!els?.transcript || !editor) return;
+
+  els.transcript.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const k = (e.key || '').toLowerCase();
+    // Use e.code too so Hebrew keyboard layouts (ז/ט) still work
+    const isZ = k === 'z' || e.code === 'KeyZ';
+    const isY = k === 'y' || e.code === 'KeyY';
+    if (isZ && !e.shiftKey) { e.preventDefault(); editor.undo(); }
+    else if ((isZ && e.shiftKey) || isY) { e.preventDefault(); editor.redo(); }
+  });
+  // Edit menu / OS-level undo still arrives as beforeinput
+  els.transcript.addEventListener('beforeinput', (e) => {
+    if (e.inputType === 'historyUndo') { e.preventDefault(); editor.undo(); }
+    else if (e.inputType === 'historyRedo') { e.preventDefault(); editor.redo(); }
+  });
+
+  if (els.undoBtn) els.undoBtn.addEventListener('click', () => editor.undo());
+  if (els.redoBtn) els.redoBtn.addEventListener('click', () => editor.redo());
+  const refresh = () => {
+    if (els.undoBtn) els.undoBtn.disabled = !editor.history.canUndo();
+    if (els.redoBtn) els.redoBtn.disabled = !editor.history.canRedo();
+  };
+  editor.history.subscribe(refresh);
+  refresh();
+}
+
+export default { UndoHistory, setupUndoRedo };
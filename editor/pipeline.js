@@ -3,6 +3,13 @@
 
 import { store, getState } from '../core/state.js';
 import { renderDiffHTML } from '../render/diff-panel.js';
+import { UndoHistory } from './history.js';
+import { segmentsForText } from '../shared/segments.js';
+import { isPinnedTiming } from '../shared/timing.js';
+import { virtualizerFor } from '../render/virtualizer.js';
+import { DeltaTracker, inputDelta } from './deltas.js';
+import { textDelta } from '../shared/deltas.js';
+import { diffViewOptions } from '../ui/diff-options.js';
 
 export function setupEditorPipeline(els, { workers, virtualizer, getDocKey, editGenRef, setTypingQuietUntil, isIdle, nowMs }) {
   if (!els?.transcript) throw new Error('#transcript missing');
@@ -15,13 +22,35 @@ export function setupEditorPipeline(els, { workers, virtualizer, getDocKey, edit
   els.transcript.addEventListener('compositionstart', () => { composing = true; });
   els.transcript.addEventListener('compositionend', () => {
     composing = false;
+    recordInput();
+    const prev = getState().liveText;
+    pushLiveText();
+    noteEdit(prev);
     editGenRef.value++;
     setTypingQuietUntil(nowMs() + 1200);
     scheduleDiffSync(0, /*leading*/true);
     scheduleAlignSync(0, /*leading*/true);
   });
 
-  const pushLiveText = () => { const txt = (els.transcript?.innerText || '').replace(/\r/g, ''); store.setLiveText(txt); };
+  // The virtualizer holds the text outside the rendered window; without one the DOM has it all
+  const readText = () => (virtualizer?.readText ? virtualizer.readText() : (els.transcript?.innerText || '').replace(/\r/g, ''));
+  const pushLiveText = () => { store.setLiveText(readText()); };
+
+  // The workers keep their last result and take edit deltas; each tracker knows what its worker holds
+  const diffSync = new DeltaTracker({ label: 'diff' });
+  const alignSync = new DeltaTracker({ label: 'align' });
+  // Typing reports the range it replaced (beforeinput); programmatic changes and compositions are scanned
+  const noteEdit = (prev, d) => { d = d || textDelta(prev, getState().liveText); diffSync.note(d); alignSync.note(d); };
+  let inputRange = null;
+  els.transcript.addEventListener('beforeinput', (ev) => {
+    inputRange = null;
+    if (ev.isComposing) return;
+    const ranges = ev.getTargetRanges?.() || [];
+    if (ranges.length) { if (ranges.length === 1) inputRange = getRangeOffsets(els.transcript, ranges[0]); return; }
+    // Without a target range only a replaced selection is known (a collapsed delete removes an unknown neighbour)
+    const sel = getSelectionOffsets(els.transcript);
+    if (sel && (sel[0] < sel[1] || !/^delete/.test(ev.inputType))) inputRange = sel;
+  });
 
   // debounce helper (local)
   function makeDebounce(fn, wait = 150) { let t=0, lead=false; const debounced = (ms, leading=false)=>{ const d=(typeof ms==='number')?ms:wait; if(leading&&!lead){ lead=true; Promise.resolve().then(fn).finally(()=>{lead=false;}); return;} clearTimeout(t); t=setTimeout(fn,d); }; return debounced; }
@@ -34,13 +63,25 @@ export function setupEditorPipeline(els, { workers, virtualizer, getDocKey, edit
     diffRetryCount=0;
     try {
       const t0 = performance.now();
-      const { diffs } = await workers.diff.send(st.baselineText, liveAtStart, { timeoutSec: 0.8, editCost: 8 });
+      // Diff panel toggles; a granularity change makes the worker answer stale and get a full send.
+      // Only this live view takes a deadline (coarser diff when it runs out); saves and history diff exactly
+      const opts = { timeoutSec: 0.8, editCost: 8, ...diffViewOptions() };
+      const req = diffSync.plan(st.baselineText, liveAtStart);
+      const call = { lane: 'live', gen: genAtStart }; // the worker drops it once a newer edit is queued
+      const res = req.mode === 'delta' ? await workers.diff.delta({ ...req, text: liveAtStart }, opts, call) : await workers.diff.send(st.baselineText, liveAtStart, opts, { ...call, rev: req.rev });
+      if (!diffSync.settle(res, performance.now() - t0)) { scheduleDiffSync(0); return; }
+      const { diffs } = res;
       const stNow = getState(); if (docAtStart !== getDocKey() || genAtStart !== editGenRef.value || stNow.liveText !== liveAtStart) return;
       if (!isShowingLayers()) renderDiffHTML(els.diffBody, diffs);
-    } catch (err) { console.warn('diff failed:', err?.message || err); }
+    } catch (err) {
+      if (err?.name === 'AbortError') return; // superseded: the worker kept its state in step
+      diffSync.reset(); console.warn('diff failed:', err?.message || err);
+    }
   }, 150);
 
   let alignRetryCount = 0; const maxAlignRetries = 10;
+  // Segment layer and token stream the align worker's live state was built from (or returned): a delta ships them only once they change
+  let alignHeld = { segments: null, tokens: null };
   const scheduleAlignSync = makeDebounce(async () => {
     const st = getState(); const docAtStart = getDocKey(); const genAtStart = editGenRef.value; const liveAtStart = st.liveText;
     if (!Array.isArray(st.baselineTokens) || !st.baselineTokens.length) return;
@@ -48,34 +89,117 @@ export function setupEditorPipeline(els, { workers, virtualizer, getDocKey, edit
     if (!workers.alignReady()) { if (alignRetryCount < maxAlignRetries) { alignRetryCount++; setTimeout(() => scheduleAlignSync(), 150); } else { alignRetryCount=0; } return; }
     alignRetryCount=0;
     const sel = getSelectionOffsets(els.transcript);
-    workers.align.setBaseline(st.baselineTokens);
+    const req = alignSync.plan(st.baselineTokens, liveAtStart);
     try {
-      const { tokens } = await workers.align.send(st.baselineTokens, liveAtStart);
+      const t0 = performance.now();
+      if (req.mode === 'full') await workers.align.setBaseline(st.baselineTokens);
+      const ctx = {};
+      if (req.mode === 'full' || st.segments !== alignHeld.segments) { ctx.prevText = st.segmentsText; ctx.segments = st.segments; }
+      if (req.mode === 'full' || st.tokens !== alignHeld.tokens) ctx.anchors = pinnedAnchors(st.tokens) || null;
+      alignHeld = { segments: st.segments, tokens: st.tokens };
+      const call = { lane: 'live', gen: genAtStart };
+      const res = req.mode === 'delta' ? await workers.align.delta({ ...req, text: liveAtStart }, ctx, call) : await workers.align.send(st.baselineTokens, liveAtStart, { ...ctx, anchors: ctx.anchors || undefined, rev: req.rev }, call);
+      if (!alignSync.settle(res, performance.now() - t0)) { scheduleAlignSync(0); return; }
+      const { tokens, segments, ids } = res;
+      // The worker carries its result forward whether or not it is shown
+      alignHeld = { segments, tokens };
       const stNow = getState(); if (docAtStart !== getDocKey() || genAtStart !== editGenRef.value || stNow.liveText !== liveAtStart) return;
       if (nowMs() < getTypingQuietUntil()) return;
-      store.setTokens(tokens);
-    } catch (err) { console.warn('align failed:', err?.message || err); }
+      store.setTokens(tokens, ids);
+      // The segment layer may have changed while the worker ran (speaker edit, document switch): redo the carry-over here
+      const segs = (stNow.segments === st.segments && Array.isArray(segments)) ? segments : segmentsForText(stNow.segmentsText, stNow.segments, liveAtStart, tokens);
+      store.setSegments(segs, liveAtStart);
+    } catch (err) {
+      if (err?.name === 'AbortError') return;
+      alignSync.reset(); console.warn('align failed:', err?.message || err);
+    }
     finally { if (sel && nowMs() >= getTypingQuietUntil()) setSelectionByOffsets(els.transcript, sel[0], sel[1]); }
   }, 700);
 
-  els.transcript.addEventListener('input', () => { if (composing) return; editGenRef.value++; setTypingQuietUntil(nowMs() + 1200); hideLayers(); pushLiveText(); scheduleDiffSync(); scheduleAlignSync(); });
+  // Undo/redo: one step per logical edit — keystrokes inside the typing-quiet window coalesce
+  const history = new UndoHistory({ limit: 200 });
+  const recordInput = () => {
+    const txt = readText();
+    history.record(txt, getSelectionOffsets(els.transcript), nowMs() < getTypingQuietUntil());
+  };
+  // Programmatic text changes (merge, restored sessions, …) become their own undo step
+  store.subscribe((st, tag) => {
+    if (tag === 'liveText' && !st.viewingVersion && st.liveText !== history.present.text) history.record(st.liveText, null, false);
+    if (tag === 'version:init' || tag === 'version:clear') history.reset(st.liveText);
+  });
+
+  // Replace the whole text (DOM is rebuilt by the next align pass) and resync diff + align
+  function restoreText(text, sel) {
+    if (virtualizer?.setText) virtualizer.setText(text); else els.transcript.textContent = text;
+    editGenRef.value++;
+    setTypingQuietUntil(nowMs());
+    hideLayers();
+    const prev = getState().liveText;
+    store.setLiveText(text);
+    noteEdit(prev);
+    if (sel) setSelectionByOffsets(els.transcript, sel[0], sel[1]);
+    scheduleDiffSync(0, /*leading*/true);
+    scheduleAlignSync(0, /*leading*/true);
+  }
+  // An older version shown read-only (versions view) takes no edits
+  const readOnly = () => getState().viewingVersion > 0;
+  const undo = () => { if (readOnly()) return; const snap = history.undo(); if (snap) restoreText(snap.text, snap.sel); };
+  const redo = () => { if (readOnly()) return; const snap = history.redo(); if (snap) restoreText(snap.text, snap.sel); };
+  /** Apply a programmatic edit as a single undoable step */
+  const applyText = (text, sel = null) => {
+    const next = String(text ?? '');
+    if (readOnly() || next === getState().liveText) return;
+    history.record(next, sel, false);
+    restoreText(next, sel);
+  };
+
+  els.transcript.addEventListener('input', () => {
+    if (composing) return;
+    recordInput(); editGenRef.value++; setTypingQuietUntil(nowMs() + 1200); hideLayers();
+    const prev = getState().liveText;
+    pushLiveText();
+    noteEdit(prev, inputDelta(inputRange, prev.length, getState().liveText));
+    inputRange = null;
+    scheduleDiffSync(); scheduleAlignSync();
+  });
 
   pushLiveText();
+  history.reset(getState().liveText);
 
   // wait for workers readiness (simple loop kept local)
   let workerWaitAttempts = 0; const maxWorkerWaitAttempts = 50;
   const waitForWorkers = () => { if (workers.isReady()) { scheduleDiffSync(0, true); scheduleAlignSync(0, true); } else if (workerWaitAttempts < maxWorkerWaitAttempts) { workerWaitAttempts++; setTimeout(waitForWorkers, 100); } };
   waitForWorkers();
+
+  return {
+    history, undo, redo, applyText,
+    resync: () => { scheduleDiffSync(0, true); scheduleAlignSync(0, true); },
+    refreshDiff: () => scheduleDiffSync(0, true),
+    // { full, delta, checks, mismatches, ms } per worker
+    syncStats: () => ({ diff: diffSync.stats, align: alignSync.stats }),
+  };
+}
+
+/** The token stream to pin in the align pass when it carries pinned timing (else undefined: nothing to ship) */
+export function pinnedAnchors(tokens) {
+  return Array.isArray(tokens) && tokens.some(t => t && isPinnedTiming(t.timing)) ? tokens : undefined;
 }
 
 // Utilities copied from main (kept minimal) — If needed, move to shared util.
-function getSelectionOffsets(container) {
-  const sel = window.getSelection(); if (!sel || sel.rangeCount === 0) return null; const r = sel.getRangeAt(0);
+// A virtualized container maps through its ScrollVirtualizer (liveText offsets, not DOM ones).
+export function getSelectionOffsets(container) {
+  const v = virtualizerFor(container); if (v) return v.selectionOffsets();
+  const sel = window.getSelection(); if (!sel || sel.rangeCount === 0) return null; return getRangeOffsets(container, sel.getRangeAt(0));
+}
+/** A DOM Range or StaticRange as [start, end] offsets in `container`'s text, or null outside it */
+export function getRangeOffsets(container, r) {
+  const v = virtualizerFor(container); if (v) return v.rangeOffsets(r);
   const inC = n => n && (n === container || container.contains(n)); if (!(inC(r.startContainer) && inC(r.endContainer))) return null;
   const measure = (node, off) => { const rng = document.createRange(); rng.selectNodeContents(container); try { rng.setEnd(node, off); } catch { return 0; } return rng.toString().length; };
   const s = measure(r.startContainer, r.startOffset); const e = measure(r.endContainer, r.endOffset); return [Math.min(s, e), Math.max(s, e)];
 }
-function setSelectionByOffsets(container, start, end) {
+export function setSelectionByOffsets(container, start, end) {
+  const v = virtualizerFor(container); if (v) { v.setSelection(start, end); return; }
   const text = (container?.innerText || '').replace(/\r/g, ''); const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
   const S = clamp(start || 0, 0, text.length); const E = clamp((end == null ? S : end), 0, text.length);
   const tw = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, null); let pos = 0, n, sNode = container, sOff = 0, eNode = container, eOff = 0;
@@ -0,0 +1,102 @@
+// v2/editor/realign-engines.js
+// Pluggable engines for forced re-alignment of a region. An engine gets a mono audio slice
+// and the words spoken in it and resolves with one { start, end } per word (seconds,
+// relative to the slice). Built in: the energy/VAD worker and a local alignment-server adapter.
+
+import { TIMING } from '../shared/timing.js';
+
+const LS_KEY = 'v2:realign';
+
+/**
+ * @typedef {Object} AlignEngine
+ * @property {string} id
+ * @property {string} label                 - shown in the settings select
+ * @property {string} tag                   - written to token.timing for its results
+ * @property {() => boolean} available
+ * @property {(req:{ samples:Float32Array, sampleRate:number, offset:number, words:string[], signal?:AbortSignal }) => Promise<{start:number,end:number}[]>} align
+ */
+
+const engines = new Map();
+
+/** Add (or replace) an engine */
+export function registerAlignEngine(engine) {
+  if (!engine?.id || typeof engine.align !== 'function') throw new Error('Invalid align engine');
+  engines.set(engine.id, { available: () => true, label: engine.id, tag: engine.id, ...engine });
+}
+
+export function listAlignEngines() {
+  return Array.from(engines.values());
+}
+
+export function getAlignEngine(id) {
+  return engines.get(id) || null;
+}
+
+/** { engine, serverUrl } */
+export function loadRealignPrefs() {
+  try { return { engine: 'energy', serverUrl: '', ...JSON.parse(localStorage.getItem(LS_KEY) || '{}') }; } catch { return { engine: 'energy', serverUrl: '' }; }
+}
+
+export function saveRealignPrefs(prefs) {
+  try { localStorage.setItem(LS_KEY, JSON.stringify({ ...loadRealignPrefs(), ...prefs })); } catch {}
+}
+
+/** The engine chosen in settings, or the first available one */
+export function activeAlignEngine() {
+  const chosen = getAlignEngine(loadRealignPrefs().engine);
+  if (chosen?.available()) return chosen;
+  return listAlignEngines().find(e => e.available()) || null;
+}
+
+/** Built-in engine backed by workers/realign-worker.js */
+export function energyEngine(workers) {
+  return {
+    id: 'energy',
+    label: 'אנרגיה/VAD (מובנה)',
+    tag: TIMING.ENERGY,
+    available: () => !!workers?.realign,
+    // slice(): the worker takes ownership of the buffer it is sent
+    align: async ({ samples, sampleRate, words, signal }) => (await workers.realign.send(samples.slice(), sampleRate, words, undefined, { signal })).words
+  };
+}
+
+/** 16-bit PCM mono WAV */
+export function encodeWav(samples, sampleRate) {
+  const buf = new ArrayBuffer(44 + samples.length * 2);
+  const v = new DataView(buf);
+  const str = (o, s) => { for (let i = 0; i < s.length; i++) v.setUint8(o + i, s.charCodeAt(i)); };
+  str(0, 'RIFF'); v.setUint32(4, 36 + samples.length * 2, true); str(8, 'WAVE');
+  str(12, 'fmt '); v.setUint32(16, 16, true); v.setUint16(20, 1, true); v.setUint16(22, 1, true);
+  v.setUint32(24, sampleRate, true); v.setUint32(28, sampleRate * 2, true); v.setUint16(32, 2, true); v.setUint16(34, 16, true);
+  str(36, 'data'); v.setUint32(40, samples.length * 2, true);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    v.setInt16(44 + i * 2, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+  }
+  return new Blob([buf], { type: 'audio/wav' });
+}
+
+/**
+ * Adapter for a local forced-alignment server. POSTs multipart `audio` (WAV slice) and
+ * `words` (JSON array) to the configured URL; expects `{ words:[{ start, end }] }`.
+ */
+export const serverEngine = {
+  id: 'server',
+  label: 'שרת יישור מקומי',
+  tag: TIMING.SERVER,
+  available: () => !!loadRealignPrefs().serverUrl,
+  async align({ samples, sampleRate, offset, words, signal }) {
+    const form = new FormData();
+    form.append('audio', encodeWav(samples, sampleRate), 'slice.wav');
+    form.append('words', JSON.stringify(words));
+    form.append('offset', String(offset));
+    const res = await fetch(loadRealignPrefs().serverUrl, { method: 'POST', body: form, signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status} משרת היישור`);
+    const data = await res.json();
+    return Array.isArray(data?.words) ? data.words : [];
+  }
+};
+
+registerAlignEngine(serverEngine);
+
+export default { registerAlignEngine, listAlignEngines, getAlignEngine, activeAlignEngine, loadRealignPrefs, saveRealignPrefs, energyEngine, serverEngine, encodeWav };
@@ -0,0 +1,139 @@
+// v2/editor/realign.js
+// Re-align the selected region against the audio (Alt+R or 🎯): the words in the selection
+// are re-timed by the active engine between their neighbours, replacing interpolated
+// guesses. Each word is tagged with the engine that timed it (token.timing).
+
+import { store, getState } from '../core/state.js';
+import { getSelectionOffsets } from './pipeline.js';
+import { showToast } from '../ui/toast.js';
+import { analyzeAudio } from '../player/audio-decode.js';
+import { markTimingEdited } from '../player/timeline.js';
+import { retimeSegments } from '../shared/segments.js';
+import { registerAlignEngine, activeAlignEngine, energyEngine } from './realign-engines.js';
+
+const EDGE_PAD = 0.3;      // seconds of context when the region touches the start/end of the stream
+const MIN_WORD_DUR = 0.02;
+
+const isWord = (t) => !!t && t.word !== '\n' && /\S/u.test(String(t.word || ''));
+const finite = (x) => Number.isFinite(+x);
+
+/**
+ * Token span for the character range [from, to) of the token stream (a collapsed range
+ * selects its whole line), with the time window between the neighbouring words.
+ * @returns {{ i0:number, i1:number, lo:number, hi:number, idx:number[] }|null} idx = word token indexes
+ */
+export function realignSpan(tokens, from, to, duration = Infinity) {
+  const text = tokens.map(t => String(t?.word ?? '')).join('');
+  let a = Math.max(0, Math.min(from, to)), b = Math.min(text.length, Math.max(from, to));
+  if (a === b) {
+    a = text.lastIndexOf('\n', a - 1) + 1;
+    const nl = text.indexOf('\n', b);
+    b = nl < 0 ? text.length : nl;
+  }
+  let i0 = -1, i1 = -1;
+  for (let i = 0, pos = 0; i < tokens.length; i++) {
+    const len = String(tokens[i]?.word ?? '').length;
+    if (pos + len > a && pos < b) { if (i0 < 0) i0 = i; i1 = i + 1; }
+    pos += len;
+  }
+  if (i0 < 0) return null;
+  const idx = [];
+  for (let i = i0; i < i1; i++) if (isWord(tokens[i])) idx.push(i);
+  if (!idx.length) return null;
+  let lo = NaN, hi = NaN;
+  for (let i = i0 - 1; i >= 0; i--) if (isWord(tokens[i]) && finite(tokens[i].end)) { lo = +tokens[i].end; break; }
+  for (let i = i1; i < tokens.length; i++) if (isWord(tokens[i]) && finite(tokens[i].start)) { hi = +tokens[i].start; break; }
+  const first = tokens[idx[0]], last = tokens[idx[idx.length - 1]];
+  if (!finite(lo)) lo = Math.max(0, (finite(first.start) ? +first.start : 0) - EDGE_PAD);
+  if (!finite(hi)) hi = Math.min(duration, (finite(last.end) ? +last.end : lo) + EDGE_PAD);
+  if (!(hi - lo >= idx.length * MIN_WORD_DUR)) return null;
+  return { i0, i1, lo, hi, idx };
+}
+
+/**
+ * Copy of `tokens` with the engine's times (relative to span.lo) written into the span.
+ * Times are clamped to the window and kept in order; whitespace follows the previous word.
+ */
+export function applyRealignedTimes(tokens, span, times, tag) {
+  const out = tokens.slice();
+  let prev = span.lo;
+  let w = 0;
+  for (let i = span.i0; i < span.i1; i++) {
+    const t = out[i];
+    if (!t || t.word === '\n') continue;
+    if (!isWord(t)) { out[i] = { ...t, start: prev, end: prev }; continue; }
+    const r = times[w++] || {};
+    let start = finite(r.start) ? span.lo + +r.start : prev;
+    start = Math.min(Math.max(start, prev), span.hi - MIN_WORD_DUR);
+    let end = finite(r.end) ? span.lo + +r.end : start + MIN_WORD_DUR;
+    end = Math.min(Math.max(end, start + MIN_WORD_DUR), span.hi);
+    out[i] = { ...t, start, end, timing: tag };
+    prev = end;
+  }
+  return out;
+}
+
+/**
+ * @param {{ transcript:HTMLElement, player:HTMLMediaElement, realignBtn?:HTMLElement }} els
+ * @param {{ workers:Object }} deps
+ */
+export function setupRealign(els, { workers } = {}) {
+  if (!els?.transcript || !els?.player) return;
+  registerAlignEngine(energyEngine(workers));
+  let lastSel = null;
+  let busy = false;
+
+  document.addEventListener('selectionchange', () => {
+    const sel = getSelectionOffsets(els.transcript);
+    if (sel) lastSel = sel;
+  });
+
+  async function run() {
+    if (busy) return;
+    const sel = getSelectionOffsets(els.transcript) || lastSel;
+    if (!sel) { showToast('סמן את הקטע ליישור בתוך התמליל', 'info'); return; }
+    const url = els.player.currentSrc || els.player.src;
+    if (!url) { showToast('אין אודיו טעון', 'info'); return; }
+    const engine = activeAlignEngine();
+    if (!engine) { showToast('אין מנוע יישור זמין', 'error'); return; }
+    const st = getState();
+    const tokens = st.tokens || [];
+    // Offsets are into liveText; they only map onto tokens once the align pass has caught up
+    if (tokens.map(t => String(t?.word ?? '')).join('') !== (st.liveText || '')) { showToast('היישור עדיין מתעדכן — נסה שוב בעוד רגע', 'info'); return; }
+
+    busy = true;
+    els.realignBtn?.setAttribute('aria-busy', 'true');
+    try {
+      const audio = await analyzeAudio(url);
+      const span = realignSpan(tokens, sel[0], sel[1], audio.duration);
+      if (!span) { showToast('אין מילים לתזמון בקטע שנבחר', 'info'); return; }
+      const sr = audio.sampleRate;
+      const samples = audio.samples.subarray(Math.floor(span.lo * sr), Math.ceil(span.hi * sr));
+      const words = span.idx.map(i => String(tokens[i].word).trim());
+      const times = await engine.align({ samples, sampleRate: sr, offset: span.lo, words });
+      if (!Array.isArray(times) || times.length !== words.length) throw new Error('מנוע היישור החזיר תוצאה לא תקינה');
+      if (getState().tokens !== tokens) { showToast('התמליל השתנה בזמן היישור — נסה שוב', 'info'); return; }
+      const next = applyRealignedTimes(tokens, span, times, engine.tag);
+      markTimingEdited();
+      store.setTokens(next);
+      const now = getState();
+      if (now.segmentsText === now.liveText) store.setSegments(retimeSegments(now.segments, next), now.segmentsText);
+      showToast(`${words.length} מילים תוזמנו מחדש (${engine.label})`, 'success', 1600);
+    } catch (e) {
+      console.warn('Realign failed:', e);
+      showToast('יישור מחדש נכשל: ' + (e?.message || e), 'error');
+    } finally {
+      busy = false;
+      els.realignBtn?.removeAttribute('aria-busy');
+    }
+  }
+
+  els.realignBtn?.addEventListener('click', run);
+  els.transcript.addEventListener('keydown', (e) => {
+    if (!e.altKey || e.ctrlKey || e.metaKey || e.shiftKey || e.code !== 'KeyR') return;
+    e.preventDefault();
+    run();
+  });
+}
+
+export default { realignSpan, applyRealignedTimes, setupRealign };
@@ -0,0 +1,180 @@
+// v2/editor/review.js
+// Review mode: walk the words below settings.probThreshold one at a time. Each item plays
+// a short audio window around the word; accept confirms the word's span (confirmations.js),
+// edit selects it in the transcript, skip moves on.
+
+import { store, getState } from '../core/state.js';
+import { showToast } from '../ui/toast.js';
+import { confirmRanges, transcriptPath } from './confirmations.js';
+
+const LS_KEY = 'v2:review';
+const AUDIO_PAD = 0.6; // seconds of context around the word
+
+/**
+ * @typedef {Object} ReviewItem
+ * @property {string} key     - survives re-alignment (word + rounded start)
+ * @property {number} offset  - liveText offset of the word
+ * @property {string} word
+ * @property {number} start
+ * @property {number} end
+ * @property {number} probability
+ */
+
+/**
+ * Words below `threshold`, ordered by time ('time') or lowest confidence first ('confidence').
+ * @returns {ReviewItem[]}
+ */
+export function buildReviewQueue(tokens, threshold, order = 'time') {
+  const out = [];
+  let pos = 0;
+  for (const t of (tokens || [])) {
+    if (!t || t.state === 'del') continue;
+    const w = String(t.word ?? '');
+    const p = t.probability;
+    if (/\S/u.test(w) && w !== '\n' && Number.isFinite(p) && p < threshold) {
+      out.push({ key: `${w.trim()}@${Number.isFinite(+t.start) ? (+t.start).toFixed(2) : pos}`, offset: pos, word: w, start: +t.start, end: +t.end, probability: p });
+    }
+    pos += w.length;
+  }
+  if (order === 'confidence') out.sort((a, b) => a.probability - b.probability || a.offset - b.offset);
+  return out;
+}
+
+/**
+ * @param {{ transcript:HTMLElement, player:HTMLMediaElement, reviewBtn?:HTMLElement, reviewBar?:HTMLElement,
+ *   reviewOrder?:HTMLSelectElement, reviewWord?:HTMLElement, reviewProgress?:HTMLElement, reviewPlay?:HTMLElement,
+ *   reviewAccept?:HTMLElement, reviewEdit?:HTMLElement, reviewSkip?:HTMLElement, reviewClose?:HTMLElement }} els
+ * @param {{ playerCtrl?:Object, virtualizer:Object }} deps
+ */
+export function setupReview(els, { playerCtrl, virtualizer } = {}) {
+  if (!els?.transcript || !els?.reviewBar || !virtualizer) return;
+  let order = (() => { try { return JSON.parse(localStorage.getItem(LS_KEY) || '{}').order === 'confidence' ? 'confidence' : 'time'; } catch { return 'time'; } })();
+  let queue = [];
+  let cur = -1;
+  const reviewed = new Set(); // item keys, per open episode
+  let stopAt = null;          // end of the audio window being played
+
+  const isOpen = () => !els.reviewBar.hidden;
+  const threshold = () => getState().settings?.probThreshold ?? 0.95;
+  const current = () => queue[cur] || null;
+
+  function rebuild() {
+    const key = current()?.key;
+    queue = buildReviewQueue(virtualizer.tokens, threshold(), order);
+    const at = key ? queue.findIndex(it => it.key === key) : -1;
+    cur = at >= 0 ? at : Math.min(Math.max(cur, 0), queue.length - 1);
+    render();
+  }
+
+  function render() {
+    const done = queue.filter(it => reviewed.has(it.key)).length;
+    if (els.reviewProgress) els.reviewProgress.textContent = `${done} / ${queue.length} נבדקו`;
+    const it = current();
+    if (els.reviewWord) {
+      els.reviewWord.textContent = it ? `${it.word.trim()} · ${Math.round(it.probability * 100)}%${reviewed.has(it.key) ? ' ✓' : ''}` : (queue.length ? 'הכול נבדק' : 'אין מילים בביטחון נמוך');
+    }
+    for (const b of [els.reviewPlay, els.reviewAccept, els.reviewEdit, els.reviewSkip]) if (b) b.disabled = !it;
+    if (els.reviewOrder) els.reviewOrder.value = order;
+  }
+
+  /** Highlight the item in the transcript and play its audio window */
+  function show(play = true) {
+    const it = current();
+    render();
+    if (!it) return;
+    const rng = virtualizer.scrollToOffset(it.offset, it.offset + it.word.length);
+    if (rng) try { const sel = window.getSelection(); sel.removeAllRanges(); sel.addRange(rng); } catch {}
+    if (play) playWindow(it);
+  }
+
+  function playWindow(it) {
+    if (!Number.isFinite(it?.start)) return;
+    const from = Math.max(0, it.start - AUDIO_PAD);
+    stopAt = (Number.isFinite(it.end) ? it.end : it.start) + AUDIO_PAD;
+    if (playerCtrl) { playerCtrl.seekTo(from); playerCtrl.setPlaying(true); }
+    else { try { els.player.currentTime = from; els.player.play(); } catch {} }
+  }
+
+  /** Next unreviewed item after the current one (wraps); -1 when everything is reviewed */
+  function nextIndex() {
+    for (let k = 1; k <= queue.length; k++) {
+      const i = (cur + k) % queue.length;
+      if (!reviewed.has(queue[i].key)) return i;
+    }
+    return -1;
+  }
+
+  function advance() {
+    const i = nextIndex();
+    if (i < 0) { render(); showToast(`הסקירה הושלמה — ${queue.length} מילים נבדקו`, 'success'); return; }
+    cur = i;
+    show();
+  }
+
+  async function accept() {
+    const it = current();
+    if (!it) return;
+    reviewed.add(it.key);
+    await confirmRanges(transcriptPath(els.transcript), [[it.offset, it.offset + it.word.length]], { quiet: true });
+    advance();
+  }
+
+  function edit() {
+    const it = current();
+    if (!it) return;
+    reviewed.add(it.key);
+    stopAt = null;
+    els.transcript.focus({ preventScroll: true });
+    show(false);
+  }
+
+  function skip() {
+    if (!queue.length) return;
+    cur = (cur + 1) % queue.length;
+    show();
+  }
+
+  function setOpen(on) {
+    els.reviewBar.hidden = !on;
+    els.reviewBtn?.setAttribute('aria-pressed', on ? 'true' : 'false');
+    stopAt = null;
+    if (!on) return;
+    rebuild();
+    if (!current() || reviewed.has(current().key)) { const i = nextIndex(); if (i >= 0) cur = i; }
+    show();
+    els.reviewAccept?.focus();
+  }
+
+  els.reviewBtn?.addEventListener('click', () => setOpen(!isOpen()));
+  els.reviewClose?.addEventListener('click', () => setOpen(false));
+  els.reviewPlay?.addEventListener('click', () => playWindow(current()));
+  els.reviewAccept?.addEventListener('click', accept);
+  els.reviewEdit?.addEventListener('click', edit);
+  els.reviewSkip?.addEventListener('click', skip);
+  els.reviewOrder?.addEventListener('change', () => {
+    order = els.reviewOrder.value === 'confidence' ? 'confidence' : 'time';
+    try { localStorage.setItem(LS_KEY, JSON.stringify({ order })); } catch {}
+    rebuild(); // keeps the current item
+    show(false);
+  });
+  // Single-key actions while the bar has focus (e.code: works on a Hebrew layout too)
+  els.reviewBar.addEventListener('keydown', (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey || e.target.tagName === 'SELECT') return;
+    if (e.target.tagName === 'BUTTON' && e.code === 'Enter') return; // the focused button's own action
+    const act = { KeyA: accept, Enter: accept, KeyE: edit, KeyS: skip, KeyR: () => playWindow(current()), Escape: () => setOpen(false) }[e.code];
+    if (!act) return;
+    e.preventDefault();
+    act();
+  });
+
+  store.subscribe((st, tag) => {
+    if (tag === 'playback:tick' && stopAt != null && !st.playback?.paused && st.playback.currentTime >= stopAt) {
+      stopAt = null;
+      if (playerCtrl) playerCtrl.setPlaying(false); else els.player.pause();
+    }
+    if (tag === 'version:init' || tag === 'version:clear') { reviewed.clear(); cur = -1; if (isOpen()) rebuild(); }
+    else if ((tag === 'tokens' || tag === 'baseline' || tag === 'settings:probThreshold') && isOpen()) rebuild();
+  });
+}
+
+export default { buildReviewQueue, setupReview };
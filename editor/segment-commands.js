@@ -0,0 +1,77 @@
+// v2/editor/segment-commands.js
+// Split/merge segments at the caret. Both are plain text edits ('\n' in or out) applied
+// through the pipeline, so they are single undo steps and the align pass re-times the
+// segment layer (the first half of a split keeps its id; a merge keeps the first segment).
+
+import { getState } from '../core/state.js';
+import { getSelectionOffsets } from './pipeline.js';
+import { showToast } from '../ui/toast.js';
+
+/**
+ * Break the line at `offset` (whitespace around the cut is dropped).
+ * @returns {{ text:string, caret:number }|null} null when the cut would leave an empty half
+ */
+export function splitLineAt(text, offset) {
+  const src = String(text ?? '');
+  const at = Math.max(0, Math.min(src.length, offset | 0));
+  let a = at, b = at;
+  while (a > 0 && /[ \t]/.test(src[a - 1])) a--;
+  while (b < src.length && /[ \t]/.test(src[b])) b++;
+  const lineStart = src.lastIndexOf('\n', a - 1) + 1;
+  const nl = src.indexOf('\n', b);
+  const lineEnd = nl < 0 ? src.length : nl;
+  if (a <= lineStart || b >= lineEnd) return null;
+  return { text: src.slice(0, a) + '\n' + src.slice(b), caret: a + 1 };
+}
+
+/**
+ * Join the line containing `offset` with the next one.
+ * @returns {{ text:string, caret:number }|null} null on the last line
+ */
+export function mergeLineAt(text, offset) {
+  const src = String(text ?? '');
+  const at = Math.max(0, Math.min(src.length, offset | 0));
+  const nl = src.indexOf('\n', at);
+  if (nl < 0) return null;
+  let a = nl, b = nl + 1;
+  while (a > 0 && /[ \t]/.test(src[a - 1])) a--;
+  while (b < src.length && /[ \t]/.test(src[b])) b++;
+  const left = src.slice(0, a), right = src.slice(b);
+  const glue = (!left || left.endsWith('\n') || !right || right.startsWith('\n')) ? '' : ' ';
+  return { text: left + glue + right, caret: a };
+}
+
+/**
+ * Wire the split/merge buttons and shortcuts (Alt+Enter split, Alt+J merge).
+ * @param {{ transcript:HTMLElement, splitSegBtn?:HTMLElement, mergeSegBtn?:HTMLElement }} els
+ * @param {{ editor:{ applyText:Function } }} deps
+ */
+export function setupSegmentCommands(els, { editor } = {}) {
+  if (!els?.transcript || !editor?.applyText) return;
+  let lastSel = null;
+
+  // Buttons take focus away from the transcript: remember the last caret inside it
+  document.addEventListener('selectionchange', () => {
+    const sel = getSelectionOffsets(els.transcript);
+    if (sel) lastSel = sel;
+  });
+
+  function run(kind) {
+    const sel = getSelectionOffsets(els.transcript) || lastSel;
+    if (!sel) { showToast('מקם את הסמן בתוך התמליל', 'info'); return; }
+    const live = getState().liveText || '';
+    const res = kind === 'split' ? splitLineAt(live, sel[0]) : mergeLineAt(live, sel[0]);
+    if (!res) { showToast(kind === 'split' ? 'אין מה לפצל כאן' : 'אין שורה הבאה למיזוג', 'info'); return; }
+    editor.applyText(res.text, [res.caret, res.caret]);
+  }
+
+  els.splitSegBtn?.addEventListener('click', () => run('split'));
+  els.mergeSegBtn?.addEventListener('click', () => run('merge'));
+  els.transcript.addEventListener('keydown', (e) => {
+    if (!e.altKey || e.ctrlKey || e.metaKey) return;
+    if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); run('split'); }
+    else if (e.code === 'KeyJ' && !e.shiftKey) { e.preventDefault(); run('merge'); }
+  });
+}
+
+export default { splitLineAt, mergeLineAt, setupSegmentCommands };
@@ -0,0 +1,175 @@
+// v2/formats/exporters.js
+// Built-in exporters: WebVTT, SRT, TTML/DFXP, plain text and Whisper-style JSON.
+// Importing this module registers them.
+
+import { registerExporter } from './registry.js';
+import { buildSegmentsFromTokens, buildCues, formatTimestamp } from './segments.js';
+
+const CUE_OPTIONS = [
+  { key: 'maxCharsPerLine', label: 'תווים מרביים בשורה', type: 'number', default: 42, min: 0, max: 200 },
+  { key: 'maxLines', label: 'שורות מרביות לכתובית', type: 'number', default: 2, min: 1, max: 6 },
+  { key: 'maxCueDuration', label: 'משך כתובית מרבי (שניות)', type: 'number', default: 7, min: 0, max: 60 },
+];
+const WORD_TIMING = { key: 'wordTimings', label: 'תזמון ברמת מילה', type: 'boolean', default: false };
+const SPEAKERS = { key: 'speakers', label: 'שמות דוברים', type: 'boolean', default: true };
+
+const escapeXml = (s) => String(s).replace(/[&<>"']/g, c => ({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&apos;' }[c]));
+// Cue text must not contain "-->" or a blank line; '<' and '&' are markup in VTT
+const escapeVtt = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/** Segments with speaker names attached (unless the `speakers` option is off) */
+const segmentsFor = (tokens, opts, ctx) => buildSegmentsFromTokens(tokens, opts.speakers === false ? [] : (ctx?.lineMeta || []));
+
+/** Prefix the first line of a cue (e.g. with a voice tag or "Name: ") */
+const prefixFirst = (lines, prefix) => (prefix && lines.length ? [prefix + lines[0], ...lines.slice(1)] : lines);
+
+/* ---------- WebVTT ---------- */
+export function exportVTT(tokens, opts = {}, ctx = {}) {
+  const cues = buildCues(segmentsFor(tokens, opts, ctx), opts);
+  const lines = ['WEBVTT', ''];
+  cues.forEach((c, i) => {
+    lines.push(String(i + 1));
+    lines.push(`${formatTimestamp(c.start)} --> ${formatTimestamp(c.end)}`);
+    const voice = c.speaker ? `<v ${escapeVtt(c.speaker)}>` : '';
+    if (opts.wordTimings) {
+      // Karaoke-style: <timestamp> before every word after the first, words wrapped in <c>
+      let first = true;
+      const out = c.lineWords.map(group => group.map(w => {
+        const body = `<c>${escapeVtt(w.word)}</c>`;
+        if (first) { first = false; return body; }
+        return `<${formatTimestamp(w.start)}>${body}`;
+      }).join(' '));
+      lines.push(...prefixFirst(out, voice));
+    } else {
+      lines.push(...prefixFirst(c.lines.map(escapeVtt), voice));
+    }
+    lines.push('');
+  });
+  return lines.join('\n');
+}
+
+/**
+ * The quick VTT button's file: one cue per segment with its text as is, times truncated to the
+ * millisecond. No cue splitting, speakers or escaping — the output it always had.
+ */
+export function exportSegmentVTT(tokens) {
+  const lines = ['WEBVTT', ''];
+  buildSegmentsFromTokens(tokens).forEach((s, i) => {
+    lines.push(String(i + 1), `${formatTimestamp(s.start, '.', true)} --> ${formatTimestamp(s.end, '.', true)}`, s.text, '');
+  });
+  return lines.join('\n');
+}
+
+/* ---------- SRT ---------- */
+export function exportSRT(tokens, opts = {}, ctx = {}) {
+  const cues = buildCues(segmentsFor(tokens, opts, ctx), opts);
+  const out = [];
+  cues.forEach((c, i) => {
+    out.push(String(i + 1));
+    out.push(`${formatTimestamp(c.start, ',')} --> ${formatTimestamp(c.end, ',')}`);
+    out.push(...prefixFirst(c.lines, c.speaker ? `${c.speaker}: ` : ''));
+    out.push('');
+  });
+  return out.join('\n');
+}
+
+/* ---------- TTML / DFXP ---------- */
+const TTML_NS = 'http://www.w3.org/ns/ttml';
+const DFXP_NS = 'http://www.w3.org/2006/10/ttaf1';
+
+function exportTimedText(tokens, opts, ctx, ns) {
+  const cues = buildCues(segmentsFor(tokens, opts, ctx), opts);
+  const lang = opts.lang || 'he';
+  // Speakers become ttm:agent declarations referenced from each <p>
+  const agents = new Map();
+  for (const c of cues) if (c.speaker && !agents.has(c.speaker)) agents.set(c.speaker, `speaker${agents.size + 1}`);
+  const head = agents.size ? [
+    '  <head>',
+    '    <metadata>',
+    ...Array.from(agents, ([name, id]) => `      <ttm:agent xml:id="${id}" type="person"><ttm:name type="full">${escapeXml(name)}</ttm:name></ttm:agent>`),
+    '    </metadata>',
+    '  </head>',
+  ] : [];
+  const ps = cues.map(c => {
+    let body;
+    if (opts.wordTimings) {
+      body = c.lineWords.map(group => group.map(w =>
+        `<span begin="${formatTimestamp(w.start)}" end="${formatTimestamp(w.end)}">${escapeXml(w.word)}</span>`
+      ).join(' ')).join('<br/>');
+    } else {
+      body = c.lines.map(escapeXml).join('<br/>');
+    }
+    const agent = c.speaker ? ` ttm:agent="${agents.get(c.speaker)}"` : '';
+    return `      <p begin="${formatTimestamp(c.start)}" end="${formatTimestamp(c.end)}"${agent}>${body}</p>`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<tt xmlns="${ns}"${agents.size ? ` xmlns:ttm="${ns}#metadata"` : ''} xml:lang="${escapeXml(lang)}">`,
+    ...head,
+    '  <body>',
+    '    <div>',
+    ...ps,
+    '    </div>',
+    '  </body>',
+    '</tt>',
+    ''
+  ].join('\n');
+}
+export const exportTTML = (tokens, opts = {}, ctx = {}) => exportTimedText(tokens, opts, ctx, TTML_NS);
+export const exportDFXP = (tokens, opts = {}, ctx = {}) => exportTimedText(tokens, opts, ctx, DFXP_NS);
+
+/* ---------- Plain text ---------- */
+export function exportText(tokens, opts = {}, ctx = {}) {
+  const segs = segmentsFor(tokens, opts, ctx);
+  return segs.map(s => {
+    const text = s.speaker ? `${s.speaker}: ${s.text.trim()}` : s.text.trim();
+    if (!opts.timestamps) return text;
+    return `[${formatTimestamp(s.start).slice(0, 8)}] ${text}`;
+  }).join('\n') + '\n';
+}
+
+/* ---------- Whisper-style full_transcript.json ---------- */
+export function exportWhisperJSON(tokens, opts = {}, ctx = {}) {
+  const segs = segmentsFor(tokens, opts, ctx);
+  const round = (x) => Math.round((+x || 0) * 1000) / 1000;
+  const segments = segs.map((s, id) => {
+    const seg = { id, start: round(s.start), end: round(s.end), text: s.text };
+    if (s.speaker) seg.speaker = s.speaker;
+    if (opts.includeWords) {
+      // Whisper keeps the leading space on the word: fold whitespace tokens forward
+      const words = [];
+      let pending = '';
+      for (const w of s.words) {
+        if (!w.word.trim()) { pending += w.word; continue; }
+        const word = { word: pending + w.word, start: round(w.start), end: round(w.end) };
+        if (Number.isFinite(w.probability)) word.probability = w.probability;
+        words.push(word);
+        pending = '';
+      }
+      if (pending && words.length) words[words.length - 1].word += pending;
+      seg.words = words;
+    }
+    return seg;
+  });
+  const doc = { text: segs.map(s => s.text).join('\n'), segments };
+  return JSON.stringify(doc, null, opts.pretty ? 2 : 0);
+}
+
+registerExporter({ id: 'vtt', label: 'WebVTT (.vtt)', ext: 'vtt', mime: 'text/vtt', options: [...CUE_OPTIONS, WORD_TIMING, SPEAKERS], export: exportVTT });
+registerExporter({ id: 'srt', label: 'SubRip (.srt)', ext: 'srt', mime: 'application/x-subrip', options: [...CUE_OPTIONS, SPEAKERS], export: exportSRT });
+registerExporter({ id: 'ttml', label: 'TTML (.ttml)', ext: 'ttml', mime: 'application/ttml+xml', options: [...CUE_OPTIONS, WORD_TIMING, SPEAKERS], export: exportTTML });
+registerExporter({ id: 'dfxp', label: 'DFXP (.dfxp)', ext: 'dfxp', mime: 'application/ttaf+xml', options: [...CUE_OPTIONS, WORD_TIMING, SPEAKERS], export: exportDFXP });
+registerExporter({
+  id: 'txt', label: 'טקסט (.txt)', ext: 'txt', mime: 'text/plain',
+  options: [{ key: 'timestamps', label: 'חותמות זמן לכל מקטע', type: 'boolean', default: false }, SPEAKERS],
+  export: exportText
+});
+registerExporter({
+  id: 'json', label: 'Whisper JSON (full_transcript.json)', ext: 'full_transcript.json', mime: 'application/json',
+  options: [
+    { key: 'includeWords', label: 'מילים והסתברויות', type: 'boolean', default: true },
+    { key: 'pretty', label: 'JSON קריא', type: 'boolean', default: false },
+    SPEAKERS,
+  ],
+  export: exportWhisperJSON
+});
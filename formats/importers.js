@@ -0,0 +1,238 @@
+// v2/formats/importers.js
+// Parse external transcripts (WebVTT, SRT, TTML/DFXP, plain text, Whisper JSON) into the flat token stream
+// used everywhere else (same shape as the HF baseline after flattenToTokens).
+
+import { normalizeTranscript, flattenToTokens } from '../data/api.js';
+import { canonicalizeText } from '../shared/canonical.js';
+import { parseTimestamp } from './segments.js';
+import { TIMING } from '../shared/timing.js';
+
+/** `accept` attribute for file inputs */
+export const IMPORT_ACCEPT = '.vtt,.srt,.ttml,.dfxp,.txt,.json,text/vtt,application/x-subrip,application/ttml+xml,text/plain,application/json';
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', lrm: '', rlm: '' };
+const decodeEntities = (s) => String(s).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+  if (e[0] === '#') {
+    const n = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+    return Number.isFinite(n) ? String.fromCodePoint(n) : m;
+  }
+  const v = ENTITIES[e.toLowerCase()];
+  return v == null ? m : v;
+});
+
+// SRT has no escaping: only its formatting tags are markup, any other '<…>' is text
+const SRT_TAG = /<(\/?(?:[biu]|font\b[^>]*))>/gi;
+
+/**
+ * Split cue payload into timed runs. VTT karaoke timestamps (`<00:00:01.500>`)
+ * start a new run; every other tag is dropped. Speaker comes from `<v Name>`.
+ * SRT (`srt`): only formatting tags are dropped and entities are left alone.
+ */
+function parsePayload(payload, cueStart, srt = false) {
+  const runs = [{ start: cueStart, text: '' }];
+  let speaker = '';
+  const re = srt ? new RegExp(SRT_TAG) : /<([^>]*)>/g;
+  let last = 0, m;
+  while ((m = re.exec(payload))) {
+    runs[runs.length - 1].text += payload.slice(last, m.index);
+    last = re.lastIndex;
+    const tag = m[1].trim();
+    const ts = parseTimestamp(tag);
+    if (Number.isFinite(ts)) runs.push({ start: ts, text: '' });
+    else if (/^v[\s.]/i.test(tag) && !speaker) speaker = tag.replace(/^v(\.[^\s]*)?\s+/i, '').trim();
+  }
+  runs[runs.length - 1].text += payload.slice(last);
+  if (!srt) runs.forEach(r => { r.text = decodeEntities(r.text); });
+  return { runs, speaker };
+}
+
+/**
+ * Spread a run's words over [start, end], proportional to their length; a run ends at its own
+ * `end` when it has one, else where the next run starts. Words after the first keep a leading
+ * space (Whisper style).
+ */
+function timeWords(runs, cueEnd) {
+  const words = [];
+  runs.forEach((run, ri) => {
+    const parts = run.text.split(/\s+/).filter(Boolean);
+    if (!parts.length) return;
+    const next = ri + 1 < runs.length ? runs[ri + 1].start : cueEnd;
+    const end = Math.max(run.start, Number.isFinite(run.end) ? run.end : next);
+    const total = parts.reduce((n, p) => n + p.length, 0) || 1;
+    let t = run.start;
+    for (const p of parts) {
+      const dur = (end - run.start) * (p.length / total);
+      words.push({ word: (words.length ? ' ' : '') + p, start: t, end: t + dur });
+      t += dur;
+    }
+  });
+  return words;
+}
+
+const splitLines = (content) => String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+/**
+ * "Name: text" speaker labels (SRT cues, text lines), as the exporters write them. A label
+ * counts when it names at least two cues/lines, or every one has a label — so a lone
+ * "הערה: …" stays text.
+ * @returns {Array<{speaker:string, rest:string}|null>}
+ */
+function speakerLabels(texts) {
+  const found = texts.map(t => {
+    const m = /^([^:<>[\]\n]{1,40}?):\s+(\S[\s\S]*)$/.exec(t);
+    return m && m[1].trim() ? { speaker: m[1].trim(), rest: m[2] } : null;
+  });
+  const counts = new Map();
+  for (const f of found) if (f) counts.set(f.speaker, (counts.get(f.speaker) || 0) + 1);
+  const all = found.length > 0 && found.every(Boolean);
+  return found.map(f => (f && (all || counts.get(f.speaker) >= 2) ? f : null));
+}
+
+/** Segment from timed runs; null when there are no words */
+function segmentOf(start, end, runs, speaker) {
+  const words = timeWords(runs, end);
+  if (!words.length) return null;
+  const seg = { start, end: Math.max(start, end), text: words.map(w => w.word).join(''), words };
+  if (speaker) seg.speaker = speaker;
+  return seg;
+}
+
+/**
+ * Shared VTT/SRT block parser → Whisper-like { text, segments }.
+ * A cue is one segment; multi-line cue text is joined with spaces. In SRT (`srt`) a
+ * "Name: " prefix (speakerLabels) is the cue's speaker.
+ */
+function parseCues(content, { srt = false } = {}) {
+  const cues = [];
+  for (const block of splitLines(content).split(/\n{2,}/)) {
+    const lines = block.split('\n');
+    const ti = lines.findIndex(l => l.includes('-->'));
+    if (ti < 0) continue; // WEBVTT header, NOTE, STYLE, REGION, stray text
+    const [a, b] = lines[ti].split('-->');
+    const start = parseTimestamp(a);
+    const end = parseTimestamp(String(b || '').trim().split(/\s+/)[0]);
+    if (!Number.isFinite(start) || !Number.isFinite(end)) continue;
+    cues.push({ start, end, payload: lines.slice(ti + 1).map(l => l.trim()).filter(Boolean).join(' ') });
+  }
+  const named = srt ? speakerLabels(cues.map(c => c.payload)) : [];
+  const segments = [];
+  cues.forEach((c, i) => {
+    const { runs, speaker } = parsePayload(named[i] ? named[i].rest : c.payload, c.start, srt);
+    const seg = segmentOf(c.start, c.end, runs, named[i]?.speaker || speaker);
+    if (seg) segments.push(seg);
+  });
+  return { text: segments.map(s => s.text).join('\n'), segments };
+}
+
+export const parseVTT = (content) => parseCues(content);
+export const parseSRT = (content) => parseCues(content, { srt: true });
+
+const xmlAttr = (attrs, name) => {
+  const m = new RegExp(`(?:^|\\s)${name}\\s*=\\s*"([^"]*)"`).exec(attrs);
+  return m ? decodeEntities(m[1]) : '';
+};
+// Clock time (HH:MM:SS.mmm) or an offset in seconds ("12.5s")
+const ttmlTime = (s) => (/^\s*\d+(\.\d+)?s\s*$/.test(s) ? parseFloat(s) : parseTimestamp(s));
+
+/**
+ * TTML/DFXP: every <p> is a segment; <span begin end> children are timed words (as the
+ * exporter writes them with word timing). Speakers come from ttm:agent.
+ */
+export function parseTTML(content) {
+  const src = String(content || '');
+  const agents = new Map();
+  for (const m of src.matchAll(/<ttm:agent\b([^>]*)>([\s\S]*?)<\/ttm:agent>/g)) {
+    const name = /<ttm:name\b[^>]*>([\s\S]*?)<\/ttm:name>/.exec(m[2]);
+    agents.set(xmlAttr(m[1], 'xml:id'), decodeEntities(name ? name[1] : '').trim());
+  }
+  const segments = [];
+  for (const m of src.matchAll(/<p\b([^>]*)>([\s\S]*?)<\/p>/g)) {
+    const start = ttmlTime(xmlAttr(m[1], 'begin'));
+    const end = ttmlTime(xmlAttr(m[1], 'end'));
+    if (!Number.isFinite(start) || !Number.isFinite(end)) continue;
+    const body = m[2].replace(/<br\s*\/?>/g, ' ');
+    const runs = [{ start, text: '' }];
+    let last = 0;
+    for (const sm of body.matchAll(/<span\b([^>]*)>([\s\S]*?)<\/span>/g)) {
+      runs[runs.length - 1].text += body.slice(last, sm.index);
+      last = sm.index + sm[0].length;
+      const ws = ttmlTime(xmlAttr(sm[1], 'begin')), we = ttmlTime(xmlAttr(sm[1], 'end'));
+      if (Number.isFinite(ws)) runs.push({ start: ws, end: Number.isFinite(we) ? we : undefined, text: sm[2] }, { start: Number.isFinite(we) ? we : ws, text: '' });
+      else runs[runs.length - 1].text += sm[2];
+    }
+    runs[runs.length - 1].text += body.slice(last);
+    runs.forEach(r => { r.text = decodeEntities(r.text.replace(/<[^>]*>/g, '')); });
+    const seg = segmentOf(start, end, runs.filter(r => r.text.trim()), agents.get(xmlAttr(m[1], 'ttm:agent')) || '');
+    if (seg) segments.push(seg);
+  }
+  return { text: segments.map(s => s.text).join('\n'), segments };
+}
+
+/**
+ * Plain text as the txt exporter writes it: a line per segment, optionally "[HH:MM:SS] " and a
+ * "Name: " speaker label. A line lasts until the next line's timestamp; without any, no timing.
+ */
+export function parseText(content) {
+  const lines = splitLines(content).split('\n').map(l => l.trim()).filter(Boolean).map(l => {
+    const m = /^\[(\d+:\d{1,2}:\d{1,2}(?:[.,]\d{1,3})?)\]\s*/.exec(l);
+    return m ? { start: parseTimestamp(m[1]), text: l.slice(m[0].length) } : { start: NaN, text: l };
+  });
+  const named = speakerLabels(lines.map(l => l.text));
+  const segments = [];
+  lines.forEach((l, i) => {
+    const start = Number.isFinite(l.start) ? l.start : 0;
+    const nextStart = lines.slice(i + 1).find(n => Number.isFinite(n.start))?.start;
+    const end = Number.isFinite(l.start) && Number.isFinite(nextStart) ? Math.max(start, nextStart) : start;
+    const seg = segmentOf(start, end, [{ start, text: named[i] ? named[i].rest : l.text }], named[i]?.speaker);
+    if (seg) segments.push(seg);
+  });
+  return { text: segments.map(s => s.text).join('\n'), segments };
+}
+
+/** Whisper / faster-whisper JSON: `{ segments:[…] }`, or a bare segments array */
+export function parseWhisperJSON(content) {
+  const raw = typeof content === 'string' ? JSON.parse(content) : content;
+  const doc = Array.isArray(raw) ? { segments: raw } : (raw || {});
+  if (!Array.isArray(doc.segments)) throw new Error('JSON ללא segments');
+  return doc;
+}
+
+// Plain text has no sniff: anything would match
+const IMPORTERS = [
+  { id: 'vtt', label: 'WebVTT', exts: ['vtt'], sniff: (s) => /^\uFEFF?WEBVTT/.test(s), parse: parseVTT },
+  { id: 'ttml', label: 'TTML', exts: ['ttml', 'dfxp', 'xml'], sniff: (s) => /<tt[\s>]/.test(s), parse: parseTTML },
+  { id: 'json', label: 'Whisper JSON', exts: ['json'], sniff: (s) => /^\s*[[{]/.test(s), parse: parseWhisperJSON },
+  { id: 'srt', label: 'SubRip', exts: ['srt'], sniff: (s) => /-->/.test(s), parse: parseSRT },
+  { id: 'txt', label: 'טקסט', exts: ['txt'], sniff: () => false, parse: parseText },
+];
+
+/** Pick an importer by file extension, falling back to content sniffing */
+export function detectImportFormat(filename, content) {
+  const ext = String(filename || '').toLowerCase().split('.').pop();
+  return IMPORTERS.find(d => d.exts.includes(ext))
+    || IMPORTERS.find(d => d.sniff(String(content || '').slice(0, 2048)))
+    || null;
+}
+
+/**
+ * Parse an external transcript file into tokens.
+ * @param {string} filename
+ * @param {string} content
+ * Timed words are tagged TIMING.IMPORTED, so align passes keep the file's timing instead of
+ * re-timing them from the ASR baseline.
+ * @returns {{ format:string, label:string, tokens:Array<{word:string,start:number,end:number,probability:number,timing?:string}>, text:string, segments:number,
+ *   meta:Array<{speaker?:string}> }} meta[i] belongs to segment i (one line each)
+ */
+export function importTranscript(filename, content) {
+  const def = detectImportFormat(filename, content);
+  if (!def) throw new Error('פורמט קובץ לא נתמך');
+  const doc = normalizeTranscript(def.parse(content));
+  const tokens = flattenToTokens(doc);
+  if (!tokens.length) throw new Error('לא נמצא טקסט בקובץ');
+  for (const t of tokens) if (t.word.trim() && Number.isFinite(t.start) && Number.isFinite(t.end)) t.timing = TIMING.IMPORTED;
+  const text = canonicalizeText(tokens.map(t => t.word).join(''));
+  const meta = doc.segments.map(s => (s.speaker ? { speaker: String(s.speaker) } : {}));
+  return { format: def.id, label: def.label, tokens, text, segments: doc.segments.length, meta };
+}
+
+export default { importTranscript, detectImportFormat, parseVTT, parseSRT, parseTTML, parseText, parseWhisperJSON, IMPORT_ACCEPT };
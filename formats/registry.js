@@ -0,0 +1,66 @@
+// v2/formats/registry.js
+// Pluggable exporter registry. Each exporter turns the current token stream into a file.
+
+/**
+ * @typedef {Object} ExportOption
+ * @property {string} key
+ * @property {string} label
+ * @property {'number'|'boolean'|'select'} type
+ * @property {*} default
+ * @property {number} [min]
+ * @property {number} [max]
+ * @property {Array<{value:string,label:string}>} [choices]   - for type 'select'
+ */
+
+/**
+ * @typedef {Object} Exporter
+ * @property {string} id                 - registry key (e.g. 'srt')
+ * @property {string} label              - menu label
+ * @property {string} ext                - filename suffix without the leading dot
+ * @property {string} mime
+ * @property {ExportOption[]} [options]
+ * @property {(tokens:Array, opts:Object, ctx:ExportContext)=>string} export
+ */
+
+/**
+ * @typedef {Object} ExportContext
+ * @property {Array<{speaker?:string}>} [lineMeta] - per transcript line; `speaker` is the display name
+ */
+
+const exporters = new Map();
+
+/** Register (or replace) an exporter */
+export function registerExporter(def) {
+  if (!def || !def.id || typeof def.export !== 'function') throw new Error('registerExporter: id and export() are required');
+  exporters.set(def.id, { options: [], mime: 'text/plain', ...def });
+}
+
+export function getExporter(id) {
+  return exporters.get(id) || null;
+}
+
+/** Exporters in registration order */
+export function listExporters() {
+  return Array.from(exporters.values());
+}
+
+/** Defaults for an exporter's options, overlaid with `opts` */
+export function resolveOptions(def, opts = {}) {
+  const out = {};
+  for (const o of (def?.options || [])) out[o.key] = (opts[o.key] !== undefined) ? opts[o.key] : o.default;
+  return out;
+}
+
+/**
+ * Run an exporter by id.
+ * @param {ExportContext} [ctx]
+ * @returns {{ text:string, ext:string, mime:string }}
+ */
+export function runExporter(id, tokens, opts = {}, ctx = {}) {
+  const def = getExporter(id);
+  if (!def) throw new Error(`Unknown export format: ${id}`);
+  const text = def.export(tokens || [], resolveOptions(def, opts), ctx || {});
+  return { text, ext: def.ext, mime: def.mime };
+}
+
+export default { registerExporter, getExporter, listExporters, resolveOptions, runExporter };
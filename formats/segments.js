@@ -0,0 +1,120 @@
+// v2/formats/segments.js
+// Shared building blocks for exporters: tokens → segments → subtitle cues, and timestamps.
+
+/**
+ * Rebuild segments from the flat token stream ('\n' tokens separate segments).
+ * @param {Array<{word:string,start:number,end:number,probability?:number,state?:string}>} tokens
+ * @param {Array<{speaker?:string}>} [lineMeta] - per transcript line (empty lines included); `speaker` is copied onto the segment
+ * @returns {Array<{start:number,end:number,text:string,words:Array<{word:string,start:number,end:number,probability?:number}>,speaker?:string}>}
+ */
+export function buildSegmentsFromTokens(tokens, lineMeta = []) {
+  const segs = []; let cur = null; let line = 0;
+  for (const t of (tokens || [])) {
+    if (!t || t.state === 'del') continue;
+    if (t.word === '\n') { if (cur) { segs.push(cur); cur = null; } line++; continue; }
+    if (!cur) {
+      cur = { words: [], start: Number.isFinite(t.start) ? +t.start : 0, end: Number.isFinite(t.end) ? +t.end : 0 };
+      if (lineMeta[line]?.speaker) cur.speaker = String(lineMeta[line].speaker);
+    }
+    cur.words.push({ word: String(t.word || ''), start: +t.start || 0, end: +t.end || ((+t.start || 0) + 0.25), probability: Number.isFinite(t.probability) ? +t.probability : undefined });
+    cur.end = Number.isFinite(t.end) ? +t.end : cur.end;
+  }
+  if (cur) segs.push(cur);
+  segs.forEach(s => { s.text = (s.words || []).map(w => w.word).join(''); });
+  return segs;
+}
+
+/**
+ * Format seconds as HH:MM:SS<sep>mmm (VTT/TTML use '.', SRT uses ',').
+ * @param {number} t
+ * @param {string} [sep='.']
+ * @param {boolean} [truncate=false] - drop sub-millisecond time instead of rounding it
+ */
+export function formatTimestamp(t, sep = '.', truncate = false) {
+  const ms = Math.max(0, (truncate ? Math.floor : Math.round)((+t || 0) * 1000));
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  const ms3 = ms % 1000;
+  const pad = (n, w) => String(n).padStart(w, '0');
+  return `${pad(h,2)}:${pad(m,2)}:${pad(s,2)}${sep}${pad(ms3,3)}`;
+}
+
+/** Parse HH:MM:SS.mmm / MM:SS.mmm / HH:MM:SS,mmm → seconds (NaN when malformed) */
+export function parseTimestamp(str) {
+  const m = /^\s*(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?\s*$/.exec(String(str || ''));
+  if (!m) return NaN;
+  const h = +(m[1] || 0), min = +m[2], s = +m[3];
+  const frac = m[4] ? +(m[4].padEnd(3, '0')) / 1000 : 0;
+  return h * 3600 + min * 60 + s + frac;
+}
+
+const isBlank = (s) => !String(s || '').trim();
+
+/**
+ * Greedy wrap of words into lines of at most `maxChars` (joined with single spaces).
+ * @template T
+ * @param {T[]} items
+ * @param {number} maxChars - 0 disables wrapping
+ * @param {(x:T)=>string} [text]
+ * @returns {T[][]} word groups, one per line
+ */
+export function wrapWords(items, maxChars, text = (x) => String(x)) {
+  const lines = [];
+  let line = [], len = 0;
+  for (const it of items) {
+    const w = text(it);
+    if (line.length && maxChars > 0 && (len + 1 + w.length) > maxChars) { lines.push(line); line = []; len = 0; }
+    len += (line.length ? 1 : 0) + w.length;
+    line.push(it);
+  }
+  if (line.length) lines.push(line);
+  return lines;
+}
+
+/**
+ * Split segments into subtitle cues, respecting line length, line count and duration.
+ * Whitespace tokens are dropped; cue words are trimmed.
+ * @param {ReturnType<typeof buildSegmentsFromTokens>} segments
+ * @param {{ maxCharsPerLine?:number, maxLines?:number, maxCueDuration?:number }} [opts]
+ * @returns {Array<{start:number,end:number,lines:string[],lineWords:Array<Array<Object>>,text:string,words:Array<{word:string,start:number,end:number,probability?:number}>,speaker?:string}>}
+ */
+export function buildCues(segments, opts = {}) {
+  const maxChars = Math.max(0, +opts.maxCharsPerLine || 0);
+  const maxLines = Math.max(1, +opts.maxLines || 2);
+  const maxDur = Math.max(0, +opts.maxCueDuration || 0);
+  const cues = [];
+
+  for (const seg of (segments || [])) {
+    let cur = [];
+    const flush = () => {
+      if (!cur.length) return;
+      const lineWords = wrapWords(cur, maxChars, w => w.word);
+      const lines = lineWords.map(g => g.map(w => w.word).join(' '));
+      cues.push({
+        start: cur[0].start,
+        end: Math.max(cur[0].start, cur[cur.length - 1].end),
+        lines,
+        lineWords,
+        text: lines.join('\n'),
+        words: cur,
+        ...(seg.speaker ? { speaker: seg.speaker } : {})
+      });
+      cur = [];
+    };
+    for (const w of (seg.words || [])) {
+      if (isBlank(w.word)) continue;
+      const word = { ...w, word: String(w.word).trim() };
+      if (cur.length) {
+        const tooLong = maxChars > 0 && wrapWords(cur.concat(word), maxChars, x => x.word).length > maxLines;
+        const tooSlow = maxDur > 0 && (word.end - cur[0].start) > maxDur;
+        if (tooLong || tooSlow) flush();
+      }
+      cur.push(word);
+    }
+    flush();
+  }
+  return cues;
+}
+
+export default { buildSegmentsFromTokens, buildCues, formatTimestamp, parseTimestamp, wrapWords };
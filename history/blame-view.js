@@ -0,0 +1,107 @@
+// v2/history/blame-view.js
+// "Who changed it" mode of the diff panel: the current text, each stretch tinted by its
+// author, with the version, author and date on hover. Typing returns the panel to the live
+// diff, like the layers view.
+
+import { store, getState } from '../core/state.js';
+import { showToast } from '../ui/toast.js';
+import { currentIdentity } from '../data/identity.js';
+import { setShowingLayers } from '../editor/pipeline.js';
+import { computeBlame, blameForLive } from './blame.js';
+import { transcriptPath } from '../editor/confirmations.js';
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, c => ({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;' }[c]));
+
+/** Stable hue per author key */
+function authorColor(key) {
+  let h = 0;
+  for (const ch of String(key)) h = (h * 31 + ch.codePointAt(0)) >>> 0;
+  return `hsl(${h % 360} 70% 50% / .22)`;
+}
+
+const formatDate = (iso) => {
+  const d = iso ? new Date(iso) : null;
+  return d && !isNaN(d) ? d.toLocaleString('he-IL', { dateStyle: 'short', timeStyle: 'short' }) : '';
+};
+
+/**
+ * Blame HTML: a legend of contributors (share of the text) over the tinted text.
+ * @param {{ text:string, runs:Array<{start:number,end:number,version:number|null}>, versions:Map<number,Object> }} blame
+ */
+export function buildBlameHTML(blame) {
+  const me = currentIdentity();
+  const who = (v) => {
+    if (v == null) return { key: `id:${me.id}`, name: `${me.name || 'אני'} (לא נשמר)`, title: `${me.name || 'אני'} · שינוי שטרם נשמר` };
+    const m = blame.versions.get(v) || {};
+    const name = m.author || 'לא ידוע';
+    return { key: m.authorId ? `id:${m.authorId}` : `name:${name}`, name, title: [`${name}`, `גרסה ${v}`, formatDate(m.at)].filter(Boolean).join(' · ') };
+  };
+  const share = new Map();
+  let body = '';
+  for (const r of blame.runs) {
+    const w = who(r.version);
+    const color = authorColor(w.key);
+    const s = share.get(w.key) || { name: w.name, color, chars: 0 };
+    s.chars += r.end - r.start;
+    share.set(w.key, s);
+    body += `<span class="blame-run" style="--blame-bg:${color}" title="${escapeHtml(w.title)}">${escapeHtml(blame.text.slice(r.start, r.end))}</span>`;
+  }
+  const total = blame.text.length || 1;
+  const legend = [...share.values()].sort((a, b) => b.chars - a.chars)
+    .map(s => `<li><span class="blame-swatch" style="background:${s.color}"></span>${escapeHtml(s.name)} · ${Math.round(s.chars * 100 / total)}%</li>`).join('');
+  return `<ul class="blame-legend" dir="auto">${legend}</ul><div class="blame-text">${body}</div>`;
+}
+
+/**
+ * @param {{ transcript:HTMLElement, diffBody:HTMLElement, blameBtn?:HTMLElement, showLayersBtn?:HTMLElement, versionsBtn?:HTMLElement }} els
+ * @param {{ workers:Object, editor?:{ refreshDiff?:Function } }} deps
+ */
+export function setupBlame(els, { workers, editor } = {}) {
+  if (!els?.blameBtn || !els?.diffBody || !workers) return;
+  let on = false;
+  let gen = 0;
+
+  function setOff({ refresh = true } = {}) {
+    gen++;
+    if (!on) return;
+    on = false;
+    els.blameBtn.setAttribute('aria-pressed', 'false');
+    els.blameBtn.removeAttribute('aria-busy');
+    setShowingLayers(false);
+    if (refresh) editor?.refreshDiff?.();
+  }
+
+  async function show() {
+    const folder = els.transcript?.dataset.folder, file = els.transcript?.dataset.file;
+    if (!folder || !file) return;
+    const my = ++gen;
+    on = true;
+    els.blameBtn.setAttribute('aria-pressed', 'true');
+    setShowingLayers(true);
+    els.blameBtn.setAttribute('aria-busy', 'true');
+    try {
+      const blame = await computeBlame(transcriptPath(els.transcript), workers);
+      if (my !== gen) return;
+      if (!blame) { showToast('אין גרסאות שמורות לקובץ זה', 'info'); setOff(); return; }
+      if (blame.fallbacks) console.warn(`[blame] ${blame.fallbacks} edits re-diffed from snapshots`);
+      els.diffBody.innerHTML = buildBlameHTML(blameForLive(blame, getState().liveText || ''));
+    } catch (e) {
+      console.warn('Blame failed:', e);
+      showToast('שגיאה בחישוב השיוך', 'error');
+      if (my === gen) setOff();
+    } finally {
+      if (my === gen) els.blameBtn.removeAttribute('aria-busy');
+    }
+  }
+
+  els.blameBtn.addEventListener('click', () => { if (on) setOff(); else show(); });
+  // The layers view takes the panel over; typing hands it back to the live diff
+  for (const b of [els.showLayersBtn, els.versionsBtn]) b?.addEventListener('click', () => setOff({ refresh: false }));
+  els.transcript.addEventListener('input', () => setOff({ refresh: false }));
+  store.subscribe((_st, tag) => {
+    if (tag === 'version:init' || tag === 'version:clear') setOff();
+    else if (tag === 'version:saved' && on) show();
+  });
+}
+
+export default { buildBlameHTML, setupBlame };
@@ -0,0 +1,117 @@
+// v2/history/blame.js
+// Character-level attribution: replay the transcript_edits chain from the first version and
+// credit every character of the result to the version (and author) that introduced it.
+// Edits that are missing or do not fit their parent fall back to a worker diff of the two
+// snapshots.
+
+import { canonicalizeText } from '../shared/canonical.js';
+import { reconNew, reconOld, replayEdit } from '../shared/patch.js';
+import { getTranscriptEdits } from '../data/api.js';
+import { loadVersionTexts } from './reconstruct.js';
+
+/**
+ * @typedef {Object} BlameRun
+ * @property {number} start
+ * @property {number} end
+ * @property {number|null} version  - null: unsaved live edit
+ */
+
+/**
+ * @typedef {Object} VersionMeta
+ * @property {number} version
+ * @property {string|null} author
+ * @property {string|null} authorId
+ * @property {string|null} at       - ISO timestamp, when recorded
+ */
+
+function pushRun(out, start, end, version) {
+  if (end <= start) return;
+  const last = out[out.length - 1];
+  if (last && last.version === version && last.end === start) last.end = end;
+  else out.push({ start, end, version });
+}
+
+/**
+ * Carry `runs` (over the old text) through diff `ops`; inserted text is credited to `version`.
+ * @param {BlameRun[]} runs
+ * @param {Array<[number,string]>} ops
+ * @returns {BlameRun[]}
+ */
+export function applyOpsToRuns(runs, ops, version) {
+  const out = [];
+  let oldPos = 0, newPos = 0, k = 0;
+  for (const [op, s] of ops) {
+    const len = String(s || '').length;
+    if (!len) continue;
+    if (op === 1) { pushRun(out, newPos, newPos + len, version); newPos += len; continue; }
+    const end = oldPos + len;
+    if (op === 0) {
+      while (k < runs.length && runs[k].end <= oldPos) k++;
+      for (let j = k; j < runs.length && runs[j].start < end; j++) {
+        const a = Math.max(runs[j].start, oldPos), b = Math.min(runs[j].end, end);
+        pushRun(out, newPos + (a - oldPos), newPos + (b - oldPos), runs[j].version);
+      }
+      newPos += len;
+    }
+    oldPos = end;
+  }
+  return out;
+}
+
+/** Ops turning `a` into `b` as one replaced middle (common prefix/suffix kept) */
+export function prefixSuffixOps(a, b) {
+  let p = 0;
+  while (p < a.length && p < b.length && a[p] === b[p]) p++;
+  let q = 0;
+  while (q < a.length - p && q < b.length - p && a[a.length - 1 - q] === b[b.length - 1 - q]) q++;
+  return [[0, a.slice(0, p)], [-1, a.slice(p, a.length - q)], [1, b.slice(p, b.length - q)], [0, a.slice(a.length - q)]];
+}
+
+/**
+ * Blame for the saved history of `filePath`.
+ * @param {{ diff:{ send:Function } }} workers - diff worker for edits without usable ops
+ * @returns {Promise<{ text:string, runs:BlameRun[], versions:Map<number,VersionMeta>, fallbacks:number }|null>}
+ */
+export async function computeBlame(filePath, workers) {
+  const [snapshots, edits] = await Promise.all([loadVersionTexts(filePath), getTranscriptEdits(filePath)]);
+  if (!snapshots?.length) return null;
+  const editByChild = new Map((edits || []).map(e => [e.child_version, e]));
+  const versions = new Map();
+  for (const s of snapshots) {
+    const e = editByChild.get(s.version);
+    versions.set(s.version, {
+      version: s.version,
+      author: s.author_name || e?.author_name || null,
+      authorId: s.author_id || e?.author_id || null,
+      at: s.created_at || e?.created_at || null,
+    });
+  }
+
+  let text = canonicalizeText(snapshots[0].text || '');
+  let runs = text ? [{ start: 0, end: text.length, version: snapshots[0].version }] : [];
+  let fallbacks = 0;
+  for (const snap of snapshots.slice(1)) {
+    const edit = editByChild.get(snap.version);
+    let ops = edit ? replayEdit(text, edit)?.diffs : null;
+    if (!ops) {
+      if (snap.text == null) continue; // neither replayable nor stored: credited to the next version
+      const target = canonicalizeText(snap.text || '');
+      fallbacks++;
+      try { ops = (await workers.diff.send(text, target, { editCost: 8 })).diffs; } catch { ops = null; }
+      if (!Array.isArray(ops) || reconOld(ops) !== text || reconNew(ops) !== target) ops = prefixSuffixOps(text, target);
+    }
+    runs = applyOpsToRuns(runs, ops, snap.version);
+    text = reconNew(ops);
+  }
+  return { text, runs, versions, fallbacks };
+}
+
+/** Re-target a blame onto `liveText`; characters not in the saved text are credited to null (unsaved) */
+export function blameForLive(blame, liveText) {
+  if (!blame) return null;
+  const live = String(liveText ?? '');
+  if (live === blame.text) return blame;
+  return { ...blame, text: live, runs: applyOpsToRuns(blame.runs, prefixSuffixOps(blame.text, live), null) };
+}
+
+export default { applyOpsToRuns, prefixSuffixOps, computeBlame, blameForLive };
@@ -0,0 +1,59 @@
+// v2/history/commit.js
+// Commit a transcript version together with its transcript_edits (diff layer) row.
+
+import { canonicalizeText } from '../shared/canonical.js';
+import { encodeTextPatch } from '../shared/patch.js';
+import { saveTranscriptVersion, saveTranscriptEdit } from '../data/api.js';
+import { reconstructVersion } from './reconstruct.js';
+
+/**
+ * Encode the parent → child edit as stored in transcript_edits (formats: shared/patch.js).
+ * token_ops is null when the parent's tokens are unknown.
+ * @param {{ parentWords?:Array|null, words?:Array|null }} [tokens]
+ * @returns {Promise<{dmp_patch:string, token_ops:string|null}>}
+ */
+export async function buildEditPatch(parentText, text, workers, { parentWords, words } = {}) {
+  const { diffs, patchText } = await workers.diff.send(parentText, text, { editCost: 8 });
+  let token_ops = null;
+  if (Array.isArray(parentWords) && parentWords.length && Array.isArray(words)) {
+    try { const { tokenOps } = await workers.diff.tokenOps(parentWords, words); token_ops = JSON.stringify(tokenOps); }
+    catch (e) { console.debug('Token ops skipped:', e?.message || e); }
+  }
+  return { dmp_patch: patchText ?? encodeTextPatch(diffs || []), token_ops };
+}
+
+/**
+ * Save `text`/`words` as the child of `parentVersion` and record the edit layer.
+ * Version conflicts (stale parent) are re-thrown untouched so callers can merge;
+ * a failing edit-row write is logged and skipped (history is best-effort).
+ * @param {string} filePath
+ * @param {{ parentVersion:number|null, parentText?:string, parentWords?:Array, text:string, words:Array, segments?:Array, speakers?:Array }} param1
+ * @param {{ diff:{ send:Function } }} workers
+ * @returns {Promise<{version:number, base_sha256:string}>}
+ */
+export async function commitVersion(filePath, { parentVersion, parentText, parentWords, text, words, segments, speakers }, workers) {
+  const res = await saveTranscriptVersion(filePath, { parentVersion, text, words, segments, speakers });
+  const childV = res?.version;
+  if (typeof childV === 'number' && childV > 1) {
+    const parentV = childV - 1;
+    try {
+      let base = parentText, baseWords = parentWords;
+      if (base == null || baseWords == null) {
+        // Re-fetch the actual parent by version (strongly consistent baseline; rebuilt if compacted)
+        const parent = await reconstructVersion(filePath, parentV);
+        if (base == null) base = parent?.text || '';
+        if (baseWords == null) baseWords = parent?.words || null;
+      }
+      base = canonicalizeText(base);
+      if (base) {
+        const { dmp_patch, token_ops } = await buildEditPatch(base, text, workers, { parentWords: baseWords, words });
+        await saveTranscriptEdit(filePath, parentV, childV, dmp_patch, token_ops);
+      }
+    } catch (eHist) {
+      console.debug('Edit history save skipped:', eHist?.message || eHist);
+    }
+  }
+  return res;
+}
+
+export default { commitVersion, buildEditPatch };
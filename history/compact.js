@@ -0,0 +1,102 @@
+// v2/history/compact.js
+// Maintenance for a file's version chain: replay every edit from v1, report where the chain
+// breaks, then compact — versions between checkpoints that replay to their hash (text and,
+// through token ops, words) drop their stored snapshot, and checkpoints missing theirs get
+// it back.
+
+import { canonicalizeText } from '../shared/canonical.js';
+import { replayEdit, parseTokenOps, applyTokenOps } from '../shared/patch.js';
+import { getAllTranscripts, getTranscriptEdits, setVersionSnapshot, sha256Hex } from '../data/api.js';
+import { isCheckpoint } from './reconstruct.js';
+
+/**
+ * @typedef {Object} ChainBreak
+ * @property {number} version
+ * @property {'missing-version'|'missing-edit'|'ops-dont-match-parent'|'hash-mismatch'|'unrecoverable'} reason
+ */
+
+/**
+ * @typedef {Object} ChainReport
+ * @property {boolean} ok            - no breaks (and no failed writes)
+ * @property {number} latest
+ * @property {ChainBreak[]} breaks
+ * @property {number[]} compacted     - versions whose snapshot was dropped
+ * @property {number[]} materialized  - checkpoints whose snapshot was restored
+ * @property {number} freedChars
+ * @property {string[]} errors        - failed writes
+ */
+
+const sameWords = (a, b) => JSON.stringify(a || []) === JSON.stringify(b || []);
+
+/**
+ * Verify the chain of `filePath` and (unless `compact` is false) compact it.
+ * @param {{ compact?:boolean, onProgress?:(done:number, total:number)=>void }} [opts]
+ * @returns {Promise<ChainReport>}
+ */
+export async function verifyAndCompactChain(filePath, { compact = true, onProgress } = {}) {
+  const [rows, edits] = await Promise.all([getAllTranscripts(filePath, { words: true }), getTranscriptEdits(filePath)]);
+  const report = { ok: true, latest: rows.length ? rows[rows.length - 1].version : 0, breaks: [], compacted: [], materialized: [], freedChars: 0, errors: [] };
+  if (!rows.length) return report;
+  const byVersion = new Map(rows.map(r => [r.version, r]));
+  const byChild = new Map(edits.map(e => [e.child_version, e]));
+  const broken = (version, reason) => report.breaks.push({ version, reason });
+
+  // Walk v1..latest; after a break, resume from the next stored snapshot
+  let cur = null; // { text, words|null } of the previous version, verified
+  const plan = []; // { version, action:'drop'|'restore', text, words }
+  for (let v = 1; v <= report.latest; v++) {
+    onProgress?.(v, report.latest);
+    const row = byVersion.get(v);
+    if (!row) { broken(v, 'missing-version'); cur = null; continue; }
+    const stored = row.text != null ? { text: canonicalizeText(row.text), words: Array.isArray(row.words) ? row.words : [] } : null;
+    let next = null, reason = null;
+    if (cur) {
+      const e = byChild.get(v);
+      const replayed = e && e.parent_version === v - 1 ? replayEdit(cur.text, e) : null;
+      if (!e || e.parent_version !== v - 1) reason = 'missing-edit';
+      else if (!replayed) reason = 'ops-dont-match-parent';
+      else if (await sha256Hex(replayed.text) !== (row.base_sha256 || '')) reason = 'hash-mismatch';
+      else {
+        const ops = cur.words ? parseTokenOps(e.token_ops) : null;
+        next = { text: replayed.text, words: ops ? applyTokenOps(cur.words, ops) : null };
+      }
+    }
+    // Neither replayed nor stored: the text of this version is lost
+    if (!next && !stored) reason = reason || 'unrecoverable';
+    if (reason) broken(v, reason);
+    if (!next && !stored) { cur = null; continue; }
+
+    const words = next?.words ?? null;
+    if (stored) {
+      // Only a snapshot the chain reproduces exactly (text and words) may go
+      const reproducible = next && next.text === stored.text && (!stored.words.length || (words && sameWords(words, stored.words)));
+      if (reproducible && !isCheckpoint(v) && v !== report.latest) plan.push({ version: v, action: 'drop', chars: row.text.length });
+      cur = stored;
+    } else {
+      // A checkpoint only gets its snapshot back with its words; the latest one always does
+      if ((isCheckpoint(v) && words) || v === report.latest) plan.push({ version: v, action: 'restore', text: next.text, words: words || [] });
+      cur = next;
+    }
+  }
+  report.ok = !report.breaks.length;
+  if (!compact) return report;
+
+  for (const step of plan) {
+    try {
+      if (step.action === 'drop') {
+        await setVersionSnapshot(filePath, step.version, null);
+        report.compacted.push(step.version);
+        report.freedChars += step.chars;
+      } else {
+        await setVersionSnapshot(filePath, step.version, { text: step.text, words: step.words });
+        report.materialized.push(step.version);
+      }
+    } catch (e) {
+      report.errors.push(`v${step.version}: ${e?.message || e}`);
+    }
+  }
+  if (report.errors.length) report.ok = false;
+  return report;
+}
+
+export default { verifyAndCompactChain };
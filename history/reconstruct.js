@@ -0,0 +1,70 @@
+// v2/history/reconstruct.js
+// Rebuild any version from the nearest stored snapshot at or below it plus the edit rows in
+// between. Every version is written as a full snapshot; compaction (history/compact.js) later
+// keeps only the checkpoints (v1 and every CHECKPOINT_EVERY-th version) and the latest one.
+
+import { canonicalizeText } from '../shared/canonical.js';
+import { replayEdit, parseTokenOps, applyTokenOps } from '../shared/patch.js';
+import { getTranscriptVersion, getNearestSnapshot, getTranscriptEdits, getAllTranscripts, sha256Hex } from '../data/api.js';
+
+export const CHECKPOINT_EVERY = 20;
+
+/** Versions that keep their full text through compaction */
+export const isCheckpoint = (version) => version === 1 || version % CHECKPOINT_EVERY === 0;
+
+/**
+ * Replay `edits` on a snapshot up to version `to`.
+ * `words` follow along while every edit carries token ops (else null).
+ * @param {{ version:number, text:string, words?:Array|null }} base - text canonicalized
+ * @returns {{ version:number, text:string, words:Array|null, brokenAt?:number, reason?:string }}
+ */
+export function replayChain(base, edits, to) {
+  const byParent = new Map((edits || []).map(e => [e.parent_version, e]));
+  let cur = { version: base.version, text: base.text, words: Array.isArray(base.words) && base.words.length ? base.words : null };
+  while (cur.version < to) {
+    const e = byParent.get(cur.version);
+    if (!e || e.child_version !== cur.version + 1) return { ...cur, brokenAt: cur.version + 1, reason: 'missing-edit' };
+    const next = replayEdit(cur.text, e);
+    if (!next) return { ...cur, brokenAt: e.child_version, reason: 'ops-dont-match-parent' };
+    const ops = cur.words ? parseTokenOps(e.token_ops) : null;
+    cur = { version: e.child_version, text: next.text, words: ops ? applyTokenOps(cur.words, ops) : null };
+  }
+  return cur;
+}
+
+/**
+ * Full row of `version`, rebuilt when it was compacted (hash-checked).
+ * @returns {Promise<Object|null>} the row plus `from`: version of the snapshot it was rebuilt from
+ */
+export async function reconstructVersion(filePath, version) {
+  const row = await getTranscriptVersion(filePath, version);
+  if (row && row.text != null) return { ...row, from: row.version };
+  const snap = await getNearestSnapshot(filePath, version);
+  if (!snap) return null;
+  const edits = await getTranscriptEdits(filePath, { from: snap.version, to: version });
+  const res = replayChain({ version: snap.version, text: canonicalizeText(snap.text || ''), words: snap.words }, edits, version);
+  if (res.brokenAt) { console.warn(`reconstructVersion: ${filePath} v${version} — ${res.reason} at v${res.brokenAt}`); return null; }
+  if (row?.base_sha256 && await sha256Hex(res.text) !== row.base_sha256) { console.warn(`reconstructVersion: ${filePath} v${version} — hash mismatch`); return null; }
+  return { ...(row || {}), version, text: res.text, words: res.words || [], from: snap.version };
+}
+
+/**
+ * All versions (getAllTranscripts rows) with the text of compacted ones filled in by replay;
+ * a version that cannot be rebuilt keeps `text` null.
+ */
+export async function loadVersionTexts(filePath) {
+  const rows = await getAllTranscripts(filePath);
+  if (rows.every(r => r.text != null)) return rows;
+  const edits = await getTranscriptEdits(filePath);
+  const byChild = new Map(edits.map(e => [e.child_version, e]));
+  let prev = null;
+  for (const r of rows) {
+    if (r.text == null && prev?.text != null && prev.version === r.version - 1 && byChild.has(r.version)) {
+      r.text = replayEdit(canonicalizeText(prev.text), byChild.get(r.version))?.text ?? null;
+    }
+    prev = r;
+  }
+  return rows;
+}
+
+export default { CHECKPOINT_EVERY, isCheckpoint, replayChain, reconstructVersion, loadVersionTexts };
@@ -4,7 +4,8 @@
 import { showToast } from '../ui/toast.js';
 import { buildLayersHTML } from './layers-view.js';
 import { setShowingLayers as setLayersFlag } from '../editor/pipeline.js';
-import { getAllTranscripts } from '../data/api.js';
+import { loadVersionTexts } from './reconstruct.js';
+import { transcriptPath } from '../editor/confirmations.js';
 
 export function setupShowLayers(els, workers) {
   if (!els?.showLayersBtn) return;
@@ -13,10 +14,11 @@ export function setupShowLayers(els, workers) {
       const folder = els.transcript?.dataset.folder;
       const file = els.transcript?.dataset.file;
       if (!folder || !file) return;
-      const filePath = `${folder}/${file}`;
+      const filePath = transcriptPath(els.transcript);
 
       try { showToast('מחשב שכבות…', 'info'); } catch {}
-      const versions = await getAllTranscripts(filePath);
+      // Versions that cannot be rebuilt are skipped (their layer merges into the next one)
+      const versions = (await loadVersionTexts(filePath)).filter(v => v.text != null);
       if (!versions || versions.length <= 1) {
         try { showToast('אין שכבות שינויים זמינות', 'info'); } catch {}
         return;
@@ -33,7 +35,7 @@ export function setupShowLayers(els, workers) {
           console.log('a.preview', vis((meta?.aFull||'').slice(0, 120)));
           console.log('b.preview', vis((meta?.bFull||'').slice(0, 120)));
         } catch {}
-        const { diffs } = await workers.diff.send(a, b, { timeoutSec: 0.8, editCost: 8, debugTag: tag });
+        const { diffs } = await workers.diff.send(a, b, { editCost: 8, debugTag: tag });
         try {
           const ops = Array.isArray(diffs) ? diffs : [];
           const inserted = ops.filter(x=>x[0]===1).map(x=>x[1]).join('');
@@ -1,44 +1,31 @@
 // v2/history/verify-chain.js
-// Verify that composing v1 + all saved edit ops reproduces the latest version's hash
+// Verify that replaying the saved edit ops reproduces the latest version's hash (patch rows
+// and legacy JSON diff rows alike, see shared/patch.js). Starts from the nearest stored
+// snapshot below the latest version, or from v1 with `full`.
 
 import { canonicalizeText } from '../shared/canonical.js';
-import { getTranscriptVersion, getTranscriptEdits, getLatestTranscript, sha256Hex } from '../data/api.js';
+import { getTranscriptVersion, getNearestSnapshot, getTranscriptEdits, getLatestTranscript, sha256Hex } from '../data/api.js';
+import { replayChain } from './reconstruct.js';
 
-const reconNew = (ops) => {
-  try { return (ops || []).map(([op, s]) => (op === -1 ? '' : String(s || ''))).join(''); } catch { return ''; }
-};
-const reconOld = (ops) => {
-  try { return (ops || []).map(([op, s]) => (op ===  1 ? '' : String(s || ''))).join(''); } catch { return ''; }
-};
-
-export async function verifyChainHash(filePath) {
+export async function verifyChainHash(filePath, { full = false } = {}) {
   try {
     const latest = await getLatestTranscript(filePath);
     if (!latest) return { ok: true, reason: 'no-version' };
 
-    const v1 = await getTranscriptVersion(filePath, 1);
-    if (!v1) return { ok: false, reason: 'missing-v1' };
-
-    // Start from canonicalized v1 text
-    let text = canonicalizeText(v1.text || '');
-    const edits = (await getTranscriptEdits(filePath)).sort((a, b) => (a.child_version - b.child_version));
+    const base = full || latest.version <= 1 ? await getTranscriptVersion(filePath, 1) : await getNearestSnapshot(filePath, latest.version - 1);
+    if (!base || base.text == null) return { ok: false, reason: full ? 'missing-v1' : 'missing-snapshot' };
 
-    for (const e of edits) {
-      let ops = [];
-      try { ops = JSON.parse(e.token_ops || e.dmp_patch || '[]'); } catch { ops = []; }
-      if (!Array.isArray(ops)) return { ok: false, reason: 'bad-ops', at: e.child_version };
-      const oldOk = canonicalizeText(reconOld(ops)) === text;
-      if (!oldOk) return { ok: false, reason: 'ops-dont-match-parent', at: e.child_version };
-      text = reconNew(ops);
-    }
+    // Start from the canonicalized snapshot text
+    const edits = await getTranscriptEdits(filePath, { from: base.version });
+    const res = replayChain({ version: base.version, text: canonicalizeText(base.text || '') }, edits, latest.version);
+    if (res.brokenAt) return { ok: false, reason: res.reason, at: res.brokenAt, from: base.version };
 
-    const h = await sha256Hex(text);
+    const h = await sha256Hex(res.text);
     const expected = latest.base_sha256 || '';
-    return { ok: !!expected && h === expected, got: h, expected };
+    return { ok: !!expected && h === expected, got: h, expected, from: base.version };
   } catch (err) {
     return { ok: false, reason: 'exception', message: err?.message || String(err) };
   }
 }
 
 export default { verifyChainHash };
-
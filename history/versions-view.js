@@ -0,0 +1,286 @@
+// v2/history/versions-view.js
+// Version timeline in the diff panel: every saved version with its hash, date, author and
+// size change. Any version can be opened read-only in the transcript, any two can be
+// compared, and "revert" commits an old version's content as a new child version (with its
+// edit row) instead of rewriting history.
+
+import { store, getState } from '../core/state.js';
+import { showToast } from '../ui/toast.js';
+import { canonicalizeText } from '../shared/canonical.js';
+import { segmentsFromTokens, retimeSegments, isSegmentList } from '../shared/segments.js';
+import { normalizeRoster } from '../shared/speakers.js';
+import { renderDiffHTML, renderDiffPreview } from '../render/diff-panel.js';
+import { setShowingLayers } from '../editor/pipeline.js';
+import { commitVersion } from './commit.js';
+import { transcriptPath } from '../editor/confirmations.js';
+import { reconstructVersion, loadVersionTexts } from './reconstruct.js';
+import { verifyAndCompactChain } from './compact.js';
+import { isVersionConflict, markCorrection } from '../data/api.js';
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, c => ({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;' }[c]));
+
+const formatDate = (iso) => {
+  const d = iso ? new Date(iso) : null;
+  return d && !isNaN(d) ? d.toLocaleString('he-IL', { dateStyle: 'short', timeStyle: 'short' }) : '';
+};
+
+/** Tokens, segments and roster of a stored version (untimed word tokens when `words` is empty) */
+function versionLayers(row) {
+  const text = canonicalizeText(row.text || '');
+  const tokens = Array.isArray(row.words) && row.words.length ? row.words : (text.match(/\S+\s*|\s+/gu) || []).map(word => ({ word }));
+  const segs = isSegmentList(row.segments) && row.segments.length === text.split('\n').length ? retimeSegments(row.segments, tokens) : segmentsFromTokens(tokens);
+  return { text, tokens, segments: segs, speakers: normalizeRoster(row.speakers, segs) };
+}
+
+/**
+ * Timeline HTML, newest first.
+ * @param {Array<{version:number, base_sha256?:string, text?:string, author_name?:string, created_at?:string}>} versions - ASC
+ */
+export function buildTimelineHTML(filePath, versions, { current = 0, viewing = 0 } = {}) {
+  const rows = versions.map((v, i) => {
+    const len = v.text == null ? null : canonicalizeText(v.text).length;
+    const prev = i ? versions[i - 1].text : '';
+    const delta = len == null || prev == null ? null : len - canonicalizeText(prev).length;
+    const cls = ['version-row', v.version === current ? 'current' : '', v.version === viewing ? 'viewing' : ''].filter(Boolean).join(' ');
+    return `<li class="${cls}" data-version="${v.version}">
+      <input type="radio" name="cmpFrom" value="${v.version}" aria-label="השווה מגרסה ${v.version}" title="השווה מ־"${i === versions.length - 2 ? ' checked' : ''} />
+      <input type="radio" name="cmpTo" value="${v.version}" aria-label="השווה לגרסה ${v.version}" title="השווה אל"${i === versions.length - 1 ? ' checked' : ''} />
+      <strong>v${v.version}</strong>
+      <code class="version-hash" title="${escapeHtml(v.base_sha256 || '')}">${escapeHtml((v.base_sha256 || '').slice(0, 8) || '—')}</code>
+      <span class="hint">${escapeHtml(formatDate(v.created_at))}</span>
+      <span class="hint">${escapeHtml(v.author_name || '')}</span>
+      <span class="version-delta ${delta > 0 ? 'plus' : (delta < 0 ? 'minus' : '')}" title="שינוי באורך (תווים)">${delta == null ? '—' : `${delta > 0 ? '+' : ''}${delta}`}</span>
+      <span class="version-actions">
+        <button class="pill" type="button" data-act="view" title="פתח לקריאה בלבד">👁️ צפה</button>
+        <button class="pill" type="button" data-act="revert" title="שמור את תוכן הגרסה כגרסה חדשה"${v.version === current ? ' disabled' : ''}>↩️ שחזר</button>
+      </span>
+    </li>`;
+  }).reverse().join('');
+  return `<div class="hint">גרסאות עבור ${escapeHtml(filePath)}</div>
+    <ol class="version-list">${rows}</ol>
+    <div class="version-compare">
+      <button class="pill" type="button" data-act="compare">השווה בין הגרסאות המסומנות</button>
+      <button class="pill" type="button" data-act="maintain" title="בדוק את רצף העריכות ושמור טקסט מלא רק בנקודות ביקורת">🧰 אימות ודחיסה</button>
+    </div>
+    <div class="version-diff" dir="auto"></div>`;
+}
+
+const BREAK_REASONS = {
+  'missing-version': 'הגרסה חסרה',
+  'missing-edit': 'רשומת העריכה חסרה',
+  'ops-dont-match-parent': 'העריכה אינה מתאימה לגרסת האב',
+  'hash-mismatch': 'הגיבוב אינו תואם',
+  'unrecoverable': 'לא ניתן לשחזר את הטקסט',
+};
+
+/** Report of verifyAndCompactChain as HTML */
+export function buildChainReportHTML(report) {
+  const breaks = report.breaks.map(b => `<li>v${b.version}: ${escapeHtml(BREAK_REASONS[b.reason] || b.reason)}</li>`).join('');
+  const errors = report.errors.map(e => `<li>${escapeHtml(e)}</li>`).join('');
+  return `<div class="hint">${report.breaks.length ? `נמצאו ${report.breaks.length} שברים ברצף הגרסאות:` : `רצף הגרסאות תקין (v1–v${report.latest})`}</div>
+    ${breaks ? `<ul class="chain-breaks">${breaks}</ul>` : ''}
+    <div class="hint">נדחסו ${report.compacted.length} גרסאות (${report.freedChars.toLocaleString('he-IL')} תווים), שוחזרו ${report.materialized.length} נקודות ביקורת</div>
+    ${errors ? `<div class="hint">כתיבות שנכשלו:</div><ul class="chain-breaks">${errors}</ul>` : ''}`;
+}
+
+/**
+ * @param {{ transcript:HTMLElement, diffBody:HTMLElement, versionsBtn?:HTMLElement, versionBar?:HTMLElement,
+ *   versionBarLabel?:HTMLElement, versionBarExit?:HTMLElement, versionBarRevert?:HTMLElement,
+ *   showLayersBtn?:HTMLElement, blameBtn?:HTMLElement, files?:HTMLElement }} els
+ * @param {{ workers:Object, editor?:{ refreshDiff?:Function } }} deps
+ */
+export function setupVersionsView(els, { workers, editor } = {}) {
+  if (!els?.versionsBtn || !els?.diffBody || !workers) return;
+  let open = false;
+  let versions = [];
+  let busy = false;
+  /** Editing state put aside while an old version is shown read-only */
+  let stash = null;
+
+  const filePath = () => transcriptPath(els.transcript);
+  const hasFile = () => !!(els.transcript?.dataset.folder && els.transcript?.dataset.file);
+
+  function close({ refresh = true } = {}) {
+    if (!open) return;
+    open = false;
+    els.versionsBtn.setAttribute('aria-pressed', 'false');
+    setShowingLayers(false);
+    if (refresh) editor?.refreshDiff?.();
+  }
+
+  async function showTimeline() {
+    if (!hasFile()) { showToast('לא נבחר קובץ', 'error'); return; }
+    open = true;
+    els.versionsBtn.setAttribute('aria-pressed', 'true');
+    setShowingLayers(true);
+    versions = await loadVersionTexts(filePath());
+    if (!open) return;
+    if (!versions.length) { showToast('אין גרסאות שמורות לקובץ זה', 'info'); close(); return; }
+    render();
+  }
+
+  function render() {
+    const st = getState();
+    els.diffBody.innerHTML = buildTimelineHTML(filePath(), versions, { current: stash ? stash.state.version : st.version, viewing: st.viewingVersion });
+  }
+
+  /** Fetch a version row (text + words + layers), rebuilt from the nearest snapshot if compacted */
+  async function fetchVersion(v) {
+    const row = await reconstructVersion(filePath(), v);
+    if (!row) showToast(`טעינת גרסה ${v} נכשלה`, 'error');
+    return row;
+  }
+
+  // ---- Read-only checkout ----
+  async function view(v) {
+    const row = await fetchVersion(v);
+    if (!row) return;
+    const st = getState();
+    if (!stash) stash = { state: { tokens: st.tokens, liveText: st.liveText, segments: st.segments, segmentsText: st.segmentsText, speakers: st.speakers, confirmedRanges: st.confirmedRanges, version: st.version } };
+    const layers = versionLayers(row);
+    store.setState({ viewingVersion: row.version }, 'version:view');
+    els.transcript.contentEditable = 'false';
+    store.setTokens(layers.tokens);
+    store.setLiveText(layers.text);
+    store.setSegments(layers.segments, layers.text);
+    store.setSpeakers(layers.speakers);
+    store.setConfirmedRanges([]);
+    if (els.versionBar) els.versionBar.hidden = false;
+    if (els.versionBarLabel) els.versionBarLabel.textContent = `מוצגת גרסה v${row.version} לקריאה בלבד`;
+    if (els.versionBarRevert) els.versionBarRevert.disabled = row.version === stash.state.version;
+    if (open) render();
+  }
+
+  /** Leave the read-only view; `restore` false when the store already holds what should stay */
+  function exitView({ restore = true } = {}) {
+    if (!stash) return;
+    const { state } = stash;
+    stash = null;
+    // Restored while still flagged, so listeners see no edit
+    if (restore) {
+      store.setTokens(state.tokens);
+      store.setLiveText(state.liveText);
+      store.setSegments(state.segments, state.segmentsText);
+      store.setSpeakers(state.speakers);
+      store.setConfirmedRanges(state.confirmedRanges);
+    }
+    store.setState({ viewingVersion: 0 }, 'version:view');
+    els.transcript.contentEditable = 'true';
+    if (els.versionBar) els.versionBar.hidden = true;
+    if (open) render();
+  }
+
+  // ---- Compare any two ----
+  async function compare() {
+    const from = +els.diffBody.querySelector('input[name="cmpFrom"]:checked')?.value;
+    const to = +els.diffBody.querySelector('input[name="cmpTo"]:checked')?.value;
+    const out = els.diffBody.querySelector('.version-diff');
+    if (!from || !to || !out) return;
+    if (from === to) { showToast('בחר שתי גרסאות שונות', 'info'); return; }
+    const a = versions.find(v => v.version === from), b = versions.find(v => v.version === to);
+    if (a?.text == null || b?.text == null) { showToast('לא ניתן לשחזר את אחת הגרסאות', 'error'); return; }
+    try {
+      const { diffs } = await workers.diff.send(canonicalizeText(a?.text || ''), canonicalizeText(b?.text || ''), { editCost: 8 });
+      const head = document.createElement('div');
+      head.className = 'hint';
+      head.textContent = `v${from} → v${to}`;
+      const body = document.createElement('div');
+      renderDiffHTML(body, diffs);
+      out.replaceChildren(head, body);
+    } catch (e) {
+      console.warn('Version compare failed:', e);
+      showToast('ההשוואה נכשלה', 'error');
+    }
+  }
+
+  // ---- Revert: the old content becomes a new child of the current version ----
+  async function revert(v) {
+    if (busy) return;
+    const path = filePath();
+    const row = await fetchVersion(v);
+    if (!row) return;
+    const base = stash ? stash.state : getState();
+    const live = canonicalizeText(base.liveText || '');
+    const layers = versionLayers(row);
+    if (layers.text === live) { showToast('הטקסט הנוכחי זהה לגרסה זו', 'info'); return; }
+    busy = true;
+    try {
+      let diffs = [];
+      try { ({ diffs } = await workers.diff.send(live, layers.text, { editCost: 8 })); }
+      catch (e) { console.warn('Revert preview diff failed:', e); }
+      const hadUnsaved = live !== canonicalizeText(getState().text || '');
+      setShowingLayers(true);
+      const ok = await renderDiffPreview(els.diffBody, diffs, {
+        title: `שחזור לגרסה v${v} — השוואה מול הטקסט הנוכחי${hadUnsaved ? ' (שינויים שלא נשמרו יאבדו)' : ''}:`,
+        confirmLabel: 'שחזר כגרסה חדשה'
+      });
+      if (!ok) { if (open) render(); else setShowingLayers(false); return; }
+      if (filePath() !== path) { showToast('הקובץ הפתוח השתנה — השחזור בוטל', 'info'); return; }
+
+      const parentVersion = base.version > 0 ? base.version : null;
+      const res = await commitVersion(path, { parentVersion, parentText: canonicalizeText(getState().text || ''), parentWords: getState().words || null, text: layers.text, words: layers.tokens, segments: layers.segments, speakers: layers.speakers }, workers);
+      exitView({ restore: false });
+      store.setConfirmedRanges([]);
+      store.setTokens(layers.tokens);
+      store.setLiveText(layers.text);
+      store.setSegments(layers.segments, layers.text);
+      store.setSpeakers(layers.speakers);
+      store.setState({ version: res?.version || 0, base_sha256: res?.base_sha256 || '', text: layers.text, words: layers.tokens }, 'version:saved');
+      try { markCorrection(path); } catch {}
+      showToast(`שוחזרה גרסה v${v} כגרסה v${res?.version ?? '?'}`, 'success');
+      if (open) await showTimeline();
+      else setShowingLayers(false);
+    } catch (e) {
+      if (isVersionConflict(e)) showToast('נשמרה גרסה חדשה בינתיים — טען את הפרק מחדש ונסה שוב', 'error', 4000);
+      else { console.warn('Revert failed:', e); showToast(`השחזור נכשל: ${e.message || e}`, 'error', 4000); }
+      if (open) render();
+    } finally {
+      busy = false;
+      if (!open) try { editor?.refreshDiff?.(); } catch {}
+    }
+  }
+
+  // ---- Maintenance: verify the chain and compact snapshots ----
+  async function maintain(btn) {
+    if (busy) return;
+    busy = true;
+    btn.disabled = true;
+    try {
+      const report = await verifyAndCompactChain(filePath(), {
+        onProgress: (done, total) => { btn.textContent = `🧰 ${done}/${total}`; }
+      });
+      if (!open) return;
+      await showTimeline();
+      els.diffBody.querySelector('.version-diff')?.insertAdjacentHTML('beforeend', buildChainReportHTML(report));
+      showToast(report.ok ? 'רצף הגרסאות אומת ונדחס' : 'נמצאו בעיות ברצף הגרסאות', report.ok ? 'success' : 'error');
+    } catch (e) {
+      console.warn('Chain maintenance failed:', e);
+      showToast(`האימות נכשל: ${e.message || e}`, 'error');
+      if (open) render();
+    } finally {
+      busy = false;
+    }
+  }
+
+  els.versionsBtn.addEventListener('click', () => { if (open) close(); else showTimeline(); });
+  els.diffBody.addEventListener('click', (e) => {
+    if (!open) return;
+    const btn = e.target.closest?.('button[data-act]');
+    if (!btn) return;
+    const v = +btn.closest('[data-version]')?.dataset.version;
+    if (btn.dataset.act === 'view' && v) view(v);
+    else if (btn.dataset.act === 'revert' && v) revert(v);
+    else if (btn.dataset.act === 'compare') compare();
+    else if (btn.dataset.act === 'maintain') maintain(btn);
+  });
+  els.versionBarExit?.addEventListener('click', () => exitView());
+  els.versionBarRevert?.addEventListener('click', () => { const v = getState().viewingVersion; if (v) revert(v); });
+  // Other diff-panel views take the panel over; typing hands it back to the live diff
+  for (const b of [els.showLayersBtn, els.blameBtn]) b?.addEventListener('click', () => close({ refresh: false }));
+  els.transcript.addEventListener('input', () => close({ refresh: false }));
+  store.subscribe((_st, tag) => {
+    if (tag === 'version:init' || tag === 'version:clear') { exitView({ restore: false }); close(); }
+  });
+}
+
+export default { buildTimelineHTML, buildChainReportHTML, setupVersionsView };
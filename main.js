@@ -5,16 +5,33 @@ import { store, getState, makeThrottle } from './core/state.js';
 import { ScrollVirtualizer } from './render/virtualizer.js';
 import { setupPlayerSync } from './player/sync.js';
 import { setupBrowser } from './data/browser.js';
-import { setupSupabase } from './data/supabase-init.js';
+import { setupBackend } from './data/backend-init.js';
 import { setupShowLayers } from './history/show-layers.js';
+import { setupBlame } from './history/blame-view.js';
+import { setupVersionsView } from './history/versions-view.js';
 import { setupScrollSync, setupGutters } from './ui/layout.js';
 import { setupKaraokeFollow } from './player/karaoke.js';
+import { setupTimeline } from './player/timeline.js';
 import { setupSettingsModal } from './ui/settings-modal.js';
 import { setupThemeToggle } from './ui/theme.js';
 import { setupUIControls } from './ui/controls.js';
+import { setupExportMenu } from './ui/export-menu.js';
+import { setupImport } from './ui/import.js';
+import { setupSearch } from './ui/search-panel.js';
 import { setupHud } from './ui/hud.js';
+import { setupDiffOptions } from './ui/diff-options.js';
 import { setupEditorPipeline as setupEditorPipelineMod, setShowingLayers as setLayersFlag, getTypingQuietUntil, setTypingQuiet as setTypingQuiet } from './editor/pipeline.js';
 import { initWorkers } from './workers/init.js';
+import { setupUndoRedo } from './editor/history.js';
+import { setupFindReplace } from './editor/find-replace.js';
+import { setupSegmentCommands } from './editor/segment-commands.js';
+import { setupRealign } from './editor/realign.js';
+import { setupReview } from './editor/review.js';
+import { setupConfirmations } from './editor/confirmations.js';
+import { setupSpeakers } from './ui/speakers.js';
+import { setupShortcuts } from './ui/shortcuts.js';
+import { setupJournalSync } from './data/journal.js';
+import { showToast } from './ui/toast.js';
 
 // makeDebounce and caret helpers now live in editor/pipeline.js and UI modules.
 
@@ -34,6 +51,24 @@ const els = {
   mSave: document.getElementById('mSave'),
   mClear: document.getElementById('mClear'),
   mClose: document.getElementById('mClose'),
+  // Shortcut cheat sheet
+  shortcutsBtn: document.getElementById('shortcutsBtn'),
+  shortcutSheet: document.getElementById('shortcutSheet'),
+  shortcutList: document.getElementById('shortcutList'),
+  shortcutRewind: document.getElementById('shortcutRewind'),
+  shortcutReset: document.getElementById('shortcutReset'),
+  shortcutClose: document.getElementById('shortcutClose'),
+  realignEngine: document.getElementById('realignEngine'),
+  realignServerUrl: document.getElementById('realignServerUrl'),
+  backendDriver: document.getElementById('backendDriver'),
+  backendDataUrl: document.getElementById('backendDataUrl'),
+  sourceProfile: document.getElementById('sourceProfile'),
+  sourceProfiles: document.getElementById('sourceProfiles'),
+  sourceBadge: document.getElementById('sourceBadge'),
+  displayName: document.getElementById('displayName'),
+  authEmail: document.getElementById('authEmail'),
+  authBtn: document.getElementById('authBtn'),
+  authStatus: document.getElementById('authStatus'),
   themeToggle: document.getElementById('themeToggle'),
   themeIcon: document.getElementById('themeIcon'),
   // Added controls
@@ -41,9 +76,60 @@ const els = {
   fontMinus: document.getElementById('fontMinus'),
   fontPlus: document.getElementById('fontPlus'),
   markReliable: document.getElementById('markReliable'),
+  confirmOrphans: document.getElementById('confirmOrphans'),
+  confirmOrphanList: document.getElementById('confirmOrphanList'),
+  confirmOrphanClear: document.getElementById('confirmOrphanClear'),
   markUnreliable: document.getElementById('markUnreliable'),
   scrollTopBtn: document.getElementById('scrollTopBtn'),
   dlVtt: document.getElementById('dlVtt'),
+  exportMenu: document.getElementById('exportMenu'),
+  exportFormat: document.getElementById('exportFormat'),
+  exportOptions: document.getElementById('exportOptions'),
+  exportBtn: document.getElementById('exportBtn'),
+  importBtn: document.getElementById('importBtn'),
+  importFile: document.getElementById('importFile'),
+  // Find/replace bar
+  findBtn: document.getElementById('findBtn'),
+  findBar: document.getElementById('findBar'),
+  findInput: document.getElementById('findInput'),
+  replaceInput: document.getElementById('replaceInput'),
+  findMode: document.getElementById('findMode'),
+  findNiqqud: document.getElementById('findNiqqud'),
+  findFinals: document.getElementById('findFinals'),
+  findCase: document.getElementById('findCase'),
+  findCount: document.getElementById('findCount'),
+  findPrev: document.getElementById('findPrev'),
+  findNext: document.getElementById('findNext'),
+  replaceAllBtn: document.getElementById('replaceAllBtn'),
+  findClose: document.getElementById('findClose'),
+  // Review queue
+  reviewBtn: document.getElementById('reviewBtn'),
+  reviewBar: document.getElementById('reviewBar'),
+  reviewOrder: document.getElementById('reviewOrder'),
+  reviewWord: document.getElementById('reviewWord'),
+  reviewProgress: document.getElementById('reviewProgress'),
+  reviewPlay: document.getElementById('reviewPlay'),
+  reviewAccept: document.getElementById('reviewAccept'),
+  reviewEdit: document.getElementById('reviewEdit'),
+  reviewSkip: document.getElementById('reviewSkip'),
+  reviewClose: document.getElementById('reviewClose'),
+  // Segment split/merge
+  splitSegBtn: document.getElementById('splitSegBtn'),
+  mergeSegBtn: document.getElementById('mergeSegBtn'),
+  realignBtn: document.getElementById('realignBtn'),
+  // Speakers
+  speakerGutter: document.getElementById('speakerGutter'),
+  speakerPanel: document.getElementById('speakerPanel'),
+  speakerList: document.getElementById('speakerList'),
+  speakerAdd: document.getElementById('speakerAdd'),
+  // Timeline
+  timelineBtn: document.getElementById('timelineBtn'),
+  timeline: document.getElementById('timeline'),
+  tlCanvas: document.getElementById('tlCanvas'),
+  tlMode: document.getElementById('tlMode'),
+  tlZoomIn: document.getElementById('tlZoomIn'),
+  tlZoomOut: document.getElementById('tlZoomOut'),
+  tlStatus: document.getElementById('tlStatus'),
   rate: document.getElementById('rate'),
   rateVal: document.getElementById('rateVal'),
   // Layout & gutters
@@ -51,9 +137,27 @@ const els = {
   gutterL: document.getElementById('gutterL'),
   gutterR: document.getElementById('gutterR'),
   browserCard: document.getElementById('browserCard'),
+  browserGrid: document.getElementById('browserGrid'),
+  searchInput: document.getElementById('searchInput'),
+  searchReindex: document.getElementById('searchReindex'),
+  searchBaselines: document.getElementById('searchBaselines'),
+  searchStatus: document.getElementById('searchStatus'),
+  searchResults: document.getElementById('searchResults'),
   diffCard: document.getElementById('diffCard'),
   transcriptCard: document.getElementById('transcriptCard'),
   showLayersBtn: document.getElementById('showLayersBtn'),
+  diffGranularity: document.getElementById('diffGranularity'),
+  diffCleanup: document.getElementById('diffCleanup'),
+  diffIgnoreSpace: document.getElementById('diffIgnoreSpace'),
+  diffIgnorePunct: document.getElementById('diffIgnorePunct'),
+  blameBtn: document.getElementById('blameBtn'),
+  versionsBtn: document.getElementById('versionsBtn'),
+  versionBar: document.getElementById('versionBar'),
+  versionBarLabel: document.getElementById('versionBarLabel'),
+  versionBarRevert: document.getElementById('versionBarRevert'),
+  versionBarExit: document.getElementById('versionBarExit'),
+  undoBtn: document.getElementById('undoBtn'),
+  redoBtn: document.getElementById('redoBtn'),
 };
 
 // Global edit generation: increments on input/IME end or document switch
@@ -95,7 +199,8 @@ const workers = initWorkers();
 const virtualizer = new ScrollVirtualizer({
   container: els.transcript,
   // Scroll actually occurs on the card body wrapper
-  scrollEl: els.transcriptCard ? els.transcriptCard.querySelector('.body') : els.transcript
+  scrollEl: els.transcriptCard ? els.transcriptCard.querySelector('.body') : els.transcript,
+  gutter: els.speakerGutter
 });
 // Initialize renderer settings from store
 try {
@@ -123,9 +228,10 @@ const { metrics } = setupHud(virtualizer);
 // Subscribe to store updates
 store.subscribe((state, tag) => {
   if (tag === 'tokens' || tag === 'baseline') {
-    const tokens = state.tokens && state.tokens.length ? state.tokens :
+    const own = state.tokens && state.tokens.length;
+    const tokens = own ? state.tokens :
       (state.baselineTokens && state.baselineTokens.length ? state.baselineTokens : []);
-    virtualizer.setTokens(tokens);
+    virtualizer.setTokens(tokens, own ? state.tokenIds : null);
   }
   if (tag === 'settings:probEnabled') {
     virtualizer.setProbEnabled(!!state.settings?.probEnabled);
@@ -136,6 +242,9 @@ store.subscribe((state, tag) => {
   if (tag === 'confirmedRanges') {
     virtualizer.setConfirmedRanges(state.confirmedRanges);
   }
+  if (tag === 'segments' || tag === 'speakers') {
+    virtualizer.setSpeakers(state.segments, state.speakers);
+  }
   if (tag === 'version:init' || tag === 'version:clear' || tag === 'version:saved') {
     updateVersionBadge();
   }
@@ -156,11 +265,11 @@ if (els.player) {
 
 // Editing pipeline (modeless)
 const editGenRef = { value: editGen };
-const getDocKey = () => `${els.transcript?.dataset.folder || ''}/${els.transcript?.dataset.file || ''}`;
+const getDocKey = () => els.transcript?.dataset.path || `${els.transcript?.dataset.folder || ''}/${els.transcript?.dataset.file || ''}`;
 const setTypingQuietUntil = (ts) => { typingQuietUntil = ts; setTypingQuiet(ts); };
 const isIdleFn = () => (nowMs() >= typingQuietUntil) && (pending.diff + pending.align === 0);
 function setupEditorPipelineAdapter() {
-  setupEditorPipelineMod(els, {
+  return setupEditorPipelineMod(els, {
     workers,
     virtualizer,
     getDocKey,
@@ -170,14 +279,32 @@ function setupEditorPipelineAdapter() {
     nowMs
   });
 }
-setupEditorPipelineAdapter();
+const editor = setupEditorPipelineAdapter();
+metrics.sync = editor.syncStats;
+
+// Undo/redo (keyboard + toolbar) on top of the pipeline's history
+setupUndoRedo(els, editor);
+setupImport(els, { workers, editor });
+setupFindReplace(els, { workers, editor, virtualizer });
+setupSegmentCommands(els, { editor });
+setupConfirmations(els);
+setupRealign(els, { workers });
+setupSpeakers(els);
 
-// Configure Supabase (enables save + correction markers)
-const supaReady = setupSupabase();
+// Connect the backend driver (enables save + correction markers)
+const supaReady = setupBackend();
 
 // Initialize browser (folder/file listing) after (or regardless of) Supabase init
 Promise.resolve(supaReady).catch(() => { }).finally(() => {
-  setupBrowser(els, { bumpEditGen: () => { editGen++; } });
+  const browser = setupBrowser(els, { bumpEditGen: () => { editGen++; } });
+  setupSearch(els, { openPath: browser?.openPath, playerCtrl });
+  // Replay offline-journaled saves once Supabase is available (and on every reconnect)
+  setupJournalSync({
+    onResult: ({ replayed, conflicts }) => {
+      if (replayed) showToast(`סונכרנו ${replayed} שמירות שהמתינו`, 'success');
+      for (const path of conflicts) showToast(`התנגשות בסנכרון: ${path} — פתח את הקובץ כדי למזג`, 'error', 6000);
+    }
+  });
 });
 
 // Initialize settings modal
@@ -188,6 +315,7 @@ setupThemeToggle(els);
 
 // Wire UI controls (rate, VTT, font, confirm, back-to-top)
 setupUIControls(els, { workers }, virtualizer, playerCtrl, isIdle);
+setupExportMenu(els);
 
 // Gutters and scroll sync
 setupGutters(els);
@@ -195,6 +323,9 @@ setupScrollSync(els);
 
 // Karaoke follow (highlight + gentle auto-scroll)
 setupKaraokeFollow(els, virtualizer);
+setupTimeline(els, { playerCtrl });
+setupShortcuts(els, { playerCtrl, virtualizer });
+setupReview(els, { playerCtrl, virtualizer });
 
 /* transcript interactions */
 // Alt+click a word to seek/play from its start (keeps normal click for editing)
@@ -226,3 +357,9 @@ if (els.transcript && els.player) {
 
 // Diff layers (show all dmp_patch rows)
 setupShowLayers(els, workers);
+// Per-character attribution (who changed what, and when)
+setupBlame(els, { workers, editor });
+// Version timeline: read-only checkout, compare any two, revert
+setupVersionsView(els, { workers, editor });
+// Diff panel toggles: granularity, semantic cleanup, ignore whitespace/punctuation
+setupDiffOptions(els, { editor });
@@ -0,0 +1,143 @@
+// v2/player/audio-decode.js
+// Decode the episode audio with WebAudio and reduce it to what the timeline draws:
+// min/max peaks, a low-resolution spectrogram and an 8 kHz mono copy for analysis.
+// Only the most recent URL is kept in memory.
+
+export const ANALYSIS_RATE = 8000;   // Hz; speech detail lives well below 4 kHz
+export const PEAK_RATE = 200;        // min/max pairs per second
+export const SPEC_FRAME_RATE = 50;   // spectrogram columns per second
+const FFT_SIZE = 256;                // → 128 frequency bins up to 4 kHz
+const SPEC_FLOOR_DB = -90;
+
+let cache = null; // { url, promise }
+
+/**
+ * @typedef {Object} AudioAnalysis
+ * @property {number} duration          - seconds
+ * @property {number} sampleRate        - of `samples` (ANALYSIS_RATE)
+ * @property {Float32Array} samples     - mono, resampled
+ * @property {number} peakRate
+ * @property {Float32Array} peaks       - interleaved [min, max] per 1/peakRate s
+ * @property {{ frameRate:number, bins:number, data:Uint8Array }} spectrogram - frames × bins, 0..255 (dB scaled)
+ */
+
+const yieldToUi = () => new Promise(r => setTimeout(r, 0));
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw Object.assign(new Error('Aborted'), { name: 'AbortError' });
+}
+
+/** Fetch + decode, resampled to ANALYSIS_RATE and mixed down to mono */
+export async function decodeAudio(url, { signal } = {}) {
+  const res = await fetch(url, { signal });
+  if (!res.ok) throw new Error(`HTTP ${res.status} בטעינת האודיו`);
+  const buf = await res.arrayBuffer();
+  throwIfAborted(signal);
+  const Ctx = globalThis.OfflineAudioContext || globalThis.webkitOfflineAudioContext;
+  if (!Ctx) throw new Error('הדפדפן אינו תומך ב-WebAudio');
+  // decodeAudioData resamples to the context rate
+  const audio = await new Ctx(1, 1, ANALYSIS_RATE).decodeAudioData(buf);
+  const n = audio.length;
+  const mono = new Float32Array(n);
+  for (let c = 0; c < audio.numberOfChannels; c++) {
+    const ch = audio.getChannelData(c);
+    for (let i = 0; i < n; i++) mono[i] += ch[i];
+  }
+  if (audio.numberOfChannels > 1) for (let i = 0; i < n; i++) mono[i] /= audio.numberOfChannels;
+  return { samples: mono, sampleRate: audio.sampleRate, duration: audio.duration };
+}
+
+/** Interleaved min/max per 1/PEAK_RATE seconds */
+export function computePeaks(samples, sampleRate, rate = PEAK_RATE) {
+  const step = Math.max(1, Math.round(sampleRate / rate));
+  const count = Math.ceil(samples.length / step);
+  const peaks = new Float32Array(count * 2);
+  for (let p = 0; p < count; p++) {
+    let lo = 0, hi = 0;
+    const end = Math.min(samples.length, (p + 1) * step);
+    for (let i = p * step; i < end; i++) { const v = samples[i]; if (v < lo) lo = v; if (v > hi) hi = v; }
+    peaks[2 * p] = lo; peaks[2 * p + 1] = hi;
+  }
+  return peaks;
+}
+
+/** In-place iterative radix-2 FFT (re/im of length FFT_SIZE) */
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) { [re[i], re[j]] = [re[j], re[i]]; [im[i], im[j]] = [im[j], im[i]]; }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = -2 * Math.PI / len;
+    const wr = Math.cos(ang), wi = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1, ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k, b = a + len / 2;
+        const xr = re[b] * cr - im[b] * ci, xi = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - xr; im[b] = im[a] - xi;
+        re[a] += xr; im[a] += xi;
+        const t = cr * wr - ci * wi; ci = cr * wi + ci * wr; cr = t;
+      }
+    }
+  }
+}
+
+/** Magnitude spectrogram, one Hann-windowed frame per 1/frameRate s; yields to the UI between chunks */
+export async function computeSpectrogram(samples, sampleRate, { frameRate = SPEC_FRAME_RATE, signal, onProgress } = {}) {
+  const hop = Math.max(1, Math.round(sampleRate / frameRate));
+  const frames = Math.ceil(samples.length / hop);
+  const bins = FFT_SIZE / 2;
+  const data = new Uint8Array(frames * bins);
+  const win = new Float32Array(FFT_SIZE);
+  for (let i = 0; i < FFT_SIZE; i++) win[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FFT_SIZE - 1));
+  const re = new Float32Array(FFT_SIZE), im = new Float32Array(FFT_SIZE);
+  const scale = 255 / -SPEC_FLOOR_DB;
+  for (let f = 0; f < frames; f++) {
+    const off = f * hop - FFT_SIZE / 2;
+    for (let i = 0; i < FFT_SIZE; i++) { const s = samples[off + i]; re[i] = (s === undefined ? 0 : s) * win[i]; im[i] = 0; }
+    fft(re, im);
+    for (let b = 0; b < bins; b++) {
+      const mag = Math.hypot(re[b], im[b]) / (FFT_SIZE / 4);
+      const db = 20 * Math.log10(mag + 1e-9);
+      data[f * bins + b] = Math.max(0, Math.min(255, (db - SPEC_FLOOR_DB) * scale));
+    }
+    if ((f & 2047) === 2047) {
+      throwIfAborted(signal);
+      onProgress?.(f / frames);
+      await yieldToUi();
+    }
+  }
+  return { frameRate: sampleRate / hop, bins, data };
+}
+
+/**
+ * Decode + analyze `url` (cached for the last URL).
+ * @param {string} url
+ * @param {{ signal?:AbortSignal, onProgress?:(phase:string, ratio:number)=>void }} [opts]
+ * @returns {Promise<AudioAnalysis>}
+ */
+export function analyzeAudio(url, { signal, onProgress } = {}) {
+  if (cache?.url === url) return cache.promise;
+  const promise = (async () => {
+    onProgress?.('decode', 0);
+    const { samples, sampleRate, duration } = await decodeAudio(url, { signal });
+    const peaks = computePeaks(samples, sampleRate);
+    const spectrogram = await computeSpectrogram(samples, sampleRate, { signal, onProgress: (r) => onProgress?.('spectrogram', r) });
+    return { duration, sampleRate, samples, peakRate: PEAK_RATE, peaks, spectrogram };
+  })();
+  cache = { url, promise };
+  // A failed/aborted analysis must not stick in the cache
+  promise.catch(() => { if (cache?.promise === promise) cache = null; });
+  return promise;
+}
+
+/** Analysis for `url` if it is already cached (never starts a decode) */
+export function cachedAnalysis(url) {
+  return cache?.url === url ? cache.promise : null;
+}
+
+export default { analyzeAudio, cachedAnalysis, decodeAudio, computePeaks, computeSpectrogram, ANALYSIS_RATE, PEAK_RATE, SPEC_FRAME_RATE };
@@ -57,6 +57,9 @@ export function setupKaraokeFollow(els, virtualizer) {
       const sp = els.transcript?.querySelector(`span.word[data-ti="${i}"]`);
       if (sp) {
         try { sp.scrollIntoView({ block: 'nearest', inline: 'nearest', behavior: 'smooth' }); } catch {}
+      } else if (virtualizer.offsetOfToken?.(i) >= 0) {
+        // Not rendered (virtualized away): jump there; the window renders around it
+        virtualizer.scrollToOffset(virtualizer.offsetOfToken(i));
       }
       lastIdx = i;
     }
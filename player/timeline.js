@@ -0,0 +1,390 @@
+// v2/player/timeline.js
+// Canvas timeline under the player: waveform or spectrogram, word boxes from the store's
+// tokens and the playhead. Dragging a box edge re-times that word and marks it
+// timing:'manual', which later align passes keep as an anchor. Boxes are colored by
+// how their timing was derived (shared/timing.js).
+
+import { store, getState } from '../core/state.js';
+import { analyzeAudio } from './audio-decode.js';
+import { retimeSegments } from '../shared/segments.js';
+import { TIMING } from '../shared/timing.js';
+
+const LS_KEY = 'v2:timeline';
+const EDGE_PX = 5;
+const MIN_WORD_DUR = 0.02;
+const MIN_PPS = 5, MAX_PPS = 2000;
+const AXIS_H = 14;
+
+// Hand-set timing since the last load/save (timing-only edits are still worth saving)
+let timingDirty = false;
+
+/** True when word timing was edited on the timeline since the episode was loaded or saved */
+export function hasUnsavedTimingChanges() {
+  return timingDirty;
+}
+
+/** Record a timing edit made outside the timeline (e.g. region re-alignment) */
+export function markTimingEdited() {
+  timingDirty = true;
+}
+
+// Word box fill/stroke per timing tag; baseline ASR and imported timing use the accent color
+const TIMING_STYLE = {
+  [TIMING.MANUAL]: ['rgba(34, 197, 94, .30)', '#16a34a'],
+  [TIMING.INTERPOLATED]: ['rgba(249, 115, 22, .22)', '#ea580c'],
+  [TIMING.IMPORTED]: null,
+};
+const PINNED_STYLE = ['rgba(147, 51, 234, .22)', '#9333ea']; // realign engines
+
+function loadPrefs() {
+  try { return JSON.parse(localStorage.getItem(LS_KEY) || '{}') || {}; } catch { return {}; }
+}
+
+const cssVar = (name, fallback) => getComputedStyle(document.documentElement).getPropertyValue(name).trim() || fallback;
+
+/** 256-entry RGB lookup for spectrogram magnitudes (dark blue → magenta → yellow) */
+function buildColorMap() {
+  const stops = [[0, [8, 8, 32]], [0.35, [60, 20, 120]], [0.6, [190, 40, 110]], [0.8, [245, 120, 40]], [1, [252, 240, 120]]];
+  const lut = new Uint8Array(256 * 3);
+  for (let i = 0; i < 256; i++) {
+    const v = i / 255;
+    let k = 1;
+    while (k < stops.length - 1 && stops[k][0] < v) k++;
+    const [p0, c0] = stops[k - 1], [p1, c1] = stops[k];
+    const f = (v - p0) / (p1 - p0 || 1);
+    for (let c = 0; c < 3; c++) lut[i * 3 + c] = Math.round(c0[c] + (c1[c] - c0[c]) * f);
+  }
+  return lut;
+}
+
+/** Tick spacing (seconds) giving roughly `targetPx` between labels */
+function tickStep(pps, targetPx = 80) {
+  const steps = [0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600];
+  return steps.find(s => s * pps >= targetPx) || 1200;
+}
+
+const fmtTime = (t) => {
+  const m = Math.floor(t / 60), s = t - m * 60;
+  return `${m}:${s < 10 ? '0' : ''}${s.toFixed(s % 1 ? 1 : 0)}`;
+};
+
+/**
+ * @param {{ player?:HTMLMediaElement, timeline?:HTMLElement, timelineBtn?:HTMLElement, tlCanvas?:HTMLCanvasElement,
+ *   tlMode?:HTMLSelectElement, tlZoomIn?:HTMLElement, tlZoomOut?:HTMLElement, tlStatus?:HTMLElement }} els
+ * @param {{ playerCtrl?:{ seekTo:(t:number)=>void } }} [deps]
+ */
+export function setupTimeline(els, { playerCtrl } = {}) {
+  const canvas = els?.tlCanvas;
+  if (!els?.timeline || !canvas || !els.player) return;
+  const ctx = canvas.getContext('2d');
+  const prefs = loadPrefs();
+  const view = { start: 0, pps: Math.max(MIN_PPS, Math.min(MAX_PPS, +prefs.pps || 120)) };
+  let mode = prefs.mode === 'spectrogram' ? 'spectrogram' : 'waveform';
+  if (els.tlMode) els.tlMode.value = mode;
+  const lut = buildColorMap();
+
+  let analysis = null;       // AudioAnalysis of the current source
+  let analysisUrl = '';
+  let controller = null;
+  let words = [];            // [{ ti, start, end }] non-whitespace tokens with timing, in token order
+  let drag = null;           // { k, edge:'start'|'end', start, end, min, max }
+  let bgCache = { key: '', canvas: null };
+  let raf = 0;
+
+  const savePrefs = () => { try { localStorage.setItem(LS_KEY, JSON.stringify({ mode, pps: view.pps, open: !els.timeline.hidden })); } catch {} };
+  const setStatus = (s) => { if (els.tlStatus) els.tlStatus.textContent = s || ''; };
+  const currentTokens = () => { const st = getState(); return st.tokens && st.tokens.length ? st.tokens : (st.baselineTokens || []); };
+  const duration = () => analysis?.duration || (Number.isFinite(els.player.duration) ? els.player.duration : 0);
+
+  function rebuildWords() {
+    const toks = currentTokens();
+    words = [];
+    for (let i = 0; i < toks.length; i++) {
+      const t = toks[i];
+      if (!t || t.state === 'del' || !String(t.word || '').trim()) continue;
+      if (!Number.isFinite(t.start) || !Number.isFinite(t.end)) continue;
+      words.push({ ti: i, start: +t.start, end: +t.end });
+    }
+  }
+
+  /** First word index whose end is at/after time t (words are in time order) */
+  function firstWordFrom(t) {
+    let lo = 0, hi = words.length;
+    while (lo < hi) { const mid = (lo + hi) >> 1; if (words[mid].end < t) lo = mid + 1; else hi = mid; }
+    return lo;
+  }
+
+  function resize() {
+    const dpr = window.devicePixelRatio || 1;
+    const w = Math.max(1, Math.round(canvas.clientWidth * dpr)), h = Math.max(1, Math.round(canvas.clientHeight * dpr));
+    if (canvas.width !== w || canvas.height !== h) { canvas.width = w; canvas.height = h; }
+    schedule();
+  }
+
+  const layout = () => {
+    const dpr = window.devicePixelRatio || 1;
+    const W = canvas.width / dpr, H = canvas.height / dpr;
+    const waveH = Math.round((H - AXIS_H) * 0.6);
+    return { dpr, W, H, waveH, wordsTop: waveH + 2, wordsH: H - AXIS_H - waveH - 4 };
+  };
+  const xOf = (t) => (t - view.start) * view.pps;
+  const tOf = (x) => view.start + x / view.pps;
+
+  /** Waveform/spectrogram for the current view, cached until the view changes */
+  function background(L) {
+    const key = `${mode}|${view.start}|${view.pps}|${canvas.width}|${canvas.height}|${!!analysis}`;
+    if (bgCache.key === key) return bgCache.canvas;
+    const off = bgCache.canvas || document.createElement('canvas');
+    const w = Math.round(L.W * L.dpr), h = Math.max(1, Math.round(L.waveH * L.dpr));
+    off.width = w; off.height = h;
+    const g = off.getContext('2d');
+    g.clearRect(0, 0, w, h);
+    if (analysis && mode === 'spectrogram') {
+      const { frameRate, bins, data } = analysis.spectrogram;
+      const frames = data.length / bins;
+      const img = g.createImageData(w, h);
+      for (let x = 0; x < w; x++) {
+        const f = Math.floor(tOf(x / L.dpr) * frameRate);
+        if (f < 0 || f >= frames) continue;
+        for (let y = 0; y < h; y++) {
+          const v = data[f * bins + Math.min(bins - 1, Math.floor((1 - y / h) * bins))];
+          const o = (y * w + x) * 4;
+          img.data[o] = lut[v * 3]; img.data[o + 1] = lut[v * 3 + 1]; img.data[o + 2] = lut[v * 3 + 2]; img.data[o + 3] = 255;
+        }
+      }
+      g.putImageData(img, 0, 0);
+    } else if (analysis) {
+      const { peaks, peakRate } = analysis;
+      const n = peaks.length / 2, mid = h / 2;
+      g.fillStyle = cssVar('--accent', '#2563eb');
+      for (let x = 0; x < w; x++) {
+        const t0 = tOf(x / L.dpr), t1 = tOf((x + 1) / L.dpr);
+        const p0 = Math.max(0, Math.floor(t0 * peakRate)), p1 = Math.min(n, Math.max(p0 + 1, Math.floor(t1 * peakRate)));
+        if (p0 >= n || t1 < 0) continue;
+        let lo = 0, hi = 0;
+        for (let p = p0; p < p1; p++) { if (peaks[2 * p] < lo) lo = peaks[2 * p]; if (peaks[2 * p + 1] > hi) hi = peaks[2 * p + 1]; }
+        const y0 = mid - hi * mid, y1 = mid - lo * mid;
+        g.fillRect(x, y0, 1, Math.max(1, y1 - y0));
+      }
+    }
+    bgCache = { key, canvas: off };
+    return off;
+  }
+
+  function draw() {
+    raf = 0;
+    if (els.timeline.hidden) return;
+    const L = layout();
+    ctx.setTransform(L.dpr, 0, 0, L.dpr, 0, 0);
+    ctx.clearRect(0, 0, L.W, L.H);
+    ctx.drawImage(background(L), 0, 0, L.W, L.waveH);
+
+    // Word boxes
+    const tEnd = tOf(L.W);
+    const playT = getState().playback?.currentTime || 0;
+    ctx.font = `${Math.min(13, Math.max(9, L.wordsH - 6))}px system-ui, sans-serif`;
+    ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+    const toks = currentTokens();
+    const accent = cssVar('--accent', '#2563eb');
+    for (let k = firstWordFrom(view.start); k < words.length; k++) {
+      const w = words[k];
+      const s = drag?.k === k ? drag.start : w.start, e = drag?.k === k ? drag.end : w.end;
+      if (s > tEnd) break;
+      const x0 = xOf(s), x1 = Math.max(x0 + 1, xOf(e));
+      const timing = toks[w.ti]?.timing;
+      const style = timing ? (timing in TIMING_STYLE ? TIMING_STYLE[timing] : PINNED_STYLE) : null;
+      const active = playT >= s && playT < e;
+      ctx.fillStyle = active ? 'rgba(250, 204, 21, .55)' : style ? style[0] : 'rgba(127, 127, 127, .18)';
+      ctx.fillRect(x0, L.wordsTop, x1 - x0, L.wordsH);
+      ctx.strokeStyle = style ? style[1] : accent;
+      ctx.lineWidth = drag?.k === k ? 2 : 1;
+      ctx.strokeRect(x0 + .5, L.wordsTop + .5, x1 - x0 - 1, L.wordsH - 1);
+      if (x1 - x0 > 18) {
+        ctx.save();
+        ctx.beginPath(); ctx.rect(x0 + 2, L.wordsTop, x1 - x0 - 4, L.wordsH); ctx.clip();
+        ctx.fillStyle = cssVar('--fg', '#111');
+        ctx.fillText(String(toks[w.ti]?.word || '').trim(), (x0 + x1) / 2, L.wordsTop + L.wordsH / 2);
+        ctx.restore();
+      }
+    }
+
+    // Time axis
+    const step = tickStep(view.pps);
+    ctx.fillStyle = cssVar('--muted', '#888');
+    ctx.font = '10px system-ui, sans-serif';
+    ctx.textAlign = 'left'; ctx.textBaseline = 'bottom';
+    for (let t = Math.ceil(view.start / step) * step; t <= tEnd; t += step) {
+      const x = Math.round(xOf(t)) + .5;
+      ctx.fillRect(x, L.H - AXIS_H, 1, 4);
+      ctx.fillText(fmtTime(t), x + 2, L.H);
+    }
+
+    // Playhead
+    const px = xOf(playT);
+    if (px >= 0 && px <= L.W) { ctx.fillStyle = '#dc2626'; ctx.fillRect(Math.round(px), 0, 2, L.H - AXIS_H); }
+  }
+
+  function schedule() { if (!raf && !els.timeline.hidden) raf = requestAnimationFrame(draw); }
+
+  function setView(start, pps = view.pps) {
+    const W = layout().W;
+    view.pps = Math.max(MIN_PPS, Math.min(MAX_PPS, pps));
+    const dur = duration();
+    view.start = Math.max(0, dur ? Math.min(Math.max(0, dur - W / view.pps), start) : start);
+    schedule();
+  }
+
+  function zoomAt(factor, x) {
+    const t = tOf(x);
+    const pps = Math.max(MIN_PPS, Math.min(MAX_PPS, view.pps * factor));
+    setView(t - x / pps, pps);
+    savePrefs();
+  }
+
+  async function loadAnalysis() {
+    const url = els.player.currentSrc || els.player.src;
+    if (!url || url === analysisUrl || els.timeline.hidden) return;
+    analysisUrl = url;
+    analysis = null;
+    bgCache.key = '';
+    if (controller) controller.abort();
+    const my = controller = new AbortController();
+    setStatus('מפענח אודיו…');
+    try {
+      const a = await analyzeAudio(url, {
+        signal: my.signal,
+        onProgress: (phase, r) => setStatus(phase === 'decode' ? 'מפענח אודיו…' : `מחשב ספקטרוגרמה ${Math.round(r * 100)}%`)
+      });
+      if (my !== controller) return;
+      analysis = a;
+      setStatus('');
+    } catch (e) {
+      if (e?.name === 'AbortError' || my !== controller) return;
+      console.warn('Timeline audio decode failed:', e);
+      setStatus('פענוח האודיו נכשל');
+      analysisUrl = '';
+    } finally {
+      if (my === controller) controller = null;
+      schedule();
+    }
+  }
+
+  /** Write the dragged times into the token array and mark the word as manually timed */
+  function commitDrag() {
+    const d = drag;
+    drag = null;
+    if (!d) return;
+    const w = words[d.k];
+    if (!w || (Math.abs(d.start - w.start) < 1e-3 && Math.abs(d.end - w.end) < 1e-3)) { schedule(); return; }
+    const st = getState();
+    const tokens = currentTokens().slice();
+    tokens[w.ti] = { ...tokens[w.ti], start: d.start, end: d.end, timing: TIMING.MANUAL };
+    timingDirty = true;
+    store.setTokens(tokens);
+    if (st.segmentsText === st.liveText) store.setSegments(retimeSegments(st.segments, tokens), st.segmentsText);
+  }
+
+  /** Edge under x (word strip only) → { k, edge } */
+  function hitEdge(x, y) {
+    const L = layout();
+    if (y < L.wordsTop || y > L.wordsTop + L.wordsH) return null;
+    let best = null, bestD = EDGE_PX + 1;
+    for (let k = firstWordFrom(tOf(x - EDGE_PX)); k < words.length; k++) {
+      const w = words[k];
+      const x0 = xOf(w.start), x1 = xOf(w.end);
+      if (x0 > x + EDGE_PX) break;
+      if (Math.abs(x - x0) < bestD) { best = { k, edge: 'start' }; bestD = Math.abs(x - x0); }
+      if (Math.abs(x - x1) <= bestD) { best = { k, edge: 'end' }; bestD = Math.abs(x - x1); }
+    }
+    return best;
+  }
+
+  function wordAt(x, y) {
+    const L = layout();
+    if (y < L.wordsTop || y > L.wordsTop + L.wordsH) return -1;
+    const t = tOf(x);
+    const k = firstWordFrom(t);
+    return words[k] && words[k].start <= t ? k : -1;
+  }
+
+  const pointer = (e) => { const r = canvas.getBoundingClientRect(); return [e.clientX - r.left, e.clientY - r.top]; };
+  const seek = (t) => { if (playerCtrl?.seekTo) playerCtrl.seekTo(t); else els.player.currentTime = t; };
+
+  canvas.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0) return;
+    const [x, y] = pointer(e);
+    const hit = hitEdge(x, y);
+    if (hit) {
+      const w = words[hit.k];
+      // Neighbours bound the drag so words never overlap
+      const prev = words[hit.k - 1], next = words[hit.k + 1];
+      drag = {
+        ...hit, start: w.start, end: w.end,
+        min: hit.edge === 'start' ? (prev ? prev.end : 0) : w.start + MIN_WORD_DUR,
+        max: hit.edge === 'start' ? w.end - MIN_WORD_DUR : (next ? next.start : (duration() || Infinity))
+      };
+      canvas.setPointerCapture(e.pointerId);
+      e.preventDefault();
+      schedule();
+      return;
+    }
+    const k = wordAt(x, y);
+    seek(k >= 0 ? words[k].start : Math.max(0, tOf(x)));
+  });
+  canvas.addEventListener('pointermove', (e) => {
+    const [x, y] = pointer(e);
+    if (!drag) { canvas.style.cursor = hitEdge(x, y) ? 'col-resize' : 'pointer'; return; }
+    const t = Math.max(drag.min, Math.min(drag.max, tOf(x)));
+    drag[drag.edge] = t;
+    schedule();
+  });
+  const endDrag = (e) => {
+    if (!drag) return;
+    try { canvas.releasePointerCapture(e.pointerId); } catch {}
+    commitDrag();
+  };
+  canvas.addEventListener('pointerup', endDrag);
+  canvas.addEventListener('pointercancel', () => { drag = null; schedule(); });
+  canvas.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const [x] = pointer(e);
+    if (e.ctrlKey || e.metaKey) zoomAt(e.deltaY < 0 ? 1.25 : 0.8, x);
+    else setView(view.start + (e.deltaX || e.deltaY) / view.pps);
+  }, { passive: false });
+
+  els.tlZoomIn?.addEventListener('click', () => zoomAt(1.5, layout().W / 2));
+  els.tlZoomOut?.addEventListener('click', () => zoomAt(1 / 1.5, layout().W / 2));
+  els.tlMode?.addEventListener('change', () => { mode = els.tlMode.value === 'spectrogram' ? 'spectrogram' : 'waveform'; savePrefs(); schedule(); });
+
+  function setOpen(on) {
+    els.timeline.hidden = !on;
+    els.timelineBtn?.setAttribute('aria-pressed', on ? 'true' : 'false');
+    savePrefs();
+    if (on) { resize(); loadAnalysis(); }
+  }
+  els.timelineBtn?.addEventListener('click', () => setOpen(els.timeline.hidden));
+  els.player.addEventListener('loadedmetadata', () => { loadAnalysis(); schedule(); });
+  if (typeof ResizeObserver === 'function') new ResizeObserver(resize).observe(canvas);
+  else window.addEventListener('resize', resize);
+
+  store.subscribe((st, tag) => {
+    if (tag === 'tokens' || tag === 'baseline') { rebuildWords(); schedule(); }
+    if (tag === 'version:init' || tag === 'version:clear' || tag === 'version:saved') {
+      timingDirty = false;
+      if (tag !== 'version:saved') setView(0);
+    }
+    if (tag === 'playback:tick') {
+      // Keep the playhead in view while playing
+      const t = st.playback?.currentTime || 0;
+      const W = layout().W;
+      const x = xOf(t);
+      if (!drag && !st.playback?.paused && (x < 0 || x > W * 0.85)) setView(t - (W * 0.15) / view.pps);
+      else schedule();
+    }
+  });
+
+  rebuildWords();
+  if (prefs.open) setOpen(true);
+}
+
+export default { setupTimeline, hasUnsavedTimingChanges, markTimingEdited };
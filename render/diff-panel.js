@@ -21,3 +21,117 @@ function escapeHtml(s) {
     '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'
   }[c]));
 }
+
+/**
+ * Interactive three-way merge view. Auto-merged hunks are shown inline; every
+ * conflict hunk offers "ours" / "theirs" and the commit button unlocks once
+ * each conflict has a side picked.
+ * @param {HTMLElement} container
+ * @param {Array<{type:string,text?:string,ours?:string,theirs?:string}>} hunks - from diff worker merge3
+ * @returns {Promise<string|null>} merged text, or null when cancelled
+ */
+export function renderMergeConflicts(container, hunks) {
+  if (!container) return Promise.resolve(null);
+  const list = Array.isArray(hunks) ? hunks : [];
+  const picks = new Array(list.length).fill(null);
+  const conflictIdx = list.map((h, i) => (h.type === 'conflict' ? i : -1)).filter(i => i >= 0);
+
+  return new Promise((resolve) => {
+    container.textContent = '';
+    const head = document.createElement('div');
+    head.className = 'hint';
+    head.textContent = `מישהו שמר גרסה חדשה בזמן העריכה — ${conflictIdx.length} התנגשויות. בחר צד לכל קטע:`;
+    container.appendChild(head);
+
+    const body = document.createElement('div');
+    body.className = 'merge-body';
+    body.dir = 'auto';
+    list.forEach((h, i) => {
+      if (h.type !== 'conflict') {
+        const sp = document.createElement('span');
+        sp.className = h.type === 'equal' ? 'diff-equal' : `merge-auto merge-${h.type}`;
+        sp.textContent = h.text || '';
+        body.appendChild(sp);
+        return;
+      }
+      const box = document.createElement('span');
+      box.className = 'merge-conflict';
+      for (const side of ['ours', 'theirs']) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = `merge-pick merge-${side}`;
+        btn.title = side === 'ours' ? 'הגרסה שלי' : 'הגרסה השמורה';
+        btn.textContent = h[side] || '∅';
+        btn.addEventListener('click', () => {
+          picks[i] = side;
+          box.querySelectorAll('.merge-pick').forEach(b => b.classList.toggle('chosen', b === btn));
+          commit.disabled = conflictIdx.some(k => !picks[k]);
+        });
+        box.appendChild(btn);
+      }
+      body.appendChild(box);
+    });
+    container.appendChild(body);
+
+    const foot = document.createElement('div');
+    foot.className = 'merge-actions';
+    const commit = document.createElement('button');
+    commit.type = 'button';
+    commit.className = 'pill save';
+    commit.textContent = 'שמור מיזוג';
+    commit.disabled = conflictIdx.length > 0;
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'pill';
+    cancel.textContent = 'בטל';
+    foot.append(commit, cancel);
+    container.appendChild(foot);
+
+    commit.addEventListener('click', () => {
+      const text = list.map((h, i) => (h.type === 'conflict' ? (h[picks[i]] || '') : (h.text || ''))).join('');
+      container.textContent = '';
+      resolve(text);
+    });
+    cancel.addEventListener('click', () => { container.textContent = ''; resolve(null); });
+  });
+}
+
+/**
+ * Read-only diff preview with confirm/cancel (e.g. before importing a transcript).
+ * @param {HTMLElement} container
+ * @param {Array<[number,string]>} diffs
+ * @param {{ title?:string, confirmLabel?:string }} [opts]
+ * @returns {Promise<boolean>} true when confirmed
+ */
+export function renderDiffPreview(container, diffs, opts = {}) {
+  if (!container) return Promise.resolve(false);
+  return new Promise((resolve) => {
+    container.textContent = '';
+    const head = document.createElement('div');
+    head.className = 'hint';
+    head.textContent = opts.title || 'תצוגה מקדימה של השינויים:';
+    container.appendChild(head);
+
+    const body = document.createElement('div');
+    body.className = 'merge-body';
+    body.dir = 'auto';
+    renderDiffHTML(body, diffs);
+    container.appendChild(body);
+
+    const foot = document.createElement('div');
+    foot.className = 'merge-actions';
+    const ok = document.createElement('button');
+    ok.type = 'button';
+    ok.className = 'pill save';
+    ok.textContent = opts.confirmLabel || 'אישור';
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'pill';
+    cancel.textContent = 'בטל';
+    foot.append(ok, cancel);
+    container.appendChild(foot);
+
+    ok.addEventListener('click', () => { container.textContent = ''; resolve(true); });
+    cancel.addEventListener('click', () => { container.textContent = ''; resolve(false); });
+  });
+}
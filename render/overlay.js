@@ -17,6 +17,46 @@ export function computeAbsIndexMap(tokens) {
   return abs;
 }
 
+const textLen = (t) => (t && t.state !== 'del' ? (t.word || '').length : 0);
+
+/**
+ * absIndex for `tokens`, reusing `prevAbs` where the two streams agree (same key, word and
+ * deletion state): the common prefix keeps its offsets, the common suffix shifts by the length
+ * change, and only the tokens in between are recounted.
+ * @returns {number[]}
+ */
+export function updateAbsIndexMap(prevTokens, prevAbs, prevKeys, tokens, keys) {
+  const m = prevTokens?.length || 0, n = tokens.length;
+  if (!prevKeys || !keys || !prevAbs || prevAbs.length !== m) return computeAbsIndexMap(tokens);
+  const same = (i, j) => prevKeys[i] === keys[j] && prevTokens[i]?.word === tokens[j]?.word
+    && (prevTokens[i]?.state === 'del') === (tokens[j]?.state === 'del');
+  let p = 0;
+  while (p < m && p < n && same(p, p)) p++;
+  let s = 0;
+  while (s < m - p && s < n - p && same(m - 1 - s, n - 1 - s)) s++;
+  const abs = new Array(n);
+  for (let i = 0; i < p; i++) abs[i] = prevAbs[i];
+  let acc = p ? prevAbs[p - 1] + textLen(tokens[p - 1]) : 0;
+  for (let i = p; i < n - s; i++) { abs[i] = acc; acc += textLen(tokens[i]); }
+  if (s) {
+    const shift = acc - prevAbs[m - s];
+    for (let k = 0; k < s; k++) abs[n - s + k] = prevAbs[m - s + k] + shift;
+  }
+  return abs;
+}
+
+/** internal: make `parent`'s children exactly `want` (in order), moving as few nodes as possible */
+function reconcileChildren(parent, want) {
+  const keep = new Set(want);
+  let cur = parent.firstChild;
+  for (const node of want) {
+    while (cur && cur !== node && !keep.has(cur)) { const next = cur.nextSibling; parent.removeChild(cur); cur = next; }
+    if (cur === node) { cur = cur.nextSibling; continue; }
+    parent.insertBefore(node, cur);
+  }
+  while (cur) { const next = cur.nextSibling; parent.removeChild(cur); cur = next; }
+}
+
 /** internal: CSS var fetch (returns raw value) */
 function getCssVar(name, fallback = '') {
   const v = getComputedStyle(document.documentElement).getPropertyValue(name).trim();
@@ -38,12 +78,15 @@ export class OverlayRenderer {
   /**
    * @param {{
    *   container?: HTMLElement,
+   *   host?: HTMLElement,       // element carrying state classes (has-speakers); defaults to container
    *   probEnabled?: boolean,
    *   probThreshold?: number,   // e.g. 0.95
+   *   gutter?: HTMLElement,     // speaker gutter layer (absolutely positioned next to the text)
    * }} opts
    */
   constructor(opts = {}) {
     this.container = opts.container || null;
+    this.host = opts.host || null;
 
     // tokens + indexing
     this.tokens = [];
@@ -54,16 +97,21 @@ export class OverlayRenderer {
     this.probThreshold = typeof opts.probThreshold === 'number' ? opts.probThreshold : 0.95;
     this.confirmed = []; // array of {range:[s,e]}
     this.activeIndex = -1;
+    this.segments = [];  // segment layer (line i ↔ segment i), for the speaker gutter
+    this.speakers = [];  // roster [{id,name,color}]
+    this.gutter = opts.gutter || null;
+
+    // blocks to render (see setBlocks) and stable token keys (see setTokens)
+    this.blocks = [];
+    this.keys = null;
+    this.renderStats = { full: 0, patched: 0, last: null };
 
     // runtime
     this._spanByIndex = new Map(); // tokenIndex -> <span>
+    this._blockEls = [];
     this._probRGB = getCssVar('--prob-color', '255,235,59'); // RGB only
     const base = parseFloat(getCssVar('--prob-alpha', '0.6'));
     this._probBaseAlpha = Number.isFinite(base) ? base : 0.6;
-
-    // windowing (virtualization)
-    this.windowStart = 0;
-    this.windowSize = Math.max(200, Math.min(2000, opts.windowSize || 800));
   }
 
   /** attach/replace the container element */
@@ -71,26 +119,89 @@ export class OverlayRenderer {
     this.container = el || null;
   }
 
-  /** update tokens and (optionally) absIndex precomputed */
-  setTokens(tokens, absIndex) {
+  /**
+   * update tokens, (optionally) absIndex precomputed and stable keys per token (for
+   * patchBlocks); painting follows setBlocks / patchBlocks
+   */
+  setTokens(tokens, absIndex, keys = null) {
     this.tokens = Array.isArray(tokens) ? tokens : [];
     this.absIndex = Array.isArray(absIndex) && absIndex.length === this.tokens.length
       ? absIndex
       : computeAbsIndexMap(this.tokens);
+    this.keys = Array.isArray(keys) && keys.length === this.tokens.length ? keys : null;
+  }
+
+  /**
+   * Blocks to show, in text order: { index, start, end, text } plus the token range
+   * [from, to) when the block is the tokens' text (else it renders as plain text).
+   */
+  setBlocks(blocks) {
+    this.blocks = Array.isArray(blocks) ? blocks : [];
     this.renderAll();
   }
 
-  /** set virtual window size in tokens */
-  setWindowSize(n) {
-    const v = Math.max(200, Math.min(5000, Math.floor(n || 800)));
-    if (v !== this.windowSize) { this.windowSize = v; this.renderAll(); }
+  /**
+   * Keyed re-render to `blocks`: block wrappers and word spans whose key is still present are
+   * kept (re-timed or re-worded in place) and moved only when out of order; the rest are created
+   * or removed. Without keys (or before a first render) this is a full renderAll.
+   */
+  patchBlocks(blocks) {
+    const next = Array.isArray(blocks) ? blocks : [];
+    if (!this.container || !this.keys || !this._blockEls.length) { this.setBlocks(next); return; }
+    const toks = this.tokens || [];
+    const keys = this.keys;
+    const oldSpans = new Map();
+    for (const sp of this.container.querySelectorAll('span.word[data-key]')) oldSpans.set(sp.dataset.key, sp);
+    const oldBlocks = new Map();
+    for (const el of this._blockEls) if (el.dataset.key && !oldBlocks.has(el.dataset.key)) oldBlocks.set(el.dataset.key, el);
+    const counts = { inserted: 0, removed: 0, retimed: 0, kept: 0 };
+
+    this.blocks = next;
+    this._spanByIndex.clear();
+    this._blockEls = [];
+    for (const b of next) {
+      const bkey = b.from == null ? `p:${b.text}` : `k:${keys[b.from]}`;
+      let el = oldBlocks.get(bkey);
+      if (el) oldBlocks.delete(bkey);
+      else { el = document.createElement('span'); el.className = 'vblock'; el.dataset.key = bkey; }
+      el.dataset.block = String(b.index);
+      if (b.from == null) {
+        if (el.childNodes.length !== 1 || el.firstChild.nodeType !== 3 || el.textContent !== b.text) el.textContent = b.text;
+      } else {
+        const newlines = Array.from(el.childNodes).filter(n => n.nodeType === 3 && n.nodeValue === '\n');
+        const want = [];
+        for (let ti = b.from; ti < b.to; ti++) {
+          const t = toks[ti];
+          if (!t || t.state === 'del') continue;
+          if (t.word === '\n') { want.push(newlines.shift() || document.createTextNode('\n')); continue; }
+          let sp = oldSpans.get(keys[ti]);
+          if (sp) {
+            oldSpans.delete(keys[ti]);
+            if (this._updateSpan(sp, t, ti)) counts.retimed++; else counts.kept++;
+          } else {
+            sp = this._makeSpan(t, ti);
+            counts.inserted++;
+          }
+          want.push(sp);
+          this._spanByIndex.set(ti, sp);
+        }
+        reconcileChildren(el, want);
+      }
+      this._blockEls.push(el);
+    }
+    counts.removed = oldSpans.size;
+    reconcileChildren(this.container, this._blockEls);
+
+    this.renderStats.patched++;
+    this.renderStats.last = { mode: 'patch', ...counts };
+    this.applyConfirmedHighlights();
+    this._repaintActive();
+    this.paintGutter();
   }
 
-  /** set start index for window */
-  setWindowStart(i) {
-    const maxStart = Math.max(0, (this.tokens?.length || 0) - 1);
-    const s = Math.max(0, Math.min(maxStart, Math.floor(i || 0)));
-    if (s !== this.windowStart) { this.windowStart = s; this.renderAll(); }
+  /** rendered block wrappers, in order (for measuring) */
+  getBlockElements() {
+    return this._blockEls;
   }
 
   /** set confirmed ranges (array of {range:[start,end], ...}) */
@@ -99,6 +210,27 @@ export class OverlayRenderer {
     this.applyConfirmedHighlights();
   }
 
+  /** attach the speaker gutter layer; bars follow re-wraps of the text */
+  setGutter(el) {
+    this._gutterObserver?.disconnect();
+    this.gutter = el || null;
+    if (this.gutter && this.container && typeof ResizeObserver === 'function') {
+      this._gutterObserver = new ResizeObserver(() => {
+        if (this._gutterRaf) return;
+        this._gutterRaf = requestAnimationFrame(() => { this._gutterRaf = 0; this.paintGutter(); });
+      });
+      this._gutterObserver.observe(this.container);
+    }
+    this.paintGutter();
+  }
+
+  /** set segments + speaker roster and repaint the gutter */
+  setSpeakers(segments, roster) {
+    this.segments = Array.isArray(segments) ? segments : [];
+    this.speakers = Array.isArray(roster) ? roster : [];
+    this.paintGutter();
+  }
+
   /** enable/disable probability tint */
   setProbEnabled(on) {
     this.probEnabled = !!on;
@@ -207,69 +339,158 @@ export class OverlayRenderer {
     }
   }
 
-  /** full render (simple, non-virtualized for now) */
+  /** render the current blocks: one inline wrapper per block, word spans inside */
   renderAll() {
     if (!this.container) return;
     this._spanByIndex.clear();
+    this._blockEls = [];
     this.container.textContent = '';
 
     const frag = document.createDocumentFragment();
     const toks = this.tokens || [];
-    const abs = this.absIndex || [];
-
-    // Build full text once to slice pre/post quickly
-    let fullText = '';
-    for (let i = 0; i < toks.length; i++) {
-      const t = toks[i];
-      if (!t || t.state === 'del') continue;
-      fullText += (t.word || '');
+    for (const b of this.blocks) {
+      const el = document.createElement('span');
+      el.className = 'vblock';
+      el.dataset.block = String(b.index);
+      el.dataset.key = b.from == null ? `p:${b.text}` : `k:${this.keys ? this.keys[b.from] : b.from}`;
+      if (b.from == null) {
+        el.textContent = b.text;
+      } else {
+        for (let ti = b.from; ti < b.to; ti++) {
+          const t = toks[ti];
+          if (!t || t.state === 'del') continue;
+          if (t.word === '\n') {
+            el.appendChild(document.createTextNode('\n'));
+            continue;
+          }
+          const sp = this._makeSpan(t, ti);
+          el.appendChild(sp);
+          this._spanByIndex.set(ti, sp);
+        }
+      }
+      frag.appendChild(el);
+      this._blockEls.push(el);
     }
+    this.container.appendChild(frag);
+    this.renderStats.full++;
+    this.renderStats.last = { mode: 'full', inserted: this._spanByIndex.size, removed: 0, retimed: 0, kept: 0 };
 
-    const total = toks.length;
-    const start = Math.max(0, Math.min(this.windowStart, Math.max(0, total - 1)));
-    const end = Math.min(total, start + this.windowSize);
-    const startChar = abs[start] || 0;
-    let endChar;
-    if (end >= total) {
-      endChar = fullText.length;
-    } else {
-      const tEnd = toks[end];
-      // end char is before token[end], so up to its start
-      endChar = abs[end] || fullText.length;
-      if (!Number.isFinite(endChar)) endChar = fullText.length;
-    }
+    // after DOM present → apply confirmed + active class
+    this.applyConfirmedHighlights();
+    this._repaintActive();
+    this.paintGutter();
+  }
 
-    // Pre-text (non-window) as a single text node
-    if (startChar > 0) frag.appendChild(document.createTextNode(fullText.slice(0, startChar)));
+  /** internal: a word span for token `ti` */
+  _makeSpan(t, ti) {
+    const sp = document.createElement('span');
+    sp.className = 'word';
+    if (this.keys) sp.dataset.key = this.keys[ti];
+    this._updateSpan(sp, t, ti);
+    return sp;
+  }
 
-    // Window spans
-    for (let ti = start; ti < end; ti++) {
-      const t = toks[ti];
-      if (!t || t.state === 'del') continue;
-      if (t.word === '\n') {
-        frag.appendChild(document.createTextNode('\n'));
-        continue;
-      }
-      const sp = document.createElement('span');
-      sp.className = 'word';
-      sp.textContent = t.word;
-      if (Number.isFinite(t.start)) sp.dataset.start = String(t.start);
-      if (Number.isFinite(t.end)) sp.dataset.end = String(t.end);
-      sp.dataset.ti = String(ti);
-      if (Number.isFinite(t.probability)) sp.dataset.prob = String(Math.round(t.probability * 100) / 100);
-      const p = Number.isFinite(t.probability) ? +t.probability : NaN;
-      paintProb(sp, p, this.probEnabled, this.probThreshold, this._probRGB, this._probBaseAlpha);
-      frag.appendChild(sp);
-      this._spanByIndex.set(ti, sp);
-    }
+  /** internal: bring a span in line with token `ti`; true when its timing changed */
+  _updateSpan(sp, t, ti) {
+    if (sp.textContent !== t.word) sp.textContent = t.word;
+    const ds = sp.dataset;
+    const start = Number.isFinite(t.start) ? String(t.start) : undefined;
+    const end = Number.isFinite(t.end) ? String(t.end) : undefined;
+    const retimed = ds.start !== start || ds.end !== end;
+    if (start === undefined) delete ds.start; else ds.start = start;
+    if (end === undefined) delete ds.end; else ds.end = end;
+    ds.ti = String(ti);
+    if (Number.isFinite(t.probability)) ds.prob = String(Math.round(t.probability * 100) / 100); else delete ds.prob;
+    sp.classList.remove('active', 'confirmed-active');
+    const p = Number.isFinite(t.probability) ? +t.probability : NaN;
+    paintProb(sp, p, this.probEnabled, this.probThreshold, this._probRGB, this._probBaseAlpha);
+    return retimed;
+  }
 
-    // Post-text (non-window)
-    if (endChar < fullText.length) frag.appendChild(document.createTextNode(fullText.slice(endChar)));
+  /** internal: re-apply the active word after the spans changed */
+  _repaintActive() {
+    const i = this.activeIndex;
+    this.activeIndex = -1;
+    this.updateActiveIndex(i);
+  }
 
-    this.container.appendChild(frag);
+  /**
+   * Paint one colored bar per run of consecutive lines with the same speaker.
+   * Bars are positioned from DOM ranges, so the text itself stays untouched (offsets intact);
+   * only the rendered blocks get bars.
+   */
+  paintGutter() {
+    const g = this.gutter;
+    if (!g || !this.container) return;
+    g.textContent = '';
+    const segs = this.segments || [];
+    const hasAny = segs.some(s => s && s.speaker);
+    (this.host || this.container).classList.toggle('has-speakers', hasAny);
+    if (!hasAny) return;
+
+    // Line offsets of the rendered text
+    const starts = [0];
+    let len = 0;
+    for (const t of (this.tokens || [])) {
+      if (!t || t.state === 'del') continue;
+      const w = t.word || '';
+      for (let k = 0; k < w.length; k++) if (w.charCodeAt(k) === 10) starts.push(len + k + 1);
+      len += w.length;
+    }
+    const lineEnd = (i) => (i + 1 < starts.length ? starts[i + 1] - 1 : len);
+
+    // Runs: [firstLine, lastLine, speakerId]
+    const runs = [];
+    for (let i = 0; i < starts.length; i++) {
+      const id = segs[i]?.speaker || '';
+      const last = runs[runs.length - 1];
+      if (last && last[2] === id && last[1] === i - 1) last[1] = i;
+      else if (id) runs.push([i, i, id]);
+    }
+    if (!runs.length) return;
+
+    // Clip runs to the rendered text [base, limit)
+    const base = this.blocks.length ? this.blocks[0].start : 0;
+    const limit = this.blocks.length ? this.blocks[this.blocks.length - 1].end : 0;
+
+    // One pass over the text nodes resolves every run boundary to a DOM position
+    const wanted = [];
+    runs.forEach((r, k) => {
+      const a = Math.max(starts[r[0]], base), b = Math.min(lineEnd(r[1]), limit);
+      if (a > b || a >= limit) return;
+      wanted.push([a - base, k, 0]); wanted.push([b - base, k, 1]);
+    });
+    wanted.sort((a, b) => a[0] - b[0]);
+    const pos = runs.map(() => [null, null]);
+    const tw = document.createTreeWalker(this.container, NodeFilter.SHOW_TEXT, null);
+    let acc = 0, n, w = 0, lastNode = null;
+    while ((n = tw.nextNode()) && w < wanted.length) {
+      const l = n.nodeValue.length;
+      while (w < wanted.length && wanted[w][0] <= acc + l) { pos[wanted[w][1]][wanted[w][2]] = [n, wanted[w][0] - acc]; w++; }
+      acc += l; lastNode = n;
+    }
+    for (; w < wanted.length && lastNode; w++) pos[wanted[w][1]][wanted[w][2]] = [lastNode, lastNode.nodeValue.length];
 
-    // after DOM present → apply confirmed + active class
-    this.applyConfirmedHighlights();
-    this.updateActiveIndex(this.activeIndex);
+    const origin = g.getBoundingClientRect().top;
+    const byId = new Map((this.speakers || []).map(s => [s.id, s]));
+    const frag = document.createDocumentFragment();
+    runs.forEach((r, k) => {
+      const [a, b] = pos[k];
+      if (!a || !b) return;
+      const rng = document.createRange();
+      try { rng.setStart(a[0], a[1]); rng.setEnd(b[0], b[1]); } catch { return; }
+      const box = rng.getBoundingClientRect();
+      if (!box.height) return;
+      const sp = byId.get(r[2]);
+      const bar = document.createElement('div');
+      bar.className = 'speaker-bar';
+      bar.style.top = `${box.top - origin}px`;
+      bar.style.height = `${box.height}px`;
+      bar.style.background = sp?.color || 'var(--muted)';
+      bar.title = sp?.name || r[2];
+      bar.dataset.speaker = r[2];
+      frag.appendChild(bar);
+    });
+    g.appendChild(frag);
   }
 }
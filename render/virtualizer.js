@@ -1,40 +1,109 @@
 // v2/render/virtualizer.js
-// Thin adapter that delegates painting to OverlayRenderer.
-// main.js (or your controller) calls these setters when state changes.
+// Scroll virtualization for the transcript. The text is cut into line blocks (a block ends
+// after a newline); only the blocks on screen plus an overscan margin are in the DOM, between
+// two spacers sized from measured block heights (estimated until a block was rendered once).
+// Heights are cached by block text, so they survive re-tokenization and edits elsewhere.
+// Offsets are always liveText offsets: text outside the rendered window comes from the model,
+// text inside it from the DOM (readText), and selections map through the window start.
+// Renders are keyed (OverlayRenderer.patchBlocks): tokens carry stable keys — the align
+// worker's ids, else derived from the previous stream — so an align result or a window shift
+// only touches the spans that were inserted, removed or retimed.
 
-import { OverlayRenderer, computeAbsIndexMap } from './overlay.js';
+import { OverlayRenderer, updateAbsIndexMap } from './overlay.js';
+
+const OVERSCAN = 1;        // viewports rendered above and below the visible part
+const EDGE_BLOCKS = 2;     // a caret this close to a window edge pulls in more blocks
+const PULL_BLOCKS = 30;    // blocks added per pull
+const MAX_SEL_BLOCKS = 150; // a selection this far from the viewport is not kept rendered
+
+const registry = new WeakMap(); // container -> ScrollVirtualizer
+let keySeq = 0;
+
+/** The virtualizer managing `container`, if any */
+export function virtualizerFor(container) {
+  return (container && registry.get(container)) || null;
+}
 
 export class ScrollVirtualizer {
   /**
-   * @param {{ container: HTMLElement, scrollEl?: HTMLElement, renderer?: OverlayRenderer }} opts
+   * @param {{ container: HTMLElement, scrollEl?: HTMLElement, renderer?: OverlayRenderer, gutter?: HTMLElement }} opts
    */
   constructor(opts = {}) {
-    const { container, scrollEl, renderer } = opts;
+    const { container, scrollEl, renderer, gutter } = opts;
     if (!container) throw new Error('ScrollVirtualizer: container is required');
 
     this.container = container;
     this.scrollEl = scrollEl || container;
-    this.renderer = renderer || new OverlayRenderer({ container, windowSize: 800 });
+    this.win = document.createElement('div');
+    this.win.className = 'vwin';
+    this.top = spacer('top');
+    this.bottom = spacer('bottom');
+    this._mount();
+    this.renderer = renderer || new OverlayRenderer({ container: this.win, host: container });
+    this.renderer.setContainer(this.win);
+    if (gutter) this.renderer.setGutter(gutter);
+    registry.set(container, this);
 
-    // cached inputs
+    // model
     this.tokens = [];
+    this.keys = null;         // stable render key per token
     this.absIndex = [];
+    this.tokensText = '';
+    this.text = '';           // full liveText as of the last sync
+    this.blocks = [];         // [{ start, end, from?, to? }] over this.text
+    this._blocksStale = false;
+    this.heights = new Map(); // block text -> measured px
+    this._tops = null;        // prefix sums of block heights (blocks.length + 1)
+    this._width = 0;
 
-    // windowing helpers
-    this.windowSize = 800;
-    this._onScroll = this._onScroll?.bind ? this._onScroll.bind(this) : () => {};
-    this.scrollEl.addEventListener('scroll', () => this._onScroll(), { passive: true });
+    // rendered window: blocks [b0, b1) = chars [startChar, endChar) of this.text
+    this.range = { b0: 0, b1: 0, startChar: 0, endChar: 0 };
+    this._winText = '';
+    this._lostSel = null;     // selection scrolled out of the window, restored when it is back
+    this.composing = false;
+
+    this._onScroll = this._onScroll.bind(this);
+    this.scrollEl.addEventListener('scroll', this._onScroll, { passive: true });
+    container.addEventListener('compositionstart', () => { this.composing = true; });
+    container.addEventListener('compositionend', () => { this.composing = false; if (this._deferred) { this._deferred = false; this._updateWindowFromScroll(); } });
+    container.addEventListener('keydown', (e) => this._onKeyDown(e));
+    container.addEventListener('beforeinput', (e) => this._onBeforeInput(e));
+    this._onSelection = () => this._pullTowardsCaret();
+    document.addEventListener('selectionchange', this._onSelection);
+    if (typeof ResizeObserver === 'function') {
+      let lastW = 0, lastH = 0, raf = 0;
+      this._resizeObserver = new ResizeObserver(() => {
+        if (raf) return;
+        raf = requestAnimationFrame(() => {
+          raf = 0;
+          const w = this.scrollEl.clientWidth, h = this.scrollEl.clientHeight;
+          if (w !== lastW && this.range) this._render(this.range.b0, this.range.b1);
+          else if (h !== lastH) this._updateWindowFromScroll();
+          lastW = w; lastH = h;
+        });
+      });
+      this._resizeObserver.observe(this.scrollEl);
+    }
   }
 
-  /** Replace tokens and repaint everything */
-  setTokens(tokens = []) {
+  /**
+   * Replace tokens and patch the window (the text becomes theirs).
+   * @param {Array} tokens
+   * @param {string[]|null} [ids] - stable keys parallel to `tokens` (align worker)
+   */
+  setTokens(tokens = [], ids = null) {
+    const prev = this.tokens, prevKeys = this.keys, prevAbs = this.absIndex;
     this.tokens = Array.isArray(tokens) ? tokens : [];
-    this.absIndex = computeAbsIndexMap(this.tokens);
-    this.renderer.setContainer(this.container);
-    const t0 = performance.now();
-    this.renderer.setTokens(this.tokens, this.absIndex);
-    this._lastRenderMs = performance.now() - t0;
-    this._updateWindowFromScroll();
+    this.keys = Array.isArray(ids) && ids.length === this.tokens.length ? ids : deriveKeys(prev, prevKeys, this.tokens);
+    this.absIndex = updateAbsIndexMap(prev, prevAbs, prevKeys, this.tokens, this.keys);
+    this.tokensText = this.tokens.reduce((s, t) => (t && t.state !== 'del' ? s + (t.word || '') : s), '');
+    this.renderer.setTokens(this.tokens, this.absIndex, this.keys);
+    this._replaceText(this.tokensText);
+  }
+
+  /** Replace the text without tokens (undo/redo); lines that differ from the tokens render plain */
+  setText(text = '') {
+    this._replaceText(String(text));
   }
 
   /** Update confirmed ranges and repaint markings */
@@ -42,6 +111,11 @@ export class ScrollVirtualizer {
     this.renderer.setConfirmedRanges(Array.isArray(ranges) ? ranges : []);
   }
 
+  /** Segment layer + speaker roster for the speaker gutter */
+  setSpeakers(segments = [], roster = []) {
+    this.renderer.setSpeakers(segments, roster);
+  }
+
   /** Toggle probability highlighting */
   setProbEnabled(on) {
     this.renderer.setProbEnabled(!!on);
@@ -57,11 +131,116 @@ export class ScrollVirtualizer {
     this.renderer.updateActiveIndex(i);
   }
 
+  /** Full liveText: the model outside the window, the DOM inside it */
+  readText() {
+    this._sync();
+    return this.text;
+  }
+
+  /**
+   * Current selection as [start, end] liveText offsets, or null when it is not in the
+   * transcript. A boundary in a spacer counts as the start/end of the whole text.
+   */
+  selectionOffsets() {
+    const sel = window.getSelection();
+    if (!sel || sel.rangeCount === 0) return null;
+    return this.rangeOffsets(sel.getRangeAt(0));
+  }
+
+  /** A DOM Range or StaticRange (e.g. an input event's target range) as [start, end] liveText offsets, or null outside the transcript */
+  rangeOffsets(r) {
+    const c = this.container;
+    const inC = (n) => n && (n === c || c.contains(n));
+    if (!(inC(r.startContainer) && inC(r.endContainer))) return null;
+    this._sync();
+    const s = this._offsetAt(r.startContainer, r.startOffset);
+    const e = this._offsetAt(r.endContainer, r.endOffset);
+    return [Math.min(s, e), Math.max(s, e)];
+  }
+
+  /** Select [start, end) (liveText offsets), rendering its blocks first when they are not */
+  setSelection(start, end = start) {
+    this._sync();
+    const len = this.text.length;
+    const S = Math.max(0, Math.min(len, start || 0));
+    const E = Math.max(S, Math.min(len, end == null ? S : end));
+    if (!this._covers(S, E)) this._renderAround(S, E);
+    const rng = this.rangeAt(S, E);
+    if (!rng) return;
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(rng);
+    this.container.focus();
+  }
+
+  /**
+   * DOM Range for [start, end) liveText offsets, or null when they are not rendered.
+   * @returns {Range|null}
+   */
+  rangeAt(start, end = start) {
+    if (!this.range) return null;
+    this._sync();
+    if (!this._covers(start, end)) return null;
+    return walkRange(this.container, start - this.range.startChar, end - this.range.startChar);
+  }
+
+  /**
+   * Scroll so the character at `offset` (liveText basis) is centered, then render
+   * the blocks around it.
+   * @returns {Range|null} range covering [offset, end) in the rendered DOM
+   */
+  scrollToOffset(offset, end = offset) {
+    const el = this.scrollEl;
+    this._sync();
+    this._ensureBlocks();
+    if (!el || !this.blocks.length) return null;
+    if (!this._covers(offset, end)) {
+      // Jump by the cached layout, then render there
+      const tops = this._layout();
+      el.scrollTop = this._origin() + tops[this._blockAtChar(offset)] - el.clientHeight / 2;
+      this._updateWindowFromScroll({ anchor: false });
+      if (!this._covers(offset, end)) this._renderAround(offset, end);
+    }
+    const rng = this.rangeAt(offset, end);
+    if (!rng) return null;
+    const r = rng.getBoundingClientRect();
+    const box = el.getBoundingClientRect();
+    el.scrollTop += (r.top - box.top) - (el.clientHeight / 2);
+    this._updateWindowFromScroll();
+    // A window render rebuilt the DOM: hand back a fresh range
+    return this.rangeAt(offset, end);
+  }
+
+  /**
+   * Index of the token covering character `offset` (liveText basis); an offset at the
+   * very end maps to the last token. -1 when there are no tokens.
+   */
+  tokenIndexAtOffset(offset) {
+    const abs = this.absIndex || [];
+    if (!abs.length) return -1;
+    let lo = 0, hi = abs.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (abs[mid] <= offset) lo = mid; else hi = mid - 1;
+    }
+    // Skip back over deleted/empty tokens sharing the offset
+    while (lo > 0 && (this.tokens[lo]?.state === 'del' || !(this.tokens[lo]?.word || '').length)) lo--;
+    return lo;
+  }
+
+  /** Character offset (liveText basis) where token `i` starts */
+  offsetOfToken(i) {
+    return this.absIndex[i] ?? -1;
+  }
+
   /** Stats for dev HUD */
   getStats() {
     return {
       tokens: (this.tokens || []).length,
-      spans: typeof this.renderer.getRenderedCount === 'function' ? this.renderer.getRenderedCount() : (this.tokens || []).length,
+      spans: typeof this.renderer.getRenderedCount === 'function' ? this.renderer.getRenderedCount() : 0,
+      blocks: this.blocks.length,
+      renderedBlocks: this.range ? this.range.b1 - this.range.b0 : 0,
+      renders: this.renderer.renderStats || null,
       renderMs: this._lastRenderMs || 0
     };
   }
@@ -72,23 +251,419 @@ export class ScrollVirtualizer {
     setTimeout(() => { this._scrollThrottle = false; this._updateWindowFromScroll(); }, 60);
   }
 
-  _updateWindowFromScroll() {
-    const totalTokens = (this.tokens || []).length;
-    if (!totalTokens) return;
-    const maxStart = Math.max(0, totalTokens - this.windowSize);
-    const el = this.scrollEl || this.container;
-    const sh = el.scrollHeight - el.clientHeight;
-    const ratio = sh > 0 ? Math.max(0, Math.min(1, el.scrollTop / sh)) : 0;
-    const start = Math.floor(ratio * maxStart);
-    this.renderer.setWindowSize(this.windowSize);
-    this.renderer.setWindowStart(start);
+  /** Render the blocks around the viewport when it nears the edge of the rendered window */
+  _updateWindowFromScroll({ anchor = true } = {}) {
+    if (!this.container) return;
+    this._sync();
+    this._ensureBlocks();
+    const n = this.blocks.length;
+    if (!n) { this._render(0, 0, { anchor: null }); return; }
+    const tops = this._layout();
+    const { y0, y1, h } = this._viewport();
+    const at = (y) => blockAtY(tops, y);
+    if (this.range && !this._broken) {
+      const need0 = at(y0 - h * OVERSCAN / 2), need1 = at(y1 + h * OVERSCAN / 2) + 1;
+      if (need0 >= this.range.b0 && need1 <= this.range.b1) return;
+    }
+    this._render(at(y0 - h * OVERSCAN), at(y1 + h * OVERSCAN) + 1, anchor ? {} : { anchor: null });
   }
 
-  /** Cleanup hook (kept minimal; OverlayRenderer owns the DOM) */
+  /**
+   * Render blocks [b0, b1), keeping the selection (when near) and the scroll anchor.
+   * `anchor` / `sel` default to the current ones; pass them when the text is being replaced.
+   */
+  _render(b0, b1, opts = {}) {
+    if (!this.container) return;
+    if (this.composing) { this._deferred = true; return; }
+    const t0 = performance.now();
+    this._sync();
+    const sel = 'sel' in opts ? opts.sel : this._focusedSelection();
+    const anchorAt = 'anchor' in opts ? opts.anchor : this._anchor();
+    this._ensureBlocks();
+    const n = this.blocks.length;
+    b0 = Math.max(0, Math.min(n, b0));
+    b1 = Math.max(b0, Math.min(n, b1));
+    if (sel && n) {
+      // Keep a nearby selection in the DOM so it survives the shift
+      const s0 = this._blockAtChar(sel[0]), s1 = this._blockAtChar(sel[1]) + 1;
+      if (Math.max(b1, s1) - Math.min(b0, s0) <= (b1 - b0) + MAX_SEL_BLOCKS) { b0 = Math.min(b0, s0); b1 = Math.max(b1, s1); }
+    }
+
+    this._mount();
+    const blocks = [];
+    for (let k = b0; k < b1; k++) {
+      const b = this.blocks[k];
+      blocks.push({ ...b, index: k, text: this.text.slice(b.start, b.end) });
+    }
+    this.renderer.patchBlocks(blocks);
+    this.range = n
+      ? { b0, b1, startChar: b0 < n ? this.blocks[b0].start : this.text.length, endChar: b1 > b0 ? this.blocks[b1 - 1].end : (b0 < n ? this.blocks[b0].start : this.text.length) }
+      : { b0: 0, b1: 0, startChar: 0, endChar: 0 };
+    this._winText = this.text.slice(this.range.startChar, this.range.endChar);
+    this._broken = false;
+
+    this._measure();
+    const tops = this._layout();
+    this.top.style.height = `${tops[b0]}px`;
+    this.bottom.style.height = `${tops[n] - tops[b1]}px`;
+
+    const ai = anchorAt && n ? this._blockAtChar(anchorAt.char) : -1;
+    if (ai >= b0 && ai < b1) this.scrollEl.scrollTop = this._origin() + this._blockTop(ai) + anchorAt.dy;
+    if (sel) {
+      // Off-window, the DOM selection would fall back to the window start: park it instead
+      const rng = this._covers(sel[0], sel[1]) ? this.rangeAt(sel[0], sel[1]) : null;
+      const s = window.getSelection();
+      s.removeAllRanges();
+      if (rng) s.addRange(rng);
+      this._lostSel = rng ? null : sel;
+    }
+    this._lastRenderMs = performance.now() - t0;
+  }
+
+  /** Render the blocks of [start, end] plus a margin, without scrolling */
+  _renderAround(start, end) {
+    this._ensureBlocks();
+    const i = this._blockAtChar(start), j = this._blockAtChar(end);
+    const { h } = this._viewport();
+    const pad = Math.max(EDGE_BLOCKS + 1, Math.ceil(h / this._estimate(0)));
+    this._render(i - pad, Math.min(j + 1, i + MAX_SEL_BLOCKS) + pad, { anchor: null });
+  }
+
+  /** Caret next to a window edge (arrow keys): bring in the blocks beyond it */
+  _pullTowardsCaret() {
+    if (this.composing || !this.range || document.activeElement !== this.container) return;
+    const sel = window.getSelection();
+    if (!sel || !sel.rangeCount) return;
+    this._lostSel = null; // the user placed a new one
+    const els = this.renderer.getBlockElements();
+    const { b0, b1 } = this.range;
+    const blockOf = (node) => {
+      const el = node && (node.nodeType === 1 ? node : node.parentElement)?.closest?.('.vblock');
+      return el ? els.indexOf(el) : -1;
+    };
+    const k = blockOf(sel.focusNode);
+    if (k < 0) return;
+    const up = b0 > 0 && k < EDGE_BLOCKS;
+    const down = b1 < this.blocks.length && els.length - 1 - k < EDGE_BLOCKS;
+    if (!up && !down) return;
+    clearTimeout(this._pullTimer);
+    this._pullTimer = setTimeout(() => {
+      if (!this.range) return;
+      this._render(up ? this.range.b0 - PULL_BLOCKS : this.range.b0, down ? this.range.b1 + PULL_BLOCKS : this.range.b1);
+    }, 0);
+  }
+
+  /** Select all: render every block first, so the native selection spans the whole text */
+  _onKeyDown(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || (e.key !== 'a' && e.key !== 'A')) return;
+    this._ensureBlocks();
+    if (this.range && (this.range.b0 > 0 || this.range.b1 < this.blocks.length)) this._render(0, this.blocks.length);
+  }
+
+  /** The spacers stand in for text that is not in the DOM: edits must not remove them */
+  _onBeforeInput(e) {
+    if (!this.range || (this.range.b0 === 0 && this.range.b1 === this.blocks.length)) return;
+    const sel = window.getSelection();
+    if (!sel || !sel.rangeCount) return;
+    const r = sel.getRangeAt(0);
+    if (r.intersectsNode(this.top) || r.intersectsNode(this.bottom)) e.preventDefault();
+  }
+
+  /** Keep the model in step with edits made in the rendered window */
+  _sync() {
+    if (!this.range) return;
+    const winText = this._readWindow();
+    if (winText === this._winText) return;
+    const { startChar, endChar } = this.range;
+    this.text = this.text.slice(0, startChar) + winText + this.text.slice(endChar);
+    this.range.endChar = startChar + winText.length;
+    this._winText = winText;
+    this._blocksStale = true;
+  }
+
+  /** Text of the rendered window, including any nodes the editor put next to it */
+  _readWindow() {
+    const c = this.container;
+    if (c.childNodes.length === 3 && c.firstChild === this.top && this.win.parentNode === c) return (this.win.innerText || '').replace(/\r/g, '');
+    // The spacers hold no text, so the container's text is the window's
+    this._broken = true;
+    return (c.innerText || '').replace(/\r/g, '');
+  }
+
+  /** liveText offset of a DOM boundary point */
+  _offsetAt(node, off) {
+    const c = this.container;
+    const { startChar } = this.range || { startChar: 0 };
+    if (this.top.contains(node) || (node === c && off === 0 && c.firstChild === this.top)) return 0;
+    if (this.bottom.contains(node) || (node === c && off >= c.childNodes.length && c.lastChild === this.bottom)) return this.text.length;
+    const rng = document.createRange();
+    rng.selectNodeContents(c);
+    try { rng.setEnd(node, off); } catch { return startChar; }
+    return Math.min(this.text.length, startChar + rng.toString().length);
+  }
+
+  _covers(start, end) {
+    const r = this.range;
+    if (!r) return false;
+    // After a closing newline, the window end is the start of the next (unrendered) block
+    return start >= r.startChar && end <= r.endChar && (end < r.endChar || r.endChar === this.text.length || this.text[r.endChar - 1] !== '\n');
+  }
+
+  _focusedSelection() {
+    if (document.activeElement !== this.container) return null;
+    return this.selectionOffsets() || this._lostSel;
+  }
+
+  /** New text for the whole transcript; the DOM window is rebuilt, not read back */
+  _replaceText(text) {
+    const sel = this._focusedSelection();
+    const anchor = this._anchor();
+    this.text = text;
+    this._blocksStale = true;
+    this.range = null;
+    this._ensureBlocks();
+    const tops = this._layout();
+    const { y0, y1, h } = this._viewport();
+    this._render(blockAtY(tops, y0 - h * OVERSCAN), blockAtY(tops, y1 + h * OVERSCAN) + 1, { sel, anchor });
+  }
+
+  /** Cut this.text into blocks; runs matching the tokens' text keep their token ranges */
+  _ensureBlocks() {
+    if (!this._blocksStale) return;
+    this._blocksStale = false;
+    this._tops = null;
+    const tb = tokenBlocks(this.tokens, this.absIndex, this.tokensText);
+    const text = this.text;
+    if (text === this.tokensText) { this.blocks = tb; return; }
+    // Common leading and trailing blocks keep their tokens; the edited middle renders plain
+    const src = this.tokensText;
+    let k = 0;
+    const ends = (b) => src[b.end - 1] === '\n' || b.end === text.length; // a block must still end where it did
+    while (k < tb.length && ends(tb[k]) && text.startsWith(src.slice(tb[k].start, tb[k].end), tb[k].start)) k++;
+    const head = k ? tb[k - 1].end : 0;
+    const delta = text.length - src.length;
+    let j = tb.length;
+    while (j > k) {
+      const b = tb[j - 1];
+      const at = b.start + delta;
+      if (at < head || !text.startsWith(src.slice(b.start, b.end), at) || (at > 0 && text[at - 1] !== '\n')) break;
+      j--;
+    }
+    const tail = j < tb.length ? tb[j].start + delta : text.length;
+    const mid = [];
+    for (let s = head; s < tail;) {
+      const nl = text.indexOf('\n', s);
+      const e = nl < 0 || nl >= tail ? tail : nl + 1;
+      mid.push({ start: s, end: e });
+      s = e;
+    }
+    this.blocks = [...tb.slice(0, k), ...mid, ...tb.slice(j).map(b => ({ ...b, start: b.start + delta, end: b.end + delta }))];
+  }
+
+  /** Measure the rendered blocks into the height cache */
+  _measure() {
+    const els = this.renderer.getBlockElements();
+    if (!els.length || !this.range) return;
+    const width = this.win.clientWidth;
+    if (!width) return; // not laid out (hidden)
+    if (width !== this._width) { this.heights.clear(); this._width = width; this._metrics = null; }
+    const tops = els.map(el => el.getClientRects()[0]?.top);
+    const bottom = this.win.getBoundingClientRect().bottom;
+    for (let k = 0; k < els.length; k++) {
+      const next = k + 1 < els.length ? tops[k + 1] : bottom;
+      const h = next - tops[k];
+      if (Number.isFinite(h) && h > 0) this.heights.set(this.text.slice(this.blocks[this.range.b0 + k].start, this.blocks[this.range.b0 + k].end), h);
+    }
+    this._tops = null;
+  }
+
+  /** Prefix sums of block heights (measured, else estimated) */
+  _layout() {
+    if (this._tops && this._tops.length === this.blocks.length + 1) return this._tops;
+    const tops = new Float64Array(this.blocks.length + 1);
+    for (let k = 0; k < this.blocks.length; k++) {
+      const b = this.blocks[k];
+      const key = this.text.slice(b.start, b.end);
+      tops[k + 1] = tops[k] + (this.heights.get(key) ?? this._estimate(key.length));
+    }
+    return (this._tops = tops);
+  }
+
+  /** Height guess for a block of `len` chars: wrapped rows of the transcript's line height */
+  _estimate(len) {
+    if (!this._metrics) {
+      const cs = getComputedStyle(this.container);
+      const fs = parseFloat(cs.fontSize) || 16;
+      const lh = parseFloat(cs.lineHeight) || fs * 1.5;
+      this._metrics = { lh, perRow: Math.max(8, Math.floor((this.win.clientWidth || 600) / (fs * 0.5))) };
+    }
+    const { lh, perRow } = this._metrics;
+    return lh * Math.max(1, Math.ceil(len / perRow));
+  }
+
+  /** Content-space y of the first block (top of the top spacer) within scrollEl */
+  _origin() {
+    const el = this.scrollEl;
+    return this.top.getBoundingClientRect().top - el.getBoundingClientRect().top + el.scrollTop;
+  }
+
+  _viewport() {
+    const el = this.scrollEl;
+    const h = el.clientHeight || 600;
+    const y0 = el.scrollTop - this._origin();
+    return { y0, y1: y0 + h, h };
+  }
+
+  /** Top of block k relative to the first block: from the DOM when rendered, else from the cache */
+  _blockTop(k) {
+    const r = this.range;
+    if (r && k >= r.b0 && k < r.b1) {
+      const rect = this.renderer.getBlockElements()[k - r.b0]?.getClientRects()[0];
+      if (rect) return rect.top - this.top.getBoundingClientRect().top;
+    }
+    return this._layout()[k];
+  }
+
+  /**
+   * The block at the top of the viewport (by its start offset) and how far into it the
+   * viewport starts. Read from the DOM when that block is rendered, so edits in the window
+   * don't skew it.
+   */
+  _anchor() {
+    if (!this.scrollEl) return null;
+    const { y0 } = this._viewport();
+    if (y0 <= 0) return null;
+    const els = this.range ? this.renderer.getBlockElements() : [];
+    if (els.length) {
+      const origin = this.top.getBoundingClientRect().top;
+      let hit = null, hitTop = 0;
+      for (const el of els) {
+        const t = el.getClientRects()[0]?.top;
+        if (t == null) continue;
+        if (t - origin > y0) break;
+        hit = el; hitTop = t - origin;
+      }
+      if (hit && (hit !== els[els.length - 1] || y0 < this.win.getBoundingClientRect().bottom - origin)) {
+        return { char: this._offsetAt(hit, 0), dy: y0 - hitTop };
+      }
+    }
+    this._ensureBlocks();
+    const tops = this._layout();
+    const k = blockAtY(tops, y0);
+    return this.blocks[k] ? { char: this.blocks[k].start, dy: y0 - tops[k] } : null;
+  }
+
+  _blockAtChar(offset) {
+    const b = this.blocks;
+    let lo = 0, hi = b.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (b[mid].start <= offset) lo = mid; else hi = mid - 1;
+    }
+    return Math.max(0, lo);
+  }
+
+  _mount() {
+    const c = this.container;
+    if (c.childNodes.length === 3 && c.firstChild === this.top && c.childNodes[1] === this.win && c.lastChild === this.bottom) return;
+    c.textContent = '';
+    c.append(this.top, this.win, this.bottom);
+  }
+
+  /** Cleanup hook */
   destroy() {
+    this.scrollEl?.removeEventListener('scroll', this._onScroll);
+    document.removeEventListener('selectionchange', this._onSelection);
+    this._resizeObserver?.disconnect();
+    if (this.container) registry.delete(this.container);
     this.container = null;
     this.scrollEl = null;
     this.tokens = [];
     this.absIndex = [];
+    this.blocks = [];
+  }
+}
+
+/** Keys for `tokens` without worker ids: the common prefix/suffix with the previous stream keeps its keys */
+function deriveKeys(prev, prevKeys, tokens) {
+  const n = tokens.length, m = prev?.length || 0;
+  const keys = new Array(n);
+  const same = (i, j) => prev[i]?.word === tokens[j]?.word;
+  let p = 0;
+  if (prevKeys) while (p < m && p < n && same(p, p)) { keys[p] = prevKeys[p]; p++; }
+  let s = 0;
+  if (prevKeys) while (s < m - p && s < n - p && same(m - 1 - s, n - 1 - s)) { keys[n - 1 - s] = prevKeys[m - 1 - s]; s++; }
+  for (let j = p; j < n - s; j++) keys[j] = `k${++keySeq}`;
+  return keys;
+}
+
+function spacer(which) {
+  const el = document.createElement('div');
+  el.className = `vspacer vspacer-${which}`;
+  el.contentEditable = 'false';
+  el.setAttribute('aria-hidden', 'true');
+  return el;
+}
+
+/** Blocks of the tokens' text: a block ends after a token ending in a newline */
+function tokenBlocks(tokens, abs, text) {
+  const out = [];
+  let from = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (!t || t.state === 'del' || !(t.word || '').endsWith('\n')) continue;
+    out.push({ start: abs[from] ?? 0, end: abs[i] + t.word.length, from, to: i + 1 });
+    from = i + 1;
+  }
+  const start = from < tokens.length ? abs[from] : text.length;
+  if (start < text.length) out.push({ start, end: text.length, from, to: tokens.length });
+  return out;
+}
+
+/** Index of the block containing y (clamped) in prefix sums `tops` */
+function blockAtY(tops, y) {
+  const n = tops.length - 1;
+  if (n <= 0) return 0;
+  let lo = 0, hi = n - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (tops[mid] <= y) lo = mid; else hi = mid - 1;
   }
+  return lo;
+}
+
+/** Range for [S, E) over the text nodes of `container` */
+function walkRange(container, start, end = start) {
+  const S = Math.max(0, start | 0), E = Math.max(S, end | 0);
+  const tw = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, null);
+  let pos = 0, n, sNode = null, sOff = 0, eNode = null, eOff = 0, last = null;
+  while ((n = tw.nextNode())) {
+    const len = n.nodeValue.length;
+    if (!sNode && pos + len >= S) { sNode = n; sOff = S - pos; }
+    if (sNode && pos + len >= E) { eNode = n; eOff = E - pos; break; }
+    pos += len; last = n;
+  }
+  if (!sNode) {
+    // Empty window: a collapsed range inside it
+    if (S > pos) return null;
+    const el = container.querySelector?.('.vwin') || container;
+    const rng = document.createRange();
+    rng.setStart(el, 0);
+    return rng;
+  }
+  if (!eNode) { eNode = last || sNode; eOff = eNode.nodeValue.length; }
+  const rng = document.createRange();
+  try { rng.setStart(sNode, sOff); rng.setEnd(eNode, eOff); } catch { return null; }
+  return rng;
+}
+
+/**
+ * DOM Range for [start, end) character offsets (liveText basis) within `container`'s text;
+ * null when a virtualized container does not have them rendered.
+ * @returns {Range|null}
+ */
+export function rangeFromOffsets(container, start, end = start) {
+  if (!container) return null;
+  const v = virtualizerFor(container);
+  return v ? v.rangeAt(start, end) : walkRange(container, start, end);
 }
@@ -0,0 +1,312 @@
+// v2/search/index.js
+// Project-wide search: positional inverted index over the latest saved version of every
+// transcript (and optionally the HF baselines of files never saved), cached in IndexedDB.
+// Terms are folded (niqqud, final letters, punctuation) and Hebrew one-letter prefixes
+// (ו ה ב ל מ ש כ) are indexed as variants so "בית" also finds "ובבית".
+
+import { foldHebrewText } from '../shared/hebrew.js';
+import { listTranscriptHeads, getTranscriptVersion, listFolders, listFiles, loadBaselineTokens } from '../data/api.js';
+import { filePathFor } from '../data/sources.js';
+import { idbDatabase } from '../data/idb.js';
+
+const DB_NAME = 'v2-search';
+const DB_VERSION = 1;
+const STORE = 'docs';
+
+const PREFIX_LETTERS = new Set(['ו', 'ה', 'ב', 'ל', 'מ', 'ש', 'כ']);
+const MAX_PREFIX = 3;      // e.g. ו+ש+ב
+const MIN_STEM = 2;        // never strip down to a single letter
+
+/**
+ * @typedef {Object} SearchDoc
+ * @property {string} file_path
+ * @property {'version'|'baseline'} source
+ * @property {number|null} version
+ * @property {string} base_sha256
+ * @property {string[]} words  - display words (one per indexed position)
+ * @property {string[]} terms  - normalized terms, parallel to `words`
+ * @property {number[]} times  - start time (s) per position
+ * @property {number} indexed_at
+ */
+
+/** Normalize a word into an index term ('' when nothing searchable is left) */
+export function normalizeTerm(word) {
+  return foldHebrewText(String(word || ''), { niqqud: true, finals: true })
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/** Stems left after stripping 1..3 Hebrew prefix letters */
+export function prefixVariants(term) {
+  const out = [];
+  for (let k = 1; k <= MAX_PREFIX && term.length - k >= MIN_STEM; k++) {
+    if (!PREFIX_LETTERS.has(term[k - 1])) break;
+    out.push(term.slice(k));
+  }
+  return out;
+}
+
+/**
+ * Build a search document from flat tokens (whitespace and '\n' tokens are skipped).
+ * @returns {SearchDoc}
+ */
+export function buildSearchDoc(file_path, tokens, { source = 'version', version = null, base_sha256 = '' } = {}) {
+  const words = [], terms = [], times = [];
+  for (const t of (tokens || [])) {
+    if (!t || t.state === 'del') continue;
+    for (const piece of String(t.word || '').split(/\s+/)) {
+      const term = normalizeTerm(piece);
+      if (!term) continue;
+      words.push(piece);
+      terms.push(term);
+      times.push(Number.isFinite(+t.start) ? +t.start : NaN);
+    }
+  }
+  return { file_path, source, version, base_sha256, words, terms, times, indexed_at: Date.now() };
+}
+
+/**
+ * Split a query into phrases: "quoted text" is one phrase, every other word its own.
+ * Gershayim inside a word (צה"ל) are not quotes.
+ * @returns {string[][]} normalized terms per phrase
+ */
+export function parseQuery(query) {
+  const phrases = [];
+  const re = /(?:^|\s)"(.+?)"(?=\s|$)|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(query || '')))) {
+    const raw = m[1] != null ? m[1].split(/\s+/) : [m[2]];
+    const terms = raw.map(normalizeTerm).filter(Boolean);
+    if (terms.length) phrases.push(terms);
+  }
+  return phrases;
+}
+
+export class SearchIndex {
+  constructor() {
+    /** @type {Map<string, SearchDoc>} */
+    this.docs = new Map();
+    // term -> Map(file_path -> positions[])
+    this.exact = new Map();
+    this.prefixed = new Map();
+  }
+
+  static _post(map, term, path, pos) {
+    let byDoc = map.get(term);
+    if (!byDoc) { byDoc = new Map(); map.set(term, byDoc); }
+    let arr = byDoc.get(path);
+    if (!arr) { arr = []; byDoc.set(path, arr); }
+    arr.push(pos);
+  }
+
+  /** Add or replace a document */
+  add(doc) {
+    if (!doc?.file_path) return;
+    if (this.docs.has(doc.file_path)) this.remove(doc.file_path);
+    this.docs.set(doc.file_path, doc);
+    doc.terms.forEach((term, pos) => {
+      SearchIndex._post(this.exact, term, doc.file_path, pos);
+      for (const stem of prefixVariants(term)) SearchIndex._post(this.prefixed, stem, doc.file_path, pos);
+    });
+  }
+
+  remove(path) {
+    const doc = this.docs.get(path);
+    if (!doc) return;
+    this.docs.delete(path);
+    for (const map of [this.exact, this.prefixed]) {
+      for (const term of new Set(doc.terms.flatMap(t => [t, ...prefixVariants(t)]))) {
+        const byDoc = map.get(term);
+        if (!byDoc) continue;
+        byDoc.delete(path);
+        if (!byDoc.size) map.delete(term);
+      }
+    }
+  }
+
+  /** Positions of `term` per doc (exact, plus prefixed forms when enabled) */
+  _lookup(term, prefixes) {
+    const out = new Map();
+    const merge = (byDoc) => {
+      if (!byDoc) return;
+      for (const [path, pos] of byDoc) {
+        const cur = out.get(path);
+        out.set(path, cur ? cur.concat(pos) : pos.slice());
+      }
+    };
+    merge(this.exact.get(term));
+    if (prefixes) merge(this.prefixed.get(term));
+    return out;
+  }
+
+  /** Start positions of `phrase` (consecutive terms) per doc */
+  _phrase(phrase, prefixes) {
+    const first = this._lookup(phrase[0], prefixes);
+    if (phrase.length === 1) return first;
+    const rest = phrase.slice(1).map(t => this._lookup(t, prefixes));
+    const out = new Map();
+    for (const [path, starts] of first) {
+      const sets = rest.map(m => m.get(path));
+      if (sets.some(s => !s)) continue;
+      const lookups = sets.map(s => new Set(s));
+      const hits = starts.filter(p => lookups.every((set, i) => set.has(p + i + 1)));
+      if (hits.length) out.set(path, hits);
+    }
+    return out;
+  }
+
+  /**
+   * Search all docs. Every phrase must occur in a doc for it to match.
+   * @param {string} query
+   * @param {{ prefixes?:boolean, maxDocs?:number, maxHitsPerDoc?:number, context?:number }} [opts]
+   * @returns {Array<{ file_path:string, source:string, version:number|null, total:number,
+   *   hits:Array<{ pos:number, len:number, time:number, before:string, match:string, after:string }> }>}
+   */
+  search(query, opts = {}) {
+    const { prefixes = true, maxDocs = 200, maxHitsPerDoc = 50, context = 6 } = opts;
+    const phrases = parseQuery(query);
+    if (!phrases.length) return [];
+    const perPhrase = phrases.map(p => this._phrase(p, prefixes));
+    const results = [];
+    for (const [path] of perPhrase[0]) {
+      if (!perPhrase.every(m => m.has(path))) continue;
+      const doc = this.docs.get(path);
+      const hits = [];
+      perPhrase.forEach((m, i) => {
+        for (const pos of m.get(path)) hits.push({ pos, len: phrases[i].length });
+      });
+      hits.sort((a, b) => a.pos - b.pos);
+      results.push({
+        file_path: path,
+        source: doc.source,
+        version: doc.version,
+        total: hits.length,
+        hits: hits.slice(0, maxHitsPerDoc).map(h => ({
+          ...h,
+          time: doc.times[h.pos],
+          before: doc.words.slice(Math.max(0, h.pos - context), h.pos).join(' '),
+          match: doc.words.slice(h.pos, h.pos + h.len).join(' '),
+          after: doc.words.slice(h.pos + h.len, h.pos + h.len + context).join(' '),
+        }))
+      });
+    }
+    results.sort((a, b) => b.total - a.total || a.file_path.localeCompare(b.file_path, 'he'));
+    return results.slice(0, maxDocs);
+  }
+}
+
+/* ---------- IndexedDB cache ---------- */
+const db = idbDatabase(DB_NAME, DB_VERSION, (idb) => {
+  if (!idb.objectStoreNames.contains(STORE)) idb.createObjectStore(STORE, { keyPath: 'file_path' });
+});
+const withStore = (mode, fn) => db.withStore(STORE, mode, fn);
+
+const cachePut = (doc) => withStore('readwrite', os => os.put(doc)).catch(e => console.warn('search cache put failed:', e?.message || e));
+const cacheDelete = (path) => withStore('readwrite', os => os.delete(path)).catch(e => console.warn('search cache delete failed:', e?.message || e));
+
+/* ---------- Shared index instance ---------- */
+let indexPromise = null;
+let updating = null;
+
+/** The shared index, loaded from the IndexedDB cache on first use */
+export function getSearchIndex() {
+  if (indexPromise) return indexPromise;
+  indexPromise = (async () => {
+    const idx = new SearchIndex();
+    try {
+      const docs = await withStore('readonly', os => os.getAll());
+      for (const d of (docs || [])) idx.add(d);
+    } catch (e) {
+      console.warn('Search cache unavailable, starting empty:', e?.message || e);
+    }
+    return idx;
+  })();
+  return indexPromise;
+}
+
+/** Index (or re-index) one file from tokens already in hand, e.g. right after a save */
+export async function indexDocument(file_path, tokens, meta = {}) {
+  const idx = await getSearchIndex();
+  const doc = buildSearchDoc(file_path, tokens, meta);
+  idx.add(doc);
+  await cachePut(doc);
+  return doc;
+}
+
+/**
+ * Bring the index up to date: (re)index files whose latest version changed, drop
+ * versions that disappeared, and optionally index HF baselines of never-saved files.
+ * Concurrent calls share one run.
+ * @param {{ includeBaselines?:boolean, signal?:AbortSignal, onProgress?:(p:{phase:string,done:number,total:number})=>void }} [opts]
+ * @returns {Promise<{ updated:number, removed:number, failed:number, total:number }>}
+ */
+export function updateSearchIndex(opts = {}) {
+  if (updating) return updating;
+  updating = runUpdate(opts).finally(() => { updating = null; });
+  return updating;
+}
+
+async function runUpdate({ includeBaselines = false, signal, onProgress } = {}) {
+  const idx = await getSearchIndex();
+  const stats = { updated: 0, removed: 0, failed: 0, total: 0 };
+  const progress = (phase, done, total) => { try { onProgress?.({ phase, done, total }); } catch {} };
+  const aborted = () => !!signal?.aborted;
+
+  const heads = await listTranscriptHeads();
+  if (heads) {
+    const live = new Set(heads.map(h => h.file_path));
+    for (const doc of Array.from(idx.docs.values())) {
+      if (doc.source === 'version' && !live.has(doc.file_path)) { idx.remove(doc.file_path); await cacheDelete(doc.file_path); stats.removed++; }
+    }
+    const stale = heads.filter(h => {
+      const d = idx.docs.get(h.file_path);
+      return !d || d.source !== 'version' || d.version !== h.version || d.base_sha256 !== (h.base_sha256 || '');
+    });
+    for (let i = 0; i < stale.length && !aborted(); i++) {
+      progress('versions', i, stale.length);
+      const h = stale[i];
+      const row = await getTranscriptVersion(h.file_path, h.version);
+      if (!row) { stats.failed++; continue; }
+      const tokens = Array.isArray(row.words) && row.words.length ? row.words : [{ word: row.text || '', start: NaN }];
+      await indexDocument(h.file_path, tokens, { source: 'version', version: h.version, base_sha256: h.base_sha256 || '' });
+      stats.updated++;
+    }
+    progress('versions', stale.length, stale.length);
+  }
+
+  if (includeBaselines && !aborted()) {
+    const paths = [];
+    try {
+      for (const f of await listFolders()) {
+        if (aborted()) break;
+        for (const file of await listFiles(f.name)) paths.push(filePathFor(f.name, file.name));
+      }
+    } catch (e) {
+      console.warn('Baseline listing failed:', e?.message || e);
+    }
+    const todo = paths.filter(p => !idx.docs.has(p));
+    for (let i = 0; i < todo.length && !aborted(); i++) {
+      progress('baselines', i, todo.length);
+      try {
+        const tokens = await loadBaselineTokens(todo[i]);
+        await indexDocument(todo[i], tokens, { source: 'baseline' });
+        stats.updated++;
+      } catch (e) {
+        console.warn('Baseline index failed:', todo[i], e?.message || e);
+        stats.failed++;
+      }
+    }
+    progress('baselines', todo.length, todo.length);
+  }
+
+  stats.total = idx.docs.size;
+  return stats;
+}
+
+/** Search the shared index */
+export async function searchTranscripts(query, opts = {}) {
+  const idx = await getSearchIndex();
+  return idx.search(query, opts);
+}
+
+export default { getSearchIndex, updateSearchIndex, searchTranscripts, indexDocument, SearchIndex, parseQuery, normalizeTerm, prefixVariants, buildSearchDoc };
@@ -0,0 +1,84 @@
+// v2/shared/anchors.js
+// Text-quote anchors for confirmed ranges: `{ prefix, exact, suffix }` plus the original
+// offsets. Re-anchoring only moves a range; the confirmed text itself must still be there
+// verbatim (a confirmation vouches for those exact characters).
+
+export const CONTEXT_LEN = 16; // same context length saveConfirmations stores
+
+/**
+ * Quote selector for `range` in `text`.
+ * @returns {{ start:number, end:number, prefix:string, exact:string, suffix:string }}
+ */
+export function quoteSelector(text, [s, e], ctx = CONTEXT_LEN) {
+  const src = String(text ?? '');
+  return { start: s, end: e, prefix: src.slice(Math.max(0, s - ctx), s), exact: src.slice(s, e), suffix: src.slice(e, Math.min(src.length, e + ctx)) };
+}
+
+const commonPrefixLen = (a, b) => { let i = 0; while (i < a.length && i < b.length && a[i] === b[i]) i++; return i; };
+const commonSuffixLen = (a, b) => { let i = 0; while (i < a.length && i < b.length && a[a.length - 1 - i] === b[b.length - 1 - i]) i++; return i; };
+
+/**
+ * Find where a quote selector lands in `text`: every verbatim occurrence of `exact` is
+ * scored by how much of its prefix/suffix context still matches, ties broken by distance
+ * from `hint` (default: the original start).
+ * @param {{ start?:number, prefix?:string, exact:string, suffix?:string }} sel
+ * @param {{ hint?:number, requireContext?:boolean, within?:[number,number] }} [opts]
+ *   requireContext: a match with no context agreement is only accepted when `exact` occurs once;
+ *   within: only consider occurrences inside [lo, hi)
+ * @returns {[number, number]|null}
+ */
+export function reanchor(text, sel, { hint, requireContext = true, within } = {}) {
+  const src = String(text ?? '');
+  const exact = String(sel?.exact ?? '');
+  if (!exact) return null;
+  const prefix = String(sel.prefix ?? ''), suffix = String(sel.suffix ?? '');
+  const near = Number.isFinite(hint) ? hint : (Number.isFinite(sel.start) ? sel.start : 0);
+  // Fast path: still in place with its context
+  if (Number.isFinite(sel.start) && src.startsWith(exact, sel.start)
+    && src.slice(Math.max(0, sel.start - prefix.length), sel.start) === prefix
+    && src.slice(sel.start + exact.length, sel.start + exact.length + suffix.length) === suffix) {
+    return [sel.start, sel.start + exact.length];
+  }
+  let best = null, bestScore = -1, bestDist = Infinity, count = 0;
+  const lo = within ? Math.max(0, within[0]) : 0, hi = within ? within[1] : Infinity;
+  for (let i = src.indexOf(exact, lo); i >= 0 && i + exact.length <= hi; i = src.indexOf(exact, i + 1)) {
+    count++;
+    const score = commonSuffixLen(prefix, src.slice(Math.max(0, i - prefix.length), i))
+      + commonPrefixLen(suffix, src.slice(i + exact.length, i + exact.length + suffix.length));
+    const dist = Math.abs(i - near);
+    if (score > bestScore || (score === bestScore && dist < bestDist)) { best = i; bestScore = score; bestDist = dist; }
+  }
+  if (best == null) return null;
+  if (requireContext && bestScore === 0 && count > 1 && (prefix || suffix)) return null;
+  return [best, best + exact.length];
+}
+
+/**
+ * Carry ranges across a live edit from `oldText` to `newText`. Ranges clear of the edited
+ * region shift with it; ranges it touches are re-found verbatim near their old place, and
+ * dropped when the edit went inside them.
+ * @param {Array<[number,number]>} ranges
+ * @returns {{ kept:Array<[number,number]>, dropped:Array<[number,number]> }}
+ */
+export function shiftRanges(ranges, oldText, newText) {
+  const a = String(oldText ?? ''), b = String(newText ?? '');
+  const kept = [], dropped = [];
+  if (a === b) return { kept: (ranges || []).map(r => r.slice()), dropped };
+  const p = commonPrefixLen(a, b);
+  const q = Math.min(commonSuffixLen(a, b), a.length - p, b.length - p);
+  const oldEnd = a.length - q;      // edited region in the old text: [p, oldEnd)
+  const delta = b.length - a.length;
+  const newEnd = b.length - q;
+  for (const r of (ranges || [])) {
+    const [s, e] = r;
+    if (e <= p) { kept.push([s, e]); continue; }
+    if (s >= oldEnd) { kept.push([s + delta, e + delta]); continue; }
+    // Touched by the edit: the confirmed text must survive verbatim inside the rewritten
+    // region (e.g. a replace-all that changed text around it but not in it)
+    const hit = reanchor(b, quoteSelector(a, r), { hint: s, within: [p - (e - s), newEnd + (e - s)] });
+    if (hit) kept.push(hit); else dropped.push([s, e]);
+  }
+  return { kept, dropped };
+}
+
+export default { CONTEXT_LEN, quoteSelector, reanchor, shiftRanges };
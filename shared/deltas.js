@@ -0,0 +1,61 @@
+// v2/shared/deltas.js
+// Edit deltas ({ offset, deleteCount, insertText }) and dirty ranges, shared by the editor
+// pipeline (editor/deltas.js) and the incremental diff/align workers. Dependency-free.
+
+/**
+ * @typedef {Object} TextDelta
+ * @property {number} offset       - in the old text
+ * @property {number} deleteCount  - chars removed at `offset`
+ * @property {string} insertText   - chars inserted at `offset`
+ */
+
+/**
+ * @typedef {Object} DirtyRange
+ * @property {number} start    - same position in the old and the new text
+ * @property {number} baseEnd  - end of the replaced range in the old text
+ * @property {number} end      - end of its replacement in the new text
+ */
+
+/** The single replaced range that turns `prev` into `next` (null when equal) */
+export function textDelta(prev, next) {
+  const a = String(prev ?? ''), b = String(next ?? '');
+  if (a === b) return null;
+  const max = Math.min(a.length, b.length);
+  let pre = 0;
+  while (pre < max && a.charCodeAt(pre) === b.charCodeAt(pre)) pre++;
+  let post = 0;
+  while (post < max - pre && a.charCodeAt(a.length - 1 - post) === b.charCodeAt(b.length - 1 - post)) post++;
+  return { offset: pre, deleteCount: a.length - pre - post, insertText: b.slice(pre, b.length - post) };
+}
+
+export function applyDelta(text, d) {
+  return text.slice(0, d.offset) + d.insertText + text.slice(d.offset + d.deleteCount);
+}
+
+/** Widen `range` (old → current text) by delta `d` on the current text; only lengths of `d` matter */
+export function foldDelta(range, d) {
+  const dEnd = d.offset + d.deleteCount;
+  const grow = d.insertText.length - d.deleteCount;
+  if (!range) return { start: d.offset, baseEnd: dEnd, end: d.offset + d.insertText.length };
+  const hi = Math.max(range.end, dEnd);
+  return { start: Math.min(range.start, d.offset), baseEnd: hi - (range.end - range.baseEnd), end: hi + grow };
+}
+
+/** The delta that `range` stands for, with its replacement taken from the current `text` */
+export function rangeDelta(range, text) {
+  if (!range) return { offset: 0, deleteCount: 0, insertText: '' };
+  return { offset: range.start, deleteCount: range.baseEnd - range.start, insertText: text.slice(range.start, range.end) };
+}
+
+/**
+ * Worker side: `live` holds the text its result describes (`text`), the latest text (`head`) and
+ * the deltas in between (`pending`). Fold `d` (on top of `head`) in and return the delta from
+ * `text` to the new head — what to recompute, including deltas dropped unprocessed.
+ */
+export function advanceHead(live, d) {
+  live.pending = foldDelta(live.pending, d);
+  live.head = applyDelta(live.head, d);
+  return rangeDelta(live.pending, live.head);
+}
+
+export default { textDelta, applyDelta, foldDelta, rangeDelta, advanceHead };
@@ -0,0 +1,128 @@
+// v2/shared/energy-align.js
+// Energy/VAD word boundary estimator. Given a mono audio slice and the words spoken in it,
+// spread the words over the voiced frames by letter count, snapping boundaries to pauses
+// or to local energy dips. No model: good enough to replace interpolated guesses.
+
+const FRAME_SEC = 0.01;
+const GAP_FILL = 3;       // frames: shorter unvoiced gaps are treated as voiced
+const MIN_RUN = 3;        // frames: shorter voiced runs are noise
+const SNAP = 8;           // voiced frames: how far a boundary may move to reach a pause
+const REFINE = 5;         // voiced frames: search radius for the energy dip
+
+const letters = (w) => (String(w || '').match(/[\p{L}\p{Nd}]/gu) || []).length;
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))))];
+}
+
+/** Smoothed per-frame energy in dB (hop = `hop` samples) */
+export function frameEnergy(samples, hop) {
+  const n = Math.ceil(samples.length / hop);
+  const raw = new Float32Array(n);
+  for (let f = 0; f < n; f++) {
+    let sum = 0;
+    const end = Math.min(samples.length, (f + 1) * hop);
+    for (let i = f * hop; i < end; i++) sum += samples[i] * samples[i];
+    raw[f] = 10 * Math.log10(sum / Math.max(1, end - f * hop) + 1e-10);
+  }
+  const db = new Float32Array(n);
+  for (let f = 0; f < n; f++) {
+    const a = raw[Math.max(0, f - 1)], b = raw[f], c = raw[Math.min(n - 1, f + 1)];
+    db[f] = (a + 2 * b + c) / 4;
+  }
+  return db;
+}
+
+/** Voiced/unvoiced flag per frame: adaptive threshold, short gaps filled, blips dropped */
+export function voicedFrames(db) {
+  const n = db.length;
+  const sorted = Array.from(db).sort((a, b) => a - b);
+  const lo = percentile(sorted, 0.1), hi = percentile(sorted, 0.95);
+  const thr = lo + Math.max(6, 0.3 * (hi - lo));
+  const v = new Uint8Array(n);
+  for (let f = 0; f < n; f++) v[f] = db[f] > thr ? 1 : 0;
+  // Run-length passes: fill short interior gaps, then drop short runs
+  const pass = (val, maxLen, interiorOnly) => {
+    for (let f = 0; f < n;) {
+      if (v[f] !== val) { f++; continue; }
+      let g = f; while (g < n && v[g] === val) g++;
+      if (g - f < maxLen && (!interiorOnly || (f > 0 && g < n))) v.fill(1 - val, f, g);
+      f = g;
+    }
+  };
+  pass(0, GAP_FILL, true);
+  pass(1, MIN_RUN, false);
+  return v;
+}
+
+/** Even split of [0, duration] by weight (fallback when there is not enough speech to go on) */
+function proportional(duration, weights) {
+  const total = weights.reduce((a, b) => a + b, 0);
+  const out = [];
+  let acc = 0;
+  for (const w of weights) {
+    const start = duration * acc / total;
+    acc += w;
+    out.push({ start, end: duration * acc / total });
+  }
+  return out;
+}
+
+/**
+ * Estimate word times inside an audio slice.
+ * @param {Float32Array} samples   - mono slice
+ * @param {number} sampleRate
+ * @param {string[]} words         - the words spoken in the slice, in order
+ * @param {{ minWordDur?:number }} [opts]
+ * @returns {{ start:number, end:number }[]} seconds relative to the slice start
+ */
+export function estimateWordTimes(samples, sampleRate, words, { minWordDur = 0.05 } = {}) {
+  const count = words?.length || 0;
+  if (!count) return [];
+  const duration = samples.length / sampleRate;
+  const weights = words.map(w => Math.max(1, letters(w)));
+  const hop = Math.max(1, Math.round(sampleRate * FRAME_SEC));
+  const frameSec = hop / sampleRate;
+  const minFrames = Math.max(1, Math.round(minWordDur / frameSec));
+
+  const db = frameEnergy(samples, hop);
+  const voiced = voicedFrames(db);
+  const V = [];
+  for (let f = 0; f < voiced.length; f++) if (voiced[f]) V.push(f);
+  if (V.length < count * minFrames) return proportional(duration, weights);
+
+  // Pause edges, as indices into V: V[j] starts a voiced run after an unvoiced gap
+  const pauses = [];
+  for (let j = 1; j < V.length; j++) if (V[j] - V[j - 1] > 1) pauses.push(j);
+
+  const total = weights.reduce((a, b) => a + b, 0);
+  const cuts = [0];
+  let acc = 0;
+  for (let i = 0; i < count - 1; i++) {
+    acc += weights[i];
+    const k = Math.min(V.length - 1, Math.max(1, Math.round(V.length * acc / total)));
+    let best = -1, bestD = SNAP + 1;
+    for (const p of pauses) { const d = Math.abs(p - k); if (d < bestD) { best = p; bestD = d; } }
+    if (best < 0) {
+      // No pause nearby: cut at the quietest frame around the proportional position
+      best = k;
+      for (let j = Math.max(1, k - REFINE); j <= Math.min(V.length - 1, k + REFINE); j++) if (db[V[j]] < db[V[best]]) best = j;
+    }
+    cuts.push(best);
+  }
+  cuts.push(V.length);
+  // Every word keeps at least minFrames voiced frames, in order
+  for (let i = 1; i < count; i++) cuts[i] = Math.max(cuts[i], cuts[i - 1] + minFrames);
+  for (let i = count - 1; i > 0; i--) cuts[i] = Math.min(cuts[i], cuts[i + 1] - minFrames);
+
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    const start = V[cuts[i]] * frameSec;
+    const end = Math.min(duration, (V[cuts[i + 1] - 1] + 1) * frameSec);
+    out.push({ start, end: Math.max(end, start + Math.min(minWordDur, duration - start)) });
+  }
+  return out;
+}
+
+export default { estimateWordTimes, frameEnergy, voicedFrames };
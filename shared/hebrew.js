@@ -0,0 +1,56 @@
+// v2/shared/hebrew.js
+// Hebrew-aware text folding for matching: strip niqqud/cantillation and unify final letters.
+// Folding keeps an index map back to the original string so matches can be mapped back.
+
+// Points + cantillation marks; punctuation in the same block (maqaf, paseq, sof pasuq, nun hafukha) is kept
+const NIQQUD_RE = /[\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7]/;
+const NIQQUD_RE_G = new RegExp(NIQQUD_RE.source, 'g');
+const FINALS = { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' };
+const FINALS_RE_G = /[\u05DA\u05DD\u05DF\u05E3\u05E5]/g;
+
+export const isNiqqud = (ch) => NIQQUD_RE.test(ch);
+
+/** Remove niqqud and cantillation marks */
+export function stripNiqqud(s) {
+  return String(s ?? '').replace(NIQQUD_RE_G, '');
+}
+
+/** Replace final letter forms (ך ם ן ף ץ) with their regular forms */
+export function foldFinals(s) {
+  return String(s ?? '').replace(FINALS_RE_G, ch => FINALS[ch]);
+}
+
+/**
+ * Fold text for matching.
+ * @param {string} s
+ * @param {{ niqqud?:boolean, finals?:boolean }} [opts] - what to ignore
+ * @returns {{ text:string, map:number[] }} map[i] = offset in `s` of folded char i; map[text.length] = s.length
+ */
+export function foldHebrew(s, opts = {}) {
+  const src = String(s ?? '');
+  if (!opts.niqqud && !opts.finals) {
+    const map = new Array(src.length + 1);
+    for (let i = 0; i <= src.length; i++) map[i] = i;
+    return { text: src, map };
+  }
+  let text = '';
+  const map = [];
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (opts.niqqud && NIQQUD_RE.test(ch)) continue;
+    text += (opts.finals && FINALS[ch]) || ch;
+    map.push(i);
+  }
+  map.push(src.length);
+  return { text, map };
+}
+
+/** Fold without building the index map (patterns, queries) */
+export function foldHebrewText(s, opts = {}) {
+  let t = String(s ?? '');
+  if (opts.niqqud) t = stripNiqqud(t);
+  if (opts.finals) t = foldFinals(t);
+  return t;
+}
+
+export default { foldHebrew, foldHebrewText, stripNiqqud, foldFinals, isNiqqud };
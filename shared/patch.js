@@ -0,0 +1,270 @@
+// v2/shared/patch.js
+// Storage formats of transcript_edits rows. Shared by the diff worker (encoding) and the
+// history code on the main thread (replay).
+//   dmp_patch — diff-match-patch compatible patch text: `@@ -s,l +s,l @@` hunks of
+//               ' '/'-'/'+' lines (%-escaped) with PATCH_CONTEXT chars of context on each
+//               side. Applying relocates a hunk whose context moved or partly changed.
+//   token_ops — JSON `{ fmt:'tokops/1', n0, n1, ops }` over the word tokens: keep n, delete n,
+//               insert tokens, retime kept tokens ([start, end, timing] each), so timing
+//               edits are part of the history too.
+// Rows written before these formats hold the full JSON diff array in both columns; the
+// decoders still accept them.
+
+import { canonicalizeText } from './canonical.js';
+import { reanchor } from './anchors.js';
+
+export const PATCH_CONTEXT = 16;
+export const TOKEN_OPS_FMT = 'tokops/1';
+const FUZZ_WINDOW = 4000; // how far (chars) a hunk may have drifted from its offset
+
+/**
+ * @typedef {Object} Patch
+ * @property {number} start1  - offset in the old text (context included)
+ * @property {number} start2  - offset in the new text
+ * @property {number} length1
+ * @property {number} length2
+ * @property {Array<[number,string]>} diffs - context equal ops around the changes
+ */
+
+export const reconNew = (ops) => (ops || []).map(([op, s]) => (op === -1 ? '' : String(s || ''))).join('');
+export const reconOld = (ops) => (ops || []).map(([op, s]) => (op === 1 ? '' : String(s || ''))).join('');
+
+/** Hunks for `diffs`; changes closer than two contexts share a hunk */
+export function makePatches(diffs, ctx = PATCH_CONTEXT) {
+  const ops = (diffs || []).filter(d => d && d[1]);
+  const patches = [];
+  let cur = null, pos1 = 0, pos2 = 0;
+  const addEqual = (s) => { cur.diffs.push([0, s]); cur.length1 += s.length; cur.length2 += s.length; };
+  ops.forEach(([op, s], i) => {
+    if (op === 0) {
+      if (cur) {
+        if (i < ops.length - 1 && s.length <= 2 * ctx) addEqual(s);
+        else { addEqual(s.slice(0, ctx)); patches.push(cur); cur = null; }
+      }
+      pos1 += s.length; pos2 += s.length;
+      return;
+    }
+    if (!cur) {
+      const prev = i > 0 && ops[i - 1][0] === 0 ? ops[i - 1][1] : '';
+      const head = prev.slice(Math.max(0, prev.length - ctx));
+      cur = { start1: pos1 - head.length, start2: pos2 - head.length, length1: 0, length2: 0, diffs: [] };
+      if (head) addEqual(head);
+    }
+    cur.diffs.push([op, s]);
+    if (op === -1) { cur.length1 += s.length; pos1 += s.length; } else { cur.length2 += s.length; pos2 += s.length; }
+  });
+  if (cur) patches.push(cur);
+  return patches;
+}
+
+// Minimal escaping that decodeURI (and diff-match-patch) reads back
+const esc = (s) => s.replace(/%/g, '%25').replace(/\n/g, '%0A').replace(/\r/g, '%0D');
+const coords = (start, len) => (len === 0 ? `${start},0` : len === 1 ? `${start + 1}` : `${start + 1},${len}`);
+
+/** @param {Patch[]} patches */
+export function patchToText(patches) {
+  return (patches || []).map(p => `@@ -${coords(p.start1, p.length1)} +${coords(p.start2, p.length2)} @@\n`
+    + p.diffs.map(([op, s]) => `${op === 1 ? '+' : op === -1 ? '-' : ' '}${esc(s)}\n`).join('')).join('');
+}
+
+const HEADER = /^@@ -(\d+),?(\d*) \+(\d+),?(\d*) @@$/;
+const parseCoords = (start, len) => (len === '' ? [+start - 1, 1] : len === '0' ? [+start, 0] : [+start - 1, +len]);
+
+/** @returns {Patch[]} */
+export function patchFromText(text) {
+  const patches = [];
+  let cur = null;
+  for (const line of String(text || '').split('\n')) {
+    if (!line) continue;
+    const m = HEADER.exec(line);
+    if (m) {
+      const [start1, length1] = parseCoords(m[1], m[2]);
+      const [start2, length2] = parseCoords(m[3], m[4]);
+      cur = { start1, start2, length1, length2, diffs: [] };
+      patches.push(cur);
+      continue;
+    }
+    const op = { ' ': 0, '-': -1, '+': 1 }[line[0]];
+    if (!cur || op == null) throw new Error(`Bad patch line: ${line.slice(0, 40)}`);
+    cur.diffs.push([op, decodeURI(line.slice(1))]);
+  }
+  return patches;
+}
+
+/** Patch text for diff ops */
+export const encodeTextPatch = (diffs) => patchToText(makePatches(diffs));
+
+/** Hunk split into leading context, the changed middle (old side + its ops) and trailing context */
+function splitHunk(p) {
+  const ops = p.diffs;
+  const a = ops.length && ops[0][0] === 0 ? 1 : 0;
+  const b = ops.length > a && ops[ops.length - 1][0] === 0 ? ops.length - 1 : ops.length;
+  const midOps = ops.slice(a, b);
+  return { pre: a ? ops[0][1] : '', post: b < ops.length ? ops[b][1] : '', midOps, mid: reconOld(midOps), newMid: reconNew(midOps) };
+}
+
+/** Start of the occurrence of `needle` in [lo, hi] nearest to `expected` (-1: none) */
+function nearestIndex(text, needle, expected, lo, hi) {
+  let best = -1, dist = Infinity;
+  for (let i = text.indexOf(needle, Math.max(0, lo)); i >= 0 && i <= hi; i = text.indexOf(needle, i + 1)) {
+    const d = Math.abs(i - expected);
+    if (d < dist) { best = i; dist = d; } else if (i > expected) break;
+  }
+  return best;
+}
+
+/** Where the hunk's changed middle starts in `text` (-1: not found) */
+function locateHunk(text, { pre, mid, post }, expected) {
+  const lo = expected - FUZZ_WINDOW, hi = expected + FUZZ_WINDOW;
+  const whole = pre + mid + post;
+  if (expected - pre.length >= 0 && expected <= text.length && text.startsWith(whole, expected - pre.length)) return expected;
+  let i = nearestIndex(text, whole, expected - pre.length, lo - pre.length, hi);
+  if (i >= 0) return i + pre.length;
+  // The context changed too: find the old text itself, scored by what is left of its context
+  if (mid) {
+    const hit = reanchor(text, { start: expected, prefix: pre, exact: mid, suffix: post }, { hint: expected, within: [lo, hi + mid.length] });
+    return hit ? hit[0] : -1;
+  }
+  // Pure insertion: next to whichever side of the context survives
+  i = pre ? nearestIndex(text, pre, expected - pre.length, lo - pre.length, hi) : -1;
+  if (i >= 0) return i + pre.length;
+  return post ? nearestIndex(text, post, expected, lo, hi) : -1;
+}
+
+/** One single-change hunk per change group of `p`, each with its neighbouring equal text as context */
+function subPatches(p) {
+  const out = [];
+  let pos1 = p.start1, pos2 = p.start2, cur = null, prevEq = '';
+  for (const [op, s] of p.diffs) {
+    if (op === 0) {
+      if (cur) { cur.diffs.push([0, s]); cur.length1 += s.length; cur.length2 += s.length; out.push(cur); cur = null; }
+      prevEq = s; pos1 += s.length; pos2 += s.length;
+      continue;
+    }
+    if (!cur) cur = { start1: pos1 - prevEq.length, start2: pos2 - prevEq.length, length1: prevEq.length, length2: prevEq.length, diffs: prevEq ? [[0, prevEq]] : [] };
+    cur.diffs.push([op, s]);
+    if (op === -1) { cur.length1 += s.length; pos1 += s.length; } else { cur.length2 += s.length; pos2 += s.length; }
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+/**
+ * Apply `patches` to `text`, relocating hunks whose context moved. A hunk that no longer
+ * fits as a whole is retried one change at a time.
+ * @returns {{ text:string, applied:boolean[], diffs:Array<[number,string]>|null }}
+ *   diffs: full ops from `text` to the result (null when hunks landed out of order)
+ */
+export function applyPatches(text, patches) {
+  const src = String(text ?? '');
+  let out = src;
+  const applied = [];
+  const edits = []; // { start (in src), midOps }
+  let delta = 0, shift = 0, lastEnd = 0, ordered = true;
+  const tryApply = (p) => {
+    const h = splitHunk(p);
+    const at = locateHunk(out, h, p.start1 + delta + h.pre.length);
+    if (at < 0) return false;
+    out = out.slice(0, at) + h.newMid + out.slice(at + h.mid.length);
+    delta = at - (p.start1 + h.pre.length) + h.newMid.length - h.mid.length;
+    const start = at - shift;
+    if (start < lastEnd) ordered = false;
+    edits.push({ start, midOps: h.midOps });
+    lastEnd = start + h.mid.length;
+    shift += h.newMid.length - h.mid.length;
+    return true;
+  };
+  for (const p of (patches || [])) {
+    if (tryApply(p)) { applied.push(true); continue; }
+    const parts = subPatches(p);
+    applied.push(parts.length > 1 && parts.map(tryApply).every(Boolean));
+  }
+  let diffs = null;
+  if (ordered) {
+    diffs = [];
+    let pos = 0;
+    for (const e of edits) {
+      if (e.start > pos) diffs.push([0, src.slice(pos, e.start)]);
+      diffs.push(...e.midOps);
+      pos = e.start + reconOld(e.midOps).length;
+    }
+    if (pos < src.length) diffs.push([0, src.slice(pos)]);
+  }
+  return { text: out, applied, diffs };
+}
+
+/**
+ * The text edit of a transcript_edits row.
+ * @returns {{ format:'diffs', diffs:Array<[number,string]> } | { format:'patch', patches:Patch[] } | null}
+ */
+export function decodeTextEdit(row) {
+  const patch = row?.dmp_patch;
+  try {
+    // Legacy: the JSON diff array (in either column)
+    for (const raw of [patch, row?.token_ops]) {
+      const diffs = typeof raw === 'string' && /^\s*\[/.test(raw) ? JSON.parse(raw) : raw;
+      if (Array.isArray(diffs)) return { format: 'diffs', diffs };
+    }
+    // '' is a timing-only edit
+    return typeof patch === 'string' && (patch === '' || patch.startsWith('@@')) ? { format: 'patch', patches: patchFromText(patch) } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Replay a row on its parent text.
+ * @returns {{ text:string, diffs:Array<[number,string]>|null } | null} null when it does not fit the parent
+ */
+export function replayEdit(parentText, row) {
+  const edit = decodeTextEdit(row);
+  if (!edit) return null;
+  if (edit.format === 'diffs') {
+    if (canonicalizeText(reconOld(edit.diffs)) !== parentText) return null;
+    return { text: reconNew(edit.diffs), diffs: edit.diffs };
+  }
+  const res = applyPatches(parentText, edit.patches);
+  return res.applied.every(Boolean) ? { text: res.text, diffs: res.diffs } : null;
+}
+
+/** Token ops of a row (`null` for legacy rows, which only carry text diffs) */
+export function parseTokenOps(raw) {
+  try {
+    const obj = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    return obj && obj.fmt === TOKEN_OPS_FMT && Array.isArray(obj.ops) ? obj : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Rebuild the child's tokens from the parent's.
+ * @returns {Array<Object>|null} null when the ops do not fit `tokens`
+ */
+export function applyTokenOps(tokens, tokenOps) {
+  const src = tokens || [];
+  if (!tokenOps || (Number.isFinite(tokenOps.n0) && tokenOps.n0 !== src.length)) return null;
+  const out = [];
+  let i = 0;
+  for (const [op, arg] of tokenOps.ops) {
+    if (op === 0 || op === -1) {
+      if (i + arg > src.length) return null;
+      if (op === 0) out.push(...src.slice(i, i + arg));
+      i += arg;
+    } else if (op === 1) {
+      out.push(...arg);
+    } else if (op === 2) {
+      for (const [start, end, timing] of arg) {
+        if (i >= src.length) return null;
+        const t = { ...src[i++], start, end };
+        if (timing) t.timing = timing; else delete t.timing;
+        out.push(t);
+      }
+    } else {
+      return null;
+    }
+  }
+  return i === src.length ? out : null;
+}
+
+export default { PATCH_CONTEXT, TOKEN_OPS_FMT, reconNew, reconOld, makePatches, patchToText, patchFromText, encodeTextPatch, applyPatches, decodeTextEdit, replayEdit, parseTokenOps, applyTokenOps };
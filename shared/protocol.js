@@ -2,13 +2,110 @@
 // Central message/shape definitions shared by main thread and workers.
 // Keep this file tiny and dependency-free.
 
+/** Request types of the diff/align/realign workers (workers/rpc.js) */
 export const WorkerMsg = Object.freeze({
-  DIFF_REQ: 'diff:req',
-  DIFF_RES: 'diff:res',
-  ALIGN_REQ: 'align:req',
-  ALIGN_RES: 'align:res',
+  INIT: 'init',
+  SET_BASELINE: 'setBaseline',
+  CANCEL: 'cancel',
+  DIFF: 'diff',
+  DIFF_DELTA: 'diffDelta',
+  MERGE3: 'merge3',
+  TOKEN_OPS: 'tokenOps',
+  APPLY_PATCH: 'applyPatch',
+  ALIGN: 'align',
+  ALIGN_DELTA: 'alignDelta',
+  REALIGN: 'realign',
 });
 
+/** Reply kinds; a worker of kind `k` answers with type `${k}:${reply}` (replyType) */
+export const WorkerReply = Object.freeze({
+  READY: 'ready',
+  BASELINE_SET: 'baseline-set',
+  RESULT: 'result',
+  ERROR: 'error',
+  CANCELLED: 'cancelled',
+});
+
+export const replyType = (kind, reply) => `${kind}:${reply}`;
+
+// Field specs: 'string' | 'number' | 'boolean' | 'object' | 'array' | 'any'; a trailing '?' also
+// allows null/undefined. Every request may carry `id`, and `lane` + `gen` (edit generation: the
+// worker drops a request once a newer generation of its lane has arrived).
+const REQUEST_COMMON = { id: 'number?', lane: 'string?', gen: 'number?' };
+const DELTA = { rev: 'number', fromRev: 'number', offset: 'number', deleteCount: 'number', insertText: 'string', verify: 'boolean?', text: 'string?' };
+const SEGMENT_CARRY = { prevText: 'string?', segments: 'array?', anchors: 'array?' };
+
+/** Request schemas per worker kind and type */
+export const REQUEST_SCHEMAS = Object.freeze({
+  diff: {
+    [WorkerMsg.INIT]: { baselineText: 'string?', dev: 'boolean?' },
+    [WorkerMsg.SET_BASELINE]: { baselineText: 'string' },
+    [WorkerMsg.CANCEL]: { target: 'number' },
+    [WorkerMsg.DIFF]: { text: 'string', baselineText: 'string?', options: 'object?', rev: 'number?' },
+    [WorkerMsg.DIFF_DELTA]: { ...DELTA, options: 'object?' },
+    [WorkerMsg.MERGE3]: { baseText: 'string', oursText: 'string', theirsText: 'string' },
+    [WorkerMsg.TOKEN_OPS]: { baseTokens: 'array', tokens: 'array' },
+    [WorkerMsg.APPLY_PATCH]: { baseText: 'string', patchText: 'string', baseTokens: 'array?', tokenOps: 'any' },
+  },
+  align: {
+    [WorkerMsg.INIT]: { baselineTokens: 'array?', dev: 'boolean?' },
+    [WorkerMsg.SET_BASELINE]: { baselineTokens: 'array' },
+    [WorkerMsg.CANCEL]: { target: 'number' },
+    [WorkerMsg.ALIGN]: { text: 'string', rev: 'number?', ...SEGMENT_CARRY },
+    [WorkerMsg.ALIGN_DELTA]: { ...DELTA, ...SEGMENT_CARRY },
+  },
+  realign: {
+    [WorkerMsg.INIT]: { dev: 'boolean?' },
+    [WorkerMsg.CANCEL]: { target: 'number' },
+    [WorkerMsg.REALIGN]: { samples: 'object', sampleRate: 'number', words: 'array', options: 'object?' },
+  },
+});
+
+const DIFF_RESULT = { patchText: 'string', diffs: 'array', stats: 'object', check: 'object?' };
+const ALIGN_RESULT = { tokens: 'array', segments: 'array', ids: 'array', check: 'object?' };
+
+/** Result payload schemas per worker kind and request type (a `stale: true` delta reply has none) */
+export const RESULT_SCHEMAS = Object.freeze({
+  diff: {
+    [WorkerMsg.DIFF]: DIFF_RESULT,
+    [WorkerMsg.DIFF_DELTA]: DIFF_RESULT,
+    [WorkerMsg.MERGE3]: { hunks: 'array', conflicts: 'number' },
+    [WorkerMsg.TOKEN_OPS]: { tokenOps: 'any' },
+    [WorkerMsg.APPLY_PATCH]: { text: 'string', applied: 'array', diffs: 'array?', tokens: 'array?' },
+  },
+  align: {
+    [WorkerMsg.ALIGN]: ALIGN_RESULT,
+    [WorkerMsg.ALIGN_DELTA]: ALIGN_RESULT,
+  },
+  realign: {
+    [WorkerMsg.REALIGN]: { words: 'array' },
+  },
+});
+
+function fitsSpec(value, spec) {
+  const optional = spec.endsWith('?');
+  const type = optional ? spec.slice(0, -1) : spec;
+  if (value == null) return optional || type === 'any';
+  if (type === 'any') return true;
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return typeof value === 'object' && !Array.isArray(value);
+  return typeof value === type;
+}
+
+/**
+ * Check `msg` against `schema` (field → spec); unknown fields are allowed.
+ * @returns {string[]} problems, empty when it fits
+ */
+export function validateMessage(msg, schema, common = REQUEST_COMMON) {
+  if (!msg || typeof msg !== 'object') return ['not an object'];
+  if (!schema) return [`unknown message type "${msg.type}"`];
+  const problems = [];
+  for (const [field, spec] of Object.entries({ ...common, ...schema })) {
+    if (!fitsSpec(msg[field], spec)) problems.push(`${field}: expected ${spec}, got ${Array.isArray(msg[field]) ? 'array' : msg[field] === null ? 'null' : typeof msg[field]}`);
+  }
+  return problems;
+}
+
 /**
  * Edit operation codes (aligned with DMP-style semantics).
  *  -1 = delete from A
@@ -43,24 +140,19 @@ export const EditOp = Object.freeze({
  * @property {string} file_path
  */
 
-/**
- * @typedef {Object} DiffReq
- * @property {string} aText
- * @property {string} bText
- */
-
 /**
  * @typedef {Object} DiffRes
- * @property {{op:number, text:string}[]} ops
- */
-
-/**
- * @typedef {Object} AlignReq
- * @property {import('./protocol.js').Token[]} baselineTokens
- * @property {{op:number, text:string}[]} ops   // from DiffRes
+ * @property {string} patchText                 - transcript_edits patch (shared/patch.js)
+ * @property {Array<[number, string]>} diffs    - [EditOp, text] runs
+ * @property {{inserted:number, deleted:number, equal:number, distance:number, charsBase:number, charsNew:number, granularity:string, coarse:boolean, ignored:number}} stats
+ *   - of the displayed `diffs`; `coarse`: the deadline cut refinement short, `ignored`: edit runs hidden by the ignore options
+ * @property {{ok:boolean, reason?:string}} [check] - verified deltas: incremental vs full
  */
 
 /**
  * @typedef {Object} AlignRes
- * @property {import('./protocol.js').Token[]} newTokens
+ * @property {import('./protocol.js').Token[]} tokens
+ * @property {Object[]} segments
+ * @property {string[]} ids                     - render keys, parallel to tokens
+ * @property {{ok:boolean, reason?:string}} [check]
  */
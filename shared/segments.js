@@ -0,0 +1,159 @@
+// v2/shared/segments.js
+// Segment layer: one segment per transcript line, with a stable id, timing and optional
+// speaker/notes. Pure helpers shared by the main thread and the align worker.
+
+/**
+ * @typedef {Object} Segment
+ * @property {string} id        - stable across edits and versions
+ * @property {number} start     - seconds (first word of the line)
+ * @property {number} end       - seconds (last word of the line)
+ * @property {string} [speaker]
+ * @property {string} [notes]
+ */
+
+const MAX_LCS_CELLS = 4e6;
+
+export function newSegmentId() {
+  const c = globalThis.crypto;
+  const rnd = c?.randomUUID ? c.randomUUID().replace(/-/g, '').slice(0, 12) : Math.random().toString(36).slice(2, 14);
+  return `seg_${rnd}`;
+}
+
+/**
+ * Start/end per line of the token stream ('\n' tokens split lines). Empty lines
+ * collapse onto the previous line's end.
+ * @returns {Array<{start:number,end:number}>}
+ */
+export function lineTimes(tokens) {
+  const lines = [{ start: NaN, end: NaN }];
+  for (const t of (tokens || [])) {
+    if (!t || t.state === 'del') continue;
+    const w = String(t.word ?? '');
+    const breaks = (w.match(/\n/g) || []).length;
+    if (breaks) { for (let k = 0; k < breaks; k++) lines.push({ start: NaN, end: NaN }); continue; }
+    if (!w.trim()) continue;
+    const cur = lines[lines.length - 1];
+    if (Number.isFinite(+t.start) && !Number.isFinite(cur.start)) cur.start = +t.start;
+    if (Number.isFinite(+t.end)) cur.end = Number.isFinite(cur.end) ? Math.max(cur.end, +t.end) : +t.end;
+  }
+  let prevEnd = 0;
+  for (const l of lines) {
+    if (!Number.isFinite(l.start)) { l.start = prevEnd; l.end = prevEnd; }
+    if (!Number.isFinite(l.end) || l.end < l.start) l.end = l.start;
+    prevEnd = l.end;
+  }
+  return lines;
+}
+
+/** Copy id/speaker/notes (never timing) from a segment-like object */
+function carry(meta) {
+  const s = { id: meta?.id ? String(meta.id) : newSegmentId() };
+  if (meta?.speaker) s.speaker = String(meta.speaker);
+  if (meta?.notes) s.notes = String(meta.notes);
+  return s;
+}
+
+/**
+ * Fresh segments for a token stream. `meta[i]` (optional) supplies id/speaker/notes for line i.
+ * @returns {Segment[]}
+ */
+export function segmentsFromTokens(tokens, meta = []) {
+  return lineTimes(tokens).map((lt, i) => ({ ...carry(meta[i]), start: lt.start, end: lt.end }));
+}
+
+/** Re-derive start/end of each segment from the tokens (segments[i] ↔ line i) */
+export function retimeSegments(segments, tokens) {
+  const lt = lineTimes(tokens);
+  return (segments || []).map((s, i) => (lt[i] ? { ...s, start: lt[i].start, end: lt[i].end } : { ...s }));
+}
+
+/** LCS pairs of equal lines: [[i, j], ...] */
+function matchLines(A, B) {
+  const m = A.length, n = B.length;
+  if (!m || !n || m * n > MAX_LCS_CELLS) return [];
+  const dp = Array.from({ length: m + 1 }, () => new Uint32Array(n + 1));
+  for (let i = m - 1; i >= 0; i--) {
+    for (let j = n - 1; j >= 0; j--) {
+      dp[i][j] = A[i] === B[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+    }
+  }
+  const pairs = [];
+  let i = 0, j = 0;
+  while (i < m && j < n) {
+    if (A[i] === B[j]) { pairs.push([i++, j++]); }
+    else if (dp[i + 1][j] >= dp[i][j + 1]) i++;
+    else j++;
+  }
+  return pairs;
+}
+
+/**
+ * Carry segment identity from `prevText` to `newText` by diffing lines. Unchanged lines
+ * keep their segment; inside a changed block old and new lines pair positionally, so a
+ * split keeps the id on the first half and a merge keeps the first segment (the merged-away
+ * segment's notes are appended). New lines inherit the speaker of the segment before them.
+ * Timing is not touched — run retimeSegments() with the aligned tokens afterwards.
+ * @param {string} prevText
+ * @param {Segment[]} prevSegments - one per line of prevText
+ * @param {string} newText
+ * @returns {Segment[]} one per line of newText
+ */
+export function reconcileSegments(prevText, prevSegments, newText) {
+  const A = String(prevText ?? '').split('\n');
+  const B = String(newText ?? '').split('\n');
+  const prev = Array.isArray(prevSegments) ? prevSegments : [];
+  if (prev.length !== A.length) {
+    // Out of sync (e.g. never reconciled): fall back to positional pairing
+    return B.map((_, i) => carry(prev[i]));
+  }
+
+  // Common prefix/suffix first; LCS only over the changed middle
+  let pre = 0;
+  while (pre < A.length && pre < B.length && A[pre] === B[pre]) pre++;
+  let post = 0;
+  while (post < A.length - pre && post < B.length - pre && A[A.length - 1 - post] === B[B.length - 1 - post]) post++;
+  const midA = A.slice(pre, A.length - post), midB = B.slice(pre, B.length - post);
+  const pairs = matchLines(midA, midB).map(([i, j]) => [i + pre, j + pre]);
+  for (let k = 0; k < pre; k++) pairs.unshift([k, k]);
+  pairs.sort((x, y) => x[0] - y[0]);
+  for (let k = post; k > 0; k--) pairs.push([A.length - k, B.length - k]);
+
+  const out = new Array(B.length);
+  const fillGap = (a0, a1, b0, b1) => {
+    const nOld = a1 - a0, nNew = b1 - b0;
+    for (let k = 0; k < nNew; k++) {
+      if (k < nOld) out[b0 + k] = carry(prev[a0 + k]);
+      else {
+        const before = out[b0 + k - 1] || (a0 > 0 ? prev[a0 - 1] : null);
+        out[b0 + k] = carry({ speaker: before?.speaker });
+      }
+    }
+    // Old lines without a partner were merged into (or deleted next to) the last paired one
+    if (nNew > 0 && nOld > nNew) {
+      const target = out[b0 + nNew - 1];
+      const extra = prev.slice(a0 + nNew, a1).map(s => s?.notes).filter(Boolean);
+      if (extra.length) target.notes = [target.notes, ...extra].filter(Boolean).join(' · ');
+    }
+  };
+
+  let ai = 0, bi = 0;
+  for (const [i, j] of pairs) {
+    fillGap(ai, i, bi, j);
+    out[j] = carry(prev[i]);
+    ai = i + 1; bi = j + 1;
+  }
+  fillGap(ai, A.length, bi, B.length);
+  return out;
+}
+
+/** Reconcile + retime in one step: segments for `newText` aligned to `tokens` */
+export function segmentsForText(prevText, prevSegments, newText, tokens) {
+  return retimeSegments(reconcileSegments(prevText, prevSegments, newText), tokens);
+}
+
+/** Loose validation for segments coming back from storage */
+export function isSegmentList(x) {
+  return Array.isArray(x) && x.every(s => s && typeof s.id === 'string');
+}
+
+export default { newSegmentId, lineTimes, segmentsFromTokens, retimeSegments, reconcileSegments, segmentsForText, isSegmentList };
@@ -0,0 +1,102 @@
+// v2/shared/speakers.js
+// Speaker roster helpers. Segments reference a speaker by id (`segment.speaker`); the
+// per-episode roster maps ids to display names and colors, so renaming never touches segments.
+
+/**
+ * @typedef {Object} Speaker
+ * @property {string} id     - what segments store (e.g. 'SPEAKER_01', or a name from an imported file)
+ * @property {string} name   - display name used in the UI and in exports
+ * @property {string} color  - CSS color for the gutter
+ */
+
+export const SPEAKER_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#9333ea', '#0891b2', '#db2777', '#65a30d', '#7c3aed', '#0d9488'];
+
+const colorAt = (i) => SPEAKER_COLORS[i % SPEAKER_COLORS.length];
+
+/** First free SPEAKER_NN id */
+export function nextSpeakerId(roster) {
+  const used = new Set((roster || []).map(s => s.id));
+  for (let n = 0; ; n++) {
+    const id = `SPEAKER_${String(n).padStart(2, '0')}`;
+    if (!used.has(id)) return id;
+  }
+}
+
+/**
+ * Clean up a roster and make sure every speaker used by `segments` has an entry
+ * (appended in order of first appearance, named after its id).
+ * @param {Speaker[]} roster
+ * @param {Array<{speaker?:string}>} [segments]
+ * @returns {Speaker[]}
+ */
+export function normalizeRoster(roster, segments = []) {
+  const out = [];
+  const seen = new Set();
+  const add = (s) => {
+    const id = String(s?.id ?? '').trim();
+    if (!id || seen.has(id)) return;
+    seen.add(id);
+    out.push({ id, name: String(s.name || id).trim() || id, color: s.color || colorAt(out.length) });
+  };
+  (Array.isArray(roster) ? roster : []).forEach(add);
+  for (const seg of (segments || [])) if (seg?.speaker) add({ id: seg.speaker });
+  return out;
+}
+
+export function findSpeaker(roster, id) {
+  return (roster || []).find(s => s.id === id) || null;
+}
+
+/** Display name for a speaker id (falls back to the id itself) */
+export function speakerName(roster, id) {
+  if (!id) return '';
+  return findSpeaker(roster, id)?.name || String(id);
+}
+
+/** Append a new speaker; returns the new roster and the entry */
+export function addSpeaker(roster, name) {
+  const list = normalizeRoster(roster);
+  const id = nextSpeakerId(list);
+  const entry = { id, name: String(name || '').trim() || id, color: colorAt(list.length) };
+  return { roster: list.concat(entry), speaker: entry };
+}
+
+/**
+ * Rename a speaker. Renaming onto another speaker's name merges the two: that speaker's
+ * segments move to the existing entry and the renamed entry is dropped.
+ * @returns {{ roster:Speaker[], segments:Array, merged:boolean }}
+ */
+export function renameSpeaker(roster, segments, id, newName) {
+  const name = String(newName || '').trim();
+  const list = normalizeRoster(roster, segments);
+  if (!name || !findSpeaker(list, id)) return { roster: list, segments, merged: false };
+  const target = list.find(s => s.id !== id && s.name === name);
+  if (!target) return { roster: list.map(s => (s.id === id ? { ...s, name } : s)), segments, merged: false };
+  return {
+    roster: list.filter(s => s.id !== id),
+    segments: (segments || []).map(s => (s?.speaker === id ? { ...s, speaker: target.id } : s)),
+    merged: true
+  };
+}
+
+/** Set (or with a falsy id, clear) the speaker of segments[from..to] inclusive */
+export function assignSpeaker(segments, from, to, id) {
+  return (segments || []).map((s, i) => {
+    if (i < from || i > to) return s;
+    const next = { ...s };
+    if (id) next.speaker = id; else delete next.speaker;
+    return next;
+  });
+}
+
+/** Per-line `{ speaker: displayName }` meta for exporters */
+export function speakerMeta(segments, roster) {
+  return (segments || []).map(s => (s?.speaker ? { speaker: speakerName(roster, s.speaker) } : {}));
+}
+
+/** Stable signature of the speaker layer (roster + per-segment assignment), for dirty checks */
+export function speakerKey(roster, segments) {
+  return JSON.stringify([(roster || []).map(s => [s.id, s.name]), (segments || []).map(s => s?.speaker || '')]);
+}
+
+export default { SPEAKER_COLORS, nextSpeakerId, normalizeRoster, findSpeaker, speakerName, addSpeaker, renameSpeaker, assignSpeaker, speakerMeta, speakerKey };
@@ -0,0 +1,21 @@
+// v2/shared/timing.js
+// How a token's start/end were derived (`token.timing`). Tokens without a tag carry the
+// ASR baseline timing. Shared by the align worker and the main thread.
+
+export const TIMING = Object.freeze({
+  INTERPOLATED: 'interpolated', // inserted word spread across the gap between anchors
+  MANUAL: 'manual',             // dragged on the timeline
+  ENERGY: 'energy',             // built-in energy/VAD boundary estimator
+  SERVER: 'server',             // external alignment server
+  IMPORTED: 'imported',         // from an imported transcript file (formats/importers.js)
+});
+
+/**
+ * Timing worth keeping across align passes: hand-set or produced by a realign engine
+ * (any tag except 'interpolated').
+ */
+export function isPinnedTiming(timing) {
+  return !!timing && timing !== TIMING.INTERPOLATED;
+}
+
+export default { TIMING, isPinnedTiming };
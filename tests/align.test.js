@@ -0,0 +1,61 @@
+// v2/tests/align.test.js
+// Align worker (workers/align-worker.js) driven in-process through a stand-in `self`: edit
+// deltas keep the segment layer and pinned anchors the worker already holds, and imported
+// word times survive later edits.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startWorker } from './helpers/worker.js';
+import { importTranscript } from '../formats/importers.js';
+
+const send = await startWorker('workers/align-worker.js');
+
+const BASELINE = [
+  { word: 'שלום', start: 0, end: 0.5, probability: 0.9 }, { word: ' לכולם', start: 0.5, end: 1, probability: 0.9 },
+  { word: '\n', start: 1, end: 1 },
+  { word: 'זה', start: 1.5, end: 1.8, probability: 0.9 }, { word: ' פרק', start: 1.8, end: 2.4, probability: 0.9 },
+];
+const TEXT = 'שלום לכולם\nזה פרק';
+const SEGMENTS = [{ id: 'seg_a', start: 0, end: 1, speaker: 'דנה' }, { id: 'seg_b', start: 1.5, end: 2.4, speaker: 'יוסי' }];
+
+test('a delta keeps the segment layer and anchors from the last full align', async () => {
+  await send({ type: 'setBaseline', baselineTokens: BASELINE });
+  // The word 'פרק' dragged on the timeline
+  const first = await send({ type: 'align', text: TEXT });
+  const anchors = first.tokens.map(t => (t.word === 'פרק' ? { ...t, start: 1.9, end: 2.3, timing: 'manual' } : t));
+  const full = await send({ type: 'align', text: TEXT, prevText: TEXT, segments: SEGMENTS, anchors, rev: 1 });
+  assert.deepEqual(full.segments.map(s => [s.id, s.speaker]), [['seg_a', 'דנה'], ['seg_b', 'יוסי']]);
+
+  // Insert a word in the first line; the delta carries no segments and no anchors
+  const res = await send({ type: 'alignDelta', rev: 2, fromRev: 1, offset: 4, deleteCount: 0, insertText: ' רב' });
+  assert.equal(res.stale, undefined);
+  assert.equal(res.tokens.map(t => t.word).join(''), 'שלום רב לכולם\nזה פרק');
+  assert.deepEqual(res.segments.map(s => [s.id, s.speaker]), [['seg_a', 'דנה'], ['seg_b', 'יוסי']]);
+  const pinned = res.tokens.find(t => t.word === 'פרק');
+  assert.deepEqual([pinned.start, pinned.end, pinned.timing], [1.9, 2.3, 'manual']);
+
+  // A changed layer travels with the delta; anchors: null drops the pinned timing
+  const renamed = res.segments.map(s => ({ ...s, speaker: s.id === 'seg_b' ? 'רונית' : s.speaker }));
+  const next = await send({ type: 'alignDelta', rev: 3, fromRev: 2, offset: 0, deleteCount: 0, insertText: '', prevText: 'שלום רב לכולם\nזה פרק', segments: renamed, anchors: null });
+  assert.deepEqual(next.segments.map(s => s.speaker), ['דנה', 'רונית']);
+  assert.notEqual(next.tokens.find(t => t.word === 'פרק').timing, 'manual');
+});
+
+test('an edit after an import keeps the imported word times', async () => {
+  await send({ type: 'setBaseline', baselineTokens: BASELINE });
+  // Same words as the baseline, timed differently by the imported file
+  const srt = '1\n00:00:10,000 --> 00:00:12,000\nשלום לכולם\n\n2\n00:00:13,000 --> 00:00:14,000\nזה פרק\n';
+  const imported = importTranscript('episode.srt', srt);
+  const timed = imported.tokens.filter(t => t.word.trim());
+  assert.ok(timed.every(t => t.timing === 'imported'));
+
+  // The editor ships the imported tokens as anchors (pinnedAnchors) with the first edit
+  const res = await send({ type: 'align', text: 'שלום רב לכולם\nזה פרק', anchors: imported.tokens, rev: 1 });
+  for (const t of timed) {
+    const got = res.tokens.find(x => x.word.trim() === t.word.trim());
+    assert.deepEqual([got.start, got.end, got.timing], [t.start, t.end, 'imported'], t.word);
+  }
+  // The inserted word is placed between its imported neighbours, not at baseline times
+  const added = res.tokens.find(x => x.word.trim() === 'רב');
+  assert.ok(added.start >= 10 && added.end <= 12, `${added.start}–${added.end}`);
+});
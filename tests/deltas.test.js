@@ -0,0 +1,51 @@
+// v2/tests/deltas.test.js
+// Edit deltas from input ranges (editor/deltas.js): typed, deleted and pasted ranges become
+// the delta the workers get, and a DeltaTracker folds them into one range or falls back to a full send.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DeltaTracker, inputDelta } from '../editor/deltas.js';
+import { applyDelta } from '../shared/deltas.js';
+
+test('inputDelta: insert, delete and replace', () => {
+  const prev = 'שלום לכולם';
+  const cases = [
+    [[4, 4], 'שלום, לכולם', { offset: 4, deleteCount: 0, insertText: ',' }],
+    [[3, 4], 'שלו לכולם', { offset: 3, deleteCount: 1, insertText: '' }],
+    [[5, 10], 'שלום חברים', { offset: 5, deleteCount: 5, insertText: 'חברים' }],
+    [[10, 10], 'שלום לכולם\n', { offset: 10, deleteCount: 0, insertText: '\n' }],
+  ];
+  for (const [range, next, want] of cases) {
+    const d = inputDelta(range, prev.length, next);
+    assert.deepEqual(d, want);
+    assert.equal(applyDelta(prev, d), next);
+  }
+});
+
+test('inputDelta: no range or a range the new length cannot fit', () => {
+  assert.equal(inputDelta(null, 5, 'abcdef'), null);
+  assert.equal(inputDelta([2, 9], 5, 'abc'), null);
+  assert.equal(inputDelta([0, 0], 5, 'abc'), null);
+});
+
+test('DeltaTracker folds input deltas into one range from the sent text', () => {
+  const t = new DeltaTracker({ label: 'test', now: () => 0 });
+  let text = 'אחת שתיים שלוש';
+  assert.equal(t.plan('base', text).mode, 'full');
+  const sent = text;
+  for (const [range, next] of [[[3, 3], 'אחת, שתיים שלוש'], [[11, 15], 'אחת, שתיים ארבע']]) {
+    t.note(inputDelta(range, text.length, next));
+    text = next;
+  }
+  const req = t.plan('base', text);
+  assert.equal(req.mode, 'delta');
+  assert.equal(applyDelta(sent, req), text);
+});
+
+test('DeltaTracker sends in full when a delta does not rebuild the text', () => {
+  const t = new DeltaTracker({ label: 'test', now: () => 0 });
+  t.plan('base', 'abc def');
+  // Lengths fit, content does not: the browser replaced another range than it announced
+  t.note(inputDelta([0, 1], 7, 'abc dxf'));
+  assert.equal(t.plan('base', 'abc dxf').mode, 'full');
+});
@@ -0,0 +1,70 @@
+// v2/tests/diff.test.js
+// Diff worker (workers/diff-worker.js) driven in-process through a stand-in `self`:
+// every diff must rebuild both texts, a verified delta must match the full diff, edits far
+// apart must merge without conflicts, and an unknown request gets an error reply.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startWorker } from './helpers/worker.js';
+
+const send = await startWorker('workers/diff-worker.js');
+
+const side = (diffs, skip) => diffs.filter(([op]) => op !== skip).map(([, s]) => s).join('');
+
+// Pairs whose Myers path changes diagonal more than once (several separate edits in one line)
+const PAIRS = [
+  ['abcabba', 'cbabac'],
+  ['שלום לכולם', 'שלם לכלם'],
+  ['the quick brown fox', 'thy quack brawn fix'],
+  ['ABCDEFG', 'AXCYEZG'],
+  ['kitten sitting', 'sitting kitten'],
+];
+
+test('char diffs rebuild both texts', async () => {
+  for (const [a, b] of PAIRS) {
+    const res = await send({ type: 'diff', baselineText: a, text: b, options: { granularity: 'char' } });
+    assert.equal(res.type, 'diff:result', `${a} → ${b}`);
+    assert.equal(side(res.diffs, 1), a, `base side of ${a} → ${b}`);
+    assert.equal(side(res.diffs, -1), b, `next side of ${a} → ${b}`);
+  }
+});
+
+test('char diffs are minimal', async () => {
+  // Edit distance with insert/delete only: |a| + |b| - 2·LCS
+  const lcs = (a, b) => {
+    const row = new Array(b.length + 1).fill(0);
+    for (let i = 1; i <= a.length; i++) {
+      let prev = 0;
+      for (let j = 1; j <= b.length; j++) {
+        const cur = row[j];
+        row[j] = a[i - 1] === b[j - 1] ? prev + 1 : Math.max(row[j], row[j - 1]);
+        prev = cur;
+      }
+    }
+    return row[b.length];
+  };
+  for (const [a, b] of PAIRS) {
+    const res = await send({ type: 'diff', baselineText: a, text: b, options: { granularity: 'char' } });
+    assert.equal(res.stats.distance, a.length + b.length - 2 * lcs(a, b), `${a} → ${b}`);
+  }
+});
+
+test('a verified delta matches the full diff', async () => {
+  const base = 'שלום לכולם\nזה הפרק השני\nועל עוד מילים\n';
+  await send({ type: 'diff', baselineText: base, text: base, rev: 1 });
+  const res = await send({ type: 'diffDelta', rev: 2, fromRev: 1, offset: 14, deleteCount: 0, insertText: 'הפרק ', verify: true });
+  assert.deepEqual(res.check, { ok: true });
+  assert.equal(side(res.diffs, -1), 'שלום לכולם\nזה הפרק הפרק השני\nועל עוד מילים\n');
+});
+
+test('merge3 takes separate edits from both sides', async () => {
+  const res = await send({ type: 'merge3', baseText: 'אחת שתיים שלוש ארבע חמש', oursText: 'אחד שתיים שלוש ארבע חמש', theirsText: 'אחת שתיים שלוש ארבע חמישה' });
+  assert.equal(res.conflicts, 0);
+  assert.equal(res.hunks.map(h => h.text).join(''), 'אחד שתיים שלוש ארבע חמישה');
+});
+
+test('an unknown request type is answered with an error', async () => {
+  const res = await send({ type: 'bogus' });
+  assert.equal(res.type, 'diff:error');
+  assert.match(res.message, /unknown request type/);
+});
@@ -0,0 +1,273 @@
+// v2/tests/formats.test.js
+// Round trips through every export format: export the token stream, import the file back
+// (formats/importers.js), compare words, timings, segments and speakers.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { runExporter, listExporters } from '../formats/registry.js';
+import { exportSegmentVTT } from '../formats/exporters.js';
+import { importTranscript, parseSRT, parseText } from '../formats/importers.js';
+import { formatTimestamp, parseTimestamp } from '../formats/segments.js';
+
+/* ---------- fixture: three segments, words back to back inside a segment ---------- */
+
+const SEGMENTS = [
+  { speaker: 'דנה', words: [['שלום', 0.5, 0.92, 0.9], [' לכולם', 0.92, 1.5, 0.8], [' וברוכים', 1.5, 2.1, 0.95], [' הבאים', 2.1, 2.75, 0.7]] },
+  { speaker: 'יוסי', words: [['זה', 3.2, 3.41, 0.99], [' פרק', 3.41, 3.8, 0.6], [' <מיוחד>', 3.8, 4.5, 0.5], [' &', 4.5, 4.62, 0.4], [' שונה', 4.62, 5.25, 0.85]] },
+  { speaker: 'דנה', words: [['תודה', 6.0, 6.4, 0.9], [' רבה.', 6.4, 7.125, 0.88]] },
+];
+
+function fixtureTokens(segments = SEGMENTS) {
+  const tokens = [];
+  segments.forEach((s, i) => {
+    if (i) tokens.push({ word: '\n', start: tokens[tokens.length - 1].end, end: tokens[tokens.length - 1].end, probability: NaN });
+    for (const [word, start, end, probability] of s.words) tokens.push({ word, start, end, probability });
+  });
+  return tokens;
+}
+const lineMetaOf = (segments) => segments.map(s => (s.speaker ? { speaker: s.speaker } : {}));
+
+const TOKENS = fixtureTokens();
+const CTX = { lineMeta: lineMetaOf(SEGMENTS) };
+const NO_SPLIT = { maxCharsPerLine: 0, maxCueDuration: 0 };
+
+/* ---------- helpers ---------- */
+
+function roundTrip(id, opts, { tokens = TOKENS, ctx = CTX } = {}) {
+  const { text, ext } = runExporter(id, tokens, opts, ctx);
+  return importTranscript(`episode.${ext}`, text);
+}
+
+/** Words (no whitespace), per segment */
+const wordsOf = (tokens) => {
+  const segs = [[]];
+  for (const t of tokens) {
+    if (t.word === '\n') segs.push([]);
+    else segs[segs.length - 1].push(...t.word.split(/\s+/).filter(Boolean));
+  }
+  return segs;
+};
+const wordTokens = (tokens) => tokens.filter(t => t.word.trim());
+const speakersOf = (meta) => meta.map(m => m.speaker || '');
+const close = (a, b, eps, msg) => assert.ok(Math.abs(a - b) <= eps, `${msg}: ${a} vs ${b}`);
+
+/** Word tokens per segment */
+const segmentTokens = (tokens) => {
+  const segs = [[]];
+  for (const t of tokens) {
+    if (t.word === '\n') segs.push([]);
+    else if (t.word.trim()) segs[segs.length - 1].push(t);
+  }
+  return segs;
+};
+
+function assertSegmentBounds(imported, segments, eps) {
+  const segs = segmentTokens(imported.tokens);
+  assert.equal(segs.length, segments.length);
+  segments.forEach((s, i) => {
+    close(segs[i][0].start, s.words[0][1], eps, `segment ${i} start`);
+    close(segs[i][segs[i].length - 1].end, s.words[s.words.length - 1][2], eps, `segment ${i} end`);
+  });
+}
+
+/* ---------- timestamps ---------- */
+
+test('timestamps format and parse back to the millisecond', () => {
+  for (const t of [0, 0.001, 1.005, 59.999, 61.5, 3599.9996, 3723.042]) {
+    assert.equal(parseTimestamp(formatTimestamp(t)), Math.round(t * 1000) / 1000);
+    assert.equal(parseTimestamp(formatTimestamp(t, ',')), Math.round(t * 1000) / 1000);
+  }
+  assert.equal(formatTimestamp(3723.042), '01:02:03.042');
+  assert.equal(formatTimestamp(1.9996, '.', true), '00:00:01.999');
+  assert.equal(parseTimestamp('02:03.5'), 123.5);
+  assert.ok(Number.isNaN(parseTimestamp('1:2:3:4')));
+});
+
+test('every registered exporter is covered here', () => {
+  const covered = ['vtt', 'srt', 'ttml', 'dfxp', 'txt', 'json'];
+  assert.deepEqual(listExporters().map(d => d.id).sort(), covered.sort());
+});
+
+/* ---------- WebVTT ---------- */
+
+test('vtt: words, cue timing, segments and voice speakers survive', () => {
+  const r = roundTrip('vtt', NO_SPLIT);
+  assert.equal(r.format, 'vtt');
+  assert.deepEqual(wordsOf(r.tokens), wordsOf(TOKENS));
+  assert.deepEqual(speakersOf(r.meta), ['דנה', 'יוסי', 'דנה']);
+  assertSegmentBounds(r, SEGMENTS, 0.0005);
+});
+
+test('vtt with word timings: every word keeps its start and end', () => {
+  const r = roundTrip('vtt', { ...NO_SPLIT, wordTimings: true });
+  const a = wordTokens(r.tokens), b = wordTokens(TOKENS);
+  assert.deepEqual(a.map(t => t.word.trim()), b.map(t => t.word.trim()));
+  a.forEach((t, i) => {
+    close(t.start, b[i].start, 0.0005, `word ${i} start`);
+    close(t.end, b[i].end, 0.0005, `word ${i} end`);
+  });
+});
+
+test('vtt: markup characters in words are escaped and decoded', () => {
+  const { text } = runExporter('vtt', TOKENS, NO_SPLIT, CTX);
+  assert.ok(text.includes('&lt;מיוחד&gt; &amp;'));
+  const r = importTranscript('x.vtt', text);
+  assert.ok(r.text.includes('<מיוחד> &'));
+});
+
+test('vtt: without speakers no voice tags are written or read', () => {
+  const r = roundTrip('vtt', { ...NO_SPLIT, speakers: false });
+  assert.deepEqual(speakersOf(r.meta), ['', '', '']);
+});
+
+/* ---------- SubRip ---------- */
+
+test('srt: words, cue timing, segments and "Name: " speakers survive', () => {
+  const r = roundTrip('srt', NO_SPLIT);
+  assert.equal(r.format, 'srt');
+  assert.deepEqual(wordsOf(r.tokens), wordsOf(TOKENS));
+  assert.deepEqual(speakersOf(r.meta), ['דנה', 'יוסי', 'דנה']);
+  assertSegmentBounds(r, SEGMENTS, 0.0005);
+  assert.ok(!r.text.includes('דנה:'), 'speaker label is not part of the text');
+});
+
+test('srt: a lone "word: " prefix is text, not a speaker', () => {
+  const doc = parseSRT('1\n00:00:01,000 --> 00:00:02,000\nהערה: משהו\n\n2\n00:00:03,000 --> 00:00:04,000\nעוד שורה\n');
+  assert.equal(doc.segments[0].speaker, undefined);
+  assert.equal(doc.segments[0].text, 'הערה: משהו');
+});
+
+test('srt: CRLF line ends and a BOM parse like plain LF', () => {
+  const { text } = runExporter('srt', TOKENS, NO_SPLIT, CTX);
+  const r = importTranscript('x.srt', '﻿' + text.replace(/\n/g, '\r\n'));
+  assert.deepEqual(wordsOf(r.tokens), wordsOf(TOKENS));
+  assert.deepEqual(speakersOf(r.meta), ['דנה', 'יוסי', 'דנה']);
+});
+
+/* ---------- cue splitting (VTT/SRT/TTML share buildCues) ---------- */
+
+for (const id of ['vtt', 'srt', 'ttml']) {
+  test(`${id}: cues split by line length keep every word, in order, with its speaker`, () => {
+    const opts = { maxCharsPerLine: 10, maxLines: 1, maxCueDuration: 0 };
+    const r = roundTrip(id, opts);
+    assert.deepEqual(wordsOf(r.tokens).flat(), wordsOf(TOKENS).flat());
+    assert.ok(r.segments > SEGMENTS.length, 'segments were split into more cues');
+    // every cue starts at its first word and the cues stay in time order
+    const toks = wordTokens(r.tokens);
+    const orig = wordTokens(TOKENS);
+    let k = 0;
+    for (const [i, words] of wordsOf(r.tokens).entries()) {
+      close(toks[k].start, orig[k].start, 0.0005, `cue ${i} start`);
+      k += words.length;
+    }
+    for (let i = 1; i < toks.length; i++) assert.ok(toks[i].start >= toks[i - 1].start - 1e-9);
+    assert.ok(r.meta.every(m => m.speaker === 'דנה' || m.speaker === 'יוסי'));
+  });
+}
+
+test('cues split by duration stay within the limit', () => {
+  const r = roundTrip('srt', { maxCharsPerLine: 0, maxCueDuration: 1 });
+  const toks = wordTokens(r.tokens);
+  let k = 0;
+  for (const words of wordsOf(r.tokens)) {
+    const first = toks[k], last = toks[k + words.length - 1];
+    assert.ok(words.length === 1 || last.end - first.start <= 1 + 0.0005, 'cue longer than maxCueDuration');
+    k += words.length;
+  }
+  assert.deepEqual(wordsOf(r.tokens).flat(), wordsOf(TOKENS).flat());
+});
+
+test('a word longer than the line limit gets a line of its own and is not cut', () => {
+  const segments = [{ words: [['קצר', 0, 0.5], [' מילהארוכהמאודמאודמאוד', 0.5, 2], [' סוף', 2, 2.5]] }];
+  const tokens = fixtureTokens(segments);
+  const { text } = runExporter('vtt', tokens, { maxCharsPerLine: 8, maxLines: 3, maxCueDuration: 0 });
+  assert.ok(text.includes('\nמילהארוכהמאודמאודמאוד\n'));
+  const r = importTranscript('x.vtt', text);
+  assert.deepEqual(wordsOf(r.tokens), wordsOf(tokens));
+});
+
+test('multi-line cues import as one segment with the lines joined by a space', () => {
+  const { text } = runExporter('srt', TOKENS, { maxCharsPerLine: 14, maxLines: 6, maxCueDuration: 0 }, CTX);
+  assert.match(text, /\nדנה: שלום לכולם\nוברוכים הבאים\n/);
+  const r = importTranscript('x.srt', text);
+  assert.deepEqual(wordsOf(r.tokens), wordsOf(TOKENS));
+  assert.equal(r.segments, SEGMENTS.length);
+});
+
+/* ---------- TTML / DFXP ---------- */
+
+for (const id of ['ttml', 'dfxp']) {
+  test(`${id}: words, timing, segments and agent speakers survive`, () => {
+    const r = roundTrip(id, NO_SPLIT);
+    assert.equal(r.format, 'ttml');
+    assert.deepEqual(wordsOf(r.tokens), wordsOf(TOKENS));
+    assert.deepEqual(speakersOf(r.meta), ['דנה', 'יוסי', 'דנה']);
+    assertSegmentBounds(r, SEGMENTS, 0.0005);
+  });
+
+  test(`${id} with word timings: every word keeps its start and end`, () => {
+    const r = roundTrip(id, { ...NO_SPLIT, wordTimings: true });
+    const a = wordTokens(r.tokens), b = wordTokens(TOKENS);
+    assert.deepEqual(a.map(t => t.word.trim()), b.map(t => t.word.trim()));
+    a.forEach((t, i) => {
+      close(t.start, b[i].start, 0.0005, `word ${i} start`);
+      close(t.end, b[i].end, 0.0005, `word ${i} end`);
+    });
+  });
+}
+
+/* ---------- plain text ---------- */
+
+test('txt with timestamps: words, segment starts (to the second) and speakers survive', () => {
+  const r = roundTrip('txt', { timestamps: true });
+  assert.equal(r.format, 'txt');
+  assert.deepEqual(wordsOf(r.tokens), wordsOf(TOKENS));
+  assert.deepEqual(speakersOf(r.meta), ['דנה', 'יוסי', 'דנה']);
+  const toks = wordTokens(r.tokens);
+  let k = 0;
+  for (const [i, words] of wordsOf(r.tokens).entries()) {
+    assert.equal(toks[k].start, Math.floor(SEGMENTS[i].words[0][1]));
+    k += words.length;
+  }
+});
+
+test('txt without timestamps or speakers keeps the words and lines', () => {
+  const r = roundTrip('txt', { timestamps: false, speakers: false });
+  assert.deepEqual(wordsOf(r.tokens), wordsOf(TOKENS));
+  assert.deepEqual(speakersOf(r.meta), ['', '', '']);
+});
+
+test('txt: a lone "word: " prefix is text, not a speaker', () => {
+  const doc = parseText('הערה: משהו\nשורה שנייה\n');
+  assert.equal(doc.segments[0].speaker, undefined);
+  assert.equal(doc.segments[0].text, 'הערה: משהו');
+});
+
+/* ---------- Whisper JSON ---------- */
+
+test('json with words: every token comes back exactly (word, start, end, probability)', () => {
+  const r = roundTrip('json', { includeWords: true });
+  assert.equal(r.format, 'json');
+  assert.deepEqual(r.tokens.filter(t => t.word !== '\n').map(({ word, start, end, probability }) => ({ word, start, end, probability })),
+    TOKENS.filter(t => t.word !== '\n').map(({ word, start, end, probability }) => ({ word, start, end, probability })));
+  assert.deepEqual(speakersOf(r.meta), ['דנה', 'יוסי', 'דנה']);
+});
+
+test('json without words: segment text and bounds survive', () => {
+  const r = roundTrip('json', { includeWords: false });
+  assert.deepEqual(wordsOf(r.tokens), wordsOf(TOKENS));
+  assertSegmentBounds(r, SEGMENTS, 0.0005);
+});
+
+test('json: whitespace-only tokens fold into the next word, as Whisper writes them', () => {
+  const tokens = [{ word: 'א', start: 0, end: 1, probability: 1 }, { word: ' ', start: 1, end: 1, probability: NaN }, { word: 'ב', start: 1, end: 2, probability: 1 }];
+  const doc = JSON.parse(runExporter('json', tokens, { includeWords: true }).text);
+  assert.deepEqual(doc.segments[0].words.map(w => w.word), ['א', ' ב']);
+});
+
+/* ---------- quick VTT button ---------- */
+
+test('segment VTT: one cue per segment, text as is, times truncated', () => {
+  const tokens = fixtureTokens([{ words: [['a', 1.0009, 2.5], [' b', 2.5, 12.9999]] }, { words: [['c', 13, 14]] }]);
+  assert.equal(exportSegmentVTT(tokens), 'WEBVTT\n\n1\n00:00:01.000 --> 00:00:12.999\na b\n\n2\n00:00:13.000 --> 00:00:14.000\nc\n');
+});
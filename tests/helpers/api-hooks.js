@@ -0,0 +1,10 @@
+// v2/tests/helpers/api-hooks.js
+// Module hooks (node:module register) that load tests/helpers/api-stub.js wherever the app
+// imports data/api.js, so history code runs without a Supabase client.
+
+const STUB = new URL('./api-stub.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const res = await nextResolve(specifier, context);
+  return res.url.endsWith('/data/api.js') ? { ...res, url: STUB, shortCircuit: true } : res;
+}
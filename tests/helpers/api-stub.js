@@ -0,0 +1,52 @@
+// v2/tests/helpers/api-stub.js
+// In-memory stand-in for the transcript tables of data/api.js: the version and edit reads the
+// history code uses, answered from rows a test seeds. Loaded in place of data/api.js through
+// api-hooks.js:
+//   register('./helpers/api-hooks.js', import.meta.url); then import the code under test.
+
+const files = new Map(); // filePath -> { rows: Map<version,row>, edits: row[] }
+
+const copy = (row) => (row ? structuredClone(row) : null);
+const fileOf = (filePath) => files.get(filePath) || { rows: new Map(), edits: [] };
+
+/** Replace the stored versions and edit rows of `filePath` */
+export function seedFile(filePath, rows, edits) {
+  files.set(filePath, { rows: new Map(rows.map(r => [r.version, copy(r)])), edits: edits.map(copy) });
+}
+
+/** The stored row of `version` as it is now (compaction writes through setVersionSnapshot) */
+export const storedRow = (filePath, version) => copy(fileOf(filePath).rows.get(version));
+
+export async function sha256Hex(text) {
+  const buf = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(String(text || '')));
+  return Array.from(new Uint8Array(buf)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export async function getAllTranscripts(filePath, { words = false } = {}) {
+  const rows = Array.from(fileOf(filePath).rows.values()).sort((a, b) => a.version - b.version).map(copy);
+  if (!words) for (const r of rows) delete r.words;
+  return rows;
+}
+
+export async function getTranscriptEdits(filePath, { from, to } = {}) {
+  return fileOf(filePath).edits
+    .filter(e => (!Number.isFinite(from) || e.parent_version >= from) && (!Number.isFinite(to) || e.child_version <= to))
+    .sort((a, b) => a.child_version - b.child_version).map(copy);
+}
+
+export async function getTranscriptVersion(filePath, version) {
+  return copy(fileOf(filePath).rows.get(+version));
+}
+
+export async function getNearestSnapshot(filePath, version) {
+  const below = Array.from(fileOf(filePath).rows.values()).filter(r => r.version <= +version && r.text != null);
+  return copy(below.sort((a, b) => b.version - a.version)[0]);
+}
+
+export async function setVersionSnapshot(filePath, version, snapshot) {
+  const row = fileOf(filePath).rows.get(+version);
+  if (!row) throw new Error(`no v${version}`);
+  Object.assign(row, snapshot ? { text: String(snapshot.text ?? ''), words: snapshot.words || [] } : { text: null, words: null });
+}
+
+export default { seedFile, storedRow, sha256Hex, getAllTranscripts, getTranscriptEdits, getTranscriptVersion, getNearestSnapshot, setVersionSnapshot };
@@ -0,0 +1,28 @@
+// v2/tests/helpers/worker.js
+// Run a module worker in-process: `self` is a stand-in whose postMessage settles the request
+// with the same id, so tests call the worker's protocol directly. serveRpc (workers/rpc.js)
+// installs `self.onmessage`, so a test file drives one worker.
+
+const waiting = new Map();
+let nextId = 0;
+globalThis.self = { postMessage: (msg) => { waiting.get(msg.id)?.(msg); waiting.delete(msg.id); } };
+
+/**
+ * Load the worker module at `path` (from the repository root) and return its request function.
+ * @returns {Promise<(msg:Object) => Promise<Object>>}
+ */
+export async function startWorker(path) {
+  await import(new URL(`../../${path}`, import.meta.url).href);
+  return send;
+}
+
+/** Post `msg` with a fresh id; resolves with the worker's reply */
+export function send(msg) {
+  return new Promise((resolve) => {
+    const id = ++nextId;
+    waiting.set(id, resolve);
+    self.onmessage({ data: { ...msg, id } });
+  });
+}
+
+export default { startWorker, send };
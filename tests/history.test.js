@@ -0,0 +1,124 @@
+// v2/tests/history.test.js
+// Version chains (history/reconstruct.js, history/compact.js) on an in-memory transcripts
+// table (tests/helpers/api-stub.js): compaction keeps the checkpoints, compacted versions are
+// rebuilt from the nearest snapshot, and a broken chain is reported version by version.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import { encodeTextPatch, TOKEN_OPS_FMT } from '../shared/patch.js';
+
+register('./helpers/api-hooks.js', import.meta.url);
+const { seedFile, storedRow, sha256Hex, setVersionSnapshot } = await import('./helpers/api-stub.js');
+const { isCheckpoint, reconstructVersion, loadVersionTexts } = await import('../history/reconstruct.js');
+const { verifyAndCompactChain } = await import('../history/compact.js');
+
+const LATEST = 45;
+const textOf = (v) => `שלום לכולם\nזה פרק ${v}\n${'עוד '.repeat(v % 4)}מילים\n`;
+const wordsOf = (v) => textOf(v).match(/\S+\s*/g).map((word, i) => ({ word, start: i, end: i + 0.5 }));
+
+/** Prefix/suffix edit between two sequences: [keep, drop, insert, keep] */
+function splice(a, b, same) {
+  let pre = 0, post = 0;
+  while (pre < a.length && pre < b.length && same(a[pre], b[pre])) pre++;
+  while (post < a.length - pre && post < b.length - pre && same(a[a.length - 1 - post], b[b.length - 1 - post])) post++;
+  return { pre, del: a.length - pre - post, ins: b.slice(pre, b.length - post), post };
+}
+
+function editRow(v) {
+  const a = textOf(v - 1), b = textOf(v);
+  const t = splice(a, b, (x, y) => x === y);
+  const diffs = [[0, a.slice(0, t.pre)], [-1, a.slice(t.pre, a.length - t.post)], [1, t.ins], [0, a.slice(a.length - t.post)]];
+  const w = splice(wordsOf(v - 1), wordsOf(v), (x, y) => JSON.stringify(x) === JSON.stringify(y));
+  const ops = [[0, w.pre], [-1, w.del], [1, w.ins], [0, w.post]].filter(([op, arg]) => (op === 1 ? arg.length : arg));
+  return { parent_version: v - 1, child_version: v, dmp_patch: encodeTextPatch(diffs.filter(([, s]) => s)), token_ops: JSON.stringify({ fmt: TOKEN_OPS_FMT, n0: wordsOf(v - 1).length, n1: wordsOf(v).length, ops }) };
+}
+
+/** Versions 1..LATEST, each stored in full, plus the edit rows between them */
+async function seedChain(filePath, change = () => {}) {
+  const rows = [], edits = [];
+  for (let v = 1; v <= LATEST; v++) {
+    rows.push({ version: v, base_sha256: await sha256Hex(textOf(v)), text: textOf(v), words: wordsOf(v) });
+    if (v > 1) edits.push(editRow(v));
+  }
+  change(rows, edits);
+  seedFile(filePath, rows, edits);
+}
+
+test('checkpoints are v1 and every 20th version', () => {
+  assert.deepEqual([1, 2, 19, 20, 21, 40, 45].map(isCheckpoint), [true, false, false, true, false, true, false]);
+});
+
+test('compaction keeps the checkpoints and the latest version', async () => {
+  await seedChain('ep1');
+  const report = await verifyAndCompactChain('ep1');
+  assert.equal(report.ok, true);
+  assert.deepEqual(report.breaks, []);
+  const kept = [1, 20, 40, LATEST];
+  assert.deepEqual(report.compacted, Array.from({ length: LATEST }, (_, i) => i + 1).filter(v => !kept.includes(v)));
+  assert.deepEqual(report.materialized, []);
+  assert.equal(storedRow('ep1', 33).text, null);
+  assert.equal(storedRow('ep1', 40).text, textOf(40));
+
+  // Run again: nothing left to do
+  const again = await verifyAndCompactChain('ep1');
+  assert.deepEqual([again.ok, again.compacted, again.materialized], [true, [], []]);
+});
+
+test('reconstructVersion replays from the nearest snapshot', async () => {
+  await seedChain('ep2');
+  await verifyAndCompactChain('ep2');
+  const v33 = await reconstructVersion('ep2', 33);
+  assert.deepEqual([v33.version, v33.from, v33.text], [33, 20, textOf(33)]);
+  assert.deepEqual(v33.words, wordsOf(33));
+  const v40 = await reconstructVersion('ep2', 40);
+  assert.deepEqual([v40.from, v40.text], [40, textOf(40)]);
+});
+
+test('loadVersionTexts fills in runs of compacted versions', async () => {
+  await seedChain('ep3');
+  await verifyAndCompactChain('ep3');
+  const rows = await loadVersionTexts('ep3');
+  assert.equal(rows.length, LATEST);
+  for (const r of rows) assert.equal(r.text, textOf(r.version), `v${r.version}`);
+});
+
+test('a missing version or an edit that does not fit its parent is not rebuilt', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  await seedChain('ep4');
+  await verifyAndCompactChain('ep4');
+  assert.equal(await reconstructVersion('ep4', LATEST + 1), null);
+
+  // v25's edit now applies to text that is not in v24
+  await seedChain('ep4', (rows, edits) => {
+    edits[23] = { ...edits[23], dmp_patch: encodeTextPatch([[0, 'שלום לכולם\n'], [-1, 'אין כזה'], [1, 'משהו']]) };
+  });
+  // Compacted by hand: verifyAndCompactChain would keep the snapshots from v25 on
+  for (let v = 2; v < LATEST; v++) if (!isCheckpoint(v)) await setVersionSnapshot('ep4', v, null);
+  assert.equal(await reconstructVersion('ep4', 30), null);
+  assert.equal((await reconstructVersion('ep4', 24)).text, textOf(24));
+  const rows = await loadVersionTexts('ep4');
+  assert.deepEqual(rows.filter(r => r.text == null).map(r => r.version), [25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39]);
+});
+
+test('verifyAndCompactChain reports where the chain breaks', async () => {
+  await seedChain('ep5', (rows, edits) => {
+    edits.splice(edits.findIndex(e => e.child_version === 5), 1);                       // v5: no edit row
+    const e8 = edits.find(e => e.child_version === 8);
+    e8.dmp_patch = encodeTextPatch([[0, 'שלום לכולם\n'], [-1, 'אין כזה'], [1, 'משהו']]); // v8: edit does not fit v7
+    rows.splice(rows.findIndex(r => r.version === 10), 1);                              // v10: no row
+    rows.find(r => r.version === 11).text = null;                                      // v11: compacted, nothing to replay from
+    rows.find(r => r.version === 14).base_sha256 = 'f'.repeat(64);                      // v14: hash does not match
+  });
+  const report = await verifyAndCompactChain('ep5', { compact: false });
+  assert.equal(report.ok, false);
+  assert.deepEqual(report.breaks, [
+    { version: 5, reason: 'missing-edit' },
+    { version: 8, reason: 'ops-dont-match-parent' },
+    { version: 10, reason: 'missing-version' },
+    { version: 11, reason: 'unrecoverable' },
+    { version: 14, reason: 'hash-mismatch' },
+  ]);
+  assert.deepEqual(report.compacted, []);
+  assert.equal(storedRow('ep5', 30).text, textOf(30));
+});
@@ -0,0 +1,126 @@
+// v2/tests/patch.test.js
+// Storage formats of transcript_edits rows (shared/patch.js): dmp_patch hunks and their
+// escaping, fuzzy relocation, legacy JSON rows and tokops/1, checked against the diff worker's
+// own encoders (workers/diff-worker.js, in-process).
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startWorker } from './helpers/worker.js';
+import { makePatches, patchToText, patchFromText, encodeTextPatch, applyPatches, replayEdit, parseTokenOps, applyTokenOps, reconOld, reconNew } from '../shared/patch.js';
+
+const send = await startWorker('workers/diff-worker.js');
+
+const LINES = ['שלום לכולם וברוכים הבאים', 'זה הפרק השני של הפודקאסט', 'היום נדבר על 100% מהמילים', 'ועל עוד מילים', 'ובסוף נסכם'];
+const TEXT = LINES.join('\n') + '\n';
+
+test('hunks carry context and escape % and newlines', () => {
+  assert.equal(patchToText(makePatches([[0, 'ab'], [-1, 'c'], [1, 'd']])), '@@ -1,3 +1,3 @@\n ab\n-c\n+d\n');
+  assert.equal(patchToText(makePatches([[1, 'x']])), '@@ -0,0 +1 @@\n+x\n');
+
+  const diffs = [[0, 'x'.repeat(40)], [-1, '50%'], [1, '60%\nעוד'], [0, 'y'.repeat(40)]];
+  const [p, ...rest] = makePatches(diffs);
+  assert.equal(rest.length, 0);
+  assert.deepEqual(p.diffs, [[0, 'x'.repeat(16)], [-1, '50%'], [1, '60%\nעוד'], [0, 'y'.repeat(16)]]);
+  const text = patchToText([p]);
+  assert.match(text, /^@@ -25,35 \+25,39 @@\n/);
+  assert.ok(text.includes('\n-50%25\n+60%25%0Aעוד\n'));
+  assert.deepEqual(patchFromText(text), [p]);
+});
+
+test('changes farther apart than two contexts get their own hunks', () => {
+  const near = makePatches([[-1, 'a'], [0, 'b'.repeat(32)], [1, 'c']]);
+  const far = makePatches([[-1, 'a'], [0, 'b'.repeat(33)], [1, 'c']]);
+  assert.deepEqual([near.length, far.length], [1, 2]);
+});
+
+test('a patch round-trips on its own parent', () => {
+  const next = TEXT.replace('השני', 'השלישי').replace('נסכם', 'נסכם הכול');
+  const at = TEXT.indexOf('השני');
+  const diffs = [[0, TEXT.slice(0, at)], [-1, 'השני'], [1, 'השלישי'], [0, TEXT.slice(at + 4, -1)], [1, ' הכול'], [0, '\n']];
+  assert.deepEqual([reconOld(diffs), reconNew(diffs)], [TEXT, next]);
+  const res = replayEdit(TEXT, { dmp_patch: encodeTextPatch(diffs) });
+  assert.equal(res.text, next);
+  assert.equal(reconOld(res.diffs), TEXT);
+  assert.equal(reconNew(res.diffs), next);
+});
+
+test('applyPatches relocates hunks whose context moved or partly changed', () => {
+  const next = TEXT.replace('עוד מילים', 'עוד הרבה מילים');
+  const patches = patchFromText(encodeTextPatch([[0, TEXT.slice(0, TEXT.indexOf('מילים\nובסוף'))], [1, 'הרבה '], [0, TEXT.slice(TEXT.indexOf('מילים\nובסוף'))]]));
+
+  // Shifted: a line added above the hunk
+  const shifted = 'פתיח\n' + TEXT;
+  const moved = applyPatches(shifted, patches);
+  assert.deepEqual(moved.applied, [true]);
+  assert.equal(moved.text, 'פתיח\n' + next);
+  assert.equal(reconNew(moved.diffs), moved.text);
+
+  // Context edited on both sides of the change
+  const edited = TEXT.replace('100%', '90%').replace('ובסוף', 'ולבסוף');
+  const fuzzy = applyPatches(edited, patches);
+  assert.deepEqual(fuzzy.applied, [true]);
+  assert.equal(fuzzy.text, edited.replace('עוד מילים', 'עוד הרבה מילים'));
+
+  // Gone: the old text is nowhere to be found
+  const cut = TEXT.indexOf('עוד');
+  const drop = encodeTextPatch([[0, TEXT.slice(0, cut)], [-1, 'עוד'], [0, TEXT.slice(cut + 3)]]);
+  const without = TEXT.replace('ועל עוד מילים\n', '');
+  assert.deepEqual(applyPatches(without, patchFromText(drop)).applied, [false]);
+  assert.equal(replayEdit(without, { dmp_patch: drop }), null);
+});
+
+test('replayEdit reads legacy JSON rows', () => {
+  const diffs = [[0, 'שלום '], [-1, 'לכולם'], [1, 'לכם'], [0, '\n']];
+  const next = 'שלום לכם\n';
+  assert.equal(replayEdit('שלום לכולם\n', { dmp_patch: JSON.stringify(diffs), token_ops: JSON.stringify(diffs) }).text, next);
+  assert.equal(replayEdit('שלום לכולם\n', { dmp_patch: null, token_ops: JSON.stringify(diffs) }).text, next);
+  // The parent is compared canonical: a trailing space on the old side is not a mismatch
+  assert.equal(replayEdit('שלום לכולם\n', { dmp_patch: JSON.stringify([[0, 'שלום '], [-1, 'לכולם '], [1, 'לכם'], [0, '\n']]) }).text, next);
+  assert.equal(replayEdit('שלום לכל העולם\n', { dmp_patch: JSON.stringify(diffs) }), null);
+  // Timing-only edit, and a row that is neither format
+  assert.deepEqual(replayEdit(TEXT, { dmp_patch: '' }), { text: TEXT, diffs: [[0, TEXT]] });
+  assert.equal(replayEdit(TEXT, { dmp_patch: 'garbage' }), null);
+});
+
+test('tokops/1 rebuilds inserted, deleted and retimed tokens', async () => {
+  const base = [
+    { word: 'שלום', start: 0, end: 0.5 }, { word: ' לכולם', start: 0.5, end: 1 },
+    { word: ' זה', start: 1.2, end: 1.4 }, { word: ' פרק', start: 1.4, end: 2 },
+  ];
+  const tokens = [
+    { word: 'שלום', start: 0, end: 0.5 }, { word: ' רב', start: 0.5, end: 0.7 },
+    { word: ' לכולם', start: 0.7, end: 1, timing: 'manual' }, { word: ' פרק', start: 1.4, end: 2 },
+  ];
+  const { tokenOps } = await send({ type: 'tokenOps', baseTokens: base, tokens });
+  assert.deepEqual({ fmt: tokenOps.fmt, n0: tokenOps.n0, n1: tokenOps.n1 }, { fmt: 'tokops/1', n0: 4, n1: 4 });
+  assert.deepEqual(tokenOps.ops.map(([op]) => op).sort(), [-1, 0, 0, 1, 2]);
+
+  const ops = parseTokenOps(JSON.stringify(tokenOps));
+  assert.deepEqual(applyTokenOps(base, ops), tokens);
+  // A retime back to the plain timing drops the tag
+  const back = parseTokenOps((await send({ type: 'tokenOps', baseTokens: tokens, tokens: base })).tokenOps);
+  assert.deepEqual(applyTokenOps(tokens, back), base);
+
+  assert.equal(applyTokenOps(base.slice(1), ops), null);
+  assert.equal(parseTokenOps(JSON.stringify([[0, 'a']])), null);
+  assert.equal(parseTokenOps('{'), null);
+});
+
+test('worker diffs replay through their stored patch (fuzz)', async () => {
+  let seed = 20250601;
+  const rnd = (n) => ((seed = (seed * 16807) % 2147483647) % n);
+  const WORDS = ['שלום', 'מילה', '100%', 'פרק', '\n', ' ', 'ה', '%0A', 'עוד'];
+  let parent = TEXT;
+  for (let i = 0; i < 300; i++) {
+    let next = parent;
+    for (let e = rnd(3) + 1; e > 0; e--) {
+      const at = rnd(next.length + 1), cut = rnd(Math.min(8, next.length - at) + 1);
+      next = next.slice(0, at) + (rnd(3) ? WORDS[rnd(WORDS.length)] : '') + next.slice(at + cut);
+    }
+    const res = await send({ type: 'diff', baselineText: parent, text: next, options: { granularity: rnd(2) ? 'char' : 'word' } });
+    const replayed = replayEdit(parent, { dmp_patch: res.patchText });
+    assert.ok(replayed, `iteration ${i}: patch did not apply`);
+    assert.equal(replayed.text, next, `iteration ${i}`);
+    parent = next.length > 2000 ? TEXT : next;
+  }
+});
@@ -0,0 +1,41 @@
+// v2/tests/rpc.test.js
+// WorkerClient (workers/rpc.js) against a stand-in Worker that never answers diff requests:
+// a timed-out running request restarts the worker and the baseline goes to the new one.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { WorkerClient } from '../workers/rpc.js';
+
+const started = [];
+
+class StuckWorker {
+  constructor() { this.posted = []; this.terminated = false; started.push(this); }
+  postMessage(msg) {
+    this.posted.push(msg);
+    if (msg.type === 'init') queueMicrotask(() => this.onmessage({ data: { type: 'diff:ready' } }));
+    if (msg.type === 'setBaseline' && msg.id != null) queueMicrotask(() => this.onmessage({ data: { id: msg.id, type: 'diff:baseline-set' } }));
+  }
+  terminate() { this.terminated = true; }
+}
+globalThis.Worker = StuckWorker;
+
+const tick = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a timed-out running request restarts the worker and re-sends the baseline', async () => {
+  const client = new WorkerClient('diff-worker.js', { kind: 'diff', dev: false });
+  await tick(0);
+  await client.setBaseline({ baselineText: 'שלום' });
+
+  const running = client.request('diff', { text: 'שלום לכולם' }, { timeoutMs: 20 });
+  const queued = client.request('diff', { text: 'שלום לכולם!' }, { timeoutMs: 1000 });
+  await assert.rejects(running, { name: 'TimeoutError' });
+  await assert.rejects(queued, /crashed/);
+  assert.equal(started[0].terminated, true);
+  assert.ok(!started[0].posted.some(m => m.type === 'cancel'));
+
+  await tick(300);
+  assert.equal(started.length, 2);
+  assert.deepEqual(started[1].posted.map(m => m.type), ['init', 'setBaseline']);
+  assert.equal(started[1].posted[1].baselineText, 'שלום');
+  client.terminate();
+});
@@ -0,0 +1,165 @@
+// v2/tools/local-server.mjs
+// Dev/demo server for the "local" backend driver (data/backend.js): serves the app itself
+// plus a dataset directory laid out like the two HF datasets —
+//   <data>/<folder>/<file>.opus
+//   <data>/<folder>/<file>/full_transcript.json.gz
+// (other source profiles than the default under <data>/<profile id>/, as their templates say).
+// Tables (versions, edits, confirmations) stay in the browser's IndexedDB. No dependencies:
+//   node tools/local-server.mjs --data ./my-dataset [--port 8787] [--host 127.0.0.1] [--allow-origin <origin>]
+// Routes: /api/tree/<path> (HF-style listing), /files/<path> (with Range), /backend.config.json
+// (the app's own file, else {"driver":"local"}), everything else from the app directory.
+// Dotfiles and dot-directories (.git, .env, …) are never served. CORS is granted only to the
+// server's own origin and any --allow-origin (an app served from elsewhere).
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const MIME = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.opus': 'audio/ogg',
+  '.ogg': 'audio/ogg',
+  '.gz': 'application/gzip',
+};
+
+function parseArgs(argv) {
+  const opts = { port: 8787, host: '127.0.0.1', data: '', allowOrigins: [], app: path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..') };
+  for (let i = 0; i < argv.length; i++) {
+    const k = argv[i];
+    if (k === '--port') opts.port = +argv[++i];
+    else if (k === '--host') opts.host = argv[++i];
+    else if (k === '--data') opts.data = path.resolve(argv[++i] || '');
+    else if (k === '--app') opts.app = path.resolve(argv[++i] || '');
+    else if (k === '--allow-origin') opts.allowOrigins.push(String(argv[++i] || '').replace(/\/+$/, ''));
+    else if (k === '--help' || k === '-h') opts.help = true;
+  }
+  return opts;
+}
+
+/** `rel` (URL path, still encoded) inside `root`, or null when it escapes it or names a dotfile */
+function resolveInside(root, rel) {
+  let parts;
+  try { parts = rel.split('/').filter(Boolean).map(decodeURIComponent); } catch { return null; }
+  // '..', '.git', '.env' … and separators smuggled in encoded ('%2F', '%5C')
+  if (parts.some(p => p.startsWith('.') || /[\\/\0]/.test(p))) return null;
+  const full = path.resolve(root, ...parts);
+  return full === root || full.startsWith(root + path.sep) ? full : null;
+}
+
+function send(res, status, body, type = 'text/plain; charset=utf-8') {
+  res.writeHead(status, { 'Content-Type': type });
+  res.end(body);
+}
+
+function sendJson(res, obj) {
+  send(res, 200, JSON.stringify(obj), MIME['.json']);
+}
+
+/** Stream a file, honouring a single-range Range header (audio seeking) */
+function sendFile(req, res, file, stat) {
+  const type = MIME[path.extname(file).toLowerCase()] || 'application/octet-stream';
+  const headers = { 'Content-Type': type, 'Accept-Ranges': 'bytes', 'Last-Modified': stat.mtime.toUTCString() };
+  const m = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+  if (m && (m[1] || m[2])) {
+    const start = m[1] ? +m[1] : Math.max(0, stat.size - +m[2]);
+    const end = m[1] && m[2] ? Math.min(+m[2], stat.size - 1) : stat.size - 1;
+    if (start > end || start >= stat.size) {
+      res.writeHead(416, { 'Content-Range': `bytes */${stat.size}` });
+      res.end();
+      return;
+    }
+    res.writeHead(206, { ...headers, 'Content-Range': `bytes ${start}-${end}/${stat.size}`, 'Content-Length': end - start + 1 });
+    if (req.method === 'HEAD') { res.end(); return; }
+    fs.createReadStream(file, { start, end }).pipe(res);
+    return;
+  }
+  res.writeHead(200, { ...headers, 'Content-Length': stat.size });
+  if (req.method === 'HEAD') { res.end(); return; }
+  fs.createReadStream(file).pipe(res);
+}
+
+/** Immediate children of `dir` as HF tree items (paths from the dataset root) */
+async function listTree(root, dir) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  const rel = path.relative(root, dir).split(path.sep).filter(Boolean).join('/');
+  const items = [];
+  for (const e of entries) {
+    if (e.name.startsWith('.')) continue;
+    const p = rel ? `${rel}/${e.name}` : e.name;
+    if (e.isDirectory()) items.push({ type: 'directory', path: p });
+    else if (e.isFile()) items.push({ type: 'file', path: p, size: (await fs.promises.stat(path.join(dir, e.name))).size });
+  }
+  return items.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/** Origins that may read responses cross-origin: this server's own, plus --allow-origin */
+function allowedOrigins(opts) {
+  const hosts = [opts.host];
+  if (['127.0.0.1', 'localhost', '::1'].includes(opts.host)) hosts.push('127.0.0.1', 'localhost', '[::1]');
+  return new Set([...hosts.map(h => `http://${h}:${opts.port}`), ...opts.allowOrigins]);
+}
+
+async function handle(opts, req, res) {
+  const origin = req.headers.origin;
+  res.setHeader('Vary', 'Origin');
+  if (origin && opts.origins.has(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Headers', 'Range, Authorization, Accept');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Range, Content-Length, Accept-Ranges');
+  }
+  if (req.method === 'OPTIONS') { res.writeHead(204); res.end(); return; }
+  if (req.method !== 'GET' && req.method !== 'HEAD') { send(res, 405, 'Method not allowed'); return; }
+
+  const url = new URL(req.url, 'http://localhost');
+  const route = url.pathname;
+
+  if (route.startsWith('/api/tree')) {
+    const dir = resolveInside(opts.data, route.slice('/api/tree'.length));
+    const stat = dir && await fs.promises.stat(dir).catch(() => null);
+    if (!stat?.isDirectory()) { send(res, 404, 'Not found'); return; }
+    sendJson(res, await listTree(opts.data, dir));
+    return;
+  }
+
+  let file;
+  if (route.startsWith('/files/')) {
+    file = resolveInside(opts.data, route.slice('/files/'.length));
+  } else {
+    file = resolveInside(opts.app, route === '/' ? 'index.html' : route);
+    if (route === '/backend.config.json' && !fs.existsSync(file)) { sendJson(res, { driver: 'local' }); return; }
+  }
+  const stat = file && await fs.promises.stat(file).catch(() => null);
+  if (!stat?.isFile()) { send(res, 404, 'Not found'); return; }
+  sendFile(req, res, file, stat);
+}
+
+const opts = parseArgs(process.argv.slice(2));
+if (opts.help || !opts.data) {
+  console.log('usage: node tools/local-server.mjs --data <dataset dir> [--port 8787] [--host 127.0.0.1] [--app <app dir>] [--allow-origin <origin>]…');
+  process.exit(opts.help ? 0 : 1);
+}
+if (!fs.existsSync(opts.data) || !fs.statSync(opts.data).isDirectory()) {
+  console.error(`Dataset directory not found: ${opts.data}`);
+  process.exit(1);
+}
+
+opts.origins = allowedOrigins(opts);
+
+http.createServer((req, res) => {
+  handle(opts, req, res).catch((e) => {
+    console.warn('Request failed:', req.url, e?.message || e);
+    if (!res.headersSent) send(res, 500, 'Internal error');
+    else res.end();
+  });
+}).listen(opts.port, opts.host, () => {
+  console.log(`App:     http://${opts.host}:${opts.port}/`);
+  console.log(`Dataset: ${opts.data}`);
+});
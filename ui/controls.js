@@ -3,7 +3,20 @@ import { store, getState } from '../core/state.js';
 import { showToast } from './toast.js';
 import { canonicalizeText } from '../shared/canonical.js';
 import { verifyChainHash } from '../history/verify-chain.js';
-import { saveTranscriptVersion, saveTranscriptEdit, saveCorrectionToDB, markCorrection, getLatestTranscript, getTranscriptVersion, saveConfirmations, sha256Hex } from '../data/api.js';
+import { commitVersion, buildEditPatch } from '../history/commit.js';
+import { isCheckpoint } from '../history/reconstruct.js';
+import { verifyAndCompactChain } from '../history/compact.js';
+import { journalAppend, isOfflineError } from '../data/journal.js';
+import { renderMergeConflicts } from '../render/diff-panel.js';
+import { setShowingLayers, pinnedAnchors, getSelectionOffsets } from '../editor/pipeline.js';
+import { downloadSegmentVtt } from './export-menu.js';
+import { buildSegmentsFromTokens } from '../formats/segments.js';
+import { segmentsForText, isSegmentList } from '../shared/segments.js';
+import { normalizeRoster } from '../shared/speakers.js';
+import { hasUnsavedSpeakerChanges } from './speakers.js';
+import { hasUnsavedTimingChanges } from '../player/timeline.js';
+import { saveCorrectionToDB, markCorrection, isVersionConflict, sha256Hex } from '../data/api.js';
+import { overlaps, confirmRanges, unconfirmRange, transcriptPath } from '../editor/confirmations.js';
 
 export function setupUIControls(els, { workers }, virtualizer, playerCtrl, isIdle) {
   // Probability highlight toggle
@@ -45,45 +58,6 @@ export function setupUIControls(els, { workers }, virtualizer, playerCtrl, isIdl
       });
     } catch { /* noop */ }
   }
-  // Download VTT
-  const formatTimeVTT = (t) => {
-    const ms = Math.max(0, Math.floor((+t || 0) * 1000));
-    const h = Math.floor(ms / 3600000);
-    const m = Math.floor((ms % 3600000) / 60000);
-    const s = Math.floor((ms % 60000) / 1000);
-    const ms3 = ms % 1000;
-    const pad = (n, w) => String(n).padStart(w, '0');
-    return `${pad(h,2)}:${pad(m,2)}:${pad(s,2)}.${pad(ms3,3)}`;
-  };
-  const buildSegmentsFromTokens = (tokens) => {
-    const segs = []; let cur = null;
-    for (const t of (tokens || [])) {
-      if (!t || t.state === 'del') continue;
-      if (t.word === '\n') { if (cur) { segs.push(cur); cur = null; } continue; }
-      if (!cur) cur = { words: [], start: Number.isFinite(t.start) ? +t.start : 0, end: Number.isFinite(t.end) ? +t.end : 0 };
-      cur.words.push({ word: String(t.word || ''), start: +t.start || 0, end: +t.end || ((+t.start || 0) + 0.25), probability: Number.isFinite(t.probability) ? +t.probability : undefined });
-      cur.end = Number.isFinite(t.end) ? +t.end : cur.end;
-    }
-    if (cur) segs.push(cur);
-    segs.forEach(s => { s.text = (s.words || []).map(w => w.word).join(''); });
-    return segs;
-  };
-  const generateVTT = (tokens) => {
-    const segs = buildSegmentsFromTokens(tokens);
-    const lines = ['WEBVTT',''];
-    segs.forEach((s, i) => {
-      const t1 = formatTimeVTT(s.start); const t2 = formatTimeVTT(s.end);
-      lines.push(String(i+1)); lines.push(`${t1} --> ${t2}`); lines.push(s.text); lines.push('');
-    });
-    return lines.join('\n');
-  };
-  const downloadText = (filename, text, type = 'text/plain') => {
-    try { const blob = new Blob([text], { type }); const url = URL.createObjectURL(blob);
-      const a = document.createElement('a'); a.href = url; a.download = filename || 'download.txt';
-      document.body.appendChild(a); a.click(); setTimeout(() => { document.body.removeChild(a); URL.revokeObjectURL(url); }, 0);
-    } catch (e) { console.error('download failed:', e); }
-  };
-
   // Rate slider
   if (els.rate && els.rateVal) {
     const applyRate = (r) => { els.rateVal.textContent = `×${(+r||1).toFixed(2)}`; };
@@ -97,18 +71,10 @@ export function setupUIControls(els, { workers }, virtualizer, playerCtrl, isIdl
     });
   }
 
-  // VTT export
+  // VTT export (quick button; the export menu covers the other formats)
   if (els.dlVtt) {
     els.dlVtt.addEventListener('click', () => {
-      const st = getState();
-      const tokens = st.tokens && st.tokens.length ? st.tokens : (st.baselineTokens || []);
-      if (!tokens || !tokens.length) { showToast('אין נתונים לייצוא', 'error'); return; }
-      const vtt = generateVTT(tokens);
-      const folder = els.transcript?.dataset.folder || 'episode';
-      const file = (els.transcript?.dataset.file || 'audio.opus').replace(/\.opus$/i, '');
-      const name = `${folder}__${file}.vtt`;
-      downloadText(name, vtt, 'text/vtt');
-      showToast('VTT נוצר והורד', 'success');
+      try { downloadSegmentVtt(els); } catch (e) { console.error('VTT export failed:', e); showToast('ייצוא VTT נכשל', 'error'); }
     });
   }
 
@@ -121,21 +87,8 @@ export function setupUIControls(els, { workers }, virtualizer, playerCtrl, isIdl
   if (els.fontMinus) els.fontMinus.addEventListener('click', () => setTextSize(getTextSize() - 0.05));
   if (els.fontPlus)  els.fontPlus.addEventListener('click', () => setTextSize(getTextSize() + 0.05));
 
-  // Confirmations
-  const overlaps = (a, b) => a[0] < b[1] && b[0] < a[1];
-  const mergeRanges = (ranges) => { const arr = (ranges || []).slice().sort((x,y)=>x[0]-y[0]||x[1]-y[1]); const out=[]; for (const r of arr){ if(!out.length||out[out.length-1][1]<r[0]) out.push(r.slice()); else out[out.length-1][1]=Math.max(out[out.length-1][1], r[1]); } return out; };
-  const selectionRange = () => {
-    const sel = window.getSelection(); if (!sel || sel.rangeCount === 0) return null;
-    const r = sel.getRangeAt(0); const container = els.transcript; if (!container) return null;
-    const inC = n => n && (n === container || container.contains(n)); if (!(inC(r.startContainer) && inC(r.endContainer))) return null;
-    const measure = (node, off) => { const rng = document.createRange(); rng.selectNodeContents(container); try { rng.setEnd(node, off); } catch { return 0; } return rng.toString().length; };
-    const s = measure(r.startContainer, r.startOffset); const e = measure(r.endContainer, r.endOffset); return [Math.min(s,e), Math.max(s,e)];
-  };
-  const mayConfirmNow = async () => { const st = getState(); if (!st || !(st.version > 0) || !st.base_sha256) return false; try { const txt = (st.liveText||''); const h = await sha256Hex(txt); return !!h && h === st.base_sha256; } catch { return false; } };
-  const persistConfirmations = async () => {
-    try { const st = getState(); const txt = canonicalizeText(st.liveText||''); const ranges = (st.confirmedRanges || []).map(x => x.range); if (!(st.version > 0)) return; await saveConfirmations(`${els.transcript?.dataset.folder}/${els.transcript?.dataset.file}`, st.version, st.base_sha256 || '', ranges, txt); showToast('אישורים נשמרו', 'success'); }
-    catch (e) { console.warn('Persist confirmations failed:', e); showToast('שמירת אישורים נכשלה', 'error'); }
-  };
+  // Confirmations (logic in editor/confirmations.js)
+  const selectionRange = () => (els.transcript ? getSelectionOffsets(els.transcript) : null);
   const refreshConfirmButtons = () => {
     if (!els.markReliable || !els.markUnreliable) return;
     const sel = selectionRange(); const conf = (getState().confirmedRanges || []).map(x=>x.range);
@@ -143,8 +96,8 @@ export function setupUIControls(els, { workers }, virtualizer, playerCtrl, isIdl
     els.markReliable.style.display = inConfirmed ? 'none' : '';
     els.markUnreliable.style.display = inConfirmed ? '' : 'none';
   };
-  if (els.markReliable) els.markReliable.addEventListener('click', () => { mayConfirmNow().then(ok => { if (!ok) { showToast('שמור ואז אשר (hash mismatch)', 'error'); return; } const sel = selectionRange(); if (!sel || sel[0] === sel[1]) return; const conf = (getState().confirmedRanges || []).map(x=>x.range); const merged = mergeRanges(conf.concat([sel])); store.setConfirmedRanges(merged.map(r => ({ range: r }))); refreshConfirmButtons(); persistConfirmations(); }); });
-  if (els.markUnreliable) els.markUnreliable.addEventListener('click', () => { mayConfirmNow().then(ok => { if (!ok) { showToast('שמור ואז אשר (hash mismatch)', 'error'); return; } const sel = selectionRange(); if (!sel) return; const keep = (getState().confirmedRanges || []).map(x=>x.range).filter(r => !overlaps(r, sel)); store.setConfirmedRanges(keep.map(r => ({ range: r }))); refreshConfirmButtons(); persistConfirmations(); }); });
+  if (els.markReliable) els.markReliable.addEventListener('click', () => { const sel = selectionRange(); if (!sel || sel[0] === sel[1]) return; confirmRanges(transcriptPath(els.transcript), [sel]).then(refreshConfirmButtons); });
+  if (els.markUnreliable) els.markUnreliable.addEventListener('click', () => { const sel = selectionRange(); if (!sel) return; unconfirmRange(transcriptPath(els.transcript), sel).then(refreshConfirmButtons); });
   document.addEventListener('selectionchange', () => { const sel = window.getSelection(); if (!sel || sel.rangeCount === 0) return; const n = sel.getRangeAt(0).commonAncestorContainer; if (els.transcript === n || (n && els.transcript.contains(n))) refreshConfirmButtons(); });
   store.subscribe((_, tag) => { if (tag === 'confirmedRanges') refreshConfirmButtons(); });
 
@@ -159,42 +112,103 @@ export function setupUIControls(els, { workers }, virtualizer, playerCtrl, isIdl
   // Save (queued)
   let saveQueued = false; let saving = false;
   const setSaveButton = (state) => { if (!els.submitBtn) return; if (state === 'waiting') { els.submitBtn.disabled = true; els.submitBtn.textContent = 'ממתין לעיבוד…'; } else if (state === 'saving') { els.submitBtn.disabled = true; els.submitBtn.textContent = 'שומר…'; } else { els.submitBtn.disabled = false; els.submitBtn.textContent = '⬆️ שמור תיקון'; } };
+
+  // Three-way merge of our edit session against a version someone else committed meanwhile.
+  // Resolves with the merged text, or null if the user cancelled the conflict UI.
+  async function mergeWithLatest(baseText, oursText, theirsText) {
+    const { hunks, conflicts } = await workers.diff.merge(baseText, oursText, theirsText);
+    if (!conflicts) return (hunks || []).map(h => h.text || '').join('');
+    showToast(`נמצאו ${conflicts} התנגשויות — בחר צד בחלונית ההשוואה`, 'info', 4000);
+    try { setShowingLayers(true); } catch {}
+    const merged = await renderMergeConflicts(els.diffBody, hunks);
+    try { setShowingLayers(false); } catch {}
+    return merged;
+  }
+
+  // Offline: journal the save (and its edit row) so it replays in order on reconnect.
+  // The session advances to the would-be child version so later offline saves chain onto it.
+  async function journalOfflineSave(filePath, { parentVersion, parentText, parentWords, text, words, segments, speakers }) {
+    const parent = parentVersion || 0;
+    await journalAppend({ kind: 'save', file_path: filePath, parent_version: parent, payload: { text, words, segments, speakers, parent_text: parentText, parent_words: parentWords || null } });
+    if (parent > 0 && parentText) {
+      try { const patch = await buildEditPatch(parentText, text, workers, { parentWords, words }); await journalAppend({ kind: 'edit', file_path: filePath, parent_version: parent, payload: patch }); }
+      catch (e) { console.debug('Offline edit row skipped:', e?.message || e); }
+    }
+    return { version: parent + 1, base_sha256: await sha256Hex(text) };
+  }
+
   async function performSave() {
-    if (saving) return; const st = getState(); const tokens = st.tokens && st.tokens.length ? st.tokens : (st.baselineTokens || []);
+    if (saving) return; const st = getState(); let tokens = st.tokens && st.tokens.length ? st.tokens : (st.baselineTokens || []);
+    if (st.viewingVersion) { showToast('מוצגת גרסה ישנה לקריאה בלבד — חזור לעריכה כדי לשמור', 'info'); setSaveButton('idle'); saveQueued = false; return; }
     if (!tokens.length) { showToast('אין מה לשמור', 'error'); setSaveButton('idle'); saveQueued = false; return; }
     let text = canonicalizeText(st.liveText || ''); if (!text) text = canonicalizeText(tokens.map(t => t.word || '').join(''));
     const folder = els.transcript?.dataset.folder; const file = els.transcript?.dataset.file; if (!folder || !file) { showToast('לא נבחר קובץ', 'error'); setSaveButton('idle'); saveQueued = false; return; }
-    const filePath = `${folder}/${file}`;
+    const filePath = transcriptPath(els.transcript);
     try {
       saving = true; setSaveButton('saving');
-      // Pre-fetch latest for no-op check only
-      let latest = null; try { latest = await getLatestTranscript(filePath); } catch {}
-      const parentVersionGuess = latest?.version ?? null; const parentTextSnapshot = canonicalizeText(latest?.text || '');
-      // Skip creating a new version if nothing changed compared to the latest snapshot
-      if (parentVersionGuess != null && parentTextSnapshot === text) {
+      // The version we loaded travels with the edit session: it is the parent and the merge base
+      let parentVersion = st.version > 0 ? st.version : null; let parentText = canonicalizeText(st.text || ''); let parentWords = st.words || null;
+      // Skip creating a new version if nothing changed compared to the loaded snapshot
+      if (parentVersion != null && parentText === text && !hasUnsavedSpeakerChanges() && !hasUnsavedTimingChanges()) {
         showToast('אין שינוי לשמירה', 'info');
         return;
       }
-      const res = await saveTranscriptVersion(filePath, { parentVersion: parentVersionGuess, text, words: tokens });
-      const childV = res?.version; const parentV = (typeof childV === 'number' && childV > 1) ? (childV - 1) : null;
-      store.setState({ version: childV || 0, base_sha256: res?.base_sha256 || st.base_sha256 || '' }, 'version:saved');
-      try {
-        if (typeof childV === 'number' && childV > 1) {
-          // Re-fetch the actual parent by version (strongly consistent baseline)
-          let parent = null;
-          try { parent = await getTranscriptVersion(filePath, parentV); } catch {}
-          const parentText = canonicalizeText(parent?.text || parentTextSnapshot || '');
-          if (parentText) {
-            const { diffs } = await workers.diff.send(parentText, text, { timeoutSec: 0.8, editCost: 8 });
-            const patchJson = JSON.stringify(diffs || []);
-            await saveTranscriptEdit(filePath, parentV, childV, patchJson, patchJson);
-          }
+      // Segment layer for exactly the text being saved (line i ↔ segment i)
+      let segments = segmentsForText(st.segmentsText, st.segments, text, tokens);
+      let speakers = normalizeRoster(st.speakers, segments);
+      let res = null; let journaled = false; let tokenIds = null;
+      for (let attempt = 0; !res; attempt++) {
+        try {
+          res = await commitVersion(filePath, { parentVersion, parentText, parentWords, text, words: tokens, segments, speakers }, workers);
+        } catch (eSave) {
+          if (isOfflineError(eSave)) { res = await journalOfflineSave(filePath, { parentVersion, parentText, parentWords, text, words: tokens, segments, speakers }); journaled = true; break; }
+          if (!isVersionConflict(eSave) || attempt >= 2) throw eSave;
+          // No typing while the merge is resolved; what was typed since this attempt began is rebased onto it
+          const editable = els.transcript.contentEditable;
+          els.transcript.contentEditable = 'false';
+          try {
+            const latest = eSave.latest || {}; const theirs = canonicalizeText(latest.text || '');
+            const merged = await mergeWithLatest(parentText, text, theirs);
+            if (merged == null) { showToast('השמירה בוטלה — הגרסה השמורה השתנתה', 'info'); return; }
+            const prevText = text; const prevSegments = segments;
+            parentVersion = latest.version ?? null; parentText = theirs; text = merged;
+            parentWords = Array.isArray(latest.words) && latest.words.length ? latest.words : null;
+            if (merged === theirs) {
+              // Our edits are already contained in the latest version: adopt it instead of saving a duplicate
+              tokens = Array.isArray(latest.words) && latest.words.length ? latest.words : tokens;
+              tokenIds = null;
+              res = { version: latest.version, base_sha256: latest.base_sha256 };
+              segments = isSegmentList(latest.segments) && latest.segments.length === merged.split('\n').length ? latest.segments : segmentsForText(prevText, prevSegments, merged, tokens);
+              speakers = normalizeRoster(latest.speakers || speakers, segments);
+            } else {
+              const aligned = await workers.align.send(st.baselineTokens, merged, { prevText, segments: prevSegments, anchors: pinnedAnchors(tokens) });
+              tokens = aligned.tokens || tokens;
+              tokenIds = aligned.tokens ? aligned.ids : null;
+              segments = aligned.segments || segmentsForText(prevText, prevSegments, merged, tokens);
+              // Keep speakers the other session added; ours win on name clashes
+              speakers = normalizeRoster(speakers.concat(latest.speakers || []), segments);
+            }
+            // The live text is the merge plus any unsaved typing (live vs. the text this attempt saved)
+            let shown = { text: merged, tokens, tokenIds, segments };
+            const liveNow = canonicalizeText(getState().liveText || '');
+            if (liveNow !== prevText) {
+              const rebased = await mergeWithLatest(prevText, liveNow, merged);
+              if (rebased == null) { showToast('השמירה בוטלה — הגרסה השמורה השתנתה', 'info'); return; }
+              if (rebased !== merged) {
+                const a = await workers.align.send(st.baselineTokens, rebased, { prevText: merged, segments, anchors: pinnedAnchors(tokens) });
+                const aTokens = a.tokens || tokens;
+                shown = { text: rebased, tokens: aTokens, tokenIds: a.tokens ? a.ids : null, segments: a.segments || segmentsForText(merged, segments, rebased, aTokens) };
+              }
+            }
+            store.setTokens(shown.tokens, shown.tokenIds); store.setLiveText(shown.text); store.setSegments(shown.segments, shown.text); store.setSpeakers(speakers);
+          } finally { els.transcript.contentEditable = editable; }
         }
-      } catch (eHist) {
-        console.debug('Edit history save skipped:', eHist?.message || eHist);
       }
+      const childV = res?.version;
+      store.setState({ version: childV || 0, base_sha256: res?.base_sha256 || st.base_sha256 || '', text, words: tokens }, 'version:saved');
+      if (journaled) { showToast('אין חיבור — השמירה נשמרה מקומית ותסונכרן כשהחיבור יחזור', 'info', 4000); return; }
       showToast('השינויים נשמרו בהצלחה', 'success');
-      // Verify version chain integrity (v1 + all ops → latest hash)
+      // Verify version chain integrity (nearest snapshot + ops → latest hash)
       try {
         const vRes = await verifyChainHash(filePath);
         if (vRes && vRes.ok) {
@@ -203,8 +217,10 @@ export function setupUIControls(els, { workers }, virtualizer, playerCtrl, isIdl
         } else if (vRes) {
           if (vRes.reason === 'no-version') {
             // nothing to verify (shouldn't happen right after save)
-          } else if (vRes.reason === 'missing-v1') {
-            showToast('אימות גרסה נכשל: v1 חסרה', 'error');
+          } else if (vRes.reason === 'missing-v1' || vRes.reason === 'missing-snapshot') {
+            showToast(vRes.reason === 'missing-v1' ? 'אימות גרסה נכשל: v1 חסרה' : 'אימות גרסה נכשל: אין גרסה שמורה במלואה', 'error');
+          } else if (vRes.reason === 'missing-edit') {
+            showToast(`אימות גרסה נכשל: עריכה חסרה ב-v${vRes.at}`, 'error');
           } else if (vRes.reason === 'bad-ops') {
             showToast(`אימות גרסה נכשל: עדכון פגום ב-v${vRes.at}`, 'error');
           } else if (vRes.reason === 'ops-dont-match-parent') {
@@ -217,10 +233,15 @@ export function setupUIControls(els, { workers }, virtualizer, playerCtrl, isIdl
             showToast(`אי-תאמה בגיבוב: ${got} ≠ ${exp}`, 'error');
           }
         }
+        // Each checkpoint reached compacts the versions since the previous one, in the background
+        if (vRes?.ok && childV > 1 && isCheckpoint(childV)) {
+          verifyAndCompactChain(filePath).then(r => { if (!r.ok) console.warn('Chain compaction found problems:', r); }, e => console.warn('Chain compaction failed:', e));
+        }
       } catch (e) {
         console.warn('verifyChainHash failed:', e);
       }
     } catch (e1) {
+      if (isVersionConflict(e1)) { showToast('השמירה נכשלה: הגרסה השמורה ממשיכה להשתנות, נסה שוב', 'error', 4000); return; }
       console.warn('Versioned save failed, falling back to correction JSON:', e1);
       const segs = buildSegmentsFromTokens(tokens).map(s => ({ start: s.start, end: s.end, text: s.text, words: s.words })); const json = { text: segs.map(s=>s.text).join('\n'), segments: segs };
       const res2 = await saveCorrectionToDB(filePath, json); console.log('Correction saved (legacy):', res2);
@@ -0,0 +1,51 @@
+// v2/ui/diff-options.js
+// Diff panel toggles: granularity (char/word/line), semantic cleanup, and whitespace- or
+// punctuation-insensitive comparison. Kept in localStorage; every live diff request carries
+// them (editor/pipeline.js), so a change only needs a refresh.
+
+const LS_KEY = 'v2:diffOptions';
+const DEFAULTS = { granularity: 'word', cleanup: false, ignoreWhitespace: false, ignorePunctuation: false };
+
+export function loadDiffOptions() {
+  try { return { ...DEFAULTS, ...JSON.parse(localStorage.getItem(LS_KEY) || '{}') }; } catch { return { ...DEFAULTS }; }
+}
+
+export function saveDiffOptions(prefs) {
+  try { localStorage.setItem(LS_KEY, JSON.stringify({ ...loadDiffOptions(), ...prefs })); } catch {}
+}
+
+/** The toggles as diff worker options (workers/diff-worker.js) */
+export function diffViewOptions() {
+  const p = loadDiffOptions();
+  return {
+    granularity: p.granularity,
+    cleanup: p.cleanup ? 'semantic' : 'none',
+    ignoreWhitespace: !!p.ignoreWhitespace,
+    ignorePunctuation: !!p.ignorePunctuation,
+  };
+}
+
+/**
+ * @param {{ diffGranularity?:HTMLSelectElement, diffCleanup?:HTMLInputElement, diffIgnoreSpace?:HTMLInputElement, diffIgnorePunct?:HTMLInputElement }} els
+ * @param {{ editor?:{ refreshDiff?:Function } }} deps
+ */
+export function setupDiffOptions(els, { editor } = {}) {
+  const controls = [
+    [els?.diffGranularity, 'granularity', 'value'],
+    [els?.diffCleanup, 'cleanup', 'checked'],
+    [els?.diffIgnoreSpace, 'ignoreWhitespace', 'checked'],
+    [els?.diffIgnorePunct, 'ignorePunctuation', 'checked'],
+  ].filter(([el]) => el);
+  if (!controls.length) return;
+
+  const prefs = loadDiffOptions();
+  for (const [el, key, prop] of controls) {
+    el[prop] = prefs[key];
+    el.addEventListener('change', () => {
+      saveDiffOptions({ [key]: el[prop] });
+      try { editor?.refreshDiff?.(); } catch {}
+    });
+  }
+}
+
+export default { loadDiffOptions, saveDiffOptions, diffViewOptions, setupDiffOptions };
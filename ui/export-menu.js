@@ -0,0 +1,144 @@
+// v2/ui/export-menu.js
+// Export menu: pick a registered format, tweak its options, download.
+
+import { getState } from '../core/state.js';
+import { showToast } from './toast.js';
+import { listExporters, getExporter, runExporter, resolveOptions } from '../formats/registry.js';
+import { exportSegmentVTT } from '../formats/exporters.js';
+import { speakerMeta } from '../shared/speakers.js';
+
+const LS_KEY = 'v2:export';
+
+function loadPrefs() {
+  try { return JSON.parse(localStorage.getItem(LS_KEY) || '{}') || {}; } catch { return {}; }
+}
+function savePrefs(prefs) {
+  try { localStorage.setItem(LS_KEY, JSON.stringify(prefs)); } catch {}
+}
+
+export function downloadText(filename, text, type = 'text/plain') {
+  try { const blob = new Blob([text], { type }); const url = URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url; a.download = filename || 'download.txt';
+    document.body.appendChild(a); a.click(); setTimeout(() => { document.body.removeChild(a); URL.revokeObjectURL(url); }, 0);
+  } catch (e) { console.error('download failed:', e); }
+}
+
+/** Tokens to export: aligned live tokens, falling back to the baseline */
+function currentTokens() {
+  const st = getState();
+  return st.tokens && st.tokens.length ? st.tokens : (st.baselineTokens || []);
+}
+
+/** Speaker names per line, when the segment layer matches the exported tokens line-for-line */
+function currentContext(tokens) {
+  const st = getState();
+  let lines = 1;
+  for (const t of tokens) if (t && t.state !== 'del' && t.word === '\n') lines++;
+  const segs = st.segments || [];
+  return segs.length === lines ? { lineMeta: speakerMeta(segs, st.speakers) } : {};
+}
+
+function baseName(els) {
+  const folder = els.transcript?.dataset.folder || 'episode';
+  const file = (els.transcript?.dataset.file || 'audio.opus').replace(/\.opus$/i, '');
+  return `${folder}__${file}`;
+}
+
+/**
+ * Export the current transcript in `formatId` and download it.
+ * @returns {boolean} true when a file was produced
+ */
+export function exportAndDownload(els, formatId, opts) {
+  const tokens = currentTokens();
+  if (!tokens || !tokens.length) { showToast('אין נתונים לייצוא', 'error'); return false; }
+  const def = getExporter(formatId);
+  const prefs = loadPrefs();
+  const { text, ext, mime } = runExporter(formatId, tokens, opts || prefs[formatId] || {}, currentContext(tokens));
+  downloadText(`${baseName(els)}.${ext}`, text, mime);
+  showToast(`${def?.label || formatId} נוצר והורד`, 'success');
+  return true;
+}
+
+/** The quick VTT button: one cue per segment (see exportSegmentVTT), not the menu's VTT options */
+export function downloadSegmentVtt(els) {
+  const tokens = currentTokens();
+  if (!tokens || !tokens.length) { showToast('אין נתונים לייצוא', 'error'); return false; }
+  downloadText(`${baseName(els)}.vtt`, exportSegmentVTT(tokens), 'text/vtt');
+  showToast('VTT נוצר והורד', 'success');
+  return true;
+}
+
+/**
+ * @param {{ exportMenu?:HTMLElement, exportFormat?:HTMLSelectElement, exportOptions?:HTMLElement, exportBtn?:HTMLElement, transcript?:HTMLElement }} els
+ */
+export function setupExportMenu(els) {
+  if (!els?.exportFormat || !els?.exportOptions || !els?.exportBtn) return;
+  const prefs = loadPrefs();
+
+  els.exportFormat.innerHTML = listExporters()
+    .map(d => `<option value="${d.id}">${d.label}</option>`).join('');
+  if (prefs._format && getExporter(prefs._format)) els.exportFormat.value = prefs._format;
+
+  // Build option inputs from the exporter's schema
+  function renderOptions() {
+    const def = getExporter(els.exportFormat.value);
+    const values = resolveOptions(def, prefs[def?.id] || {});
+    els.exportOptions.textContent = '';
+    for (const o of (def?.options || [])) {
+      const label = document.createElement('label');
+      label.className = 'export-opt';
+      const input = document.createElement(o.type === 'select' ? 'select' : 'input');
+      input.dataset.key = o.key;
+      if (o.type === 'boolean') {
+        input.type = 'checkbox';
+        input.checked = !!values[o.key];
+        label.append(input, document.createTextNode(' ' + o.label));
+      } else if (o.type === 'select') {
+        input.innerHTML = (o.choices || []).map(c => `<option value="${c.value}">${c.label}</option>`).join('');
+        input.value = values[o.key];
+        label.append(document.createTextNode(o.label + ' '), input);
+      } else {
+        input.type = 'number';
+        if (o.min != null) input.min = String(o.min);
+        if (o.max != null) input.max = String(o.max);
+        input.step = 'any';
+        input.value = String(values[o.key]);
+        label.append(document.createTextNode(o.label + ' '), input);
+      }
+      els.exportOptions.appendChild(label);
+    }
+  }
+
+  function readOptions() {
+    const def = getExporter(els.exportFormat.value);
+    const out = {};
+    els.exportOptions.querySelectorAll('[data-key]').forEach(input => {
+      const o = (def?.options || []).find(x => x.key === input.dataset.key);
+      if (!o) return;
+      if (o.type === 'boolean') out[o.key] = !!input.checked;
+      else if (o.type === 'number') out[o.key] = Number.isFinite(+input.value) ? +input.value : o.default;
+      else out[o.key] = input.value;
+    });
+    return out;
+  }
+
+  els.exportFormat.addEventListener('change', () => {
+    prefs._format = els.exportFormat.value;
+    savePrefs(prefs);
+    renderOptions();
+  });
+  els.exportBtn.addEventListener('click', () => {
+    const id = els.exportFormat.value;
+    const opts = readOptions();
+    prefs[id] = opts;
+    savePrefs(prefs);
+    try {
+      if (exportAndDownload(els, id, opts) && els.exportMenu) els.exportMenu.open = false;
+    } catch (e) {
+      console.error('export failed:', e);
+      showToast(`ייצוא נכשל: ${e.message || e}`, 'error');
+    }
+  });
+
+  renderOptions();
+}
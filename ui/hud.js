@@ -2,7 +2,7 @@
 // Lightweight developer HUD showing render and worker timings.
 
 export function setupHud(virtualizer, metricsRef = null) {
-  const metrics = metricsRef || { diffMs: 0, alignMs: 0, renderMs: 0, tokens: 0, spans: 0 };
+  const metrics = metricsRef || { diffMs: 0, alignMs: 0, renderMs: 0, tokens: 0, spans: 0, blocks: 0, renderedBlocks: 0 };
 
   function paint() {
     const el = document.getElementById('hud');
@@ -11,10 +11,18 @@ export function setupHud(virtualizer, metricsRef = null) {
     metrics.renderMs = vStats.renderMs || 0;
     metrics.tokens = vStats.tokens || 0;
     metrics.spans = vStats.spans || 0;
+    metrics.blocks = vStats.blocks || 0;
+    metrics.renderedBlocks = vStats.renderedBlocks || 0;
+    const sync = metrics.sync?.(); // editor pipeline: incremental worker syncs
+    if (sync) { metrics.diffMs = sync.diff.ms; metrics.alignMs = sync.align.ms; }
+    const r = vStats.renders;
+    const last = r?.last;
     const lines = [
-      `tokens: ${metrics.tokens}  spans: ${metrics.spans}`,
+      `tokens: ${metrics.tokens}  spans: ${metrics.spans}  blocks: ${metrics.renderedBlocks}/${metrics.blocks}`,
+      `renders: ${r?.full || 0} full / ${r?.patched || 0} patched` + (last ? `  last ${last.mode}: +${last.inserted} −${last.removed} ~${last.retimed}` : ''),
       `diff: ${metrics.diffMs?.toFixed?.(1)||0} ms  align: ${metrics.alignMs?.toFixed?.(1)||0} ms  render: ${metrics.renderMs?.toFixed?.(1)||0} ms`
     ];
+    if (sync) lines.push(`sync: diff ${sync.diff.delta} Δ / ${sync.diff.full} full  align ${sync.align.delta} Δ / ${sync.align.full} full  mismatches ${sync.diff.mismatches + sync.align.mismatches}/${sync.diff.checks + sync.align.checks}`);
     el.textContent = lines.join('\n');
   }
 
@@ -0,0 +1,95 @@
+// v2/ui/import.js
+// Import an external transcript (VTT/SRT/TTML/text/Whisper JSON) as a new version of the open episode.
+
+import { store, getState } from '../core/state.js';
+import { showToast } from './toast.js';
+import { canonicalizeText } from '../shared/canonical.js';
+import { importTranscript, IMPORT_ACCEPT } from '../formats/importers.js';
+import { renderDiffPreview } from '../render/diff-panel.js';
+import { setShowingLayers } from '../editor/pipeline.js';
+import { transcriptPath } from '../editor/confirmations.js';
+import { commitVersion } from '../history/commit.js';
+import { segmentsFromTokens } from '../shared/segments.js';
+import { normalizeRoster } from '../shared/speakers.js';
+import { isVersionConflict, markCorrection } from '../data/api.js';
+
+/**
+ * @param {{ importBtn?:HTMLElement, importFile?:HTMLInputElement, transcript?:HTMLElement, diffBody?:HTMLElement, files?:HTMLElement }} els
+ * @param {{ workers:Object, editor?:{ refreshDiff?:Function } }} deps
+ */
+export function setupImport(els, { workers, editor } = {}) {
+  if (!els?.importBtn || !els?.importFile) return;
+  els.importFile.accept = IMPORT_ACCEPT;
+  let busy = false;
+
+  els.importBtn.addEventListener('click', () => {
+    if (busy) return;
+    if (!els.transcript?.dataset.folder || !els.transcript?.dataset.file) { showToast('לא נבחר קובץ', 'error'); return; }
+    els.importFile.value = '';
+    els.importFile.click();
+  });
+  els.importFile.addEventListener('change', () => {
+    const f = els.importFile.files && els.importFile.files[0];
+    if (f) importFromFile(f);
+  });
+
+  async function importFromFile(f) {
+    const folder = els.transcript?.dataset.folder; const file = els.transcript?.dataset.file;
+    if (!folder || !file) { showToast('לא נבחר קובץ', 'error'); return; }
+    const filePath = transcriptPath(els.transcript);
+
+    let parsed;
+    try { parsed = importTranscript(f.name, await f.text()); }
+    catch (e) { console.warn('Import parse failed:', e); showToast(`קריאת הקובץ נכשלה: ${e.message || e}`, 'error', 4000); return; }
+
+    const live = canonicalizeText(getState().liveText || '');
+    if (parsed.text === live) { showToast('הקובץ זהה לטקסט הנוכחי', 'info'); return; }
+
+    busy = true;
+    try {
+      // Preview against what the user currently sees
+      let diffs = [];
+      try { ({ diffs } = await workers.diff.send(live, parsed.text, { editCost: 8 })); }
+      catch (e) { console.warn('Import preview diff failed:', e); }
+      setShowingLayers(true);
+      const ok = await renderDiffPreview(els.diffBody, diffs, {
+        title: `ייבוא ${parsed.label} (${parsed.segments} מקטעים) — השוואה מול הטקסט הנוכחי:`,
+        confirmLabel: 'ייבא כגרסה חדשה'
+      });
+      setShowingLayers(false);
+      if (!ok) return;
+
+      // The file may have changed while the preview was open
+      if (els.transcript?.dataset.folder !== folder || els.transcript?.dataset.file !== file) { showToast('הקובץ הפתוח השתנה — הייבוא בוטל', 'info'); return; }
+      const st = getState();
+      const parentVersion = st.version > 0 ? st.version : null;
+      // Fresh segment ids; speakers come from the file when lines map 1:1 to its cues
+      const lineCount = parsed.text.split('\n').length;
+      // (a speaker label matching a roster name reuses that speaker)
+      const byName = new Map((st.speakers || []).map(s => [s.name, s.id]));
+      const meta = (parsed.meta?.length === lineCount ? parsed.meta : []).map(m => (m.speaker ? { speaker: byName.get(m.speaker) || m.speaker } : {}));
+      const segments = segmentsFromTokens(parsed.tokens, meta);
+      const speakers = normalizeRoster(st.speakers, segments);
+      const res = await commitVersion(filePath, { parentVersion, parentText: canonicalizeText(st.text || ''), parentWords: st.words || null, text: parsed.text, words: parsed.tokens, segments, speakers }, workers);
+
+      // Imported tokens carry their own timing (tagged 'imported', so later align passes keep it): paint them directly
+      store.setTokens(parsed.tokens);
+      store.setLiveText(parsed.text);
+      store.setSegments(segments, parsed.text);
+      store.setSpeakers(speakers);
+      store.setConfirmedRanges([]);
+      store.setState({ version: res?.version || 0, base_sha256: res?.base_sha256 || '', text: parsed.text, words: parsed.tokens }, 'version:saved');
+      try { markCorrection(filePath); } catch {}
+      try { const item = els.files?.querySelector(`[data-file="${file}"]`); if (item) { item.classList.add('has-correction'); item.classList.remove('no-correction'); } } catch {}
+      showToast(`התמליל יובא כגרסה v${res?.version ?? '?'}`, 'success');
+    } catch (e) {
+      if (isVersionConflict(e)) showToast('נשמרה גרסה חדשה בינתיים — טען את הפרק מחדש ונסה שוב', 'error', 4000);
+      else { console.warn('Import save failed:', e); showToast(`הייבוא נכשל: ${e.message || e}`, 'error', 4000); }
+    } finally {
+      busy = false;
+      try { editor?.refreshDiff?.(); } catch {}
+    }
+  }
+}
+
+export default { setupImport };
@@ -0,0 +1,128 @@
+// v2/ui/search-panel.js
+// Project-wide search box in the browser card: results replace the folder/file lists
+// while a query is active; clicking a hit opens the episode and seeks the player.
+
+import { store } from '../core/state.js';
+import { showToast } from './toast.js';
+import { formatTimestamp } from '../formats/segments.js';
+import { getSearchIndex, updateSearchIndex, searchTranscripts, indexDocument } from '../search/index.js';
+import { transcriptPath } from '../editor/confirmations.js';
+
+const LS_BASELINES = 'v2:search:baselines';
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, c => ({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;' }[c]));
+
+/** Seek once the (possibly just swapped) audio source has metadata */
+function seekWhenReady(player, playerCtrl, t) {
+  if (!Number.isFinite(t)) return;
+  const go = () => { if (playerCtrl?.seekTo) playerCtrl.seekTo(t); else if (player) player.currentTime = t; };
+  if (!player || player.readyState >= 1) { go(); return; }
+  player.addEventListener('loadedmetadata', go, { once: true });
+}
+
+/**
+ * @param {{ searchInput?:HTMLInputElement, searchResults?:HTMLElement, searchStatus?:HTMLElement, searchReindex?:HTMLElement,
+ *   searchBaselines?:HTMLInputElement, browserGrid?:HTMLElement, player?:HTMLMediaElement, transcript?:HTMLElement }} els
+ * @param {{ openPath?:(filePath:string)=>Promise<boolean>, playerCtrl?:Object }} deps - openPath: open by row key (switches source)
+ */
+export function setupSearch(els, { openPath, playerCtrl } = {}) {
+  if (!els?.searchInput || !els?.searchResults) return;
+  try { if (els.searchBaselines) els.searchBaselines.checked = localStorage.getItem(LS_BASELINES) === '1'; } catch {}
+
+  let seq = 0;
+  let refreshedOnce = false;
+  let controller = null;
+
+  const setStatus = (text) => { if (els.searchStatus) els.searchStatus.textContent = text || ''; };
+  const showResults = (on) => {
+    els.searchResults.hidden = !on;
+    if (els.browserGrid) els.browserGrid.hidden = on;
+  };
+
+  function render(results) {
+    if (!results.length) { els.searchResults.innerHTML = '<div class="item">לא נמצאו תוצאות</div>'; return; }
+    els.searchResults.innerHTML = results.map(r => {
+      const src = r.source === 'baseline' ? 'HF' : `v${r.version}`;
+      const more = r.total > r.hits.length ? ` <span class="hint">(+${r.total - r.hits.length})</span>` : '';
+      const hits = r.hits.map(h => {
+        const ts = Number.isFinite(h.time) ? formatTimestamp(h.time).slice(0, 8) : '--:--:--';
+        return `<div class="item search-hit" data-path="${escapeHtml(r.file_path)}" data-time="${Number.isFinite(h.time) ? h.time : ''}">` +
+          `<span class="search-ts">${ts}</span> ${escapeHtml(h.before)} <mark>${escapeHtml(h.match)}</mark> ${escapeHtml(h.after)}</div>`;
+      }).join('');
+      return `<div class="search-doc"><div class="search-doc-head">🎵 ${escapeHtml(r.file_path.replace(/\.opus$/i, ''))} <span class="hint">${src} · ${r.total}</span>${more}</div>${hits}</div>`;
+    }).join('');
+  }
+
+  async function run() {
+    const q = els.searchInput.value.trim();
+    const my = ++seq;
+    if (!q) { showResults(false); setStatus(''); return; }
+    showResults(true);
+    const results = await searchTranscripts(q);
+    if (my !== seq) return;
+    render(results);
+    const idx = await getSearchIndex();
+    setStatus(`${results.length} פרקים · ${idx.docs.size} באינדקס`);
+  }
+
+  async function refresh({ includeBaselines = !!els.searchBaselines?.checked, quiet = false } = {}) {
+    if (controller) { controller.abort(); return; } // second click cancels
+    controller = new AbortController();
+    if (els.searchReindex) els.searchReindex.classList.add('busy');
+    try {
+      const stats = await updateSearchIndex({
+        includeBaselines,
+        signal: controller.signal,
+        onProgress: ({ phase, done, total }) => setStatus(`${phase === 'baselines' ? 'בסיס HF' : 'גרסאות'}: ${done}/${total}`)
+      });
+      if (!quiet) showToast(`האינדקס עודכן: ${stats.updated} פרקים עודכנו, ${stats.total} באינדקס`, 'success');
+      if (stats.failed) console.warn(`Search index: ${stats.failed} files failed`);
+    } catch (e) {
+      console.warn('Search index update failed:', e);
+      if (!quiet) showToast(`עדכון האינדקס נכשל: ${e.message || e}`, 'error', 4000);
+    } finally {
+      controller = null;
+      if (els.searchReindex) els.searchReindex.classList.remove('busy');
+      run();
+    }
+  }
+
+  let t = 0;
+  els.searchInput.addEventListener('input', () => {
+    clearTimeout(t);
+    t = setTimeout(run, 250);
+    // First query of the session: pick up versions saved since the cache was built
+    if (!refreshedOnce && els.searchInput.value.trim()) { refreshedOnce = true; refresh({ includeBaselines: false, quiet: true }); }
+  });
+  els.searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') { els.searchInput.value = ''; run(); }
+  });
+  els.searchReindex?.addEventListener('click', () => refresh());
+  els.searchBaselines?.addEventListener('change', () => {
+    try { localStorage.setItem(LS_BASELINES, els.searchBaselines.checked ? '1' : '0'); } catch {}
+  });
+
+  // Keep the index current with this session's own saves
+  store.subscribe((st, tag) => {
+    if (tag !== 'version:saved') return;
+    const folder = els.transcript?.dataset.folder; const file = els.transcript?.dataset.file;
+    if (!folder || !file || !st.version) return;
+    const tokens = st.tokens && st.tokens.length ? st.tokens : (st.baselineTokens || []);
+    indexDocument(transcriptPath(els.transcript), tokens, { source: 'version', version: st.version, base_sha256: st.base_sha256 || '' })
+      .catch(e => console.warn('Search index update after save failed:', e?.message || e));
+  });
+
+  els.searchResults.addEventListener('click', async (e) => {
+    const hit = e.target.closest('.search-hit');
+    if (!hit || !openPath) return;
+    const path = hit.dataset.path || '';
+    if (path.indexOf('/') <= 0) return;
+    els.searchResults.querySelectorAll('.search-hit.active').forEach(x => x.classList.remove('active'));
+    hit.classList.add('active');
+    const time = hit.dataset.time === '' ? NaN : +hit.dataset.time;
+    const ok = await openPath(path);
+    if (ok) seekWhenReady(els.player, playerCtrl, time);
+  });
+}
+
+export default { setupSearch };
@@ -1,6 +1,12 @@
 // v2/ui/settings-modal.js
 // Settings modal for managing HF token (or other simple settings)
 
+import { listAlignEngines, loadRealignPrefs, saveRealignPrefs } from '../editor/realign-engines.js';
+import { currentIdentity, getDisplayName, setDisplayName, onIdentityChange, signInWithEmail, signOut } from '../data/identity.js';
+import { showToast } from './toast.js';
+import { listBackendDrivers, getBackendConfig, activeBackend, saveBackendPrefs } from '../data/backend.js';
+import { listSources, activeSource, setActiveSource, loadSourcePrefs, saveSourcePrefs, normalizeSource } from '../data/sources.js';
+
 export function setupSettingsModal(els) {
   if (!els?.settingsBtn || !els?.modal || !els?.hfToken || !els?.mSave || !els?.mClear || !els?.mClose) return;
 
@@ -11,6 +17,86 @@ export function setupSettingsModal(els) {
     try { localStorage.setItem('hfToken', String(els.hfToken.value || '')); } catch {}
     updateSettingsButtonText();
   }
+  function loadRealign() {
+    const prefs = loadRealignPrefs();
+    if (els.realignEngine) {
+      els.realignEngine.innerHTML = '';
+      for (const e of listAlignEngines()) els.realignEngine.add(new Option(e.label, e.id, false, e.id === prefs.engine));
+    }
+    if (els.realignServerUrl) els.realignServerUrl.value = prefs.serverUrl || '';
+  }
+  function saveRealign() {
+    const prefs = {};
+    if (els.realignEngine?.value) prefs.engine = els.realignEngine.value;
+    if (els.realignServerUrl) prefs.serverUrl = String(els.realignServerUrl.value || '').trim();
+    saveRealignPrefs(prefs);
+  }
+  function loadBackend() {
+    const cfg = getBackendConfig();
+    if (els.backendDriver) {
+      els.backendDriver.innerHTML = '';
+      for (const d of listBackendDrivers()) els.backendDriver.add(new Option(d.label, d.id, false, d.id === cfg.driver));
+    }
+    if (els.backendDataUrl) els.backendDataUrl.value = cfg.dataUrl || '';
+  }
+  function saveBackend() {
+    const cfg = getBackendConfig();
+    const prefs = {};
+    // Only what changed: untouched fields keep following backend.config.json
+    if (els.backendDriver?.value && els.backendDriver.value !== cfg.driver) prefs.driver = els.backendDriver.value;
+    if (els.backendDataUrl && String(els.backendDataUrl.value || '').trim() !== (cfg.dataUrl || '')) prefs.dataUrl = String(els.backendDataUrl.value || '').trim();
+    if (!Object.keys(prefs).length) return;
+    saveBackendPrefs(prefs);
+    const next = getBackendConfig(), cur = activeBackend().cfg;
+    if (next.driver !== cur.driver || next.dataUrl !== cur.dataUrl) showToast('מקור הנתונים ישתנה לאחר טעינה מחדש של הדף', 'info', 4000);
+  }
+  function loadSources() {
+    if (els.sourceProfile) {
+      els.sourceProfile.innerHTML = '';
+      const cur = activeSource().id;
+      for (const s of listSources()) els.sourceProfile.add(new Option(s.label, s.id, false, s.id === cur));
+    }
+    if (els.sourceProfiles) {
+      const own = loadSourcePrefs().profiles || [];
+      els.sourceProfiles.value = own.length ? JSON.stringify(own, null, 2) : '';
+    }
+  }
+  /** False (and nothing saved) when the profiles JSON does not parse */
+  function saveSources() {
+    if (els.sourceProfiles) {
+      const raw = String(els.sourceProfiles.value || '').trim();
+      let profiles = [];
+      try { profiles = raw ? JSON.parse(raw) : []; } catch (e) { showToast(`פרופילי המקור אינם JSON תקין: ${e.message}`, 'error', 4000); return false; }
+      if (!Array.isArray(profiles)) profiles = [profiles];
+      const bad = profiles.filter(p => !normalizeSource(p));
+      if (bad.length) { showToast('לכל פרופיל מקור נדרשים id ו־audioRepo', 'error', 4000); return false; }
+      saveSourcePrefs({ profiles });
+    }
+    if (els.sourceProfile?.value) setActiveSource(els.sourceProfile.value);
+    return true;
+  }
+  function loadIdentity() {
+    if (els.displayName) els.displayName.value = getDisplayName();
+    renderAuth(currentIdentity());
+  }
+  function renderAuth(who) {
+    const signedIn = who.source === 'auth';
+    if (els.authStatus) els.authStatus.textContent = signedIn ? `מחובר/ת כ־${who.name || who.id}` : 'לא מחובר/ת — נרשם השם לתצוגה';
+    if (els.authBtn) els.authBtn.textContent = signedIn ? 'התנתק' : 'שלח קישור כניסה';
+    if (els.authEmail) els.authEmail.hidden = signedIn;
+  }
+  async function onAuthClick() {
+    try {
+      if (currentIdentity().source === 'auth') { await signOut(); return; }
+      const email = String(els.authEmail?.value || '').trim();
+      if (!email) { els.authEmail?.focus(); return; }
+      await signInWithEmail(email);
+      showToast('קישור כניסה נשלח לדוא״ל', 'success');
+    } catch (e) {
+      console.warn('Sign-in failed:', e);
+      showToast(`הכניסה נכשלה: ${e?.message || e}`, 'error');
+    }
+  }
   function clearToken() {
     try { localStorage.removeItem('hfToken'); } catch {}
     els.hfToken.value = '';
@@ -24,6 +110,10 @@ export function setupSettingsModal(els) {
   }
   function openModal() {
     els.hfToken.value = loadCurrentToken();
+    loadRealign();
+    loadBackend();
+    loadSources();
+    loadIdentity();
     els.modal.classList.add('open');
     els.hfToken.focus();
   }
@@ -33,7 +123,14 @@ export function setupSettingsModal(els) {
   }
 
   els.settingsBtn.addEventListener('click', openModal);
-  els.mSave.addEventListener('click', () => { saveToken(); closeModal(); });
+  els.mSave.addEventListener('click', () => {
+    if (!saveSources()) { els.sourceProfiles?.focus(); return; }
+    saveToken(); saveRealign(); saveBackend();
+    if (els.displayName && els.displayName.value.trim() !== getDisplayName()) setDisplayName(els.displayName.value);
+    closeModal();
+  });
+  els.authBtn?.addEventListener('click', onAuthClick);
+  onIdentityChange(renderAuth);
   els.mClear.addEventListener('click', clearToken);
   els.mClose.addEventListener('click', closeModal);
 
@@ -0,0 +1,265 @@
+// v2/ui/shortcuts.js
+// Configurable keyboard layer for transcription: playback, rewind, speed, segment loop and
+// jumping to low-confidence words, all usable with the caret in the transcript. Bindings
+// are kept per user in localStorage and can be changed from the cheat-sheet overlay.
+
+import { getState, store } from '../core/state.js';
+import { showToast } from './toast.js';
+import { getSelectionOffsets } from '../editor/pipeline.js';
+import { lineTimes } from '../shared/segments.js';
+
+const LS_KEY = 'v2:shortcuts';
+const RATE_MIN = 0.3, RATE_MAX = 3, RATE_STEP = 0.1;
+
+/** Configurable actions with their default bindings (key names follow KeyboardEvent.code) */
+export const SHORTCUT_ACTIONS = [
+  { id: 'playPause',     label: 'ניגון / השהיה',                       combo: 'Ctrl+Space' },
+  { id: 'rewind',        label: 'הרצה אחורה',                          combo: 'Alt+B' },
+  { id: 'playFromCaret', label: 'ניגון מהמילה שבסמן',                  combo: 'Alt+P' },
+  { id: 'loopSegment',   label: 'לולאה על המקטע הנוכחי (הפעלה/כיבוי)', combo: 'Alt+L' },
+  { id: 'slower',        label: 'האטה',                                combo: 'Alt+Minus' },
+  { id: 'faster',        label: 'האצה',                                combo: 'Alt+Equal' },
+  { id: 'nextLowConf',   label: 'המילה הבאה בביטחון נמוך',             combo: 'Alt+N' },
+  { id: 'prevLowConf',   label: 'המילה הקודמת בביטחון נמוך',           combo: 'Alt+Shift+N' },
+  { id: 'cheatSheet',    label: 'רשימת הקיצורים',                      combo: 'Ctrl+Slash' },
+];
+
+// Fixed bindings owned by other modules; configurable actions may not take them
+const RESERVED = new Set([
+  'Ctrl+Z', 'Ctrl+Shift+Z', 'Ctrl+Y', 'Ctrl+F', 'Ctrl+H', 'Ctrl+Alt+D',
+  'Alt+Enter', 'Alt+J', 'Alt+R', ...Array.from({ length: 10 }, (_, i) => `Alt+${i}`),
+]);
+
+const MODIFIER_CODES = /^(Control|Alt|Shift|Meta|OS)(Left|Right)?$/;
+
+/** 'Ctrl+Alt+Shift+Key' from a keydown (Meta counts as Ctrl); null for a bare modifier */
+export function comboFromEvent(e) {
+  const code = e?.code || '';
+  if (!code || MODIFIER_CODES.test(code)) return null;
+  const key = code.replace(/^Key|^Digit|^Numpad(?=\d)/, '');
+  const mods = [];
+  if (e.ctrlKey || e.metaKey) mods.push('Ctrl');
+  if (e.altKey) mods.push('Alt');
+  if (e.shiftKey) mods.push('Shift');
+  return [...mods, key].join('+');
+}
+
+const KEY_LABELS = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Minus: '-', Equal: '=', Slash: '/', Space: 'רווח', Backquote: '`' };
+
+/** Human-readable combo */
+export function formatCombo(combo) {
+  if (!combo) return '—';
+  return combo.split('+').map(p => KEY_LABELS[p] || p).join('+');
+}
+
+function loadPrefs() {
+  try { return JSON.parse(localStorage.getItem(LS_KEY) || '{}') || {}; } catch { return {}; }
+}
+
+/** Effective bindings: defaults overridden by the saved ones ('' = unbound) */
+export function loadBindings() {
+  const saved = loadPrefs().bindings || {};
+  const out = {};
+  for (const a of SHORTCUT_ACTIONS) out[a.id] = typeof saved[a.id] === 'string' ? saved[a.id] : a.combo;
+  return out;
+}
+
+/**
+ * @param {{ transcript:HTMLElement, player:HTMLMediaElement, rate?:HTMLInputElement, shortcutSheet?:HTMLElement,
+ *   shortcutList?:HTMLElement, shortcutRewind?:HTMLInputElement, shortcutReset?:HTMLElement, shortcutClose?:HTMLElement, shortcutsBtn?:HTMLElement }} els
+ * @param {{ playerCtrl?:Object, virtualizer:Object }} deps
+ */
+export function setupShortcuts(els, { playerCtrl, virtualizer } = {}) {
+  if (!els?.transcript || !els?.player || !virtualizer) return;
+  let bindings = loadBindings();
+  let rewindSec = +loadPrefs().rewindSec || 3;
+  let loop = null;        // { start, end } while looping a segment
+  let capturing = null;   // action id waiting for a new combo in the cheat sheet
+
+  const savePrefs = () => {
+    const overrides = {};
+    for (const a of SHORTCUT_ACTIONS) if (bindings[a.id] !== a.combo) overrides[a.id] = bindings[a.id];
+    try { localStorage.setItem(LS_KEY, JSON.stringify({ bindings: overrides, rewindSec })); } catch {}
+  };
+
+  const seek = (t) => {
+    if (playerCtrl) playerCtrl.seekTo(t);
+    else try { els.player.currentTime = Math.max(0, t); } catch {}
+  };
+  const play = (on) => {
+    if (playerCtrl) playerCtrl.setPlaying(on);
+    else try { on ? els.player.play() : els.player.pause(); } catch {}
+  };
+  const tokens = () => virtualizer.tokens || [];
+  const isWord = (t) => !!t && t.state !== 'del' && /\S/u.test(String(t.word || ''));
+
+  /** Caret offset in the transcript (null when the caret is elsewhere) */
+  const caret = () => getSelectionOffsets(els.transcript)?.[0] ?? null;
+
+  function setRate(r) {
+    const rate = Math.round(Math.max(RATE_MIN, Math.min(RATE_MAX, r)) * 100) / 100;
+    if (els.rate) {
+      // Let the slider's own handler apply the rate and update its label
+      els.rate.value = String(rate);
+      els.rate.dispatchEvent(new Event('input', { bubbles: true }));
+    } else if (playerCtrl) playerCtrl.setRate(rate);
+    else els.player.playbackRate = rate;
+    showToast(`מהירות ×${rate.toFixed(2)}`, 'info', 800);
+  }
+
+  function playFromCaret() {
+    const off = caret();
+    if (off == null) { showToast('מקם את הסמן בתוך התמליל', 'info'); return; }
+    const toks = tokens();
+    let i = virtualizer.tokenIndexAtOffset(off);
+    while (i >= 0 && i < toks.length && !isWord(toks[i])) i++;
+    const t = +toks[i]?.start;
+    if (!Number.isFinite(t)) { showToast('אין תזמון למילה זו', 'info'); return; }
+    seek(t);
+    play(true);
+  }
+
+  function toggleLoop() {
+    if (loop) { loop = null; showToast('הלולאה בוטלה', 'info', 1000); return; }
+    const off = caret();
+    if (off == null) { showToast('מקם את הסמן בתוך התמליל', 'info'); return; }
+    const live = getState().liveText || '';
+    let line = 0;
+    for (let i = 0; i < off && i < live.length; i++) if (live.charCodeAt(i) === 10) line++;
+    const lt = lineTimes(tokens())[line];
+    if (!lt || !Number.isFinite(lt.start) || !(lt.end > lt.start)) { showToast('אין תזמון למקטע זה', 'info'); return; }
+    loop = { start: lt.start, end: lt.end };
+    seek(loop.start);
+    play(true);
+    showToast('לולאה על המקטע — הקש שוב לביטול', 'info', 1500);
+  }
+
+  /** Select the next (dir 1) / previous (dir -1) word below settings.probThreshold */
+  function jumpLowConfidence(dir) {
+    const toks = tokens();
+    const thr = getState().settings?.probThreshold ?? 0.95;
+    const low = (t) => isWord(t) && Number.isFinite(t.probability) && t.probability < thr;
+    const off = caret() ?? 0;
+    const from = virtualizer.tokenIndexAtOffset(off);
+    const n = toks.length;
+    if (!n) return;
+    let hit = -1;
+    for (let k = 1; k <= n; k++) {
+      const i = ((from + dir * k) % n + n) % n;
+      if (low(toks[i])) { hit = i; break; }
+    }
+    if (hit < 0) { showToast('אין מילים בביטחון נמוך', 'info'); return; }
+    if ((dir > 0 && hit <= from) || (dir < 0 && hit >= from)) showToast(dir > 0 ? 'חזרה לתחילת התמליל' : 'מעבר לסוף התמליל', 'info', 1000);
+    const start = virtualizer.offsetOfToken(hit);
+    const rng = virtualizer.scrollToOffset(start, start + String(toks[hit].word).length);
+    if (!rng) return;
+    els.transcript.focus({ preventScroll: true });
+    try { const sel = window.getSelection(); sel.removeAllRanges(); sel.addRange(rng); } catch {}
+  }
+
+  const handlers = {
+    playPause: () => play(els.player.paused || els.player.ended),
+    rewind: () => seek(Math.max(0, (els.player.currentTime || 0) - rewindSec)),
+    playFromCaret,
+    loopSegment: toggleLoop,
+    slower: () => setRate((els.player.playbackRate || 1) - RATE_STEP),
+    faster: () => setRate((els.player.playbackRate || 1) + RATE_STEP),
+    nextLowConf: () => jumpLowConfidence(1),
+    prevLowConf: () => jumpLowConfidence(-1),
+    cheatSheet: () => setSheetOpen(!els.shortcutSheet?.classList.contains('open')),
+  };
+  const TOGGLES = new Set(['playPause', 'loopSegment', 'cheatSheet']);
+
+  document.addEventListener('keydown', (e) => {
+    if (capturing) return;
+    const target = e.target;
+    // Other text fields keep their keys; the transcript and the page body do not
+    if (target !== els.transcript && !els.transcript.contains(target) && target?.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+    const combo = comboFromEvent(e);
+    if (!combo) return;
+    const action = SHORTCUT_ACTIONS.find(a => bindings[a.id] === combo);
+    if (!action) return;
+    e.preventDefault();
+    if (e.repeat && TOGGLES.has(action.id)) return;
+    handlers[action.id]();
+  });
+
+  store.subscribe((st, tag) => {
+    if (tag === 'playback:tick' && loop && !st.playback?.paused && st.playback.currentTime >= loop.end) seek(loop.start);
+    if (tag === 'version:init' || tag === 'version:clear') loop = null;
+  });
+
+  /* Cheat sheet */
+  const escapeHtml = (s) => String(s).replace(/[&<>"']/g, c => ({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;' }[c]));
+
+  function render() {
+    if (!els.shortcutList) return;
+    els.shortcutList.innerHTML = SHORTCUT_ACTIONS.map(a => `
+      <div class="shortcut-row">
+        <span>${escapeHtml(a.label)}</span>
+        <button type="button" class="pill kbd-bind" data-action="${a.id}" aria-label="שנה קיצור: ${escapeHtml(a.label)}">${
+          capturing === a.id ? 'הקש צירוף… (Esc לביטול)' : `<kbd dir="ltr">${escapeHtml(formatCombo(bindings[a.id]))}</kbd>`}</button>
+      </div>`).join('');
+    if (els.shortcutRewind) els.shortcutRewind.value = String(rewindSec);
+  }
+
+  function setSheetOpen(on) {
+    if (!els.shortcutSheet) return;
+    capturing = null;
+    els.shortcutSheet.classList.toggle('open', on);
+    if (on) { render(); els.shortcutClose?.focus(); } else els.transcript.focus({ preventScroll: true });
+  }
+
+  function bind(id, combo) {
+    const clash = combo && SHORTCUT_ACTIONS.find(a => a.id !== id && bindings[a.id] === combo);
+    if (clash) {
+      bindings[clash.id] = '';
+      showToast(`הקיצור הוסר מ"${clash.label}"`, 'info');
+    }
+    bindings[id] = combo;
+    savePrefs();
+  }
+
+  els.shortcutList?.addEventListener('click', (e) => {
+    const btn = e.target.closest('.kbd-bind');
+    if (!btn) return;
+    capturing = btn.dataset.action;
+    render();
+    els.shortcutList.querySelector(`.kbd-bind[data-action="${capturing}"]`)?.focus();
+  });
+  // Capture phase: the new combo must not also trigger its current action
+  els.shortcutSheet?.addEventListener('keydown', (e) => {
+    if (!capturing) {
+      if (e.key === 'Escape') { e.preventDefault(); setSheetOpen(false); }
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.key === 'Escape') { capturing = null; render(); return; }
+    if (e.key === 'Backspace' || e.key === 'Delete') { bind(capturing, ''); capturing = null; render(); return; }
+    const combo = comboFromEvent(e);
+    if (!combo) return;
+    if (RESERVED.has(combo)) { showToast(`${formatCombo(combo)} שמור לפעולה קבועה`, 'error'); return; }
+    if (!/^(Ctrl|Alt)\+|^F\d+$/.test(combo)) { showToast('צירוף חייב לכלול Ctrl או Alt (או מקש F)', 'error'); return; }
+    bind(capturing, combo);
+    capturing = null;
+    render();
+  }, true);
+  els.shortcutRewind?.addEventListener('change', () => {
+    const v = +els.shortcutRewind.value;
+    rewindSec = Number.isFinite(v) && v > 0 ? Math.min(60, v) : 3;
+    savePrefs();
+    render();
+  });
+  els.shortcutReset?.addEventListener('click', () => {
+    bindings = Object.fromEntries(SHORTCUT_ACTIONS.map(a => [a.id, a.combo]));
+    rewindSec = 3;
+    savePrefs();
+    render();
+  });
+  els.shortcutClose?.addEventListener('click', () => setSheetOpen(false));
+  els.shortcutsBtn?.addEventListener('click', () => setSheetOpen(true));
+  els.shortcutSheet?.addEventListener('click', (e) => { if (e.target === els.shortcutSheet) setSheetOpen(false); });
+}
+
+export default { setupShortcuts, SHORTCUT_ACTIONS, comboFromEvent, formatCombo, loadBindings };
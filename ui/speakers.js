@@ -0,0 +1,127 @@
+// v2/ui/speakers.js
+// Speaker roster panel (rename, add) and Alt+digit shortcuts that assign the segment(s)
+// under the caret/selection to a speaker. Segments keep speaker ids; names live in the roster.
+
+import { store, getState } from '../core/state.js';
+import { showToast } from './toast.js';
+import { getSelectionOffsets } from '../editor/pipeline.js';
+import { segmentsForText } from '../shared/segments.js';
+import { normalizeRoster, addSpeaker, renameSpeaker, assignSpeaker, speakerKey, speakerName } from '../shared/speakers.js';
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, c => ({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;' }[c]));
+
+// Speaker layer as of the last load/save: lets a speaker-only change count as something to save
+let savedKey = '';
+
+/** True when speakers were assigned/renamed since the episode was loaded or saved */
+export function hasUnsavedSpeakerChanges() {
+  const st = getState();
+  return speakerKey(st.speakers, st.segments) !== savedKey;
+}
+
+/** Line index of `offset` in `text` */
+const lineAt = (text, offset) => {
+  let n = 0;
+  for (let i = 0; i < offset && i < text.length; i++) if (text.charCodeAt(i) === 10) n++;
+  return n;
+};
+
+/**
+ * Segments for the current liveText. The segment layer follows the align pass, so right
+ * after typing it may still describe the previous text: carry it over first.
+ */
+function currentSegments() {
+  const st = getState();
+  const live = st.liveText || '';
+  if (st.segmentsText === live && st.segments.length === live.split('\n').length) return st.segments;
+  const segs = segmentsForText(st.segmentsText, st.segments, live, st.tokens);
+  store.setSegments(segs, live);
+  return segs;
+}
+
+/**
+ * @param {{ transcript:HTMLElement, speakerPanel?:HTMLElement, speakerList?:HTMLElement, speakerAdd?:HTMLElement }} els
+ */
+export function setupSpeakers(els) {
+  if (!els?.transcript) return;
+  let lastSel = null;
+  document.addEventListener('selectionchange', () => {
+    const sel = getSelectionOffsets(els.transcript);
+    if (sel) lastSel = sel;
+  });
+
+  function render() {
+    if (!els.speakerList) return;
+    const st = getState();
+    const counts = new Map();
+    for (const s of (st.segments || [])) if (s?.speaker) counts.set(s.speaker, (counts.get(s.speaker) || 0) + 1);
+    const roster = st.speakers || [];
+    if (!roster.length) { els.speakerList.innerHTML = '<div class="hint">אין דוברים עדיין</div>'; return; }
+    els.speakerList.innerHTML = roster.map((s, i) => `
+      <div class="speaker-row" data-id="${escapeHtml(s.id)}">
+        <span class="speaker-swatch" style="background:${escapeHtml(s.color)}"></span>
+        ${i < 9 ? `<kbd>Alt+${i + 1}</kbd>` : '<kbd></kbd>'}
+        <input type="text" value="${escapeHtml(s.name)}" aria-label="שם הדובר ${escapeHtml(s.id)}" dir="auto" />
+        <span class="hint">${counts.get(s.id) || 0}</span>
+      </div>`).join('');
+  }
+
+  /** Assign roster entry `n` (1-based; 0 clears) to every line the selection touches */
+  function assign(n) {
+    const sel = getSelectionOffsets(els.transcript) || lastSel;
+    if (!sel) { showToast('מקם את הסמן בתוך התמליל', 'info'); return; }
+    const live = getState().liveText || '';
+    const segs = currentSegments();
+    let roster = normalizeRoster(getState().speakers, segs);
+    // Alt+N on a roster shorter than N creates the missing SPEAKER_NN entries
+    while (n > roster.length) roster = addSpeaker(roster).roster;
+    const id = n > 0 ? roster[n - 1].id : null;
+    const from = lineAt(live, sel[0]);
+    const to = Math.max(from, lineAt(live, Math.max(sel[0], sel[1] - 1)));
+    store.setSpeakers(roster);
+    store.setSegments(assignSpeaker(segs, from, to, id), live);
+    const lines = to - from + 1;
+    showToast(id ? `${lines > 1 ? `${lines} מקטעים שויכו` : 'המקטע שויך'} ל${speakerName(roster, id)}` : 'שיוך הדובר הוסר', 'info', 1200);
+  }
+
+  els.transcript.addEventListener('keydown', (e) => {
+    if (!e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    const m = /^Digit(\d)$/.exec(e.code || '');
+    if (!m) return;
+    e.preventDefault();
+    assign(+m[1]);
+  });
+
+  els.speakerAdd?.addEventListener('click', () => {
+    const st = getState();
+    const { roster, speaker } = addSpeaker(normalizeRoster(st.speakers, st.segments));
+    store.setSpeakers(roster);
+    els.speakerList?.querySelector(`.speaker-row[data-id="${CSS.escape(speaker.id)}"] input`)?.select();
+  });
+
+  // Rename (bulk: every segment of the speaker follows, since segments keep the id)
+  els.speakerList?.addEventListener('change', (e) => {
+    const row = e.target.closest('.speaker-row');
+    if (!row || e.target.tagName !== 'INPUT') return;
+    const st = getState();
+    const { roster, segments, merged } = renameSpeaker(st.speakers, st.segments, row.dataset.id, e.target.value);
+    if (merged) {
+      store.setSegments(segments, st.segmentsText);
+      showToast(`הדובר מוזג אל "${e.target.value.trim()}"`, 'info');
+    }
+    store.setSpeakers(roster);
+    if (merged) render(); // the merged-away row is still focused, so the subscriber skipped it
+  });
+  els.speakerList?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && e.target.tagName === 'INPUT') { e.preventDefault(); e.target.blur(); }
+  });
+
+  store.subscribe((st, tag) => {
+    if (tag === 'version:init' || tag === 'version:clear' || tag === 'version:saved') savedKey = speakerKey(st.speakers, st.segments);
+    // Do not rebuild the list under an input that is being edited
+    if ((tag === 'speakers' || tag === 'segments' || tag === 'version:init' || tag === 'version:clear') && !els.speakerList?.contains(document.activeElement)) render();
+  });
+  render();
+}
+
+export default { setupSpeakers, hasUnsavedSpeakerChanges };
@@ -1,16 +1,51 @@
 // v2/workers/align-worker.js
 // Align edited plain-text back to timing-bearing tokens off the main thread.
 // Protocol:
-//   { type: 'init', baselineTokens: Token[] }                       -> { type: 'ready' }
-//   { type: 'setBaseline', baselineTokens: Token[] }                -> { type: 'baseline-set' }
-//   { type: 'align', text: string }                                 -> { type: 'aligned', tokens: Token[] }
+//   { type: 'init', baselineTokens: Token[] }                       -> { type: 'align:ready' }
+//   { type: 'setBaseline', baselineTokens: Token[] }                -> { type: 'align:baseline-set' }
+//   { type: 'align', text: string, prevText?: string, segments?: Segment[], anchors?: Token[], rev?: number }
+//                                                                   -> { type: 'align:result', tokens: Token[], segments: Segment[], ids: string[] }
+//   { type: 'alignDelta', rev, fromRev, offset, deleteCount, insertText, verify?, text?, prevText?, segments?, anchors?|null }
+//                                                                   -> same as 'align' (+ check), or { stale: true }
+//   { type: 'cancel', target }  (any request may also carry lane + gen; a dropped one answers 'align:cancelled')
+// Transport, cancellation and schemas: workers/rpc.js, shared/protocol.js.
 // Types:
-//   Token = { word:string, start:number, end:number, probability:number|null|undefined } | { word:'\n', start:number, end:number }
+//   Token = { word:string, start:number, end:number, probability:number|null|undefined, timing?:string } | { word:'\n', start:number, end:number }
+//   Segment = { id:string, start:number, end:number, speaker?:string, notes?:string }  (one per line of text)
+//
+// `segments` describe the lines of `prevText`; they are carried over to the lines of `text`
+// (line diff) and retimed from the aligned tokens. Without them, fresh segments are derived.
+// `anchors` is the previous token stream: words with pinned timing (hand-set or realigned, see
+// shared/timing.js) keep it when they survive the edit, and inserted words are interpolated
+// around them (tagged timing:'interpolated').
+// `ids` (parallel to `tokens`) are render keys: a word that survives from the previous result
+// keeps its id, so the transcript view can patch only what changed. They are not token fields,
+// so they never reach saved words or token ops.
+// An 'align' with a `rev` is the editor's live text: the worker keeps its word alignment, and an
+// 'alignDelta' from that rev re-runs the LCS only on the touched lines (stale when the worker
+// holds another rev). `verify` also runs the full alignment, returns it and reports in `check`
+// whether both paths agreed. The live state also keeps the segment layer and the anchors: a
+// delta carries `prevText`/`segments` or `anchors` only when the editor changed them (anchors:
+// null drops them), and each result becomes the layer and anchors the next delta builds on.
+
+import { segmentsForText, segmentsFromTokens } from '../shared/segments.js';
+import { TIMING, isPinnedTiming } from '../shared/timing.js';
+import { WorkerMsg } from '../shared/protocol.js';
+import { advanceHead } from '../shared/deltas.js';
+import { serveRpc } from './rpc.js';
 
 const EPS = 1e-3;
 const MIN_WORD_DUR = 0.02;
+const MAX_ANCHOR_LCS_CELLS = 4e6;
 
 let baselineTokens = []; // tokens with word/start/end/probability; includes '\n' tokens
+let normBaseline = null;  // { A, words }: baselineTokens normalized for the LCS, built on demand
+// The editor's last synced alignment, which 'alignDelta' updates: `B`/`ops` describe `text` (null
+// when not computed yet); `head` is the latest text, `pending` the deltas from `text` to it;
+// `carry` is { prevText, segments, anchors } for the next result
+let live = null; // { rev, text, B, ops, head, pending, carry }
+let lastIds = { words: [], ids: [] }; // previous result, for stable token ids
+let nextTokenId = 1;
 
 /* =========================
    Utilities
@@ -158,6 +193,7 @@ function assignTimesFromAnchors(arr) {
 
         g.start = s;
         g.end = e;
+        g.timing = TIMING.INTERPOLATED;
         prevAssigned = g.start;
       }
     } else {
@@ -193,6 +229,7 @@ function assignTimesFromAnchors(arr) {
   for (let k = 0; k < arr.length; k++) {
     const t = arr[k];
     if (t.state === 'del' || t.word === '\n') continue;
+    if (isPinnedTiming(t.timing)) { prev = Math.max(prev, t.start); continue; } // pinned times win
     const ws = isWSChar(t.word);
     if (!isFiniteNum(t.start)) t.start = prev + EPS;
     if (!isFiniteNum(t.end)) t.end = t.start + (ws ? 0 : MIN_WORD_DUR);
@@ -204,99 +241,276 @@ function assignTimesFromAnchors(arr) {
   }
 }
 
+/** LCS pairs [[i, j], ...] of equal strings; common prefix/suffix are matched without the DP */
+function matchSequences(A, B) {
+  let pre = 0;
+  while (pre < A.length && pre < B.length && A[pre] === B[pre]) pre++;
+  let post = 0;
+  while (post < A.length - pre && post < B.length - pre && A[A.length - 1 - post] === B[B.length - 1 - post]) post++;
+  const pairs = [];
+  for (let k = 0; k < pre; k++) pairs.push([k, k]);
+  const m = A.length - pre - post, n = B.length - pre - post;
+  if (m > 0 && n > 0 && m * n <= MAX_ANCHOR_LCS_CELLS) {
+    const dp = Array.from({ length: m + 1 }, () => new Uint32Array(n + 1));
+    for (let i = m - 1; i >= 0; i--) {
+      for (let j = n - 1; j >= 0; j--) {
+        dp[i][j] = A[pre + i] === B[pre + j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+      }
+    }
+    let i = 0, j = 0;
+    while (i < m && j < n) {
+      if (A[pre + i] === B[pre + j]) { pairs.push([pre + i, pre + j]); i++; j++; }
+      else if (dp[i + 1][j] >= dp[i][j + 1]) i++;
+      else j++;
+    }
+  }
+  for (let k = post; k > 0; k--) pairs.push([A.length - k, B.length - k]);
+  return pairs;
+}
+
+/**
+ * Pin words with pinned timing: map the previous token stream onto the new text (word LCS)
+ * and turn every surviving pinned word into a 'keep' anchor with its times and tag.
+ * @param {Array} out - aligned entries (keep/ins/del); non-del entries follow `B`
+ * @param {string[]} B - tokenized new text
+ * @param {Array} anchors - previous token stream
+ */
+function applyPinnedAnchors(out, B, anchors) {
+  const prev = [];
+  for (const t of anchors) {
+    if (!t || t.state === 'del') continue;
+    const pinned = isPinnedTiming(t.timing) && isFiniteNum(t.start) && isFiniteNum(t.end);
+    for (const p of tokenize(toString(t.word))) prev.push({ word: p, pinned: pinned && /\S/u.test(p) ? t : null });
+  }
+  if (!prev.some(p => p.pinned)) return;
+  const live = out.filter(e => e.state !== 'del'); // live[j] ↔ B[j]
+  for (const [i, j] of matchSequences(prev.map(p => p.word), B)) {
+    const src = prev[i].pinned;
+    if (!src || !live[j]) continue;
+    Object.assign(live[j], { state: 'keep', start: +src.start, end: +src.end, timing: src.timing });
+  }
+}
+
 /** Convert aligned tokens (keep/ins/del + '\n') → final token stream (no 'del') */
 function finalizeTokens(tokens) {
   const out = [];
   for (const t of tokens) {
     if (t.state === 'del') continue;
-    out.push({
+    const tok = {
       word: t.word,
       start: t.start,
       end: t.end,
       probability: isFiniteNum(t.probability) ? t.probability : null
-    });
+    };
+    if (t.timing) tok.timing = t.timing;
+    out.push(tok);
   }
   return out;
 }
 
+/** Ids for `tokens`: words matched (LCS) to the previous result keep theirs, the rest get fresh ones */
+function assignTokenIds(tokens) {
+  const words = tokens.map(t => t.word);
+  const ids = new Array(tokens.length);
+  for (const [i, j] of matchSequences(lastIds.words, words)) ids[j] = lastIds.ids[i];
+  for (let j = 0; j < ids.length; j++) if (!ids[j]) ids[j] = `t${nextTokenId++}`;
+  lastIds = { words, ids };
+  return ids;
+}
+
 /* =========================
    Core alignment
    ========================= */
 
-/**
- * Build aligned token stream from baseline tokens and newText:
- *  1) normalize baseline for char-level diff, splitting whitespace to zero-length anchors
- *  2) run LCS (on words) to mark keep/del/ins
- *  3) time inserted tokens using anchor windows
- */
-function alignFromBaseline(baseline, newText) {
-  const A = normalizeBaselineForDiff(baseline); // tokens with word/start/end/prob
-  const B = tokenize(toString(newText));
-  const aWords = A.map(w => w.word);
-
-  const m = aWords.length, n = B.length;
-  // LCS DP
-  const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
+const KEEP = 0, DEL = 1, INS = 2;
+
+/** Word LCS of A[a0, a1) against B as an alignment: one KEEP/DEL/INS code per aligned entry */
+function lcsOps(aWords, a0, a1, B) {
+  const m = a1 - a0, n = B.length;
+  const dp = Array.from({ length: m + 1 }, () => new Uint32Array(n + 1));
   for (let i = m - 1; i >= 0; i--) {
     for (let j = n - 1; j >= 0; j--) {
-      dp[i][j] = (aWords[i] === B[j]) ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+      dp[i][j] = (aWords[a0 + i] === B[j]) ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
     }
   }
-
-  const out = [];
+  const ops = [];
   let i = 0, j = 0;
   while (i < m && j < n) {
-    if (aWords[i] === B[j]) {
-      const w = A[i++]; j++;
-      out.push({ word: w.word, start: w.start, end: w.end, state: 'keep', probability: w.probability });
-    } else if (dp[i + 1][j] >= dp[i][j + 1]) {
-      const w = A[i++];
-      out.push({ word: w.word, start: w.start, end: w.end, state: 'del', probability: w.probability });
-    } else {
-      out.push({ word: B[j++], start: NaN, end: NaN, state: 'ins', probability: NaN });
-    }
+    if (aWords[a0 + i] === B[j]) { ops.push(KEEP); i++; j++; }
+    else if (dp[i + 1][j] >= dp[i][j + 1]) { ops.push(DEL); i++; }
+    else { ops.push(INS); j++; }
   }
-  while (i < m) {
+  while (i++ < m) ops.push(DEL);
+  while (j++ < n) ops.push(INS);
+  return ops;
+}
+
+/** Aligned entries for `ops`: keep/del carry the baseline word's timing, insertions are untimed */
+function entriesFromOps(ops, A, B) {
+  const out = new Array(ops.length);
+  let i = 0, j = 0;
+  for (let k = 0; k < ops.length; k++) {
+    if (ops[k] === INS) { out[k] = { word: B[j++], start: NaN, end: NaN, state: 'ins', probability: NaN }; continue; }
     const w = A[i++];
-    out.push({ word: w.word, start: w.start, end: w.end, state: 'del', probability: w.probability });
-  }
-  while (j < n) {
-    out.push({ word: B[j++], start: NaN, end: NaN, state: 'ins', probability: NaN });
+    if (ops[k] === KEEP) j++;
+    out[k] = { word: w.word, start: w.start, end: w.end, state: ops[k] === KEEP ? 'keep' : 'del', probability: w.probability };
   }
+  return out;
+}
 
+/**
+ * Build aligned token stream from baseline tokens and newText:
+ *  1) normalize baseline for char-level diff, splitting whitespace to zero-length anchors
+ *  2) run LCS (on words) to mark keep/del/ins
+ *  3) pin words with pinned timing from `anchors` (previous tokens)
+ *  4) time inserted tokens using anchor windows
+ * Steps 3-4 run on `ops` from lcsOps (or an incremental splice of them, see deltaOps).
+ */
+function alignFromOps(ops, A, B, anchors) {
+  const out = entriesFromOps(ops, A, B);
+  if (Array.isArray(anchors) && anchors.length) applyPinnedAnchors(out, B, anchors);
   assignTimesFromAnchors(out);
   return finalizeTokens(out);
 }
 
+function normalizedBaseline() {
+  if (!normBaseline) {
+    const A = normalizeBaselineForDiff(baselineTokens);
+    normBaseline = { A, words: A.map(w => w.word) };
+  }
+  return normBaseline;
+}
+
 /* =========================
-   Worker protocol
+   Incremental alignment (edit deltas from editor/deltas.js)
    ========================= */
 
-self.onmessage = (ev) => {
-  const msg = ev?.data || {};
-  const id = msg.id;
-  try {
-    if (msg.type === 'init') {
-      baselineTokens = Array.isArray(msg.baselineTokens) ? msg.baselineTokens : [];
-      self.postMessage({ id, type: 'align:ready' });
-      return;
-    }
-    if (msg.type === 'setBaseline') {
-      baselineTokens = Array.isArray(msg.baselineTokens) ? msg.baselineTokens : [];
-      self.postMessage({ id, type: 'align:baseline-set' });
-      return;
-    }
-    if (msg.type === 'align') {
-      const text = toString(msg.text || '');
-      const result = alignFromBaseline(baselineTokens, text);
-      self.postMessage({ id, type: 'align:result', tokens: result });
-      return;
+/**
+ * Apply delta `d` to the synced state { text, B, ops }: re-run the LCS only on the lines it
+ * touches, widened to the nearest cuts — points right after a kept '\n', where the alignment
+ * before and after is independent.
+ */
+function deltaOps(state, d, base) {
+  const { text, B, ops } = state;
+  const insertText = toString(d.insertText);
+  const next = text.slice(0, d.offset) + insertText + text.slice(d.offset + d.deleteCount);
+  const from = d.offset > 0 ? text.lastIndexOf('\n', d.offset - 1) + 1 : 0;
+  const nl = text.indexOf('\n', d.offset + d.deleteCount);
+  const to = nl < 0 ? text.length : nl + 1;
+  // Token indices of the touched lines (line starts are token boundaries: '\n' is a token of its own)
+  let tFrom = 0, tTo = B.length;
+  for (let j = 0, pos = 0; j < B.length; pos += B[j++].length) {
+    if (pos === from) tFrom = j;
+    if (pos === to) { tTo = j; break; }
+  }
+  let left = { k: 0, i: 0, j: 0, c: 0 }, right = null;
+  for (let k = 0, i = 0, j = 0, c = 0; k <= ops.length; k++) {
+    if (k === 0 || (ops[k - 1] === KEEP && B[j - 1] === '\n')) {
+      if (j <= tFrom) left = { k, i, j, c };
+      else if (j >= tTo) { right = { k, i, j, c }; break; }
     }
-  } catch (err) {
-    self.postMessage({
-      id,
-      type: 'align:error',
-      message: err?.message || String(err)
-    });
+    if (k === ops.length) break;
+    if (ops[k] !== INS) i++;
+    if (ops[k] !== DEL) c += B[j++].length;
   }
-};
+  right = right || { k: ops.length, i: base.A.length, j: B.length, c: text.length };
+  const grow = insertText.length - d.deleteCount;
+  const mid = tokenize(next.slice(left.c, right.c + grow));
+  return {
+    text: next,
+    B: B.slice(0, left.j).concat(mid, B.slice(right.j)),
+    ops: ops.slice(0, left.k).concat(lcsOps(base.words, left.i, right.i, mid), ops.slice(right.k)),
+  };
+}
+
+/** Consistency check of incremental tokens against the full alignment */
+function compareTokens(incremental, full) {
+  if (incremental.length !== full.length) return { ok: false, reason: `${incremental.length} tokens (incremental) vs ${full.length} (full)` };
+  const same = (x, y) => x === y || (Number.isNaN(x) && Number.isNaN(y));
+  for (let k = 0; k < full.length; k++) {
+    const a = incremental[k], b = full[k];
+    if (a.word !== b.word || !same(a.start, b.start) || !same(a.end, b.end) || a.timing !== b.timing) return { ok: false, reason: `token ${k} (${JSON.stringify(b.word)}) differs` };
+  }
+  return { ok: true };
+}
+
+/* =========================
+   Worker protocol
+   ========================= */
+
+function setBaselineTokens(tokens) {
+  baselineTokens = Array.isArray(tokens) ? tokens : [];
+  normBaseline = null;
+  live = null;
+}
+
+function alignedResult(carry, text, tokens, check) {
+  const segments = Array.isArray(carry.segments) && typeof carry.prevText === 'string'
+    ? segmentsForText(carry.prevText, carry.segments, text, tokens)
+    : segmentsFromTokens(tokens);
+  return { tokens, segments, ids: assignTokenIds(tokens), check };
+}
+
+const carryOf = (msg) => ({ prevText: msg.prevText, segments: msg.segments, anchors: msg.anchors });
+
+/** The live carry with what a delta changed (absent fields keep what the worker holds) */
+function updateCarry(carry, msg) {
+  const next = { ...carry };
+  if (Array.isArray(msg.segments) && typeof msg.prevText === 'string') { next.prevText = msg.prevText; next.segments = msg.segments; }
+  if (msg.anchors !== undefined) next.anchors = msg.anchors || undefined;
+  return next;
+}
+
+/** A result is the layer and the anchors (when it pins any timing) of the next delta */
+const carryFrom = (res, text) => ({ prevText: text, segments: res.segments, anchors: res.tokens.some(t => isPinnedTiming(t?.timing)) ? res.tokens : undefined });
+
+const staleDelta = (msg) => !live || live.rev !== msg.fromRev || msg.offset + msg.deleteCount > live.head.length;
+
+serveRpc('align', {
+  [WorkerMsg.INIT]: (msg) => { setBaselineTokens(msg.baselineTokens); },
+  [WorkerMsg.SET_BASELINE]: (msg) => { setBaselineTokens(msg.baselineTokens); },
+  [WorkerMsg.ALIGN]: (msg) => {
+    const text = toString(msg.text || '');
+    const base = normalizedBaseline();
+    const B = tokenize(text);
+    const ops = lcsOps(base.words, 0, base.A.length, B);
+    const res = alignedResult(msg, text, alignFromOps(ops, base.A, B, msg.anchors));
+    // The editor's live text (a `rev`) becomes the state later deltas build on
+    if (msg.rev != null) live = { rev: msg.rev, text, B, ops, head: text, pending: null, carry: carryFrom(res, text) };
+    return res;
+  },
+  [WorkerMsg.ALIGN_DELTA]: (msg) => {
+    if (staleDelta(msg)) { live = null; return { stale: true }; }
+    const base = normalizedBaseline();
+    const d = advanceHead(live, msg);
+    const carry = updateCarry(live.carry, msg);
+    const fullOps = (text) => { const B = tokenize(text); return { text, B, ops: lcsOps(base.words, 0, base.A.length, B) }; };
+    // A skipped full request left no alignment to patch
+    let next = !live.ops ? fullOps(live.head) : (d.deleteCount || d.insertText) ? deltaOps(live, d, base) : live;
+    let tokens = alignFromOps(next.ops, base.A, next.B, carry.anchors);
+    let check;
+    if (msg.verify) {
+      const full = fullOps(typeof msg.text === 'string' ? msg.text : next.text);
+      const fullTokens = alignFromOps(full.ops, base.A, full.B, carry.anchors);
+      check = full.text !== next.text ? { ok: false, reason: 'text drifted' } : compareTokens(tokens, fullTokens);
+      next = full;
+      tokens = fullTokens;
+    }
+    const res = alignedResult(carry, next.text, tokens, check);
+    live = { rev: msg.rev, text: next.text, B: next.B, ops: next.ops, head: next.text, pending: null, carry: carryFrom(res, next.text) };
+    return res;
+  },
+}, {
+  // Dropped live-text requests still move the state along, so the next delta applies
+  [WorkerMsg.ALIGN]: (msg) => {
+    if (msg.rev == null) return;
+    const text = toString(msg.text || '');
+    live = { rev: msg.rev, text, B: null, ops: null, head: text, pending: null, carry: carryOf(msg) };
+  },
+  [WorkerMsg.ALIGN_DELTA]: (msg) => {
+    if (staleDelta(msg)) { live = null; return; }
+    advanceHead(live, msg);
+    live.carry = updateCarry(live.carry, msg);
+    live.rev = msg.rev;
+  },
+});
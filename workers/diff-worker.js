@@ -3,17 +3,45 @@
 // Protocol:
 //   { id?, type: 'init', baselineText }
 //   { id?, type: 'setBaseline', baselineText }
-//   { id?, type: 'diff', text, options? }
+//   { id?, type: 'diff', text, baselineText?, options?, rev? }
+//   { id?, type: 'diffDelta', rev, fromRev, offset, deleteCount, insertText, verify?, text?, options? }
+//   { id?, type: 'merge3', baseText, oursText, theirsText }
+//   { id?, type: 'tokenOps', baseTokens, tokens }
+//   { id?, type: 'applyPatch', baseText, patchText, baseTokens?, tokenOps? }
+//   { type: 'cancel', target }                                (any request may also carry lane + gen)
 // Responses:
 //   { id?, type: 'diff:ready' }
 //   { id?, type: 'diff:baseline-set' }
-//   { id?, type: 'diff:result', patchText, diffs, stats }
+//   { id?, type: 'diff:result', patchText, diffs, stats, check? } (diff, diffDelta)
+//   { id?, type: 'diff:result', stale: true }                 (diffDelta on a rev the worker does not hold)
+//   { id?, type: 'diff:result', hunks, conflicts }            (merge3)
+//   { id?, type: 'diff:result', tokenOps }                    (tokenOps)
+//   { id?, type: 'diff:result', text, applied, diffs, tokens } (applyPatch; tokens null without tokenOps)
+//   { id, type: 'diff:cancelled', superseded }                (dropped before it ran)
+//   { id?, type: 'diff:error', message }
+// Transport, cancellation and schemas: workers/rpc.js, shared/protocol.js.
+// patchText / tokenOps are the transcript_edits storage formats (shared/patch.js).
+// A 'diff' with a `rev` is the editor's live text: the worker keeps it with its diff, and a
+// 'diffDelta' from that rev re-diffs only the touched lines. `verify` also runs the full diff,
+// returns it and reports in `check` whether both paths agreed.
+// options: { granularity: 'char'|'word'|'line', timeoutSec, cleanup: 'semantic', editCost,
+//   ignoreWhitespace, ignorePunctuation, debugTag } — see diffOptions; cleanup and ignore only
+// change the returned `diffs` (stats.ignored counts hidden edits), never `patchText`.
 
-// Defaults (kept for API, not used deeply here)
-const DEFAULT_TIMEOUT = 1.0;
+import { encodeTextPatch, patchFromText, applyPatches, applyTokenOps, parseTokenOps, TOKEN_OPS_FMT } from '../shared/patch.js';
+import { WorkerMsg } from '../shared/protocol.js';
+import { advanceHead } from '../shared/deltas.js';
+import { serveRpc } from './rpc.js';
+
+// Option default: `editCost` sizes semantic cleanup. There is no default deadline: only a
+// caller that can live with a coarser diff (the live diff panel) passes `timeoutSec`
 const DEFAULT_EDIT_COST = 7;
+const GRANULARITIES = ['char', 'word', 'line'];
 
 let baselineText = '';
+// The editor's last synced diff, which 'diffDelta' updates: `diffs` describe `text` (null when
+// not computed yet); `head` is the latest text, `pending` the deltas from `text` to it
+let live = null; // { rev, base, text, diffs, head, pending, granularity }
 
 function safeString(x) { return typeof x === 'string' ? x : String(x ?? ''); }
 function toChars(s) { return Array.from(s || ''); }
@@ -129,8 +157,44 @@ function tokenDiffStrings(aStr, bStr, dbgTag) {
   return diffs;
 }
 
-// Granular diff: line-level pairing with token-level refinement inside changed lines
-function granularDiff(baseText, nextText, dbgTag) {
+/**
+ * Request options → one diff run. Changed lines are refined by 'char', 'word' (default) or not
+ * at all ('line'); `timeoutSec` (absent or 0: none, exact) sets the deadline for the coarser fallbacks.
+ */
+function diffOptions(options) {
+  const o = options || {};
+  const sec = Number.isFinite(+o.timeoutSec) ? +o.timeoutSec : 0;
+  const ms = sec > 0 ? sec * 1000 : Infinity;
+  const start = Date.now();
+  return {
+    granularity: granularityOf(o),
+    softDeadline: start + ms / 2,
+    deadline: start + ms,
+    coarse: false, // set when a deadline forced a coarser diff
+    cleanup: o.cleanup === 'semantic',
+    editCost: Number.isFinite(+o.editCost) && +o.editCost >= 0 ? +o.editCost : DEFAULT_EDIT_COST,
+    ignore: { whitespace: !!o.ignoreWhitespace, punctuation: !!o.ignorePunctuation },
+  };
+}
+
+const granularityOf = (options) => (GRANULARITIES.includes(options?.granularity) ? options.granularity : 'word');
+
+/** Diff of a changed line pair at the run's granularity: char falls back to word past half the deadline, both to whole lines past it */
+function refineLines(aStr, bStr, o, dbgTag) {
+  const now = Date.now();
+  if (o.granularity === 'line' || now >= o.deadline) {
+    if (o.granularity !== 'line') o.coarse = true;
+    return normalizeDiffs([[-1, aStr], [1, bStr]]);
+  }
+  if (o.granularity === 'char') {
+    if (now < o.softDeadline) return charDiffStrings(aStr, bStr, dbgTag);
+    o.coarse = true;
+  }
+  return tokenDiffStrings(aStr, bStr, dbgTag);
+}
+
+// Granular diff: line-level pairing with refinement inside changed lines (see refineLines)
+function granularDiff(baseText, nextText, dbgTag, o = diffOptions()) {
   const aLines = splitLinesKeepNL(baseText);
   const bLines = splitLinesKeepNL(nextText);
   const pre = commonPrefixLen(aLines, bLines);
@@ -156,13 +220,18 @@ function granularDiff(baseText, nextText, dbgTag) {
           console.log(`[diff:${dbgTag}] bMid[0]`, vis((bMid[0]||'').slice(0, 160)));
         } catch {}
       }
-      const refined = tokenDiffStrings(aMid[0] || '', bMid[0] || '', dbgTag);
+      const refined = refineLines(aMid[0] || '', bMid[0] || '', o, dbgTag);
       for (const d of refined) {
         const L = out.length; if (L && out[L-1][0] === d[0]) out[L-1][1] += d[1]; else out.push([d[0], d[1]]);
       }
     }
     else {
-      const lineDiffs = myersDiffSeq(aMid, bMid, (arr) => arr.join(''));
+      let lineDiffs = myersDiffSeq(aMid, bMid, (arr) => arr.join(''), o.deadline);
+      if (!lineDiffs) {
+        // Past the deadline: the changed block is one delete + insert
+        o.coarse = true;
+        lineDiffs = normalizeDiffs([[-1, aMid.join('')], [1, bMid.join('')]]);
+      }
       const delBuf = [];
       const insBuf = [];
       if (dbgTag) {
@@ -199,7 +268,7 @@ function granularDiff(baseText, nextText, dbgTag) {
                 console.log(`[diff:${dbgTag}] new.preview`, vis(newChunk.slice(0, 120)));
               } catch {}
             }
-            const refined = tokenDiffStrings(chunk, newChunk, dbgTag);
+            const refined = refineLines(chunk, newChunk, o, dbgTag);
             for (const d of refined) {
               const L = out.length; if (L && out[L-1][0] === d[0]) out[L-1][1] += d[1]; else out.push([d[0], d[1]]);
             }
@@ -220,7 +289,7 @@ function granularDiff(baseText, nextText, dbgTag) {
               console.log(`[diff:${dbgTag}] new.preview`, vis(chunk.slice(0, 120)));
             } catch {}
           }
-          const refined = tokenDiffStrings(oldChunk, chunk, dbgTag);
+          const refined = refineLines(oldChunk, chunk, o, dbgTag);
           for (const d of refined) {
             const L = out.length; if (L && out[L-1][0] === d[0]) out[L-1][1] += d[1]; else out.push([d[0], d[1]]);
           }
@@ -271,7 +340,8 @@ function computeStats(diffs) {
 }
 
 // Myers O(ND) diff on arrays, returns list of [op, runStr] with ops -1/0/1
-function myersDiffSeq(a, b, joiner) {
+// (null once past `deadline`, a Date.now() time, when one is given)
+function myersDiffSeq(a, b, joiner, deadline) {
   const N = a.length, M = b.length;
   const max = N + M;
   const v = new Int32Array(2 * max + 1);
@@ -279,6 +349,7 @@ function myersDiffSeq(a, b, joiner) {
   const offset = max;
 
   for (let d = 0; d <= max; d++) {
+    if (deadline !== undefined && (d & 15) === 0 && Date.now() >= deadline) return null;
     trace.push(v.slice());
     for (let k = -d; k <= d; k += 2) {
       const idx = k + offset;
@@ -310,7 +381,8 @@ function backtrackSeq(a, b, trace, k, x, y, d, offset, joiner) {
     } else {
       prevK = k - 1;
     }
-    const prevX = trace[D - 1][prevK + offset];
+    // trace[D] holds the furthest-reaching x values at the end of round D-1
+    const prevX = v[prevK + offset];
     const prevY = prevX - prevK;
     while (x > prevX && y > prevY) {
       diffs.push([0, a[x - 1]]);
@@ -349,207 +421,491 @@ function coalesceSeq(diffs, joiner) {
   return out;
 }
 
-function patch_toText_fromDiffs(diffs) {
-  // Minimal JSON encoding as a placeholder for storage/interop
-  try { return JSON.stringify(diffs); } catch { return ''; }
+/* =========================
+   Token ops (transcript_edits.token_ops)
+   ========================= */
+
+const sameTiming = (a, b) => a.start === b.start && a.end === b.end && (a.timing || null) === (b.timing || null);
+
+/**
+ * Word-level edit from `baseTokens` to `tokens`: words matched by text (Myers on the changed
+ * middle); matched words whose start/end/timing changed become retime ops.
+ */
+function encodeTokenOps(baseTokens, tokens) {
+  const a = Array.isArray(baseTokens) ? baseTokens : [], b = Array.isArray(tokens) ? tokens : [];
+  const aw = a.map(t => safeString(t?.word)), bw = b.map(t => safeString(t?.word));
+  const pre = commonPrefixLen(aw, bw);
+  const post = commonSuffixLen(aw.slice(pre), bw.slice(pre));
+  const midA = aw.slice(pre, aw.length - post), midB = bw.slice(pre, bw.length - post);
+  const seq = [];
+  if (pre) seq.push([0, pre]);
+  if (!midA.length || !midB.length || midA.length + midB.length > 20000) {
+    if (midA.length) seq.push([-1, midA.length]);
+    if (midB.length) seq.push([1, midB.length]);
+  } else {
+    seq.push(...myersDiffSeq(midA, midB, (arr) => arr.length));
+  }
+  if (post) seq.push([0, post]);
+
+  const ops = [];
+  const push = (op, arg) => {
+    const last = ops[ops.length - 1];
+    if (last && last[0] === op) { if (op === 0 || op === -1) last[1] += arg; else last[1].push(...arg); }
+    else ops.push([op, (op === 0 || op === -1) ? arg : arg.slice()]);
+  };
+  let i = 0, j = 0;
+  for (const [op, n] of seq) {
+    if (op === -1) { push(-1, n); i += n; continue; }
+    if (op === 1) { push(1, b.slice(j, j + n)); j += n; continue; }
+    for (let k = 0; k < n; k++, i++, j++) {
+      if (sameTiming(a[i], b[j])) push(0, 1);
+      else push(2, [[b[j].start, b[j].end, b[j].timing || null]]);
+    }
+  }
+  return { fmt: TOKEN_OPS_FMT, n0: a.length, n1: b.length, ops };
 }
 
-self.onmessage = async (ev) => {
-  const msg = ev?.data || {};
-  const t = msg.type;
-  const id = msg.id;
+/* =========================
+   Three-way merge
+   ========================= */
 
-  try {
-    if (t === 'init') {
-      baselineText = safeString(msg.baselineText || '');
-      // keep API knobs for future tuning
-      self.postMessage({ id, type: 'diff:ready' });
-      return;
+// Diff that always reconstructs both sides (granular first, char-trim, then delete/insert-all)
+function reliableDiff(a, b) {
+  const ok = (ops) => ops.map(([op, s]) => (op === -1 ? '' : s)).join('') === b
+    && ops.map(([op, s]) => (op === 1 ? '' : s)).join('') === a;
+  let diffs = granularDiff(a, b);
+  if (ok(diffs)) return diffs;
+  diffs = charDiffStrings(a, b);
+  if (ok(diffs)) return diffs;
+  diffs = [];
+  if (a) diffs.push([-1, a]);
+  if (b) diffs.push([1, b]);
+  return diffs;
+}
+
+// Diff ops → replacement edits in base coordinates: { start, end, text }
+function diffsToEdits(diffs) {
+  const edits = [];
+  let pos = 0, cur = null;
+  for (const [op, s] of diffs) {
+    if (op === 0) {
+      if (cur) { edits.push(cur); cur = null; }
+      pos += s.length;
+      continue;
     }
+    if (!cur) cur = { start: pos, end: pos, text: '' };
+    if (op === -1) { pos += s.length; cur.end = pos; }
+    else cur.text += s;
+  }
+  if (cur) edits.push(cur);
+  return edits;
+}
 
-    if (t === 'setBaseline') {
-      baselineText = safeString(msg.baselineText || '');
-      self.postMessage({ id, type: 'diff:baseline-set' });
-      return;
+/**
+ * diff3-style merge of two descendants of `base`.
+ * Non-overlapping edits from either side are taken automatically; overlapping
+ * edits that disagree become conflict hunks for the UI to resolve.
+ * Hunks: { type:'equal'|'ours'|'theirs'|'both', text } | { type:'conflict', base, ours, theirs }
+ */
+function merge3(base, ours, theirs) {
+  const A = diffsToEdits(reliableDiff(base, ours));
+  const B = diffsToEdits(reliableDiff(base, theirs));
+  const hunks = [];
+  const push = (type, text) => {
+    if (!text) return;
+    const L = hunks.length;
+    if (L && hunks[L - 1].type === type && type !== 'conflict') hunks[L - 1].text += text;
+    else hunks.push({ type, text });
+  };
+  let pos = 0, i = 0, j = 0, conflicts = 0;
+
+  while (i < A.length || j < B.length) {
+    const start = Math.min(i < A.length ? A[i].start : Infinity, j < B.length ? B[j].start : Infinity);
+    let end = start;
+    const ga = [], gb = [];
+    // Grow the cluster while either side has an edit touching it
+    for (let grew = true; grew;) {
+      grew = false;
+      while (i < A.length && (A[i].start < end || A[i].start === start)) { end = Math.max(end, A[i].end); ga.push(A[i++]); grew = true; }
+      while (j < B.length && (B[j].start < end || B[j].start === start)) { end = Math.max(end, B[j].end); gb.push(B[j++]); grew = true; }
+    }
+    push('equal', base.slice(pos, start));
+    const sideText = (edits) => {
+      let out = '', p = start;
+      for (const e of edits) { out += base.slice(p, e.start) + e.text; p = e.end; }
+      return out + base.slice(p, end);
+    };
+    const oursText = sideText(ga), theirsText = sideText(gb);
+    if (!gb.length) push('ours', oursText);
+    else if (!ga.length) push('theirs', theirsText);
+    else if (oursText === theirsText) push('both', oursText);
+    else {
+      hunks.push({ type: 'conflict', base: base.slice(start, end), ours: oursText, theirs: theirsText });
+      conflicts++;
     }
+    pos = end;
+  }
+  push('equal', base.slice(pos));
+  return { hunks, conflicts };
+}
 
-    if (t === 'diff') {
-      // Prefer an explicit baseline provided on the message to avoid races
-      // with concurrent baseline changes. Fall back to the last set baseline.
-      const baseText = (msg && Object.prototype.hasOwnProperty.call(msg, 'baselineText'))
-        ? safeString(msg.baselineText)
-        : safeString(baselineText);
-      const nextText = safeString(msg.text || '');
-
-      // Options kept for future use
-      const timeout = Number(msg?.options?.timeoutSec);
-      const editCost = Number(msg?.options?.editCost);
-      const debugTag = msg?.options?.debugTag ? String(msg.options.debugTag) : '';
-      void timeout; void editCost;
-
-      // Prefer granular (line+token) diffs for readability
-      if (debugTag) console.log(`[diff:${debugTag}] start`);
-      if (debugTag) {
-        const vis = (s) => String(s).replace(/\n/g, '⏎').replace(/ /g, '␠');
-        console.log(`[diff:${debugTag}] baseline.len`, baseText.length, 'next.len', nextText.length);
-        console.log(`[diff:${debugTag}] baseline.preview`, vis(baseText.slice(0,120)));
-        console.log(`[diff:${debugTag}] next.preview`, vis(nextText.slice(0,120)));
-        const aLines0 = splitLinesKeepNL(baseText);
-        const bLines0 = splitLinesKeepNL(nextText);
-        const preL = commonPrefixLen(aLines0, bLines0);
-        const aTail0 = aLines0.slice(preL);
-        const bTail0 = bLines0.slice(preL);
-        const postL = commonSuffixLen(aTail0, bTail0);
-        console.log(`[diff:${debugTag}] lines.pre`, preL, 'lines.post', postL, 'a.mid.lines', aLines0.length - preL - postL, 'b.mid.lines', bLines0.length - preL - postL);
-      }
+/** Full diff of two texts: granular (see granularDiff), with validated fallbacks down to delete-all/insert-all */
+async function diffTexts(baseText, nextText, debugTag, o = diffOptions()) {
+  // Prefer granular (line+token) diffs for readability
+  if (debugTag) console.log(`[diff:${debugTag}] start`);
+  if (debugTag) {
+    const vis = (s) => String(s).replace(/\n/g, '⏎').replace(/ /g, '␠');
+    console.log(`[diff:${debugTag}] baseline.len`, baseText.length, 'next.len', nextText.length);
+    console.log(`[diff:${debugTag}] baseline.preview`, vis(baseText.slice(0,120)));
+    console.log(`[diff:${debugTag}] next.preview`, vis(nextText.slice(0,120)));
+    const aLines0 = splitLinesKeepNL(baseText);
+    const bLines0 = splitLinesKeepNL(nextText);
+    const preL = commonPrefixLen(aLines0, bLines0);
+    const aTail0 = aLines0.slice(preL);
+    const bTail0 = bLines0.slice(preL);
+    const postL = commonSuffixLen(aTail0, bTail0);
+    console.log(`[diff:${debugTag}] lines.pre`, preL, 'lines.post', postL, 'a.mid.lines', aLines0.length - preL - postL, 'b.mid.lines', bLines0.length - preL - postL);
+  }
 
-      let diffs = granularDiff(baseText, nextText, debugTag);
-      let strategy = 'granular';
-      // If something goes wrong (unlikely), fall back to previous strategies
-      if (!Array.isArray(diffs) || diffs.length === 0) {
-        strategy = 'fallback:token/char';
-        const aTokAll = toTokens(baseText);
-        const bTokAll = toTokens(nextText);
-        const preTok = commonPrefixLen(aTokAll, bTokAll);
-        const aTokTail = aTokAll.slice(preTok);
-        const bTokTail = bTokAll.slice(preTok);
-        const postTok = commonSuffixLen(aTokTail, bTokTail);
-        const aTokMid = aTokAll.slice(preTok, aTokAll.length - postTok);
-        const bTokMid = bTokAll.slice(preTok, bTokAll.length - postTok);
-        const sumTok = aTokMid.length + bTokMid.length;
-        if (sumTok <= 20000) {
-          diffs = myersDiffSeq(aTokMid, bTokMid, (arr) => arr.join(''));
-          if (preTok) diffs.unshift([0, aTokAll.slice(0, preTok).join('')]);
-          if (postTok) diffs.push([0, aTokAll.slice(aTokAll.length - postTok).join('')]);
-        } else {
-          const aChars = toChars(baseText);
-          const bChars = toChars(nextText);
-          const pre = commonPrefixLen(aChars, bChars);
-          const aMid = aChars.slice(pre);
-          const bMid = bChars.slice(pre);
-          const post = commonSuffixLen(aMid, bMid);
-          const aC = aChars.slice(pre, aChars.length - post);
-          const bC = bChars.slice(pre, bChars.length - post);
-          const sumChars = aC.length + bC.length;
-          diffs = (sumChars <= 16000) ? myersDiffSeq(aC, bC, (arr) => arr.join('')) : simpleGreedyDiff(aC.join(''), bC.join(''));
-          if (pre) diffs.unshift([0, aChars.slice(0, pre).join('')]);
-          if (post) diffs.push([0, aChars.slice(aChars.length - post).join('')]);
+  let diffs = granularDiff(baseText, nextText, debugTag, o);
+  let strategy = 'granular';
+  // If something goes wrong (unlikely), fall back to previous strategies
+  if (!Array.isArray(diffs) || diffs.length === 0) {
+    strategy = 'fallback:token/char';
+    const aTokAll = toTokens(baseText);
+    const bTokAll = toTokens(nextText);
+    const preTok = commonPrefixLen(aTokAll, bTokAll);
+    const aTokTail = aTokAll.slice(preTok);
+    const bTokTail = bTokAll.slice(preTok);
+    const postTok = commonSuffixLen(aTokTail, bTokTail);
+    const aTokMid = aTokAll.slice(preTok, aTokAll.length - postTok);
+    const bTokMid = bTokAll.slice(preTok, bTokAll.length - postTok);
+    const sumTok = aTokMid.length + bTokMid.length;
+    if (sumTok <= 20000) {
+      diffs = myersDiffSeq(aTokMid, bTokMid, (arr) => arr.join(''));
+      if (preTok) diffs.unshift([0, aTokAll.slice(0, preTok).join('')]);
+      if (postTok) diffs.push([0, aTokAll.slice(aTokAll.length - postTok).join('')]);
+    } else {
+      const aChars = toChars(baseText);
+      const bChars = toChars(nextText);
+      const pre = commonPrefixLen(aChars, bChars);
+      const aMid = aChars.slice(pre);
+      const bMid = bChars.slice(pre);
+      const post = commonSuffixLen(aMid, bMid);
+      const aC = aChars.slice(pre, aChars.length - post);
+      const bC = bChars.slice(pre, bChars.length - post);
+      const sumChars = aC.length + bC.length;
+      diffs = (sumChars <= 16000) ? myersDiffSeq(aC, bC, (arr) => arr.join('')) : simpleGreedyDiff(aC.join(''), bC.join(''));
+      if (pre) diffs.unshift([0, aChars.slice(0, pre).join('')]);
+      if (post) diffs.push([0, aChars.slice(aChars.length - post).join('')]);
+    }
+  }
+  // Validate reconstruction (with canonicalization to avoid false negatives)
+  const canon = (s) => {
+    try {
+      let t = String(s || '');
+      t = t.replace(/\r/g, '');
+      t = t.replace(/\u00A0/g, ' ');
+      t = t.replace(/[\u200E\u200F\u202A-\u202E\u2066-\u2069]/g, '');
+      if (t.normalize) t = t.normalize('NFC');
+      return t;
+    } catch { return String(s || ''); }
+  };
+  const reconstructNew = (ops) => { try { return (ops || []).map(([op, s]) => (op === -1 ? '' : (s || ''))).join(''); } catch { return ''; } };
+  const reconstructOld = (ops) => { try { return (ops || []).map(([op, s]) => (op === 1 ? '' : (s || ''))).join(''); } catch { return ''; } };
+  let okNew = canon(reconstructNew(diffs)) === canon(nextText);
+  let okOld = canon(reconstructOld(diffs)) === canon(baseText);
+  if (debugTag) {
+    try {
+      const rn = reconstructNew(diffs); const ro = reconstructOld(diffs);
+      console.log(`[diff:${debugTag}] recon.len new`, rn.length, 'old', ro.length);
+      console.log(`[diff:${debugTag}] canon.ok new`, okNew, 'old', okOld);
+    } catch {}
+  }
+  if (!(okNew && okOld)) {
+    // Fallback 1a: jsdiff word-wise across entire text
+    try {
+      const jsd = await import('https://esm.sh/diff@5');
+      const parts = jsd?.diffWordsWithSpace ? jsd.diffWordsWithSpace(baseText, nextText) : null;
+      if (Array.isArray(parts) && parts.length) {
+        const mapped = normalizeDiffs(parts.map(p => [p.added ? 1 : (p.removed ? -1 : 0), String(p.value || '')]));
+        const rn = (ops) => ops.map(([op,s]) => (op === -1 ? '' : s)).join('');
+        const ro = (ops) => ops.map(([op,s]) => (op === 1 ? '' : s)).join('');
+        if (rn(mapped) === nextText && ro(mapped) === baseText) {
+          diffs = mapped; okNew = okOld = true; strategy = 'fallback:jsdiff-words';
         }
       }
-      // Validate reconstruction (with canonicalization to avoid false negatives)
-      const canon = (s) => {
-        try {
-          let t = String(s || '');
-          t = t.replace(/\r/g, '');
-          t = t.replace(/\u00A0/g, ' ');
-          t = t.replace(/[\u200E\u200F\u202A-\u202E\u2066-\u2069]/g, '');
-          if (t.normalize) t = t.normalize('NFC');
-          return t;
-        } catch { return String(s || ''); }
-      };
-      const reconstructNew = (ops) => { try { return (ops || []).map(([op, s]) => (op === -1 ? '' : (s || ''))).join(''); } catch { return ''; } };
-      const reconstructOld = (ops) => { try { return (ops || []).map(([op, s]) => (op === 1 ? '' : (s || ''))).join(''); } catch { return ''; } };
-      let okNew = canon(reconstructNew(diffs)) === canon(nextText);
-      let okOld = canon(reconstructOld(diffs)) === canon(baseText);
-      if (debugTag) {
-        try {
-          const rn = reconstructNew(diffs); const ro = reconstructOld(diffs);
-          console.log(`[diff:${debugTag}] recon.len new`, rn.length, 'old', ro.length);
-          console.log(`[diff:${debugTag}] canon.ok new`, okNew, 'old', okOld);
-        } catch {}
-      }
-      if (!(okNew && okOld)) {
-        // Fallback 1a: jsdiff word-wise across entire text
-        try {
-          const jsd = await import('https://esm.sh/diff@5');
-          const parts = jsd?.diffWordsWithSpace ? jsd.diffWordsWithSpace(baseText, nextText) : null;
-          if (Array.isArray(parts) && parts.length) {
-            const mapped = normalizeDiffs(parts.map(p => [p.added ? 1 : (p.removed ? -1 : 0), String(p.value || '')]));
-            const rn = (ops) => ops.map(([op,s]) => (op === -1 ? '' : s)).join('');
-            const ro = (ops) => ops.map(([op,s]) => (op === 1 ? '' : s)).join('');
-            if (rn(mapped) === nextText && ro(mapped) === baseText) {
-              diffs = mapped; okNew = okOld = true; strategy = 'fallback:jsdiff-words';
-            }
-          }
-        } catch (e) { if (debugTag) try { console.warn(`[diff:${debugTag}] jsdiff import failed`, e); } catch {} }
-      }
-      if (!(okNew && okOld)) {
-        // Fallback 1: pure char-level trimmed diff
-        try {
-          const aChars = toChars(baseText);
-          const bChars = toChars(nextText);
-          const pre = commonPrefixLen(aChars, bChars);
-          const aMid = aChars.slice(pre);
-          const bMid = bChars.slice(pre);
-          const post = commonSuffixLen(aMid, bMid);
-          const aC = aChars.slice(pre, aChars.length - post);
-          const bC = bChars.slice(pre, bChars.length - post);
-          let diffs2 = myersDiffSeq(aC, bC, (arr) => arr.join(''));
-          if (pre) diffs2.unshift([0, aChars.slice(0, pre).join('')]);
-          if (post) diffs2.push([0, aChars.slice(aChars.length - post).join('')]);
-          if (canon(reconstructNew(diffs2)) === canon(nextText) && canon(reconstructOld(diffs2)) === canon(baseText)) {
-            diffs = diffs2;
-            okNew = okOld = true;
-            strategy = 'fallback:char-trim';
-          }
-        } catch {}
-      }
-      if (!(okNew && okOld)) {
-        // Fallback 1b: try diff-match-patch (semantic cleanup)
-        try {
-          const dmpDiffs = await dmpDiffStrings(baseText, nextText, debugTag);
-          if (Array.isArray(dmpDiffs) && dmpDiffs.length) {
-            const rn = (ops) => ops.map(([op,s]) => (op === -1 ? '' : s)).join('');
-            const ro = (ops) => ops.map(([op,s]) => (op === 1 ? '' : s)).join('');
-            if (rn(dmpDiffs) === nextText && ro(dmpDiffs) === baseText) {
-              diffs = dmpDiffs; okNew = okOld = true; strategy = 'fallback:dmp';
-            }
-          }
-        } catch {}
+    } catch (e) { if (debugTag) try { console.warn(`[diff:${debugTag}] jsdiff import failed`, e); } catch {} }
+  }
+  if (!(okNew && okOld)) {
+    // Fallback 1: pure char-level trimmed diff
+    try {
+      const aChars = toChars(baseText);
+      const bChars = toChars(nextText);
+      const pre = commonPrefixLen(aChars, bChars);
+      const aMid = aChars.slice(pre);
+      const bMid = bChars.slice(pre);
+      const post = commonSuffixLen(aMid, bMid);
+      const aC = aChars.slice(pre, aChars.length - post);
+      const bC = bChars.slice(pre, bChars.length - post);
+      let diffs2 = myersDiffSeq(aC, bC, (arr) => arr.join(''));
+      if (pre) diffs2.unshift([0, aChars.slice(0, pre).join('')]);
+      if (post) diffs2.push([0, aChars.slice(aChars.length - post).join('')]);
+      if (canon(reconstructNew(diffs2)) === canon(nextText) && canon(reconstructOld(diffs2)) === canon(baseText)) {
+        diffs = diffs2;
+        okNew = okOld = true;
+        strategy = 'fallback:char-trim';
       }
-      if (!(okNew && okOld)) {
-        // Fallback 2: minimal but always-correct patch: delete all A, insert all B
-        strategy = 'fallback:delete-insert-all';
-        diffs = [];
-        if (baseText) diffs.push([-1, baseText]);
-        if (nextText) diffs.push([1, nextText]);
+    } catch {}
+  }
+  if (!(okNew && okOld)) {
+    // Fallback 1b: try diff-match-patch (semantic cleanup)
+    try {
+      const dmpDiffs = await dmpDiffStrings(baseText, nextText, debugTag);
+      if (Array.isArray(dmpDiffs) && dmpDiffs.length) {
+        const rn = (ops) => ops.map(([op,s]) => (op === -1 ? '' : s)).join('');
+        const ro = (ops) => ops.map(([op,s]) => (op === 1 ? '' : s)).join('');
+        if (rn(dmpDiffs) === nextText && ro(dmpDiffs) === baseText) {
+          diffs = dmpDiffs; okNew = okOld = true; strategy = 'fallback:dmp';
+        }
       }
-      if (debugTag) {
-        const statsDbg = computeStats(diffs);
-        const vis = (s) => String(s).replace(/\n/g, '⏎').replace(/ /g, '␠');
-        const sample = diffs.slice(0, 8).map(([op,s]) => [op, vis(String(s).slice(0, 48))]);
-        console.log(`[diff:${debugTag}] strategy`, strategy, 'stats', statsDbg, 'ops', diffs.length);
-        console.log(`[diff:${debugTag}] ops.sample`, sample);
+    } catch {}
+  }
+  if (!(okNew && okOld)) {
+    // Fallback 2: minimal but always-correct patch: delete all A, insert all B
+    strategy = 'fallback:delete-insert-all';
+    diffs = [];
+    if (baseText) diffs.push([-1, baseText]);
+    if (nextText) diffs.push([1, nextText]);
+  }
+  if (debugTag) {
+    const statsDbg = computeStats(diffs);
+    const vis = (s) => String(s).replace(/\n/g, '⏎').replace(/ /g, '␠');
+    const sample = diffs.slice(0, 8).map(([op,s]) => [op, vis(String(s).slice(0, 48))]);
+    console.log(`[diff:${debugTag}] strategy`, strategy, 'stats', statsDbg, 'ops', diffs.length);
+    console.log(`[diff:${debugTag}] ops.sample`, sample);
+  }
+  return diffs;
+}
+
+/**
+ * Wire shape of a text diff result; diffs are [op, text] runs. `patchText` always encodes the
+ * exact diff; the returned `diffs` are for display, with semantic cleanup and ignore modes applied.
+ */
+function diffResult(baseText, nextText, diffs, o = diffOptions()) {
+  let shown = o.cleanup ? cleanupSemantic(diffs, o.editCost) : diffs;
+  let ignored = 0;
+  if (o.ignore.whitespace || o.ignore.punctuation) ({ diffs: shown, ignored } = ignoreInsignificant(shown, o.ignore));
+  return {
+    patchText: encodeTextPatch(diffs),
+    diffs: shown,
+    stats: { ...computeStats(shown), charsBase: baseText.length, charsNew: nextText.length, granularity: o.granularity, coarse: o.coarse, ignored },
+  };
+}
+
+/* =========================
+   Display passes (diffResult)
+   ========================= */
+
+/** Deletes first, then inserts, within every run of edits between equalities (both texts still rebuild) */
+function regroupEdits(diffs) {
+  const out = [];
+  let del = '', ins = '';
+  const flush = () => { if (del) out.push([-1, del]); if (ins) out.push([1, ins]); del = ins = ''; };
+  for (const [op, s] of diffs) {
+    if (op === -1) del += s;
+    else if (op === 1) ins += s;
+    else { flush(); out.push([0, s]); }
+  }
+  flush();
+  return normalizeDiffs(out);
+}
+
+/** Larger side (delete or insert) of the edits next to diffs[k], looking in direction `dir` */
+function editSize(diffs, k, dir) {
+  let del = 0, ins = 0;
+  for (let i = k + dir; i >= 0 && i < diffs.length && diffs[i][0] !== 0; i += dir) {
+    if (diffs[i][0] === -1) del += diffs[i][1].length; else ins += diffs[i][1].length;
+  }
+  return Math.max(del, ins);
+}
+
+/**
+ * Semantic cleanup: an equality between two edits that is shorter than `editCost`, or no longer
+ * than the edits on either side, joins them into one edit. Equalities holding a line break stay.
+ */
+function cleanupSemantic(diffs, editCost) {
+  let ops = regroupEdits(diffs);
+  for (let changed = true; changed;) {
+    changed = false;
+    const out = [];
+    for (let k = 0; k < ops.length; k++) {
+      const [op, s] = ops[k];
+      if (op === 0 && !s.includes('\n')) {
+        const before = editSize(ops, k, -1), after = editSize(ops, k, 1);
+        if (before && after && (s.length < editCost || (s.length <= before && s.length <= after))) {
+          out.push([-1, s], [1, s]);
+          changed = true;
+          continue;
+        }
       }
-      const patchText = patch_toText_fromDiffs(diffs);
-
-      const stats = {
-        ...computeStats(diffs),
-        charsBase: baseText.length,
-        charsNew: nextText.length
-      };
-
-      // Return raw diffs (array of [op, text])
-      self.postMessage({
-        id,
-        type: 'diff:result',
-        patchText,
-        diffs,
-        stats
-      });
-      return;
+      out.push([op, s]);
     }
+    ops = regroupEdits(out);
+  }
+  return ops;
+}
 
-    // Unknown message → ignore politely
-  } catch (err) {
-    // Always surface errors in a structured way
-    self.postMessage({
-      id,
-      type: 'diff:error',
-      message: err?.message || String(err)
-    });
+/**
+ * Whitespace/punctuation-insensitive view: a run of edits whose two sides differ only in ignored
+ * characters shows as unchanged new text. The result rebuilds the new text only.
+ */
+function ignoreInsignificant(diffs, ignore) {
+  const key = (s) => {
+    let t = s;
+    if (ignore.whitespace) t = t.replace(/\s+/gu, '');
+    if (ignore.punctuation) t = t.replace(/[\p{P}\p{S}]/gu, '');
+    return t;
+  };
+  const out = [];
+  let run = [], del = '', ins = '', ignored = 0;
+  const flush = () => {
+    if (!run.length) return;
+    if (key(del) === key(ins)) { ignored++; out.push([0, ins]); } else out.push(...run);
+    run = []; del = ins = '';
+  };
+  for (const d of diffs) {
+    if (d[0] === 0) { flush(); out.push(d); continue; }
+    run.push(d);
+    if (d[0] === -1) del += d[1]; else ins += d[1];
   }
-};
+  flush();
+  return { diffs: normalizeDiffs(out), ignored };
+}
+
+/* =========================
+   Incremental diff (edit deltas from editor/deltas.js)
+   ========================= */
+
+const lineStart = (s, i) => i === 0 || s[i - 1] === '\n';
+
+/**
+ * Cuts of `diffs` around text[from, to): line starts on both sides inside equal runs, so the
+ * diff before and after each cut stays valid on its own. `k` is the run, `c` the offset in it,
+ * `a`/`b` the positions in the base and the text.
+ */
+function syncWindow(diffs, base, text, from, to) {
+  let left = { k: 0, c: 0, a: 0, b: 0 };
+  let a = 0, b = 0;
+  const nextCut = (s, c) => { const i = s.indexOf('\n', c); return i < 0 ? -1 : i + 1; };
+  for (let k = 0; k < diffs.length; k++) {
+    const [op, s] = diffs[k];
+    if (op === 0) {
+      for (let c = lineStart(base, a) && lineStart(text, b) ? 0 : nextCut(s, 0); c >= 0; c = nextCut(s, c)) {
+        if (b + c <= from) left = { k, c, a: a + c, b: b + c };
+        else if (b + c >= to) return { left, right: { k, c, a: a + c, b: b + c } };
+      }
+    }
+    if (op !== 1) a += s.length;
+    if (op !== -1) b += s.length;
+  }
+  return { left, right: { k: diffs.length, c: 0, a: base.length, b: text.length } };
+}
+
+/** Apply delta `d` to the synced state: re-diff only the lines it touches (widened to the nearest cuts) */
+async function deltaDiff(state, d, debugTag, o) {
+  const { base, text, diffs } = state;
+  const insertText = safeString(d.insertText);
+  if (!d.deleteCount && !insertText) return { text, diffs };
+  const next = text.slice(0, d.offset) + insertText + text.slice(d.offset + d.deleteCount);
+  const from = d.offset > 0 ? text.lastIndexOf('\n', d.offset - 1) + 1 : 0;
+  const nl = text.indexOf('\n', d.offset + d.deleteCount);
+  const { left, right } = syncWindow(diffs, base, text, from, nl < 0 ? text.length : nl + 1);
+  const grow = insertText.length - d.deleteCount;
+  const mid = await diffTexts(base.slice(left.a, right.a), next.slice(left.b, right.b + grow), debugTag, o);
+  const before = diffs.slice(0, left.k).concat(left.c ? [[0, diffs[left.k][1].slice(0, left.c)]] : []);
+  const after = right.k < diffs.length ? [[0, diffs[right.k][1].slice(right.c)]].concat(diffs.slice(right.k + 1)) : [];
+  return { text: next, diffs: normalizeDiffs(before.concat(mid, after)) };
+}
+
+/** Text on one side of `diffs`: the old one without inserts (skip 1), the new one without deletes (skip -1) */
+const diffSide = (diffs, skip) => diffs.map(([op, s]) => (op === skip ? '' : s)).join('');
+
+/**
+ * Consistency check of an incremental diff against the full one: it must rebuild the base and
+ * live text, and match the full diff op for op.
+ */
+function compareDiffs(incremental, full, base, text) {
+  if (diffSide(incremental, 1) !== base || diffSide(incremental, -1) !== text) return { ok: false, reason: 'incremental diff does not rebuild the base and live text' };
+  // Compared merged: the same edit may come split at different points
+  const inc = normalizeDiffs(incremental), all = normalizeDiffs(full);
+  const i = inc.findIndex(([op, s], k) => !all[k] || all[k][0] !== op || all[k][1] !== s);
+  if (i < 0 && inc.length === all.length) return { ok: true };
+  const at = i < 0 ? inc.length : i;
+  return { ok: false, reason: `diffs part at op ${at} (edit distance ${computeStats(incremental).distance} incremental, ${computeStats(full).distance} full)` };
+}
+
+/** Whether `live` is the text a delta was made on, diffed at the granularity it asks for */
+const holdsDeltaBase = (msg) => !!live && live.rev === msg.fromRev && msg.offset + msg.deleteCount <= live.head.length
+  && live.granularity === granularityOf(msg.options);
+
+const debugTagOf = (msg) => (msg?.options?.debugTag ? String(msg.options.debugTag) : '');
+
+serveRpc('diff', {
+  [WorkerMsg.INIT]: (msg) => { baselineText = safeString(msg.baselineText || ''); },
+  [WorkerMsg.SET_BASELINE]: (msg) => { baselineText = safeString(msg.baselineText || ''); },
+  [WorkerMsg.MERGE3]: (msg) => merge3(safeString(msg.baseText), safeString(msg.oursText), safeString(msg.theirsText)),
+  [WorkerMsg.TOKEN_OPS]: (msg) => ({ tokenOps: encodeTokenOps(msg.baseTokens, msg.tokens) }),
+  [WorkerMsg.APPLY_PATCH]: (msg) => {
+    const { text, applied, diffs } = applyPatches(safeString(msg.baseText), patchFromText(msg.patchText));
+    const ops = parseTokenOps(msg.tokenOps);
+    return { text, applied, diffs, tokens: ops ? applyTokenOps(msg.baseTokens, ops) : null };
+  },
+  [WorkerMsg.DIFF]: async (msg) => {
+    // Prefer an explicit baseline provided on the message to avoid races
+    // with concurrent baseline changes. Fall back to the last set baseline.
+    const baseText = Object.prototype.hasOwnProperty.call(msg, 'baselineText') ? safeString(msg.baselineText) : safeString(baselineText);
+    const nextText = safeString(msg.text || '');
+    const o = diffOptions(msg.options);
+    const diffs = await diffTexts(baseText, nextText, debugTagOf(msg), o);
+    // The editor's live text (a `rev`) becomes the state later deltas build on; it keeps the exact diff
+    if (msg.rev != null) live = { rev: msg.rev, base: baseText, text: nextText, diffs, head: nextText, pending: null, granularity: o.granularity };
+    return diffResult(baseText, nextText, diffs, o);
+  },
+  [WorkerMsg.DIFF_DELTA]: async (msg) => {
+    if (!holdsDeltaBase(msg)) {
+      live = null;
+      return { stale: true };
+    }
+    const debugTag = debugTagOf(msg);
+    const o = diffOptions(msg.options);
+    const d = advanceHead(live, msg);
+    // A skipped full request left no diff to patch
+    let next = live.diffs ? await deltaDiff(live, d, debugTag, o) : { text: live.head, diffs: await diffTexts(live.base, live.head, debugTag, o) };
+    let check;
+    if (msg.verify) {
+      const text = typeof msg.text === 'string' ? msg.text : next.text;
+      const full = await diffTexts(live.base, text, debugTag, o);
+      check = text !== next.text ? { ok: false, reason: 'text drifted' } : compareDiffs(next.diffs, full, live.base, text);
+      next = { text, diffs: full };
+    }
+    live = { rev: msg.rev, base: live.base, text: next.text, diffs: next.diffs, head: next.text, pending: null, granularity: o.granularity };
+    return { ...diffResult(live.base, next.text, next.diffs, o), check };
+  },
+}, {
+  // Dropped live-text requests still move the state along, so the next delta applies
+  [WorkerMsg.DIFF]: (msg) => {
+    if (msg.rev == null) return;
+    const base = Object.prototype.hasOwnProperty.call(msg, 'baselineText') ? safeString(msg.baselineText) : safeString(baselineText);
+    const text = safeString(msg.text || '');
+    live = { rev: msg.rev, base, text, diffs: null, head: text, pending: null, granularity: granularityOf(msg.options) };
+  },
+  [WorkerMsg.DIFF_DELTA]: (msg) => {
+    if (!holdsDeltaBase(msg)) { live = null; return; }
+    advanceHead(live, msg);
+    live.rev = msg.rev;
+  },
+});
 
 // Very low-memory greedy diff as last resort
 function simpleGreedyDiff(a, b) {
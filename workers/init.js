@@ -1,73 +1,59 @@
 // v2/workers/init.js
-// Initialize diff/align workers and expose a tiny RPC wrapper.
+// Initialize diff/align/realign workers behind the RPC layer (workers/rpc.js).
+// Every call takes an optional last `call` argument: { signal, timeoutMs, lane, gen } — abort,
+// per-call timeout, and the edit generation that lets the worker drop superseded requests.
 
-export function initWorkers() {
-  const diffW  = new Worker('./workers/diff-worker.js',  { type: 'module' });
-  const alignW = new Worker('./workers/align-worker.js', { type: 'module' });
-
-  let msgId = 1;
-  const pending = new Map(); // id -> { resolve, reject, kind }
-  let diffReady = false;
-  let alignReady = false;
-
-  try {
-    diffW.postMessage({ type: 'init', baselineText: '' });
-    alignW.postMessage({ type: 'init', baselineTokens: [] });
-  } catch (err) {
-    console.error('Worker initialization failed:', err);
-  }
-
-  function handleMessage(ev, kind) {
-    const { id, type } = ev.data || {};
-    if (type === `${kind}:ready`) {
-      if (kind === 'diff') diffReady = true; else if (kind === 'align') alignReady = true;
-      return;
-    }
-    if (!id || !pending.has(id)) return;
-    const entry = pending.get(id);
-    if (entry.kind !== kind) return;
-    const { resolve, reject } = entry;
-    pending.delete(id);
-    if (type === `${kind}:result`) resolve(ev.data);
-    else if (type === `${kind}:error`) reject(new Error(ev.data.message || `${kind} worker error`));
-  }
-
-  diffW.onmessage  = (ev) => handleMessage(ev, 'diff');
-  alignW.onmessage = (ev) => handleMessage(ev, 'align');
+import { WorkerClient } from './rpc.js';
+import { WorkerMsg } from '../shared/protocol.js';
 
-  diffW.onerror  = (err) => { const e = new Error('Diff worker crashed'); for (const v of pending.values()) if (v.kind==='diff') v.reject(e); };
-  alignW.onerror = (err) => { const e = new Error('Align worker crashed'); for (const v of pending.values()) if (v.kind==='align') v.reject(e); };
-
-  const sendDiff = (base, current, options) => {
-    if (!diffReady) return Promise.reject(new Error('Diff worker not ready'));
-    const id = msgId++;
-    // Pass baseline atomically with the diff request to avoid races
-    const payload = { id, type: 'diff', baselineText: base, text: current, options };
-    return new Promise((resolve, reject) => { pending.set(id, { resolve, reject, kind: 'diff' }); diffW.postMessage(payload); });
-  };
-  const setDiffBaseline = (baselineText) => { diffW.postMessage({ type: 'setBaseline', baselineText }); };
-
-  const sendAlign = (baselineTokens, currentText) => {
-    if (!alignReady) return Promise.reject(new Error('Align worker not ready'));
-    const id = msgId++;
-    const payload = { id, type: 'align', text: currentText };
-    return new Promise((resolve, reject) => { pending.set(id, { resolve, reject, kind: 'align' }); alignW.postMessage(payload); });
-  };
-  const setAlignBaseline = (baselineTokens) => { alignW.postMessage({ type: 'setBaseline', baselineTokens }); };
+export function initWorkers() {
+  const diffW = new WorkerClient('./workers/diff-worker.js', { kind: 'diff', init: { baselineText: '' }, timeoutMs: 20000 });
+  const alignW = new WorkerClient('./workers/align-worker.js', { kind: 'align', init: { baselineTokens: [] }, timeoutMs: 60000 });
+  const realignW = new WorkerClient('./workers/realign-worker.js', { kind: 'realign', timeoutMs: 60000 });
+
+  // `rev` marks the editor's live text: the worker keeps it for later deltas (editor/deltas.js).
+  // The baseline travels with the request to avoid races with baseline changes
+  const sendDiff = (base, current, options, { rev, ...call } = {}) =>
+    diffW.request(WorkerMsg.DIFF, { baselineText: base, text: current, options, rev }, call);
+  // Edit delta on top of the worker's `fromRev` text; resolves like sendDiff, or with { stale: true }
+  const sendDiffDelta = ({ rev, fromRev, offset, deleteCount, insertText, verify, text }, options, call) =>
+    diffW.request(WorkerMsg.DIFF_DELTA, { rev, fromRev, offset, deleteCount, insertText, verify, text: verify ? text : undefined, options }, call);
+  const setDiffBaseline = (baselineText, call) => diffW.setBaseline({ baselineText }, call);
+  // Three-way merge: resolves with { hunks, conflicts }
+  const sendMerge = (baseText, oursText, theirsText, call) => diffW.request(WorkerMsg.MERGE3, { baseText, oursText, theirsText }, call);
+  // transcript_edits formats: token ops for a parent → child token stream, and patch replay
+  const sendTokenOps = (baseTokens, tokens, call) => diffW.request(WorkerMsg.TOKEN_OPS, { baseTokens, tokens }, call);
+  const sendApplyPatch = (baseText, patchText, baseTokens, tokenOps, call) =>
+    diffW.request(WorkerMsg.APPLY_PATCH, { baseText, patchText, baseTokens, tokenOps }, call);
+
+  // Resolves with { tokens, segments, ids } (ids: stable render keys per token); pass { prevText, segments } to carry segment ids/speakers over
+  // and `anchors` (previous tokens) to keep pinned word timing (hand-set or realigned); `rev` as in sendDiff
+  const sendAlign = (baselineTokens, currentText, { prevText, segments, anchors, rev } = {}, call) =>
+    alignW.request(WorkerMsg.ALIGN, { text: currentText, prevText, segments, anchors, rev }, call);
+  // The worker keeps the segment layer and anchors: pass them only when they changed (anchors: null drops them)
+  const sendAlignDelta = ({ rev, fromRev, offset, deleteCount, insertText, verify, text }, { prevText, segments, anchors } = {}, call) =>
+    alignW.request(WorkerMsg.ALIGN_DELTA, { rev, fromRev, offset, deleteCount, insertText, verify, text: verify ? text : undefined, prevText, segments, anchors }, call);
+  // Acknowledged; a restarted align worker gets the last baseline again
+  const setAlignBaseline = (baselineTokens, call) => alignW.setBaseline({ baselineTokens }, call);
+
+  // Energy/VAD word boundaries for an audio slice; resolves with { words:[{start,end}] }.
+  // The samples buffer is transferred (pass a copy)
+  const sendRealign = (samples, sampleRate, words, options, call) =>
+    realignW.request(WorkerMsg.REALIGN, { samples, sampleRate, words, options }, { ...call, transfer: [samples.buffer] });
 
   const terminateAll = () => {
-    try { diffW.terminate(); } catch {}
-    try { alignW.terminate(); } catch {}
-    for (const { reject } of pending.values()) reject(new Error('Workers terminated'));
-    pending.clear();
+    diffW.terminate();
+    alignW.terminate();
+    realignW.terminate();
   };
 
   return {
-    diff:  { send: sendDiff, setBaseline: setDiffBaseline },
-    align: { send: sendAlign, setBaseline: setAlignBaseline },
+    diff:  { send: sendDiff, delta: sendDiffDelta, setBaseline: setDiffBaseline, merge: sendMerge, tokenOps: sendTokenOps, applyPatch: sendApplyPatch },
+    align: { send: sendAlign, delta: sendAlignDelta, setBaseline: setAlignBaseline },
+    realign: { send: sendRealign, ready: () => realignW.ready },
     terminateAll,
-    isReady: () => diffReady && alignReady,
-    diffReady: () => diffReady,
-    alignReady: () => alignReady,
+    isReady: () => diffW.ready && alignW.ready,
+    diffReady: () => diffW.ready,
+    alignReady: () => alignW.ready,
   };
 }
@@ -0,0 +1,24 @@
+// v2/workers/realign-worker.js
+// Module worker for the built-in energy/VAD realign engine. Audio is decoded on the main
+// thread (WebAudio is not available in workers) and the slice is transferred here.
+// Protocol:
+//   { id?, type: 'init' }
+//   { id, type: 'realign', samples:Float32Array, sampleRate, words:string[], options? }
+// Responses:
+//   { id?, type: 'realign:ready' }
+//   { id, type: 'realign:result', words:[{ start, end }] }   (seconds, relative to the slice)
+//   { id, type: 'realign:error', message }
+//   { id, type: 'realign:cancelled' }                        (after { type: 'cancel', target })
+
+import { estimateWordTimes } from '../shared/energy-align.js';
+import { WorkerMsg } from '../shared/protocol.js';
+import { serveRpc } from './rpc.js';
+
+serveRpc('realign', {
+  [WorkerMsg.INIT]: () => {},
+  [WorkerMsg.REALIGN]: (msg) => {
+    if (!(msg.samples instanceof Float32Array) || !(msg.sampleRate > 0)) throw new Error('Invalid audio slice');
+    const words = Array.isArray(msg.words) ? msg.words.map(w => String(w ?? '')) : [];
+    return { words: estimateWordTimes(msg.samples, msg.sampleRate, words, msg.options || {}) };
+  },
+});
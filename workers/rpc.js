@@ -0,0 +1,233 @@
+// v2/workers/rpc.js
+// Request/response layer shared by the diff, align and realign workers (message types and
+// schemas in shared/protocol.js).
+// Main thread — WorkerClient: numbered requests with a per-call timeout and an AbortSignal
+// (both send the worker a 'cancel'; a timeout of the request the worker is running restarts
+// it instead), an acknowledged setBaseline that is replayed when a crashed or stuck worker is
+// restarted, and schema checks of requests and results in dev mode.
+// Worker — serveRpc: runs requests one at a time, dropping cancelled ones and ones superseded
+// by a newer edit generation of the same lane before they start; `skip` hooks let a worker
+// keep incremental state in step with the requests it drops.
+
+import { WorkerMsg, WorkerReply, replyType, REQUEST_SCHEMAS, RESULT_SCHEMAS, validateMessage } from '../shared/protocol.js';
+
+const RESTART_WINDOW_MS = 60000;
+
+/** Dev mode: schema checks on; `localStorage['v2:dev'] = '1'` or a localhost origin */
+export function isDevMode() {
+  try {
+    if (localStorage.getItem('v2:dev') === '1') return true;
+    return ['localhost', '127.0.0.1', '[::1]'].includes(location.hostname);
+  } catch { return false; }
+}
+
+const abortError = (message, extra) => Object.assign(new DOMException(message, 'AbortError'), extra);
+
+export class WorkerClient {
+  /**
+   * @param {string|URL} url - module worker script
+   * @param {{ kind:string, init?:Object, timeoutMs?:number, maxRestarts?:number, dev?:boolean }} opts
+   *   `init` is sent with every (re)start; `maxRestarts` within a minute before giving up
+   */
+  constructor(url, { kind, init = {}, timeoutMs = 30000, maxRestarts = 5, dev = isDevMode() }) {
+    this.url = url;
+    this.kind = kind;
+    this.init = init;
+    this.timeoutMs = timeoutMs;
+    this.maxRestarts = maxRestarts;
+    this.dev = dev;
+    this.ready = false;
+    this.baseline = null; // last setBaseline payload, replayed after a restart
+    this.pending = new Map(); // id -> { resolve, reject, type, timer, cleanup }
+    this.nextId = 1;
+    this.restarts = [];
+    this.worker = null;
+    this._start();
+  }
+
+  _start() {
+    this.ready = false;
+    try {
+      this.worker = new Worker(this.url, { type: 'module' });
+    } catch (err) {
+      console.error(`${this.kind} worker failed to start:`, err);
+      return;
+    }
+    this.worker.onmessage = (ev) => this._onMessage(ev.data || {});
+    this.worker.onerror = (ev) => { ev?.preventDefault?.(); this._crashed(ev?.message || 'error'); };
+    this.worker.onmessageerror = () => this._crashed('unreadable message');
+    this.worker.postMessage({ ...this.init, type: WorkerMsg.INIT, dev: this.dev });
+    if (this.baseline) this.worker.postMessage({ ...this.baseline, type: WorkerMsg.SET_BASELINE });
+  }
+
+  /** Reject what was in flight and start a fresh worker (with backoff, a few times a minute at most) */
+  _crashed(reason) {
+    if (!this.worker) return;
+    try { this.worker.terminate(); } catch {}
+    this.worker = null;
+    this.ready = false;
+    const err = new Error(`${this.kind} worker crashed: ${reason}`);
+    for (const id of Array.from(this.pending.keys())) this._settle(id, null, err);
+    const now = Date.now();
+    this.restarts = this.restarts.filter(t => now - t < RESTART_WINDOW_MS);
+    if (this.restarts.length >= this.maxRestarts) {
+      console.error(`${this.kind} worker keeps crashing; not restarting (${reason})`);
+      return;
+    }
+    this.restarts.push(now);
+    console.warn(`${this.kind} worker crashed (${reason}); restarting`);
+    setTimeout(() => { if (!this.worker) this._start(); }, 250 * 2 ** (this.restarts.length - 1));
+  }
+
+  _onMessage(msg) {
+    const { id, type } = msg;
+    if (type === replyType(this.kind, WorkerReply.READY)) { this.ready = true; return; }
+    const entry = id != null && this.pending.get(id);
+    if (!entry) return;
+    if (type === replyType(this.kind, WorkerReply.RESULT) || type === replyType(this.kind, WorkerReply.BASELINE_SET)) {
+      if (this.dev && !msg.stale && RESULT_SCHEMAS[this.kind]?.[entry.type]) {
+        const problems = validateMessage(msg, RESULT_SCHEMAS[this.kind][entry.type], {});
+        if (problems.length) console.warn(`${this.kind} worker: bad ${entry.type} result:`, problems.join('; '));
+      }
+      this._settle(id, msg);
+    } else if (type === replyType(this.kind, WorkerReply.ERROR)) {
+      this._settle(id, null, new Error(msg.message || `${this.kind} worker error`));
+    } else if (type === replyType(this.kind, WorkerReply.CANCELLED)) {
+      this._settle(id, null, abortError(msg.superseded ? 'Superseded by a newer edit' : 'Cancelled', { superseded: !!msg.superseded }));
+    }
+  }
+
+  _settle(id, value, err) {
+    const entry = this.pending.get(id);
+    if (!entry) return;
+    this.pending.delete(id);
+    clearTimeout(entry.timer);
+    entry.cleanup();
+    if (err) entry.reject(err); else entry.resolve(value);
+  }
+
+  /**
+   * A request ran out of time. The worker answers in order, so with no older request
+   * outstanding it is the one running: the worker is stuck in it and only a restart frees it
+   * (a 'cancel' is read only once the handler returns). A queued request is just cancelled.
+   */
+  _timedOut(id, err) {
+    if (!this.pending.has(id)) return;
+    if (Math.min(...this.pending.keys()) !== id) { this._cancel(id, err); return; }
+    this._settle(id, null, err);
+    this._crashed(err.message);
+  }
+
+  _cancel(id, err) {
+    if (!this.pending.has(id)) return;
+    try { this.worker?.postMessage({ type: WorkerMsg.CANCEL, target: id }); } catch {}
+    this._settle(id, null, err);
+  }
+
+  /**
+   * Send a request; resolves with the worker's reply message.
+   * @param {string} type - WorkerMsg
+   * @param {Object} payload
+   * @param {{ signal?:AbortSignal, timeoutMs?:number, lane?:string, gen?:number, transfer?:Transferable[] }} [opts]
+   */
+  request(type, payload, { signal, timeoutMs = this.timeoutMs, lane, gen, transfer } = {}) {
+    if (!this.worker || (!this.ready && type !== WorkerMsg.SET_BASELINE)) return Promise.reject(new Error(`${this.kind} worker not ready`));
+    if (signal?.aborted) return Promise.reject(abortError('Cancelled'));
+    const id = this.nextId++;
+    const msg = { ...payload, id, type, lane, gen };
+    if (this.dev) {
+      const problems = validateMessage(msg, REQUEST_SCHEMAS[this.kind]?.[type]);
+      if (problems.length) return Promise.reject(new Error(`${this.kind} worker: bad ${type} request: ${problems.join('; ')}`));
+    }
+    return new Promise((resolve, reject) => {
+      const onAbort = () => this._cancel(id, abortError('Cancelled'));
+      signal?.addEventListener('abort', onAbort, { once: true });
+      const timer = timeoutMs > 0 ? setTimeout(() => this._timedOut(id, new DOMException(`${this.kind} ${type} timed out after ${timeoutMs} ms`, 'TimeoutError')), timeoutMs) : 0;
+      this.pending.set(id, { resolve, reject, type, timer, cleanup: () => signal?.removeEventListener('abort', onAbort) });
+      this.worker.postMessage(msg, transfer || []);
+    });
+  }
+
+  /** Set the worker's baseline; acknowledged, and re-sent to a restarted worker */
+  setBaseline(payload, opts) {
+    this.baseline = payload;
+    if (!this.worker) return Promise.resolve({}); // restarting: the new worker gets it with its init
+    return this.request(WorkerMsg.SET_BASELINE, payload, opts);
+  }
+
+  terminate() {
+    try { this.worker?.terminate(); } catch {}
+    this.worker = null;
+    this.ready = false;
+    for (const id of Array.from(this.pending.keys())) this._settle(id, null, new Error('Workers terminated'));
+  }
+}
+
+/**
+ * Worker side: answer requests with `handlers[type](msg)` (a result payload, or a promise of one).
+ * 'init' replies ready, 'setBaseline' baseline-set, the rest result; a throw replies error.
+ * `skip[type](msg)` runs instead of the handler when a request is dropped (cancelled or superseded).
+ * @param {string} kind - 'diff' | 'align' | 'realign'
+ */
+export function serveRpc(kind, handlers, skip = {}) {
+  const queue = [];
+  const cancelled = new Set();
+  const latestGen = new Map(); // lane -> newest generation received
+  let dev = false;
+  let lastId = 0;
+  let running = false;
+
+  const post = (msg) => self.postMessage(msg);
+
+  async function run(msg) {
+    const { id, type } = msg;
+    const superseded = msg.lane != null && msg.gen < latestGen.get(msg.lane);
+    if (cancelled.delete(id) || superseded) {
+      try { skip[type]?.(msg); } catch (e) { console.warn(`${kind} worker: skipping ${type} failed:`, e); }
+      post({ id, type: replyType(kind, WorkerReply.CANCELLED), superseded });
+      return;
+    }
+    try {
+      if (dev) {
+        const problems = validateMessage(msg, REQUEST_SCHEMAS[kind]?.[type]);
+        if (problems.length) throw new Error(`bad ${type} request: ${problems.join('; ')}`);
+      }
+      const handler = handlers[type];
+      if (!handler) throw new Error(`unknown request type: ${type}`);
+      const result = await handler(msg);
+      const reply = type === WorkerMsg.INIT ? WorkerReply.READY : type === WorkerMsg.SET_BASELINE ? WorkerReply.BASELINE_SET : WorkerReply.RESULT;
+      post({ ...result, id, type: replyType(kind, reply) });
+    } catch (err) {
+      post({ id, type: replyType(kind, WorkerReply.ERROR), message: err?.message || String(err) });
+    }
+  }
+
+  // One request per task: messages that arrived meanwhile (cancels, newer generations) are seen first
+  function pump() {
+    if (running || !queue.length) return;
+    running = true;
+    setTimeout(async () => {
+      const msg = queue.shift();
+      try { await run(msg); } finally {
+        if (msg.id > lastId) lastId = msg.id;
+        cancelled.delete(msg.id); // a cancel that came in while it ran
+        running = false;
+        pump();
+      }
+    }, 0);
+  }
+
+  self.onmessage = (ev) => {
+    const msg = ev?.data || {};
+    if (msg.type === WorkerMsg.CANCEL) {
+      if (msg.target > lastId) cancelled.add(msg.target);
+      return;
+    }
+    if (msg.type === WorkerMsg.INIT) dev = !!msg.dev;
+    if (msg.lane != null && Number.isFinite(msg.gen)) latestGen.set(msg.lane, Math.max(latestGen.get(msg.lane) ?? -Infinity, msg.gen));
+    queue.push(msg);
+    pump();
+  };
+}
+
+export default { isDevMode, WorkerClient, serveRpc };